@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * jira-utils - single entry point for every report and tool in this repo.
+ *
+ * Usage: jira-utils <group> <command> [arguments] [flags]
+ *
+ * Each command runs the matching script in its own process, so the scripts
+ * can still be run directly with node or npm run.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { COMMANDS, SCRIPT_VALUE_FLAGS } = require('./lib/commands');
+
+const EXIT_USAGE = 2;
+
+// Flags handled by the CLI itself; value is true when the flag takes a value
+const GLOBAL_FLAGS = {
+  '--config': true,
+  '--out': true,
+  '--format': true,
+  '--verbose': false,
+  '--dry-run': false,
+  '--help': false
+};
+
+const GLOBAL_FLAG_HELP = [
+  ['--config <path>', 'Config file (default: jira-utils.config.json)'],
+  ['--project <key>', 'Override the configured project'],
+  ['--sprint <sprint>', 'Sprint: active, previous, next, a number or a name'],
+  ['--fix-version <name>', 'Override the configured fix version'],
+  ['--out <dir>', 'Directory for generated reports (default: reports/)'],
+  ['--format <format>', 'Output format, where a command offers more than one'],
+  ['--verbose', 'Log every JIRA request'],
+  ['--dry-run', 'Make no changes; commands that only read show what would run'],
+  ['--record', 'Save sanitized JIRA responses to the fixtures directory'],
+  ['--replay', 'Answer JIRA requests from recorded fixtures, offline'],
+  ['--fixtures <dir>', 'Fixtures directory (default: fixtures/)'],
+  ['-h, --help', 'Show help']
+];
+
+class UsageError extends Error {}
+
+// Split argv into the command path, global flags and arguments for the script
+function parseArgv(argv) {
+  const flags = {};
+  const words = [];
+  const passthrough = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      flags.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      words.push(arg);
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s, 2);
+    if (!(flag in GLOBAL_FLAGS)) {
+      // Anything else is handed to the script untouched
+      passthrough.push(arg);
+      if (SCRIPT_VALUE_FLAGS.includes(flag) && inlineValue === undefined && argv[i + 1] !== undefined) {
+        passthrough.push(argv[++i]);
+      }
+      continue;
+    }
+
+    const name = flag.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (GLOBAL_FLAGS[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`Missing value for ${flag}`);
+      }
+      flags[name] = value;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return { flags, words, passthrough };
+}
+
+function formatRows(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length)) + 2;
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`).join('\n');
+}
+
+function generalHelp() {
+  const groups = Object.entries(COMMANDS).map(([name, group]) => [name, group.description]);
+  return [
+    'Usage: jira-utils <group> <command> [arguments] [flags]',
+    '',
+    'Groups:',
+    formatRows(groups),
+    '',
+    'Global flags:',
+    formatRows(GLOBAL_FLAG_HELP),
+    '',
+    'Run "jira-utils <group> --help" to list a group\'s commands.'
+  ].join('\n');
+}
+
+function groupHelp(groupName) {
+  const group = COMMANDS[groupName];
+  const rows = Object.entries(group.commands).map(([name, command]) => [
+    [name, command.usage].filter(Boolean).join(' '),
+    command.description
+  ]);
+  return [
+    `Usage: jira-utils ${groupName} <command> [arguments] [flags]`,
+    '',
+    `${group.description}:`,
+    formatRows(rows),
+    '',
+    'Run "jira-utils --help" for the global flags.'
+  ].join('\n');
+}
+
+function commandHelp(groupName, commandName) {
+  const command = COMMANDS[groupName].commands[commandName];
+  const formats = Object.keys(command.formats);
+  return [
+    `Usage: jira-utils ${groupName} ${[commandName, command.usage].filter(Boolean).join(' ')} [flags]`,
+    '',
+    command.description,
+    '',
+    `Formats: ${formats.join(', ')} (default: ${formats[0]})`,
+    '',
+    'Global flags:',
+    formatRows(GLOBAL_FLAG_HELP)
+  ].join('\n');
+}
+
+// Work out which script to run and the arguments it is given
+function resolveCommand(words, flags, passthrough = []) {
+  const [groupName, commandName, ...args] = words;
+
+  if (!groupName) {
+    return { help: generalHelp() };
+  }
+
+  const group = COMMANDS[groupName];
+  if (!group) {
+    throw new UsageError(`Unknown command group "${groupName}"\n\n${generalHelp()}`);
+  }
+
+  if (!commandName) {
+    return { help: groupHelp(groupName) };
+  }
+
+  const command = group.commands[commandName];
+  if (!command) {
+    throw new UsageError(`Unknown command "${groupName} ${commandName}"\n\n${groupHelp(groupName)}`);
+  }
+
+  if (flags.help) {
+    return { help: commandHelp(groupName, commandName) };
+  }
+
+  const formats = Object.keys(command.formats);
+  const format = flags.format || formats[0];
+  if (!command.formats[format]) {
+    throw new UsageError(`"${groupName} ${commandName}" does not support --format ${format} (available: ${formats.join(', ')})`);
+  }
+
+  const scriptArgs = [...args, ...passthrough];
+  if (flags.config) scriptArgs.push('--config', flags.config);
+  if (flags.dryRun && command.makesChanges) scriptArgs.push('--dry-run');
+
+  return { command, script: command.formats[format], args: scriptArgs };
+}
+
+// Run a script in a child process and resolve with its exit code
+function runScript(script, args, env) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args], {
+      stdio: 'inherit',
+      env
+    });
+
+    child.on('error', error => {
+      console.error(`❌ Error: Could not start ${script}: ${error.message}`);
+      resolve(1);
+    });
+
+    child.on('exit', (code, signal) => {
+      resolve(signal ? 1 : code);
+    });
+  });
+}
+
+async function main(argv) {
+  const { flags, words, passthrough } = parseArgv(argv);
+
+  if (flags.help && words.length < 2) {
+    console.log(words.length === 1 && COMMANDS[words[0]] ? groupHelp(words[0]) : generalHelp());
+    return 0;
+  }
+
+  const resolved = resolveCommand(words, flags, passthrough);
+  if (resolved.help) {
+    console.log(resolved.help);
+    return 0;
+  }
+
+  const { command, script, args: scriptArgs } = resolved;
+
+  const env = { ...process.env };
+  if (flags.out) env.JIRA_UTILS_OUT_DIR = path.resolve(flags.out);
+  if (flags.verbose) env.JIRA_UTILS_VERBOSE = '1';
+
+  if (flags.dryRun && !command.makesChanges) {
+    console.log(`🔍 DRY RUN: would run src/${script}${scriptArgs.length ? ' ' + scriptArgs.join(' ') : ''}`);
+    return 0;
+  }
+
+  if (flags.verbose) {
+    console.log(`▶️  src/${script} ${scriptArgs.join(' ')}`.trimEnd());
+  }
+
+  return runScript(script, scriptArgs, env);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(`❌ Error: ${error.message}`);
+      process.exit(error instanceof UsageError ? EXIT_USAGE : 1);
+    });
+}
+
+module.exports = { COMMANDS, EXIT_USAGE, UsageError, parseArgv, resolveCommand };
@@ -1,62 +1,43 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { discoverWorkflow } = require('./lib/workflow');
+const { findBoardId, getBoardSprints, matchSprint } = require('./lib/sprints');
+const { loadTeamCalendar, sprintCapacity } = require('./lib/team-calendar');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const SPRINTS = ['NH Sprint 28', 'NH Sprint 29', 'NH Sprint 30', 'NH Sprint 31'];
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'allocationSprints'] });
+const PROJECT_KEY = config.project;
+const SPRINTS = config.allocationSprints;
+const calendar = loadTeamCalendar(config);
 
-// Statuses to track (case-sensitive!)
-const COMPLETED_STATUSES = ['Ready for release', 'CLOSED', 'Closed', 'Done'];
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create JIRA API client
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    },
-    timeout: 30000
-  });
-}
+let workflow; // Discovered from JIRA in main()
 
 // Get custom field IDs
 async function getCustomFieldIds(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story point')
     );
     
     return {
-      storyPoints: storyPointsField ? storyPointsField.id : 'customfield_10003'
+      storyPoints: storyPointsField ? storyPointsField.id : config.fields.storyPoints
     };
   } catch (error) {
     console.warn(`   ⚠️  Could not fetch custom fields: ${error.message}`);
     return {
-      storyPoints: 'customfield_10003'
+      storyPoints: config.fields.storyPoints
     };
   }
 }
@@ -69,12 +50,7 @@ async function fetchSprintAllocation(client, fieldIds, sprintName) {
     console.log(`\n🔎 Querying ${sprintName}...`);
     
     // Step 1: Get all issue keys
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} issues in sprint`);
     
     const assigneeMap = {};
@@ -84,13 +60,11 @@ async function fetchSprintAllocation(client, fieldIds, sprintName) {
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `assignee,status,issuetype,${fieldIds.storyPoints}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `assignee,status,issuetype,${fieldIds.storyPoints}`
         });
         
-        const fields = issueResponse.data.fields || {};
+        const fields = issue.fields || {};
         const assignee = fields.assignee;
         const assigneeName = assignee ? assignee.displayName : 'Unassigned';
         const assigneeAccountId = assignee ? assignee.accountId : 'unassigned';
@@ -110,7 +84,7 @@ async function fetchSprintAllocation(client, fieldIds, sprintName) {
         }
         
         // Determine if completed
-        const isCompleted = COMPLETED_STATUSES.includes(status);
+        const isCompleted = workflow.isDone(fields.status || status);
         
         // Initialize assignee if not exists
         if (!assigneeMap[assigneeAccountId]) {
@@ -156,6 +130,27 @@ async function fetchSprintAllocation(client, fieldIds, sprintName) {
   }
 }
 
+// Each sprint's dates from the board, by name; sprints the board does not
+// list (or all of them, when it cannot be read) are left out
+async function fetchSprintDates(client) {
+  const datesBySprint = {};
+  try {
+    const boardId = config.boardId || await findBoardId(client, PROJECT_KEY);
+    const sprints = await getBoardSprints(client, boardId);
+    for (const sprintName of SPRINTS) {
+      const sprint = matchSprint(sprints, sprintName);
+      if (sprint && sprint.startDate && sprint.endDate) {
+        datesBySprint[sprintName] = sprint;
+      } else {
+        console.warn(`   ⚠️  No dates on the board for ${sprintName}; capacity skipped`);
+      }
+    }
+  } catch (error) {
+    console.warn(`   ⚠️  Could not read sprint dates from the board (${error.message}); capacity skipped`);
+  }
+  return datesBySprint;
+}
+
 // Main function
 async function main() {
   try {
@@ -164,13 +159,17 @@ async function main() {
     console.log(`   Project: ${PROJECT_KEY}`);
     console.log(`   Sprints: ${SPRINTS.join(', ')}`);
     
-    validateConfig();
+    validateCredentials();
     
     const client = createJiraClient();
     
     console.log('\n🔍 Discovering custom fields...');
     const fieldIds = await getCustomFieldIds(client);
     console.log(`   ✓ Story Points field: ${fieldIds.storyPoints}`);
+    workflow = await discoverWorkflow(client, config);
+    
+    console.log(`\n📅 Reading sprint dates for capacity (${calendar.description})...`);
+    const sprintDates = await fetchSprintDates(client);
     
     // Fetch data for all sprints
     const sprintData = {};
@@ -188,6 +187,18 @@ async function main() {
       });
     });
     
+    // Days an assignee was in a sprint, and the points allocated per day
+    const availability = (name, sprintName, totalPoints) => {
+      const capacity = sprintDates[sprintName] && name !== 'Unassigned'
+        ? sprintCapacity(calendar, name, sprintDates[sprintName])
+        : null;
+      if (!capacity) return { availableDays: null, pointsPerDay: null };
+      return {
+        availableDays: capacity.availableDays,
+        pointsPerDay: capacity.availableDays > 0 ? Math.round((totalPoints / capacity.availableDays) * 10) / 10 : null
+      };
+    };
+    
     // Build report data
     const reportData = Array.from(allAssignees).map(accountId => {
       let assigneeName = '';
@@ -208,7 +219,8 @@ async function main() {
             totalPoints: assigneeData.totalPoints,
             completedIssues: assigneeData.completedIssues,
             completedPoints: assigneeData.completedPoints,
-            percentComplete: assigneeData.percentComplete
+            percentComplete: assigneeData.percentComplete,
+            ...availability(assigneeData.name, sprintName, assigneeData.totalPoints)
           };
           
           totalIssues += assigneeData.totalIssues;
@@ -250,8 +262,10 @@ async function main() {
       SPRINTS.forEach(sprintName => {
         const stats = assignee.sprintStats[sprintName];
         if (stats.totalIssues > 0) {
+          const perDay = stats.availableDays === null ? ''
+            : `, in ${stats.availableDays} days${stats.pointsPerDay === null ? '' : ` (${stats.pointsPerDay} pts/day)`}`;
           console.log(`  ${sprintName}: ${stats.completedIssues}/${stats.totalIssues} issues, ` +
-                      `${stats.completedPoints}/${stats.totalPoints} pts (${stats.percentComplete}% complete)`);
+                      `${stats.completedPoints}/${stats.totalPoints} pts (${stats.percentComplete}% complete)${perDay}`);
         } else {
           console.log(`  ${sprintName}: -`);
         }
@@ -294,7 +308,7 @@ async function main() {
     console.log('\n' + '='.repeat(120));
     
     // Save to JSON
-    const outputDir = path.join(__dirname, '..', 'reports');
+    const outputDir = getReportsDir();
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
     }
@@ -1,6 +1,7 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { parseCliArgs, getReportsDir } = require('./lib/config');
 
 // Configuration
 const COLORS = {
@@ -20,7 +21,7 @@ const COLORS = {
 
 // Parse command-line arguments
 function parseArgs() {
-  const args = process.argv.slice(2);
+  const { args } = parseCliArgs(process.argv.slice(2));
   
   if (args.length === 0) {
     console.error('❌ Error: Sprint number is required');
@@ -34,14 +35,14 @@ function parseArgs() {
 
 // Load JSON data
 function loadData(sprintNumber) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   const filename = `assignee-report-sprint-${sprintNumber}.json`;
   const filepath = path.join(reportsDir, filename);
   
   if (!fs.existsSync(filepath)) {
     console.error(`❌ Error: Report file not found: ${filepath}`);
     console.log('\nPlease run "npm run assignee-report" first to generate the data.');
-    console.log(`Make sure CURRENT_SPRINT is set to "NH Sprint ${sprintNumber}" in generate-assignee-report.js`);
+    console.log(`Make sure "sprint" is set to "NH Sprint ${sprintNumber}" in jira-utils.config.json (or pass --sprint)`);
     process.exit(1);
   }
   
@@ -68,7 +69,7 @@ function generatePDF(data) {
     bufferPages: true
   });
   
-  const outputDir = path.join(__dirname, '..', 'reports');
+  const outputDir = getReportsDir();
   // Extract sprint number from currentSprint (e.g., "NH Sprint 31" -> "31")
   const sprintNumber = data.currentSprint.match(/\d+/)?.[0] || 'unknown';
   const outputPath = path.join(outputDir, `assignee-report-sprint-${sprintNumber}.pdf`);
@@ -359,11 +360,13 @@ function drawWorkloadChart(doc, data) {
     // Bar
     const barLength = maxPoints > 0 ? (workload.points / maxPoints) * (barWidth - 280) : 0;
     
-    // Determine color based on workload
+    // Determine color based on workload; the thresholds shrink with the
+    // share of the sprint the assignee is in (leave, part-time)
+    const share = assignee.capacity ? assignee.capacity.share : 1;
     let barColor = COLORS.success;
-    if (workload.points > 15) {
+    if (workload.points > 15 * share) {
       barColor = COLORS.danger;
-    } else if (workload.points > 8) {
+    } else if (workload.points > 8 * share) {
       barColor = COLORS.warning;
     }
     
@@ -399,11 +402,14 @@ function drawAssigneeSection(doc, assignee, number, startY) {
      .text(`${number}. ${assignee.name}`, 50, doc.y);
   
   // Today's stats
+  const capacity = assignee.capacity
+    ? ` | In ${assignee.capacity.availableDays}/${assignee.capacity.sprintDays} days, ${assignee.capacity.daysLeft} left`
+    : '';
   doc.fontSize(9)
      .fillColor(COLORS.gray)
      .font('Helvetica')
      .text(`Today: ${assignee.totalIssues} issues (${assignee.totalStoryPoints} pts) | ` +
-           `Sprint: ${assignee.currentSprintWorkload?.count || 0} active (${assignee.currentSprintWorkload?.points || 0} pts)`,
+           `Sprint: ${assignee.currentSprintWorkload?.count || 0} active (${assignee.currentSprintWorkload?.points || 0} pts)${capacity}`,
            230, doc.y + 2);
   
   doc.y += 20;
@@ -1,51 +1,32 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { enteredStatusOn, getCompletionDates } = require('./lib/changelog');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
+const { loadTeamCalendar, sprintCapacity } = require('./lib/team-calendar');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const CURRENT_SPRINT = 'NH Sprint 31'; // Update this for each sprint
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let CURRENT_SPRINT = config.sprint; // Resolved against the board in main()
+const calendar = loadTeamCalendar(config);
 
-// Statuses to track (case-sensitive!)
-const COMPLETED_STATUSES = ['Ready for release', 'CLOSED', 'Closed', 'Done'];
-const QA_STATUS = 'In QA';
-const DEV_STATUS = 'In Dev';
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+let workflow; // Discovered from JIRA in generateAssigneeReport()
 
 // Get custom field IDs
 async function getCustomFieldIds(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story point')
@@ -66,57 +47,24 @@ async function getCustomFieldIds(client) {
     }
     
     return {
-      storyPoints: storyPointsField ? storyPointsField.id : 'customfield_10003',
+      storyPoints: storyPointsField ? storyPointsField.id : config.fields.storyPoints,
       team: teamFieldId
     };
   } catch (error) {
     return {
-      storyPoints: 'customfield_10003',
+      storyPoints: config.fields.storyPoints,
       team: null
     };
   }
 }
 
-// Check if status change happened today
-function changedToStatusToday(issue, targetStatuses, today) {
-  if (!issue.changelog || !issue.changelog.histories) {
-    return null;
-  }
-  
-  const todayStr = today.toISOString().split('T')[0];
-  
-  for (const history of issue.changelog.histories) {
-    const changeDate = history.created.split('T')[0];
-    
-    if (changeDate === todayStr) {
-      for (const item of history.items) {
-        if (item.field === 'status' && item.toString) {
-          const toStatusUpper = item.toString.toUpperCase();
-          for (const targetStatus of targetStatuses) {
-            if (toStatusUpper === targetStatus.toUpperCase()) {
-              return item.toString;
-            }
-          }
-        }
-      }
-    }
-  }
-  
-  return null;
-}
-
 // Fetch total sprint allocation by team (all issues, including completed)
 async function fetchTotalSprintByTeam(client, fieldIds) {
   const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Epic, Story, Bug)`;
   
   try {
     // Step 1: Fetch all issue keys (no fields to get max results)
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} total issues in sprint, fetching details...`);
     
     const teamMap = {};
@@ -126,13 +74,11 @@ async function fetchTotalSprintByTeam(client, fieldIds) {
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,${fieldIds.storyPoints},${fieldIds.team}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,${fieldIds.storyPoints},${fieldIds.team}`
         });
         
-        const fields = issueResponse.data.fields || {};
+        const fields = issue.fields || {};
         let storyPoints = fields[fieldIds.storyPoints] || 0;
         const issueType = fields.issuetype?.name || 'Unknown';
         const status = fields.status?.name || 'Unknown';
@@ -148,7 +94,7 @@ async function fetchTotalSprintByTeam(client, fieldIds) {
         }
         
         // Determine if issue is completed
-        const isCompleted = COMPLETED_STATUSES.includes(status);
+        const isCompleted = workflow.isDone(fields.status || status);
         
         // Extract team
         let team = 'Unassigned';
@@ -201,7 +147,7 @@ async function fetchTotalSprintByTeam(client, fieldIds) {
 
 // Fetch current sprint workload for an assignee
 async function fetchAssigneeSprintWorkload(client, fieldIds, assigneeAccountId) {
-  const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND assignee = ${assigneeAccountId} AND issuetype in (Epic, Story, Bug) AND status NOT IN ("${COMPLETED_STATUSES.join('", "')}")`;
+  const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND assignee = ${assigneeAccountId} AND issuetype in (Epic, Story, Bug) AND status NOT IN ${toJqlList(workflow.getStatuses('done'))}`;
   
   // Build fields list to request
   const fieldsToRequest = ['summary', 'status', 'issuetype', fieldIds.storyPoints];
@@ -210,13 +156,7 @@ async function fetchAssigneeSprintWorkload(client, fieldIds, assigneeAccountId)
   }
   
   try {
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000,
-      fields: fieldsToRequest
-    });
-    
-    const issues = response.data.issues || [];
+    const issues = await searchIssues(client, jql, { fields: fieldsToRequest });
     const workloadIssues = [];
     let totalPoints = 0;
     
@@ -283,20 +223,15 @@ async function fetchAssigneeSprintWorkload(client, fieldIds, assigneeAccountId)
   }
 }
 
-// Fetch issues with assignee information
-async function fetchIssuesByStatus(client, storyPointsFieldId, statusList, label, today) {
+// Fetch issues that reached a workflow stage today, with assignee information
+async function fetchIssuesByStage(client, storyPointsFieldId, stage, label, today) {
   const todayStr = today.toISOString().split('T')[0];
-  const jql = `project = ${PROJECT_KEY} AND status in (${statusList.map(s => `"${s}"`).join(', ')}) AND updated >= "${todayStr}"`;
+  const jql = `project = ${PROJECT_KEY} AND status in ${toJqlList(workflow.getStatuses(stage))} AND updated >= "${todayStr}"`;
   
   console.log(`\n🔎 Querying ${label}...`);
   
   try {
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueData = response.data.issues || [];
+    const issueData = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueData.length} issues`);
     
     const movedTodayIssues = [];
@@ -305,14 +240,11 @@ async function fetchIssuesByStatus(client, storyPointsFieldId, statusList, label
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,assignee,${storyPointsFieldId}`,
-            expand: 'changelog'
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,assignee,${storyPointsFieldId}`,
+          expand: 'changelog'
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields || {};
         const issueType = fields.issuetype?.name || 'Unknown';
         const summary = fields.summary || '';
@@ -322,9 +254,12 @@ async function fetchIssuesByStatus(client, storyPointsFieldId, statusList, label
         
         // Only count Epic, Story, and Bug
         if (issueType === 'Epic' || issueType === 'Story' || issueType === 'Bug') {
-          const movedToStatus = changedToStatusToday(issue, statusList, today);
+          // Done means completed today; moves between done statuses don't count
+          const movedToday = stage === 'done'
+            ? getCompletionDates(issue, workflow.isDone).includes(todayStr)
+            : Boolean(enteredStatusOn(issue, status => workflow.getStage(status) === stage, today));
           
-          if (movedToStatus) {
+          if (movedToday) {
             // Default to 2 points for Stories or Bugs without points
             const defaulted = (issueType === 'Story' || issueType === 'Bug') && storyPoints === 0;
             if (defaulted) {
@@ -371,10 +306,14 @@ async function generateAssigneeReport() {
   console.log(`   Date: ${todayStr}`);
   
   const client = createJiraClient();
+  const sprint = await resolveSprint(client, config);
+  CURRENT_SPRINT = sprint.name;
+  console.log(`   Sprint: ${CURRENT_SPRINT}`);
   
   console.log('\n🔍 Discovering custom fields...');
   const fieldIds = await getCustomFieldIds(client);
   console.log(`   ✓ Story Points field: ${fieldIds.storyPoints}`);
+  workflow = await discoverWorkflow(client, config);
   if (fieldIds.team) {
     console.log(`   ✓ Team field: ${fieldIds.team}`);
   } else {
@@ -382,26 +321,26 @@ async function generateAssigneeReport() {
   }
   
   // Fetch all issues
-  const completed = await fetchIssuesByStatus(
+  const completed = await fetchIssuesByStage(
     client, 
     fieldIds.storyPoints, 
-    COMPLETED_STATUSES, 
+    'done', 
     'Completed Issues',
     today
   );
   
-  const movedToQA = await fetchIssuesByStatus(
+  const movedToQA = await fetchIssuesByStage(
     client,
     fieldIds.storyPoints,
-    [QA_STATUS],
+    'qa',
     'Issues Moved to QA',
     today
   );
   
-  const movedToDev = await fetchIssuesByStatus(
+  const movedToDev = await fetchIssuesByStage(
     client,
     fieldIds.storyPoints,
-    [DEV_STATUS],
+    'dev',
     'Issues Moved to Dev',
     today
   );
@@ -449,7 +388,8 @@ async function generateAssigneeReport() {
     assigneeData.byType[issue.issueType].points += issue.storyPoints;
     
     // Track by status
-    if (issue.status === DEV_STATUS) {
+    const stage = workflow.getStage(issue.status);
+    if (stage === 'dev') {
       assigneeData.inDev.count++;
       assigneeData.inDev.points += issue.storyPoints;
       assigneeData.inDev.issues.push({
@@ -458,7 +398,7 @@ async function generateAssigneeReport() {
         issueType: issue.issueType,
         storyPoints: issue.storyPoints
       });
-    } else if (issue.status === QA_STATUS) {
+    } else if (stage === 'qa') {
       assigneeData.inQA.count++;
       assigneeData.inQA.points += issue.storyPoints;
       assigneeData.inQA.issues.push({
@@ -490,6 +430,22 @@ async function generateAssigneeReport() {
     console.log(`   ✓ ${assignee.name}: ${workload.count} active issues (${workload.points} pts)`);
   }
   
+  // Days each assignee is in this sprint, from the team calendar
+  if (sprint.startDate && sprint.endDate) {
+    console.log(`\n📅 Sprint capacity (${calendar.description})...`);
+    for (const assignee of assignees) {
+      const capacity = sprintCapacity(calendar, assignee.name, sprint, today);
+      capacity.pointsPerDayLeft = capacity.daysLeft > 0
+        ? Math.round((assignee.currentSprintWorkload.points / capacity.daysLeft) * 10) / 10
+        : null;
+      assignee.capacity = capacity;
+      const calendarNote = calendar.isInTeam(assignee.name) ? '' : ' (not in the team calendar, counted full-time)';
+      console.log(`   ✓ ${assignee.name}: ${capacity.availableDays} of ${capacity.sprintDays} days, ${capacity.daysLeft} left${calendarNote}`);
+    }
+  } else {
+    console.log(`\n⚠️  ${CURRENT_SPRINT} has no dates on the board; sprint capacity skipped`);
+  }
+  
   // Fetch total sprint allocation by team (including completed)
   console.log(`\n📊 Fetching total sprint allocation by team...`);
   const totalTeamAllocation = await fetchTotalSprintByTeam(client, fieldIds);
@@ -559,12 +515,18 @@ async function generateAssigneeReport() {
     if (assignee.currentSprintWorkload) {
       console.log(`      Sprint Workload: ${assignee.currentSprintWorkload.count} active issues (${assignee.currentSprintWorkload.points} pts)`);
     }
+    if (assignee.capacity) {
+      const pace = assignee.capacity.pointsPerDayLeft === null ? 'no days left' : `${assignee.capacity.pointsPerDayLeft} pts/day needed`;
+      console.log(`      Capacity: ${assignee.capacity.availableDays} of ${assignee.capacity.sprintDays} days, ${assignee.capacity.daysLeft} left (${pace})`);
+    }
   });
   
   return {
     date: todayStr,
     project: PROJECT_KEY,
     currentSprint: CURRENT_SPRINT,
+    sprintStartDate: sprint.startDate,
+    sprintEndDate: sprint.endDate,
     summary: {
       totalIssues: allIssues.length,
       totalStoryPoints: allIssues.reduce((sum, i) => sum + i.storyPoints, 0),
@@ -581,7 +543,7 @@ async function generateAssigneeReport() {
 
 // Save results to JSON file
 function saveResults(data) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   
   if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
@@ -601,7 +563,7 @@ function saveResults(data) {
 // Main function
 async function main() {
   try {
-    validateConfig();
+    validateCredentials();
     const data = await generateAssigneeReport();
     saveResults(data);
     console.log('\n🎉 Done!');
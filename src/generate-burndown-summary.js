@@ -1,69 +1,50 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { validateCredentials, createJiraClient, searchIssues, getIssue } = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const {
+  analyzeSprintAddition,
+  analyzeStoryPointChanges,
+  calculateScopeChanges
+} = require('./lib/scope-changes');
+const { discoverWorkflow } = require('./lib/workflow');
 
 // JIRA Configuration
-const JIRA_BASE_URL = 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const SPRINT_NAME = 'NH Sprint 31';
-const STORY_POINTS_FIELD = 'customfield_10003';
-const SPRINT_FIELD = 'customfield_11150';
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let SPRINT_NAME = config.sprint; // Resolved against the board in getSprintDetails()
+const STORY_POINTS_FIELD = config.fields.storyPoints;
+const SPRINT_FIELD = config.fields.sprint;
 
 // Disable SSL verification (for development)
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 
-// Create axios client
-const client = axios.create({
-  baseURL: JIRA_BASE_URL,
-  auth: {
-    username: JIRA_EMAIL,
-    password: JIRA_API_TOKEN
-  },
-  headers: {
-    'Accept': 'application/json',
-    'Content-Type': 'application/json'
-  }
-});
+validateCredentials();
+const client = createJiraClient();
 
 /**
- * Get sprint details from any issue in the sprint
+ * Get sprint details from the project's board
  */
 async function getSprintDetails() {
   console.log(`\n🔍 Fetching sprint details for ${SPRINT_NAME}...`);
   
   try {
-    // Search for issues in the sprint
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: `project = ${PROJECT_KEY} AND sprint = "${SPRINT_NAME}"`,
-      maxResults: 1
-    });
+    const sprint = await resolveSprint(client, config);
+    SPRINT_NAME = sprint.name;
+    console.log(`   ✓ Sprint: ${sprint.name}`);
+    console.log(`   ✓ Sprint ID: ${sprint.id}`);
+    console.log(`   ✓ Start Date: ${sprint.startDate}`);
+    console.log(`   ✓ End Date: ${sprint.endDate}`);
+    console.log(`   ✓ State: ${sprint.state}`);
+    if (sprint.goal) {
+      console.log(`   ✓ Goal: ${sprint.goal}`);
+    }
     
-    if (response.data.issues && response.data.issues.length > 0) {
-      const issueKey = response.data.issues[0].key || response.data.issues[0].id;
-      
-      // Get issue details with sprint field
-      const issueDetail = await client.get(`/rest/api/3/issue/${issueKey}`, {
-        params: {
-          fields: SPRINT_FIELD
-        }
-      });
-      
-      const sprintField = issueDetail.data.fields[SPRINT_FIELD];
-      if (sprintField && sprintField.length > 0) {
-        // Find the matching sprint
-        for (const sprint of sprintField) {
-          if (sprint.name === SPRINT_NAME) {
-            console.log(`   ✓ Sprint ID: ${sprint.id}`);
-            console.log(`   ✓ Start Date: ${sprint.startDate}`);
-            console.log(`   ✓ End Date: ${sprint.endDate}`);
-            console.log(`   ✓ State: ${sprint.state}`);
-            return sprint;
-          }
-        }
-      }
+    if (sprint.startDate) {
+      return sprint;
     }
+    console.error('   Sprint has no start date yet');
   } catch (error) {
     console.error('Error fetching sprint details:', error.message);
     if (error.response) {
@@ -82,28 +63,22 @@ async function fetchSprintIssues(sprintStartDate) {
   
   try {
     // First get all issue keys
-    const searchResponse = await client.post('/rest/api/3/search/jql', {
-      jql: `project = ${PROJECT_KEY} AND sprint = "${SPRINT_NAME}" AND issuetype in (Story, Bug)`,
-      maxResults: 1000
-    });
+    const issueRefs = await searchIssues(client, `project = ${PROJECT_KEY} AND sprint = "${SPRINT_NAME}" AND issuetype in (Story, Bug)`);
     
-    console.log(`   ✓ Found ${searchResponse.data.total || 0} issues in sprint`);
+    console.log(`   ✓ Found ${issueRefs.length} issues in sprint`);
     
     const issues = [];
     
     // Fetch each issue with changelog
-    for (const issueRef of searchResponse.data.issues || []) {
+    for (const issueRef of issueRefs) {
       const key = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${key}`, {
-          params: {
-            fields: `key,summary,issuetype,status,${STORY_POINTS_FIELD},created`,
-            expand: 'changelog'
-          }
+        const issue = await getIssue(client, key, {
+          fields: `key,summary,issuetype,status,${STORY_POINTS_FIELD},created`,
+          expand: 'changelog'
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields;
         
         // Analyze when issue was added to sprint
@@ -143,131 +118,6 @@ async function fetchSprintIssues(sprintStartDate) {
   }
 }
 
-/**
- * Analyze when issue was added to sprint
- */
-function analyzeSprintAddition(changelog, sprintFieldId, sprintName, createdDate) {
-  if (!changelog || !changelog.histories) {
-    return createdDate; // If no changelog, assume added at creation
-  }
-  
-  for (const history of changelog.histories) {
-    for (const item of history.items || []) {
-      if (item.field === 'Sprint' || item.fieldId === sprintFieldId) {
-        // Check if this sprint was added
-        const toString = item.toString || '';
-        if (toString.includes(sprintName)) {
-          return history.created;
-        }
-      }
-    }
-  }
-  
-  return createdDate; // Default to creation date if not found in changelog
-}
-
-/**
- * Analyze story point changes over time
- */
-function analyzeStoryPointChanges(changelog, storyPointsFieldId) {
-  const changes = [];
-  
-  if (!changelog || !changelog.histories) {
-    return changes;
-  }
-  
-  for (const history of changelog.histories) {
-    for (const item of history.items || []) {
-      if (item.field === 'Story Points' || item.fieldId === storyPointsFieldId) {
-        changes.push({
-          date: history.created,
-          from: item.fromString || '0',
-          to: item.toString || '0',
-          author: history.author?.displayName || 'Unknown'
-        });
-      }
-    }
-  }
-  
-  return changes;
-}
-
-/**
- * Calculate scope changes and statistics
- */
-function calculateScopeChanges(issues, sprintStartDate) {
-  console.log('\n📊 Analyzing scope changes...');
-  
-  const sprintStart = new Date(sprintStartDate);
-  
-  const initialScope = [];
-  const addedScope = [];
-  const storyPointIncreases = [];
-  
-  for (const issue of issues) {
-    const addedDate = new Date(issue.addedToSprint);
-    
-    if (addedDate <= sprintStart) {
-      initialScope.push(issue);
-    } else {
-      addedScope.push(issue);
-    }
-    
-    // Check for story point increases
-    if (issue.storyPointHistory && issue.storyPointHistory.length > 0) {
-      for (const change of issue.storyPointHistory) {
-        const changeDate = new Date(change.date);
-        if (changeDate >= sprintStart) {
-          const fromPoints = parseFloat(change.from) || 0;
-          const toPoints = parseFloat(change.to) || 0;
-          const increase = toPoints - fromPoints;
-          
-          if (increase > 0) {
-            storyPointIncreases.push({
-              issue: issue.key,
-              summary: issue.summary,
-              date: change.date,
-              from: fromPoints,
-              to: toPoints,
-              increase: increase,
-              author: change.author
-            });
-          }
-        }
-      }
-    }
-  }
-  
-  // Calculate totals
-  const initialPoints = initialScope.reduce((sum, issue) => sum + issue.storyPoints, 0);
-  const addedPoints = addedScope.reduce((sum, issue) => sum + issue.storyPoints, 0);
-  const increasedPoints = storyPointIncreases.reduce((sum, change) => sum + change.increase, 0);
-  
-  const completedIssues = issues.filter(issue => 
-    issue.status === 'READY FOR RELEASE' || issue.status === 'CLOSED'
-  );
-  const completedPoints = completedIssues.reduce((sum, issue) => sum + issue.storyPoints, 0);
-  
-  const remainingIssues = issues.filter(issue => 
-    issue.status !== 'READY FOR RELEASE' && issue.status !== 'CLOSED'
-  );
-  const remainingPoints = remainingIssues.reduce((sum, issue) => sum + issue.storyPoints, 0);
-  
-  return {
-    initialScope,
-    initialPoints,
-    addedScope,
-    addedPoints,
-    storyPointIncreases,
-    increasedPoints,
-    totalCurrentPoints: initialPoints + addedPoints + increasedPoints,
-    completedIssues,
-    completedPoints,
-    remainingIssues,
-    remainingPoints
-  };
-}
-
 /**
  * Generate report
  */
@@ -283,7 +133,7 @@ async function generateReport() {
   const sprint = await getSprintDetails();
   if (!sprint) {
     console.error('\n❌ Could not fetch sprint details');
-    return;
+    process.exit(1);
   }
   
   // Fetch all issues
@@ -291,11 +141,13 @@ async function generateReport() {
   
   if (issues.length === 0) {
     console.error('\n❌ No issues found in sprint');
-    return;
+    process.exit(1);
   }
   
   // Calculate scope changes
-  const analysis = calculateScopeChanges(issues, sprint.startDate);
+  console.log('\n📊 Analyzing scope changes...');
+  const workflow = await discoverWorkflow(client, config);
+  const analysis = calculateScopeChanges(issues, sprint.startDate, workflow);
   
   // Display summary
   console.log('\n\n');
@@ -402,7 +254,7 @@ async function generateReport() {
     }))
   };
   
-  const outputPath = path.join(__dirname, '..', 'reports', 'burndown-summary.json');
+  const outputPath = path.join(getReportsDir(), 'burndown-summary.json');
   fs.writeFileSync(outputPath, JSON.stringify(reportData, null, 2));
   
   console.log(`\n✅ Report saved to: ${outputPath}`);
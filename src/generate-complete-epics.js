@@ -1,64 +1,43 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const FIX_VERSION = 'Release 1D';
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'fixVersion'] });
+const PROJECT_KEY = config.project;
+const FIX_VERSION = config.fixVersion;
 
-// Completed statuses for epics
-const COMPLETED_STATUSES = ['Done', 'READY FOR RELEASE', 'CLOSED', 'Completed'];
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+let workflow; // Discovered from JIRA in generateReport()
 
 // Get the Story Points field ID
 async function getStoryPointsFieldId(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase() === 'story points'
     );
     
     if (!storyPointsField) {
-      console.warn('⚠️  Warning: Could not find Story Points field, using default customfield_10003');
-      return 'customfield_10003';
+      console.warn(`⚠️  Warning: Could not find Story Points field, using default ${config.fields.storyPoints}`);
+      return config.fields.storyPoints;
     }
     
     console.log(`✓ Found Story Points field: ${storyPointsField.id}`);
     return storyPointsField.id;
   } catch (error) {
     console.error(`❌ Error getting Story Points field: ${error.message}`);
-    return 'customfield_10003'; // Default fallback
+    return config.fields.storyPoints; // Default fallback
   }
 }
 
@@ -67,18 +46,12 @@ async function fetchCompletedEpics(client, storyPointsFieldId) {
   try {
     console.log(`\n🔎 Fetching completed epics for ${FIX_VERSION}...`);
     
-    const statusList = COMPLETED_STATUSES.map(s => `"${s}"`).join(', ');
-    const jql = `project = ${PROJECT_KEY} AND issuetype = Epic AND fixVersion = "${FIX_VERSION}" AND status in (${statusList})`;
+    const jql = `project = ${PROJECT_KEY} AND issuetype = Epic AND fixVersion = "${FIX_VERSION}" AND status in ${toJqlList(workflow.getStatuses('done'))}`;
     
     console.log(`   JQL: ${jql}`);
     
     // Fetch epics
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const epicRefs = response.data.issues || [];
+    const epicRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${epicRefs.length} completed epics`);
     
     if (epicRefs.length === 0) {
@@ -93,13 +66,10 @@ async function fetchCompletedEpics(client, storyPointsFieldId) {
       const epicKey = epicRef.key || epicRef.id;
       
       try {
-        const epicResponse = await client.get(`/rest/api/3/issue/${epicKey}`, {
-          params: {
-            fields: `summary,status,priority,assignee,${storyPointsFieldId},created,resolutiondate`
-          }
+        const epic = await getIssue(client, epicKey, {
+          fields: `summary,status,priority,assignee,${storyPointsFieldId},created,resolutiondate`
         });
         
-        const epic = epicResponse.data;
         const fields = epic.fields;
         
         const storyPoints = fields[storyPointsFieldId] || 0;
@@ -149,10 +119,11 @@ async function generateReport() {
   console.log(`   Date: ${new Date().toISOString().split('T')[0]}`);
   console.log('============================================================');
   
-  validateConfig();
+  validateCredentials();
   
   const client = createJiraClient();
   const storyPointsFieldId = await getStoryPointsFieldId(client);
+  workflow = await discoverWorkflow(client, config);
   
   const epics = await fetchCompletedEpics(client, storyPointsFieldId);
   
@@ -215,7 +186,7 @@ async function generateReport() {
   };
   
   // Save to JSON file
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
   }
@@ -0,0 +1,299 @@
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
+const { parseCliArgs, getReportsDir } = require('./lib/config');
+
+// Configuration
+const COLORS = {
+  primary: '#4472C4',
+  danger: '#C55A11',
+  gray: '#808080',
+  lightGray: '#E7E6E6',
+  darkGray: '#505050',
+  white: '#FFFFFF',
+  black: '#000000'
+};
+
+// Band colour for each stage
+const STAGE_COLORS = {
+  todo: '#A5A5A5',
+  dev: '#9966FF',
+  review: '#4472C4',
+  qa: '#FF9933',
+  done: '#70AD47',
+  other: '#E7E6E6'
+};
+
+// Parse command-line arguments
+function parseArgs() {
+  const { args } = parseCliArgs(process.argv.slice(2));
+
+  if (args.length === 0) {
+    console.error('❌ Error: Sprint number is required');
+    console.log('\nUsage: npm run cumulative-flow-pdf <sprint-number>');
+    console.log('Example: npm run cumulative-flow-pdf 31');
+    process.exit(1);
+  }
+
+  return args[0];
+}
+
+// Load JSON data
+function loadData(sprintNumber) {
+  const reportsDir = getReportsDir();
+  const filename = `cumulative-flow-sprint-${sprintNumber}.json`;
+  const filepath = path.join(reportsDir, filename);
+
+  if (!fs.existsSync(filepath)) {
+    console.error(`❌ Error: Report file not found: ${filepath}`);
+    console.log('\nPlease run "npm run cumulative-flow" first to generate the data.');
+    console.log(`Make sure "sprint" is set to "NH Sprint ${sprintNumber}" in jira-utils.config.json (or pass --sprint)`);
+    process.exit(1);
+  }
+
+  return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+}
+
+// Short day label, e.g. "Mon 6"
+function formatDay(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return `${days[date.getDay()]} ${date.getDate()}`;
+}
+
+// Generate PDF Report
+function generatePDF(data, sprintNumber) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margins: { top: 50, bottom: 50, left: 50, right: 50 },
+    bufferPages: true
+  });
+
+  const outputPath = path.join(getReportsDir(), `cumulative-flow-sprint-${sprintNumber}.pdf`);
+  doc.pipe(fs.createWriteStream(outputPath));
+
+  drawHeader(doc, data);
+  drawChart(doc, data);
+  doc.addPage();
+  drawStageSummary(doc, data);
+
+  // Add footers to all pages
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(i);
+    drawFooter(doc, i + 1, range.count);
+  }
+
+  doc.end();
+
+  return outputPath;
+}
+
+// Draw header
+function drawHeader(doc, data) {
+  doc.fontSize(24)
+     .fillColor(COLORS.primary)
+     .font('Helvetica-Bold')
+     .text(`Cumulative Flow - ${data.sprint}`, 50, 50);
+
+  doc.fontSize(10)
+     .fillColor(COLORS.darkGray)
+     .font('Helvetica')
+     .text(`Project: ${data.project}   Sprint: ${data.sprintStartDate} to ${data.sprintEndDate || 'open'}   Data as of ${data.date}`, 50, 82);
+
+  doc.moveTo(50, 100)
+     .lineTo(doc.page.width - 50, 100)
+     .strokeColor(COLORS.lightGray)
+     .lineWidth(1)
+     .stroke();
+}
+
+/**
+ * Stacked area chart: Done at the bottom, then each earlier stage on top, so
+ * a widening band is work piling up in that stage.
+ */
+function drawChart(doc, data) {
+  const chartX = 90;
+  const chartY = 130;
+  const chartWidth = doc.page.width - chartX - 170;
+  const chartHeight = 330;
+
+  // Bottom band first; skip stages that never held any work
+  const bands = [...data.stages].reverse()
+    .filter(stage => data.days.some(day => day.points[stage.key] > 0));
+  const totals = data.days.map(day => bands.reduce((sum, stage) => sum + day.points[stage.key], 0));
+  const maxPoints = Math.max(...totals, 1);
+  const steps = Math.max(data.days.length - 1, 1);
+
+  const xAt = i => chartX + (chartWidth / steps) * i;
+  const yAt = points => chartY + chartHeight - (points / maxPoints) * chartHeight;
+
+  // Grid lines and Y-axis labels
+  doc.strokeColor(COLORS.lightGray).lineWidth(0.5);
+  doc.fontSize(9).font('Helvetica').fillColor(COLORS.darkGray);
+  for (let i = 0; i <= 5; i++) {
+    const value = (maxPoints / 5) * i;
+    const y = yAt(value);
+    doc.moveTo(chartX, y).lineTo(chartX + chartWidth, y).stroke();
+    doc.text(String(Math.round(value)), chartX - 35, y - 5, { width: 30, align: 'right' });
+  }
+
+  // Bands, each from the running total below it up to its own top
+  const below = data.days.map(() => 0);
+  for (const stage of bands) {
+    const above = data.days.map((day, i) => below[i] + day.points[stage.key]);
+
+    if (data.days.length === 1) {
+      // A single day has no area to fill; draw a bar instead
+      doc.rect(chartX, yAt(above[0]), chartWidth, yAt(below[0]) - yAt(above[0]));
+    } else {
+      doc.moveTo(xAt(0), yAt(above[0]));
+      above.forEach((points, i) => doc.lineTo(xAt(i), yAt(points)));
+      for (let i = below.length - 1; i >= 0; i--) doc.lineTo(xAt(i), yAt(below[i]));
+      doc.closePath();
+    }
+    doc.fillColor(STAGE_COLORS[stage.key] || COLORS.gray).fill();
+
+    above.forEach((points, i) => { below[i] = points; });
+  }
+
+  // Axes
+  doc.strokeColor(COLORS.darkGray)
+     .lineWidth(1)
+     .moveTo(chartX, chartY)
+     .lineTo(chartX, chartY + chartHeight)
+     .lineTo(chartX + chartWidth, chartY + chartHeight)
+     .stroke();
+
+  // X-axis labels, thinned out for long sprints
+  const labelEvery = Math.ceil(data.days.length / 14);
+  doc.fontSize(8).font('Helvetica').fillColor(COLORS.darkGray);
+  data.days.forEach((day, i) => {
+    if (i % labelEvery !== 0) return;
+    doc.text(formatDay(day.date), xAt(i) - 20, chartY + chartHeight + 8, { width: 40, align: 'center' });
+  });
+
+  // Y-axis title
+  doc.fontSize(11)
+     .font('Helvetica-Bold')
+     .save()
+     .translate(chartX - 70, chartY + chartHeight)
+     .rotate(-90)
+     .text('Story Points', 0, 0, { width: chartHeight, align: 'center' })
+     .restore();
+
+  // Legend, top band first to match the chart
+  const legendX = chartX + chartWidth + 25;
+  let legendY = chartY;
+  for (const stage of [...bands].reverse()) {
+    doc.rect(legendX, legendY, 14, 14).fill(STAGE_COLORS[stage.key] || COLORS.gray);
+    doc.fontSize(10)
+       .font('Helvetica')
+       .fillColor(COLORS.darkGray)
+       .text(stage.label, legendX + 22, legendY + 2);
+    legendY += 24;
+  }
+}
+
+// Draw the per-stage work in progress table
+function drawStageSummary(doc, data) {
+  const tableX = 50;
+  const colWidths = [120, 80, 80, 80, 120, 250];
+  const headers = ['Stage', 'Start', 'End', 'Peak', 'Peak Day', 'Trend'];
+  const rowHeight = 24;
+  const labels = Object.fromEntries(data.stages.map(stage => [stage.key, stage.label]));
+
+  doc.fontSize(16)
+     .fillColor(COLORS.black)
+     .font('Helvetica-Bold')
+     .text('Work in Progress by Stage', tableX, 50);
+
+  doc.fontSize(10)
+     .fillColor(COLORS.gray)
+     .font('Helvetica')
+     .text(`Points in each stage at the end of the day. A stage whose points rise ${data.bottleneckRunDays} or more days in a row is flagged as a likely bottleneck.`, tableX, 75);
+
+  let rowY = 105;
+  const drawRow = (cells, options = {}) => {
+    if (options.fill) {
+      doc.rect(tableX, rowY, colWidths.reduce((a, b) => a + b, 0), rowHeight).fill(options.fill);
+    }
+    let x = tableX;
+    cells.forEach((cell, i) => {
+      doc.fontSize(10)
+         .font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+         .fillColor(options.color || COLORS.darkGray)
+         .text(String(cell), x + 5, rowY + 7, { width: colWidths[i] - 10, ellipsis: true });
+      x += colWidths[i];
+    });
+    rowY += rowHeight;
+  };
+
+  drawRow(headers, { bold: true, fill: COLORS.primary, color: COLORS.white });
+  data.stageSummary.forEach((entry, i) => {
+    const trend = entry.bottleneck
+      ? `Rising ${entry.longestRise} days in a row from ${entry.risingSince}`
+      : 'No sustained build-up';
+    drawRow(
+      [labels[entry.stage] || entry.stage, entry.start, entry.end, entry.peak, entry.peakDate || '-', trend],
+      { fill: i % 2 === 0 ? '#F5F5F5' : COLORS.white, color: entry.bottleneck ? COLORS.danger : COLORS.darkGray }
+    );
+  });
+}
+
+// Draw footer
+function drawFooter(doc, pageNum, totalPages) {
+  // The footer sits in the bottom margin; lift it so pdfkit does not start a new page
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+
+  doc.moveTo(50, doc.page.height - 70)
+     .lineTo(doc.page.width - 50, doc.page.height - 70)
+     .strokeColor(COLORS.lightGray)
+     .lineWidth(1)
+     .stroke();
+
+  doc.fontSize(8)
+     .fillColor(COLORS.gray)
+     .font('Helvetica')
+     .text(
+       `Generated on ${new Date().toLocaleString('en-GB')}`,
+       50,
+       doc.page.height - 55,
+       { align: 'left', lineBreak: false }
+     );
+
+  doc.text(
+    `Page ${pageNum} of ${totalPages}`,
+    50,
+    doc.page.height - 55,
+    { align: 'right', width: doc.page.width - 100, lineBreak: false }
+  );
+
+  doc.page.margins.bottom = bottomMargin;
+}
+
+// Main function
+function main() {
+  console.log('\n📊 Generating Cumulative Flow PDF Report...');
+  console.log('='.repeat(60));
+
+  const sprintNumber = parseArgs();
+  console.log(`   Sprint: ${sprintNumber}`);
+
+  console.log('\n📖 Loading data...');
+  const data = loadData(sprintNumber);
+  console.log(`   ✓ Loaded ${data.days.length} days for ${data.sprint}`);
+
+  console.log('\n📄 Generating PDF...');
+  const outputPath = generatePDF(data, sprintNumber);
+
+  console.log(`\n✅ PDF report generated successfully!`);
+  console.log(`📄 Output: ${outputPath}`);
+  console.log('\n🎉 Done!');
+}
+
+// Run the script
+main();
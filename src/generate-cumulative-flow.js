@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * Cumulative Flow Report
+ *
+ * Reconstructs, from issue changelogs, how many story points sat in each
+ * workflow stage (To Do, Dev, Review, QA, Done) at the end of every sprint day.
+ * Writes the dataset as JSON and CSV; generate-cumulative-flow-pdf.js draws
+ * the chart from the JSON.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { discoverWorkflow } = require('./lib/workflow');
+const {
+  OTHER_STAGE,
+  BOTTLENECK_RUN_DAYS,
+  calculateCumulativeFlow,
+  findBottlenecks
+} = require('./lib/cumulative-flow');
+
+// Configuration
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+
+// Disable SSL verification (for corporate proxies)
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+
+// Credentials come from JIRA_EMAIL and JIRA_API_TOKEN
+validateCredentials();
+const client = createJiraClient();
+
+/**
+ * Discover the Story Points custom field
+ */
+async function discoverStoryPointsField() {
+  try {
+    const fields = await getFields(client);
+    const storyPointsField = fields.find(field =>
+      field.name === 'Story Points' ||
+      field.name === 'Story point estimate' ||
+      field.key === config.fields.storyPoints
+    );
+
+    if (!storyPointsField) {
+      throw new Error('Could not find Story Points field');
+    }
+
+    return storyPointsField.key;
+  } catch (error) {
+    console.error('Error discovering Story Points field:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get all sprint issues with their changelogs
+ */
+async function getSprintIssues(sprintName, storyPointsField) {
+  const issueRefs = await searchIssues(client, `project = ${PROJECT_KEY} AND sprint = "${sprintName}" AND issuetype in (Story, Bug)`);
+
+  const allIssues = [];
+  for (const issueRef of issueRefs) {
+    const key = issueRef.key || issueRef.id;
+    if (!key) {
+      console.warn('⚠️  Issue without key or id');
+      continue;
+    }
+
+    try {
+      const issue = await getIssue(client, key, {
+        fields: `key,summary,status,${storyPointsField},issuetype,created,updated`,
+        expand: 'changelog'
+      });
+      allIssues.push(issue);
+    } catch (err) {
+      console.warn(`⚠️  Could not fetch ${key}:`, err.message);
+    }
+  }
+
+  return allIssues;
+}
+
+// Quote a CSV value when it needs it
+function csvValue(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per day with points in each stage, then issue counts
+ */
+function toCsv(flow, labels) {
+  const header = [
+    'Date',
+    ...flow.stages.map(stage => `${labels[stage]} Points`),
+    ...flow.stages.map(stage => `${labels[stage]} Issues`)
+  ];
+  const rows = flow.days.map(day => [
+    day.date,
+    ...flow.stages.map(stage => day.points[stage]),
+    ...flow.stages.map(stage => day.issues[stage])
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  try {
+    console.log('\n📊 Starting Cumulative Flow Report...\n');
+    console.log('============================================================');
+    console.log(`   Project: ${PROJECT_KEY}`);
+    console.log(`   Sprint: ${config.sprint}`);
+    console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
+    console.log('============================================================\n');
+
+    console.log('🔍 Discovering Story Points field...');
+    const storyPointsField = await discoverStoryPointsField();
+    console.log(`   ✓ Using field: ${storyPointsField}\n`);
+
+    console.log('📅 Fetching sprint details...');
+    const sprint = await resolveSprint(client, config);
+    const sprintStartDate = sprint.startDate ? sprint.startDate.split('T')[0] : null;
+    const sprintEndDate = sprint.endDate ? sprint.endDate.split('T')[0] : null;
+    if (!sprintStartDate) {
+      throw new Error('Sprint start date not found');
+    }
+    console.log(`   ✓ Sprint: ${sprint.name} (${sprintStartDate} to ${sprintEndDate || 'open'})\n`);
+
+    // Stop at today for a running sprint
+    const today = new Date().toISOString().split('T')[0];
+    let endDate = sprintEndDate && sprintEndDate < today ? sprintEndDate : today;
+    if (endDate < sprintStartDate) endDate = sprintStartDate;
+
+    console.log('🔎 Fetching sprint issues with changelogs...');
+    const issues = await getSprintIssues(sprint.name, storyPointsField);
+    console.log(`   ✓ Found ${issues.length} issues\n`);
+
+    const workflow = await discoverWorkflow(client, config);
+    const flow = calculateCumulativeFlow(issues, {
+      startDate: sprintStartDate,
+      endDate,
+      storyPointsField,
+      workflow
+    });
+    const stageSummary = findBottlenecks(flow);
+
+    // Display results
+    const labels = Object.fromEntries(flow.stages.map(stage => [stage, stage === OTHER_STAGE ? 'Other' : workflow.getLabel(stage)]));
+    console.log('============================================================');
+    console.log('📈 CUMULATIVE FLOW (points at end of day)');
+    console.log('============================================================\n');
+    console.log(['DATE      ', ...flow.stages.map(stage => labels[stage].padStart(6))].join(' | '));
+    console.log('-'.repeat(12 + flow.stages.length * 9));
+    for (const day of flow.days) {
+      console.log([day.date.padEnd(10), ...flow.stages.map(stage => String(day.points[stage]).padStart(6))].join(' | '));
+    }
+
+    console.log('\n🚦 Work in progress by stage:');
+    for (const entry of stageSummary) {
+      const flag = entry.bottleneck
+        ? `  ⚠️  rising ${entry.longestRise} days in a row since ${entry.risingSince}`
+        : '';
+      console.log(`   ${labels[entry.stage].padEnd(8)} start ${entry.start}, end ${entry.end}, peak ${entry.peak}${entry.peakDate ? ` on ${entry.peakDate}` : ''}${flag}`);
+    }
+
+    const outputData = {
+      date: today,
+      project: PROJECT_KEY,
+      sprint: sprint.name,
+      sprintStartDate,
+      sprintEndDate,
+      storyPointsField,
+      stages: flow.stages.map(stage => ({
+        key: stage,
+        label: labels[stage],
+        statuses: stage === OTHER_STAGE ? [] : workflow.getStatuses(stage)
+      })),
+      bottleneckRunDays: BOTTLENECK_RUN_DAYS,
+      stageSummary,
+      days: flow.days
+    };
+
+    // Extract sprint number from the sprint name (e.g., "NH Sprint 31" -> "31")
+    const sprintNumber = sprint.name.match(/\d+/)?.[0] || 'unknown';
+    const reportsDir = getReportsDir();
+    const jsonPath = path.join(reportsDir, `cumulative-flow-sprint-${sprintNumber}.json`);
+    const csvPath = path.join(reportsDir, `cumulative-flow-sprint-${sprintNumber}.csv`);
+    fs.writeFileSync(jsonPath, JSON.stringify(outputData, null, 2));
+    fs.writeFileSync(csvPath, toCsv(flow, labels));
+    console.log(`\n✅ Report saved to: ${jsonPath}`);
+    console.log(`✅ CSV saved to: ${csvPath}`);
+
+    console.log('\n🎉 Report generation complete!\n');
+  } catch (error) {
+    console.error('\n❌ Error generating report:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
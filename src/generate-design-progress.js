@@ -1,39 +1,20 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { adfToText } = require('./lib/adf');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project'] });
+const PROJECT_KEY = config.project;
+const SPRINT_FIELD = config.fields.sprint;
 
 // Extract progress percentage from description
 function extractProgress(description) {
@@ -48,7 +29,7 @@ function extractProgress(description) {
     text = description;
   } else if (description.content && Array.isArray(description.content)) {
     // ADF format - extract text from all content blocks
-    text = extractTextFromADF(description);
+    text = adfToText(description);
   }
   
   // Look for PROGRESS: nn% pattern (case insensitive)
@@ -61,24 +42,6 @@ function extractProgress(description) {
   return null;
 }
 
-// Extract text from Atlassian Document Format (ADF)
-function extractTextFromADF(adf) {
-  let text = '';
-  
-  function traverse(node) {
-    if (node.type === 'text' && node.text) {
-      text += node.text + ' ';
-    }
-    
-    if (node.content && Array.isArray(node.content)) {
-      node.content.forEach(child => traverse(child));
-    }
-  }
-  
-  traverse(adf);
-  return text;
-}
-
 // Fetch design tasks
 async function fetchDesignTasks(client) {
   try {
@@ -90,12 +53,7 @@ async function fetchDesignTasks(client) {
     console.log(`   JQL: ${jql}`);
     
     // Step 1: Get all task keys
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const taskRefs = response.data.issues || [];
+    const taskRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${taskRefs.length} design tasks`);
     
     if (taskRefs.length === 0) {
@@ -110,13 +68,10 @@ async function fetchDesignTasks(client) {
       const taskKey = taskRef.key || taskRef.id;
       
       try {
-        const taskResponse = await client.get(`/rest/api/3/issue/${taskKey}`, {
-          params: {
-            fields: 'summary,description,status,assignee,priority,created,updated,fixVersions,duedate,customfield_11150'
-          }
+        const task = await getIssue(client, taskKey, {
+          fields: `summary,description,status,assignee,priority,created,updated,fixVersions,duedate,${SPRINT_FIELD}`
         });
         
-        const task = taskResponse.data;
         const fields = task.fields;
         
         // Filter: Only include tasks that start with "Design:"
@@ -140,7 +95,7 @@ async function fetchDesignTasks(client) {
         // Extract sprint
         let sprint = 'No Sprint';
         let sprintEndDate = null;
-        const sprintField = fields.customfield_11150;
+        const sprintField = fields[SPRINT_FIELD];
         if (sprintField && Array.isArray(sprintField) && sprintField.length > 0) {
           const lastSprint = sprintField[sprintField.length - 1];
           if (lastSprint.name) {
@@ -296,7 +251,7 @@ async function generateReport() {
   console.log(`   Date: ${new Date().toISOString().split('T')[0]}`);
   console.log('============================================================');
   
-  validateConfig();
+  validateCredentials();
   
   const client = createJiraClient();
   const tasks = await fetchDesignTasks(client);
@@ -445,7 +400,7 @@ async function generateReport() {
   };
   
   // Save to JSON file
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
   }
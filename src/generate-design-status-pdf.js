@@ -1,6 +1,7 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { getReportsDir } = require('./lib/config');
 
 // Colors
 const COLORS = {
@@ -15,7 +16,7 @@ const COLORS = {
 
 // Read the design progress JSON file
 function readDesignProgressData() {
-  const filePath = path.join(__dirname, '..', 'reports', 'design-progress.json');
+  const filePath = path.join(getReportsDir(), 'design-progress.json');
   
   if (!fs.existsSync(filePath)) {
     console.error('❌ Error: design-progress.json not found');
@@ -257,7 +258,7 @@ function generatePDF() {
     margins: { top: 50, bottom: 50, left: 50, right: 50 }
   });
   
-  const outputPath = path.join(__dirname, '..', 'reports', 'design-status.pdf');
+  const outputPath = path.join(getReportsDir(), 'design-status.pdf');
   const stream = fs.createWriteStream(outputPath);
   doc.pipe(stream);
   
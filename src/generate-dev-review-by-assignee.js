@@ -1,62 +1,44 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const CURRENT_SPRINT = 'NH Sprint 31'; // Update this for each sprint
-const TARGET_STATUSES = ['In Dev', 'In Review', 'Ready for Review', 'READY FOR REVIEW'];
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let CURRENT_SPRINT = config.sprint; // Resolved against the board in main()
+let workflow; // Discovered from JIRA in main()
+const TARGET_STAGES = ['dev', 'review'];
 
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  // Disable SSL verification for development
-  process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-  
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+// Disable SSL verification for development
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 
 // Get custom field IDs
 async function getCustomFieldIds(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story points')
     );
     
     return {
-      storyPoints: storyPointsField ? storyPointsField.id : 'customfield_10003'
+      storyPoints: storyPointsField ? storyPointsField.id : config.fields.storyPoints
     };
   } catch (error) {
     console.error('Error fetching custom fields:', error.message);
     return {
-      storyPoints: 'customfield_10003' // Default
+      storyPoints: config.fields.storyPoints // Default
     };
   }
 }
@@ -64,18 +46,12 @@ async function getCustomFieldIds(client) {
 // Fetch issues in Dev/Review for current sprint
 async function fetchDevReviewIssues(client, fieldIds) {
   try {
-    const statusList = TARGET_STATUSES.map(s => `"${s}"`).join(', ');
-    const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Story, Bug) AND status in (${statusList})`;
+    const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Story, Bug) AND status in ${toJqlList(workflow.getStatuses(...TARGET_STAGES))}`;
     
     console.log(`   JQL: ${jql}\n`);
     
     // Step 1: Get all issue keys
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} issues in Dev/Review\n`);
     
     if (issueRefs.length === 0) {
@@ -93,13 +69,10 @@ async function fetchDevReviewIssues(client, fieldIds) {
       }
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,assignee,${fieldIds.storyPoints}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,assignee,${fieldIds.storyPoints}`
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields;
         
         const issueType = fields.issuetype?.name || 'Unknown';
@@ -169,13 +142,13 @@ function groupByAssignee(issues) {
     assigneeMap[assignee].issues.push(issue);
     assigneeMap[assignee].totalPoints += issue.storyPoints;
     
-    // Categorize by status
-    const statusLower = issue.status.toLowerCase();
-    if (statusLower === 'in dev') {
+    // Categorize by workflow stage
+    const stage = workflow.getStage(issue.status);
+    if (stage === 'dev') {
       assigneeMap[assignee].inDev.count++;
       assigneeMap[assignee].inDev.points += issue.storyPoints;
       assigneeMap[assignee].inDev.issues.push(issue);
-    } else if (statusLower === 'in review' || statusLower === 'ready for review') {
+    } else if (stage === 'review') {
       assigneeMap[assignee].inReview.count++;
       assigneeMap[assignee].inReview.points += issue.storyPoints;
       assigneeMap[assignee].inReview.issues.push(issue);
@@ -190,19 +163,21 @@ function groupByAssignee(issues) {
 
 // Main function
 async function main() {
+  // Validate config
+  validateCredentials();
+  
+  // Create JIRA client
+  const client = createJiraClient();
+  CURRENT_SPRINT = (await resolveSprint(client, config)).name;
+  workflow = await discoverWorkflow(client, config);
+  
   console.log('📊 Current Sprint Dev/Review Report by Assignee\n');
   console.log('============================================================');
   console.log(`   Sprint: ${CURRENT_SPRINT}`);
   console.log(`   Project: ${PROJECT_KEY}`);
-  console.log(`   Statuses: ${TARGET_STATUSES.join(', ')}`);
+  console.log(`   Statuses: ${workflow.getStatuses(...TARGET_STAGES).join(', ')}`);
   console.log(`   JIRA Instance: ${JIRA_BASE_URL}\n`);
   
-  // Validate config
-  validateConfig();
-  
-  // Create JIRA client
-  const client = createJiraClient();
-  
   // Get custom field IDs
   console.log('🔍 Discovering custom fields...');
   const fieldIds = await getCustomFieldIds(client);
@@ -226,11 +201,8 @@ async function main() {
   console.log(`   Total Story Points: ${totalPoints}\n`);
   
   // Group by status
-  const inDevIssues = issues.filter(i => i.status === 'In Dev');
-  const inReviewIssues = issues.filter(i => {
-    const status = i.status.toLowerCase();
-    return status === 'in review' || status === 'ready for review';
-  });
+  const inDevIssues = issues.filter(i => workflow.getStage(i.status) === 'dev');
+  const inReviewIssues = issues.filter(i => workflow.getStage(i.status) === 'review');
   
   const inDevPoints = inDevIssues.reduce((sum, i) => sum + i.storyPoints, 0);
   const inReviewPoints = inReviewIssues.reduce((sum, i) => sum + i.storyPoints, 0);
@@ -302,7 +274,7 @@ async function main() {
     sprint: CURRENT_SPRINT,
     project: PROJECT_KEY,
     generatedAt: new Date().toISOString(),
-    statuses: TARGET_STATUSES,
+    statuses: workflow.getStatuses(...TARGET_STAGES),
     summary: {
       totalIssues,
       totalPoints,
@@ -323,7 +295,7 @@ async function main() {
     byAssignee: assignees
   };
   
-  const reportsDir = path.join(__dirname, '../reports');
+  const reportsDir = getReportsDir();
   if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
   }
@@ -1,67 +1,47 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const CURRENT_SPRINT = 'NH Sprint 31'; // Update this for each sprint
-const QA_STATUS = 'In QA';
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create JIRA API client
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    },
-    timeout: 30000
-  });
-}
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let CURRENT_SPRINT = config.sprint; // Resolved against the board in main()
+let workflow; // Discovered from JIRA in main()
 
 // Get custom field IDs
 async function getCustomFieldIds(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story point')
     );
     
     return {
-      storyPoints: storyPointsField ? storyPointsField.id : 'customfield_10003'
+      storyPoints: storyPointsField ? storyPointsField.id : config.fields.storyPoints
     };
   } catch (error) {
     console.warn(`   ⚠️  Could not fetch custom fields: ${error.message}`);
     return {
-      storyPoints: 'customfield_10003'
+      storyPoints: config.fields.storyPoints
     };
   }
 }
 
 // Fetch all issues currently in QA for the sprint
 async function fetchIssuesInQA(client, fieldIds) {
-  const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND status = "${QA_STATUS}" AND issuetype in (Story, Bug)`;
+  const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND status in ${toJqlList(workflow.getStatuses('qa'))} AND issuetype in (Story, Bug)`;
   
   console.log(`\n🔎 Querying Issues in QA...`);
   console.log(`   Sprint: ${CURRENT_SPRINT}`);
@@ -69,12 +49,7 @@ async function fetchIssuesInQA(client, fieldIds) {
   
   try {
     // Step 1: Get all issue keys
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} issues in QA`);
     
     if (issueRefs.length === 0) {
@@ -95,13 +70,10 @@ async function fetchIssuesInQA(client, fieldIds) {
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,assignee,priority,${fieldIds.storyPoints}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,assignee,priority,${fieldIds.storyPoints}`
         });
         
-        const issue = issueResponse.data;
         const actualKey = issue.key; // Get the full key like "VER10-1234"
         const fields = issue.fields || {};
         let storyPoints = fields[fieldIds.storyPoints] || 0;
@@ -164,15 +136,17 @@ async function fetchIssuesInQA(client, fieldIds) {
 // Main function
 async function main() {
   try {
+    validateCredentials();
+    
+    const client = createJiraClient();
+    CURRENT_SPRINT = (await resolveSprint(client, config)).name;
+    workflow = await discoverWorkflow(client, config);
+    
     console.log('\n📊 Generating Issues Currently in QA Report');
     console.log('='.repeat(60));
     console.log(`   Project: ${PROJECT_KEY}`);
     console.log(`   Sprint: ${CURRENT_SPRINT}`);
-    console.log(`   Status: ${QA_STATUS}`);
-    
-    validateConfig();
-    
-    const client = createJiraClient();
+    console.log(`   Status: ${workflow.getStatuses('qa').join(', ')}`);
     
     console.log('\n🔍 Discovering custom fields...');
     const fieldIds = await getCustomFieldIds(client);
@@ -219,7 +193,7 @@ async function main() {
     
     // Save to JSON
     const today = new Date().toISOString().split('T')[0];
-    const outputDir = path.join(__dirname, '..', 'reports');
+    const outputDir = getReportsDir();
     
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
@@ -233,7 +207,7 @@ async function main() {
       date: today,
       project: PROJECT_KEY,
       sprint: CURRENT_SPRINT,
-      status: QA_STATUS,
+      status: workflow.getStatuses('qa').join(', '),
       summary: {
         totalIssues: qaData.totalIssues,
         totalStoryPoints: qaData.totalPoints,
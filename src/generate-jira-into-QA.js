@@ -1,79 +1,27 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { enteredStatusOn } = require('./lib/changelog');
+const { STAGE_LABELS, discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const TARGET_STATUS = 'In QA';
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    console.log('\nSet it with: export JIRA_EMAIL="your-email@company.com"');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    console.log('\nTo create a Personal Access Token:');
-    console.log('1. Go to https://id.atlassian.com/manage-profile/security/api-tokens');
-    console.log('2. Click "Create API token"');
-    console.log('3. Copy the token and run: export JIRA_API_TOKEN="your-token"');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
-
-// Check if status change happened today
-function changedToStatusToday(issue, targetStatus, today) {
-  if (!issue.changelog || !issue.changelog.histories) {
-    return false;
-  }
-  
-  const todayStr = today.toISOString().split('T')[0];
-  
-  // Look through changelog histories
-  for (const history of issue.changelog.histories) {
-    const changeDate = history.created.split('T')[0];
-    
-    // Check if change happened today
-    if (changeDate === todayStr) {
-      // Check if this history contains a status change to our target status
-      for (const item of history.items) {
-        if (item.field === 'status' && 
-            item.toString && 
-            item.toString.toUpperCase() === targetStatus.toUpperCase()) {
-          return true;
-        }
-      }
-    }
-  }
-  
-  return false;
-}
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project'] });
+const PROJECT_KEY = config.project;
+const TARGET_STAGE = 'qa';
 
 // Get the Story Points field ID
 async function getStoryPointsFieldId(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story point')
@@ -83,9 +31,9 @@ async function getStoryPointsFieldId(client) {
       return storyPointsField.id;
     }
     
-    return 'customfield_10003'; // Default
+    return config.fields.storyPoints; // Default
   } catch (error) {
-    return 'customfield_10003';
+    return config.fields.storyPoints;
   }
 }
 
@@ -94,36 +42,34 @@ async function fetchIssuesMovedToQA() {
   const today = new Date();
   const todayStr = today.toISOString().split('T')[0];
   
-  console.log(`\n📊 Fetching JIRA issues moved to "${TARGET_STATUS}" today...`);
+  console.log(`\n📊 Fetching JIRA issues moved to ${STAGE_LABELS[TARGET_STAGE]} today...`);
   console.log('='.repeat(60));
   console.log(`   Project: ${PROJECT_KEY}`);
   console.log(`   Date: ${todayStr}`);
   console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
   
   const client = createJiraClient();
+  const workflow = await discoverWorkflow(client, config);
+  const targetStatuses = workflow.getStatuses(TARGET_STAGE);
+  const targetLabel = targetStatuses.map(status => `"${status}"`).join(', ');
   
   // Get Story Points field ID
   const storyPointsFieldId = await getStoryPointsFieldId(client);
   
   // Build JQL query - find all issues currently in "In QA" or recently moved to it
   // We'll filter by changelog in the code since JQL status change date is tricky
-  const jql = `project = ${PROJECT_KEY} AND status = "${TARGET_STATUS}"`;
+  const jql = `project = ${PROJECT_KEY} AND status in ${toJqlList(targetStatuses)}`;
   
   console.log(`\n🔎 Executing JQL query...`);
   console.log(`   ${jql}`);
   
   try {
     // Search for issues
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueData = response.data.issues || [];
-    console.log(`   ✓ Found ${issueData.length} issues currently in "${TARGET_STATUS}"`);
+    const issueData = await searchIssues(client, jql);
+    console.log(`   ✓ Found ${issueData.length} issues currently in ${targetLabel}`);
     
     // Fetch details for each issue and check changelog
-    console.log(`\n📋 Checking which issues moved to "${TARGET_STATUS}" today...`);
+    console.log(`\n📋 Checking which issues moved to ${targetLabel} today...`);
     
     const movedTodayIssues = [];
     const typeBreakdown = {};
@@ -134,14 +80,11 @@ async function fetchIssuesMovedToQA() {
       
       try {
         // Fetch full issue details including changelog and story points
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,priority,${storyPointsFieldId}`,
-            expand: 'changelog'
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,priority,${storyPointsFieldId}`,
+          expand: 'changelog'
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields || {};
         const issueType = fields.issuetype?.name || 'Unknown';
         const priority = fields.priority?.name || 'Unknown';
@@ -155,7 +98,7 @@ async function fetchIssuesMovedToQA() {
         }
         
         // Check if this issue moved to "In QA" today
-        if (changedToStatusToday(issue, TARGET_STATUS, today)) {
+        if (enteredStatusOn(issue, status => workflow.getStage(status) === TARGET_STAGE, today)) {
           movedTodayIssues.push({
             key: issue.key,
             summary: summary,
@@ -184,7 +127,7 @@ async function fetchIssuesMovedToQA() {
     // Summary
     console.log('\n' + '='.repeat(60));
     console.log('📈 Summary:');
-    console.log(`   Issues moved to "${TARGET_STATUS}" today: ${movedTodayIssues.length}`);
+    console.log(`   Issues moved to ${targetLabel} today: ${movedTodayIssues.length}`);
     console.log(`   Total Story Points: ${totalStoryPoints}`);
     
     if (Object.keys(typeBreakdown).length > 0) {
@@ -199,7 +142,7 @@ async function fetchIssuesMovedToQA() {
     return {
       date: todayStr,
       project: PROJECT_KEY,
-      targetStatus: TARGET_STATUS,
+      targetStatuses: targetStatuses,
       summary: {
         totalIssues: movedTodayIssues.length,
         totalStoryPoints: totalStoryPoints,
@@ -232,7 +175,7 @@ async function fetchIssuesMovedToQA() {
 
 // Save results to JSON file
 function saveResults(data) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   
   // Ensure reports directory exists
   if (!fs.existsSync(reportsDir)) {
@@ -252,7 +195,7 @@ function saveResults(data) {
 async function main() {
   try {
     // Validate configuration
-    validateConfig();
+    validateCredentials();
     
     // Fetch data from JIRA
     const data = await fetchIssuesMovedToQA();
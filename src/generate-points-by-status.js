@@ -1,97 +1,56 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { getCompletionDates } = require('./lib/changelog');
+const { discoverWorkflow } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const CURRENT_SPRINT = 'NH Sprint 31'; // Update this for each sprint
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let CURRENT_SPRINT = config.sprint; // Resolved against the board in main()
 
-// Status categories to track
-const STATUS_CATEGORIES = {
-  'In Dev': ['In Dev'],
-  'In Review': ['In Review', 'Ready for Review', 'READY FOR REVIEW'],
-  'In QA': ['In QA'],
-  'Completed': ['READY FOR RELEASE', 'CLOSED']
-};
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
+let workflow; // Discovered from JIRA in main()
 
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+// Report category for each workflow stage; anything else is "Other"
+const STAGE_CATEGORIES = {
+  dev: 'In Dev',
+  review: 'In Review',
+  qa: 'In QA',
+  done: 'Completed'
+};
 
 // Get the Story Points field ID
 async function getStoryPointsFieldId(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase() === 'story points'
     );
     
     if (!storyPointsField) {
-      console.warn('⚠️  Warning: Could not find Story Points field, using default customfield_10003');
-      return 'customfield_10003';
+      console.warn(`⚠️  Warning: Could not find Story Points field, using default ${config.fields.storyPoints}`);
+      return config.fields.storyPoints;
     }
     
     console.log(`✓ Found Story Points field: ${storyPointsField.id}`);
     return storyPointsField.id;
   } catch (error) {
     console.error(`❌ Error getting Story Points field: ${error.message}`);
-    return 'customfield_10003'; // Default fallback
+    return config.fields.storyPoints; // Default fallback
   }
 }
 
-// Check if an issue was completed today
-function wasCompletedToday(changelog) {
-  if (!changelog || !changelog.histories) {
-    return false;
-  }
-  
-  const today = new Date().toISOString().split('T')[0];
-  
-  for (const history of changelog.histories) {
-    const changeDate = history.created.split('T')[0];
-    
-    if (changeDate === today) {
-      for (const item of history.items) {
-        if (item.field === 'status' && 
-            (STATUS_CATEGORIES['Completed'].includes(item.toString) ||
-             STATUS_CATEGORIES['Completed'].some(s => s.toLowerCase() === item.toString?.toLowerCase()))) {
-          return true;
-        }
-      }
-    }
-  }
-  
-  return false;
-}
-
 // Fetch all issues in the current sprint
 async function fetchSprintIssues(client, storyPointsFieldId) {
   try {
@@ -101,12 +60,7 @@ async function fetchSprintIssues(client, storyPointsFieldId) {
     console.log(`   JQL: ${jql}`);
     
     // Step 1: Get all issue keys
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} issues to process`);
     
     if (issueRefs.length === 0) {
@@ -121,14 +75,11 @@ async function fetchSprintIssues(client, storyPointsFieldId) {
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,${storyPointsFieldId}`,
-            expand: 'changelog'
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,${storyPointsFieldId}`,
+          expand: 'changelog'
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields;
         const status = fields.status?.name || 'Unknown';
         const issueType = fields.issuetype?.name || 'Unknown';
@@ -142,7 +93,8 @@ async function fetchSprintIssues(client, storyPointsFieldId) {
         }
         
         // Check if completed today
-        const completedToday = wasCompletedToday(issue.changelog);
+        const today = new Date().toISOString().split('T')[0];
+        const completedToday = getCompletionDates(issue, workflow.isDone).includes(today);
         
         issues.push({
           key: issue.key,
@@ -174,15 +126,7 @@ async function fetchSprintIssues(client, storyPointsFieldId) {
 
 // Categorize status into one of our categories
 function categorizeStatus(status) {
-  const statusLower = status.toLowerCase();
-  
-  for (const [category, statuses] of Object.entries(STATUS_CATEGORIES)) {
-    if (statuses.some(s => s.toLowerCase() === statusLower)) {
-      return category;
-    }
-  }
-  
-  return 'Other';
+  return STAGE_CATEGORIES[workflow.getStage(status)] || 'Other';
 }
 
 // Generate the status snapshot report
@@ -352,21 +296,24 @@ async function generateStatusSnapshot(client, storyPointsFieldId) {
 // Main execution
 async function main() {
   try {
-    validateConfig();
+    validateCredentials();
+    
+    const client = createJiraClient();
+    CURRENT_SPRINT = (await resolveSprint(client, config)).name;
     
     console.log('🚀 Starting Story Points by Status Report...\n');
     console.log(`JIRA Instance: ${JIRA_BASE_URL}`);
     console.log(`Project: ${PROJECT_KEY}`);
     console.log(`Sprint: ${CURRENT_SPRINT}`);
     
-    const client = createJiraClient();
     const storyPointsFieldId = await getStoryPointsFieldId(client);
+    workflow = await discoverWorkflow(client, config);
     
     const reportData = await generateStatusSnapshot(client, storyPointsFieldId);
     
     if (reportData) {
       // Save to JSON file
-      const reportsDir = path.join(__dirname, '..', 'reports');
+      const reportsDir = getReportsDir();
       if (!fs.existsSync(reportsDir)) {
         fs.mkdirSync(reportsDir, { recursive: true });
       }
@@ -1,60 +1,27 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'estimateSprints'] });
+const PROJECT_KEY = config.project;
 
 // Sprint names to query
-const SPRINTS = [
-  'NH Sprint 31',
-  'NH Sprint 32',
-  'NH Sprint 33',
-  'NH Sprint 34',
-  'NH Sprint 35',
-  'NH Sprint 36'
-];
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    console.log('\nSet it with: export JIRA_EMAIL="your-email@company.com"');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    console.log('\nTo create a Personal Access Token:');
-    console.log('1. Go to https://id.atlassian.com/manage-profile/security/api-tokens');
-    console.log('2. Click "Create API token"');
-    console.log('3. Copy the token and run: export JIRA_API_TOKEN="your-token"');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+const SPRINTS = config.estimateSprints;
 
 // Get the Story Points field ID
 async function getStoryPointsFieldId(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     // Look for Story Points field (case-insensitive)
     const storyPointsField = fields.find(field => 
@@ -67,10 +34,10 @@ async function getStoryPointsFieldId(client) {
     }
     
     console.warn('⚠️  Could not find Story Points field, using default field ID');
-    return 'customfield_10003'; // Default based on previous discovery
+    return config.fields.storyPoints; // Default based on previous discovery
   } catch (error) {
     console.warn('⚠️  Could not fetch fields, using default Story Points field ID');
-    return 'customfield_10003';
+    return config.fields.storyPoints;
   }
 }
 
@@ -84,12 +51,7 @@ async function getSprintEstimates(client, sprintName, storyPointsFieldId) {
     console.log(`   JQL: ${jql}`);
     
     // Search for issues - request more to avoid pagination
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueData = response.data.issues || [];
+    const issueData = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueData.length} issues`);
     
     if (issueData.length === 0) {
@@ -117,13 +79,10 @@ async function getSprintEstimates(client, sprintName, storyPointsFieldId) {
       
       try {
         // Fetch full issue details
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,${storyPointsFieldId}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,${storyPointsFieldId}`
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields || {};
         let storyPoints = fields[storyPointsFieldId] || 0;
         const issueType = fields.issuetype?.name || 'Unknown';
@@ -219,7 +178,7 @@ async function getSprintEstimates(client, sprintName, storyPointsFieldId) {
 
 // Save results to JSON file
 function saveResults(data) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   
   // Ensure reports directory exists
   if (!fs.existsSync(reportsDir)) {
@@ -246,7 +205,7 @@ async function main() {
     console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
     
     // Validate configuration
-    validateConfig();
+    validateCredentials();
     
     // Create JIRA client
     const client = createJiraClient();
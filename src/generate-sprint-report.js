@@ -2,9 +2,19 @@ const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { distributeSCurve } = require('./lib/scurve');
+const { toDayKey, generateSprintDates, getSprintLength, distributeByCapacity } = require('./lib/sprint-calendar');
+const { loadTeamCalendar } = require('./lib/team-calendar');
+const { excelDateToJSDate } = require('./lib/excel');
+const { resolveReleases, findRelease } = require('./lib/releases');
+const { PLAN_SHEET, parsePlan, sumSprints } = require('./lib/plan-workbook');
 
 // Project configuration
 const PROJECT_NAME = 'National Highways Phase 3 Delivery';
+const config = loadConfig({ required: ['releases'] });
+const RELEASES = resolveReleases(config);
+const calendar = loadTeamCalendar(config);
 
 // Color scheme
 const COLORS = {
@@ -18,57 +28,9 @@ const COLORS = {
   black: '#000000'
 };
 
-// S-Curve distribution functions
-function distributeSCurve(totalPoints, workingDays) {
-  // Standard S-curve profile (percentages of total per day)
-  // For 10-day sprint: [5%, 7%, 10%, 12%, 13%, 13%, 12%, 10%, 7%, 5%]
-  
-  const sCurveProfile = {
-    10: [0.05, 0.07, 0.10, 0.12, 0.13, 0.13, 0.12, 0.10, 0.07, 0.05],
-    9: [0.05, 0.07, 0.11, 0.13, 0.14, 0.14, 0.13, 0.11, 0.07],
-    8: [0.06, 0.08, 0.12, 0.14, 0.14, 0.14, 0.12, 0.08],
-    7: [0.07, 0.10, 0.13, 0.15, 0.15, 0.13, 0.10],
-    6: [0.08, 0.12, 0.15, 0.15, 0.12, 0.08],
-    5: [0.10, 0.15, 0.20, 0.15, 0.10]
-  };
-  
-  // Get profile or generate one
-  const profile = sCurveProfile[workingDays] || generateSCurveProfile(workingDays);
-  
-  // Distribute points according to profile
-  const distribution = profile.map(percentage => 
-    Math.round(totalPoints * percentage * 100) / 100
-  );
-  
-  // Adjust for rounding (ensure sum equals totalPoints)
-  const sum = distribution.reduce((a, b) => a + b, 0);
-  const diff = Math.round((totalPoints - sum) * 100) / 100;
-  if (Math.abs(diff) > 0.01) {
-    distribution[Math.floor(workingDays / 2)] += diff; // Add difference to middle day
-  }
-  
-  return distribution;
-}
-
-function generateSCurveProfile(days) {
-  // Generate S-curve for any number of days
-  // Uses smoothstep function for S-curve shape
-  const profile = [];
-  for (let i = 0; i < days; i++) {
-    const t = i / (days - 1); // 0 to 1
-    // S-curve using smoothstep function
-    const smoothT = t * t * (3 - 2 * t);
-    profile.push(smoothT);
-  }
-  
-  // Normalize to percentages that sum to 1
-  const sum = profile.reduce((a, b) => a + b, 0);
-  return profile.map(v => v / sum);
-}
-
 // Parse command-line arguments
 function parseArgs() {
-  const args = process.argv.slice(2);
+  const { args } = config;
   
   if (args.length === 0) {
     console.error('❌ Error: Sprint number is required');
@@ -87,112 +49,49 @@ function parseArgs() {
   return { sprintNumber: parseInt(sprintNumber, 10) };
 }
 
-// Determine release information for a sprint
+// Determine release information for a sprint from the release plan
 function getReleaseInfo(sprintNumber) {
-  if (sprintNumber <= 33) {
-    return {
-      name: 'Release 1D',
-      endSprint: 33,
-      type: 'feature'
-    };
-  } else if (sprintNumber <= 36) {
-    return {
-      name: 'Release 2A',
-      endSprint: 36,
-      type: 'feature'
-    };
-  } else {
-    return {
-      name: 'Bug Fixing Phase',
-      endSprint: 38,
-      type: 'bugfix'
-    };
+  const release = findRelease(RELEASES, sprintNumber);
+  
+  if (!release) {
+    console.error(`❌ Error: Sprint ${sprintNumber} is not in any release`);
+    console.log(`Releases: ${RELEASES.map(r => `${r.name} (Sprints ${r.firstSprint}-${r.lastSprint})`).join(', ')}`);
+    console.log('Add it to "releases" in jira-utils.config.json');
+    process.exit(1);
   }
+  
+  return release;
 }
 
-// Read "DELIVERED TODAY" value from main sheet (from column B)
-async function readDeliveredToday(workbook, sprintNumber) {
-  const mainSheet = workbook.worksheets[0];
-  let deliveredToday = 0;
-  
-  // Find the "DELIVERED TODAY" row and read from column B (column 2)
-  mainSheet.eachRow((row, rowNum) => {
-    const firstCell = row.getCell(1).value;
-    const cellStr = String(firstCell || '').toUpperCase();
-    
-    if (cellStr === 'DELIVERED TODAY') {
-      // Read the delivered today value from column B
-      const val = row.getCell(2).value;
-      
-      if (val !== null && val !== undefined) {
-        deliveredToday = typeof val === 'object' && val.result !== undefined ? val.result : val;
-      }
-    }
-  });
+// Read the main plan sheet, stopping with a list of everything that does not
+// match the expected layout
+function readPlan(workbook, filePath) {
+  const plan = parsePlan(workbook, { releases: RELEASES });
+  
+  if (plan.problems.length > 0) {
+    console.error(`\n❌ ${path.basename(filePath)} does not match the plan layout:`);
+    plan.problems.forEach(problem => console.error(`   - ${problem}`));
+    console.log('\nSee "Excel Plan Structure" in the README for the rows and headers the plan needs');
+    process.exit(1);
+  }
   
-  return deliveredToday;
+  console.log(`   ✓ ${PLAN_SHEET}: ${plan.sprints.length} sprints, ${plan.epics.length} epics`);
+  return plan;
 }
 
-// Read release-level data from main sheet
-async function readReleaseData(workbook, releaseInfo) {
-  const mainSheet = workbook.worksheets[0];
+// Release-level data from the plan
+function readReleaseData(plan, releaseInfo) {
+  const sprintNumbers = plan.sprints
+    .map(sprint => sprint.number)
+    .filter(number => number >= releaseInfo.firstSprint && number <= releaseInfo.lastSprint);
   
   const releaseData = {
     releaseName: releaseInfo.name,
-    totalCommitted: 0,
-    totalDelivered: 0,
+    totalCommitted: sumSprints(plan.committed, sprintNumbers),
+    totalDelivered: sumSprints(plan.delivered, sprintNumbers),
     percentageComplete: 0
   };
   
-  // Determine which sprint columns to sum based on the release
-  let startSprintCol, endSprintCol;
-  
-  if (releaseInfo.name === 'Release 1D') {
-    // Sprint 30-33 = columns 4-7
-    startSprintCol = 4;
-    endSprintCol = 7;
-  } else if (releaseInfo.name === 'Release 2A') {
-    // Sprint 34-36 = columns 8-10
-    startSprintCol = 8;
-    endSprintCol = 10;
-  } else {
-    // Bug fixing phase: Sprint 37-38 = columns 11-12
-    startSprintCol = 11;
-    endSprintCol = 12;
-  }
-  
-  // Find the committed and delivered rows
-  mainSheet.eachRow((row, rowNum) => {
-    const firstCell = row.getCell(1).value;
-    const cellStr = String(firstCell || '').toUpperCase();
-    
-    // Sum up committed points for the release sprints
-    if (cellStr.includes('TOTAL COMMITTED') && cellStr.includes('SPRINT')) {
-      for (let col = startSprintCol; col <= endSprintCol; col++) {
-        const val = row.getCell(col).value;
-        if (val !== null && val !== undefined) {
-          const numVal = typeof val === 'object' && val.result !== undefined ? val.result : val;
-          if (typeof numVal === 'number') {
-            releaseData.totalCommitted += numVal;
-          }
-        }
-      }
-    }
-    
-    // Sum up delivered points for the release sprints
-    if (cellStr === 'STORY POINTS DELIVERED') {
-      for (let col = startSprintCol; col <= endSprintCol; col++) {
-        const val = row.getCell(col).value;
-        if (val !== null && val !== undefined) {
-          const numVal = typeof val === 'object' && val.result !== undefined ? val.result : val;
-          if (typeof numVal === 'number') {
-            releaseData.totalDelivered += numVal;
-          }
-        }
-      }
-    }
-  });
-  
   // Calculate percentage
   if (releaseData.totalCommitted > 0) {
     releaseData.percentageComplete = Math.round((releaseData.totalDelivered / releaseData.totalCommitted) * 100);
@@ -202,7 +101,7 @@ async function readReleaseData(workbook, releaseInfo) {
 }
 
 // Update Progress sheet with daily velocity data for all dates
-async function updateProgressSheet(workbook, targetVelocity, actualVelocity, projectData) {
+async function updateProgressSheet(workbook, plan, targetVelocity, actualVelocity, projectData, release) {
   let progressSheet = workbook.getWorksheet('Progress');
   
   if (!progressSheet) {
@@ -212,90 +111,39 @@ async function updateProgressSheet(workbook, targetVelocity, actualVelocity, pro
   
   console.log('\n📈 Updating Progress sheet...');
   
-  // Read all sprint data from the main sheet to get target velocities
-  const mainSheet = workbook.worksheets[0];
-  const headerRow = mainSheet.getRow(1);
-  const sprintDataList = [];
-  
-  // First, find the "TOTAL Committed Story Points Per Sprint" row
-  let committedPointsRow = null;
-  mainSheet.eachRow((row, rowNum) => {
-    const firstCell = row.getCell(1).value;
-    const cellStr = String(firstCell || '').toUpperCase();
+  // Calculate each sprint's S-curve target velocities over its working days,
+  // weighted by the team's capacity on each day
+  const sprintDataList = plan.sprints.map((sprint, index) => {
+    const committedPoints = plan.committed.get(sprint.number);
+    const workingDates = generateSprintDates(sprint.startDate, getSprintLength(plan.sprints, index), calendar)
+      .filter(dateInfo => dateInfo.isWorkingDay);
+    const sCurveDistribution = distributeByCapacity(committedPoints, workingDates.map(dateInfo => dateInfo.capacity), distributeSCurve);
     
-    if (cellStr.includes('TOTAL COMMITTED') && cellStr.includes('SPRINT')) {
-      committedPointsRow = row;
-    }
+    return {
+      sprintNumber: sprint.number,
+      startDate: sprint.startDate,
+      committedPoints,
+      workingDays: workingDates.length,
+      targetByDay: new Map(workingDates.map((dateInfo, i) => [toDayKey(dateInfo.date), sCurveDistribution[i]]))
+    };
   });
   
-  // Calculate total committed for Sprints 31, 32, 33 (Release 1D) for burndown
-  let totalRelease1DCommitted = 0;
-  if (committedPointsRow) {
-    // Sprint 31 = column 5, Sprint 32 = column 6, Sprint 33 = column 7
-    for (let col = 5; col <= 7; col++) {
-      const val = committedPointsRow.getCell(col).value;
-      if (val !== null && val !== undefined) {
-        const numVal = typeof val === 'object' && val.result !== undefined ? val.result : val;
-        if (typeof numVal === 'number') {
-          totalRelease1DCommitted += numVal;
-        }
-      }
-    }
-  }
-  
-  console.log(`   ✓ Release 1D Total Committed (Sprints 31-33): ${totalRelease1DCommitted} points`);
+  console.log(`   ✓ Found ${sprintDataList.length} sprints with velocity data`);
   
-  // Parse sprint dates and calculate target velocities
-  headerRow.eachCell((cell, colNumber) => {
-    const cellValue = String(cell.value || '');
-    if (cellValue.includes('Sprint ')) {
-      const sprintNumber = parseInt(cellValue.replace('Sprint ', ''));
-      
-      // Get the date from row 2
-      const dateCell = mainSheet.getRow(2).getCell(colNumber);
-      let startDate = null;
-      
-      if (dateCell.value) {
-        let dateVal = dateCell.value;
-        if (dateVal && typeof dateVal === 'object' && dateVal.result !== undefined) {
-          dateVal = dateVal.result;
-        }
-        
-        if (dateVal instanceof Date) {
-          startDate = new Date(dateVal);
-        } else if (typeof dateVal === 'number') {
-          startDate = excelDateToJSDate(dateVal);
-        } else if (typeof dateVal === 'string') {
-          startDate = parseSprintDate(dateVal);
-        }
-      }
-      
-      if (startDate && committedPointsRow) {
-        startDate.setHours(0, 0, 0, 0);
-        
-        // Get committed points for this sprint from the row we found
-        let committedPoints = 0;
-        const val = committedPointsRow.getCell(colNumber).value;
-        if (val !== null && val !== undefined) {
-          committedPoints = typeof val === 'object' && val.result !== undefined ? val.result : val;
-        }
-        
-        // Calculate S-curve distribution (10 working days per sprint)
-        const workingDays = 10;
-        const sCurveDistribution = distributeSCurve(committedPoints, workingDays);
-        
-        sprintDataList.push({
-          sprintNumber,
-          startDate,
-          committedPoints,
-          workingDays,
-          sCurveDistribution
-        });
-      }
-    }
-  });
+  // The burndown is for the reported release: the committed points of its
+  // sprints that start on or after the Progress sheet's first date
+  const progressStart = readProgressDate(progressSheet.getRow(1).getCell(2));
+  const releaseSprints = sprintDataList.filter(sprint =>
+    sprint.sprintNumber >= release.firstSprint && sprint.sprintNumber <= release.lastSprint
+  );
+  const burndownSprints = releaseSprints.filter(sprint => !progressStart || sprint.startDate >= progressStart);
+  const releaseTotalCommitted = burndownSprints.reduce((sum, sprint) => sum + sprint.committedPoints, 0);
+  const releaseStart = releaseSprints.length > 0 ? releaseSprints[0].startDate : null;
   
-  console.log(`   ✓ Found ${sprintDataList.length} sprints with velocity data`);
+  const sprintRange = burndownSprints.length > 0
+    ? `Sprints ${burndownSprints[0].sprintNumber}-${burndownSprints[burndownSprints.length - 1].sprintNumber}`
+    : 'no sprints in the Progress sheet';
+  console.log(`   ✓ ${release.name} Total Committed (${sprintRange}): ${releaseTotalCommitted} points`);
   
   // Get today's date
   const today = new Date();
@@ -339,42 +187,11 @@ async function updateProgressSheet(workbook, targetVelocity, actualVelocity, pro
       todayColumn = colNumber;
     }
     
-    // Find which sprint this date belongs to and calculate working day
-    let sprintVelocity = 0;
-    for (let i = 0; i < sprintDataList.length; i++) {
-      const sprint = sprintDataList[i];
-      const nextSprint = sprintDataList[i + 1];
-      
-      // Check if date falls within this sprint (before next sprint starts or after last sprint)
-      if (cellDate >= sprint.startDate) {
-        if (!nextSprint || cellDate < nextSprint.startDate) {
-          // Calculate which working day this is within the sprint (0-based)
-          let workingDayIndex = 0;
-          let tempDate = new Date(sprint.startDate);
-          
-          while (tempDate < cellDate) {
-            const tempDayOfWeek = tempDate.getDay();
-            // Count only weekdays
-            if (tempDayOfWeek !== 0 && tempDayOfWeek !== 6) {
-              workingDayIndex++;
-            }
-            tempDate.setDate(tempDate.getDate() + 1);
-          }
-          
-          // Get S-curve value for this working day
-          if (workingDayIndex < sprint.sCurveDistribution.length) {
-            sprintVelocity = sprint.sCurveDistribution[workingDayIndex];
-          }
-          break;
-        }
-      }
-    }
-    
-    // Skip weekends (Saturday = 6, Sunday = 0)
-    const dayOfWeek = cellDate.getDay();
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      sprintVelocity = 0;
-    }
+    // S-curve value for this date in its sprint; weekends, holidays and
+    // days after the last sprint have none
+    const dayKey = toDayKey(cellDate);
+    const sprint = sprintDataList.find(candidate => candidate.targetByDay.has(dayKey));
+    const sprintVelocity = sprint ? sprint.targetByDay.get(dayKey) : 0;
     
     // Update row 2 with S-curve target velocity for this date
     if (sprintVelocity > 0) {
@@ -419,25 +236,14 @@ async function updateProgressSheet(workbook, targetVelocity, actualVelocity, pro
   
   let cumulativeCommitted = 0;
   let cumulativeActual = 0;
+  let releaseActual = 0;
   let cumulativeUpdates = 0;
   
   progressHeaderRow.eachCell((cell, colNumber) => {
     if (colNumber === 1) return; // Skip the label column
     
     // Parse the date for this column
-    let cellValue = cell.value;
-    if (cellValue && typeof cellValue === 'object' && cellValue.result !== undefined) {
-      cellValue = cellValue.result;
-    }
-    
-    let cellDate = null;
-    if (cellValue instanceof Date) {
-      cellDate = new Date(cellValue);
-      cellDate.setHours(0, 0, 0, 0);
-    } else if (typeof cellValue === 'number') {
-      cellDate = excelDateToJSDate(cellValue);
-      cellDate.setHours(0, 0, 0, 0);
-    }
+    const cellDate = readProgressDate(cell);
     
     // Check if this column is today or before
     const isOnOrBeforeToday = cellDate && cellDate.getTime() <= today.getTime();
@@ -452,8 +258,10 @@ async function updateProgressSheet(workbook, targetVelocity, actualVelocity, pro
     }
     
     // Add to cumulative actual if there's an actual value
+    const isInRelease = !cellDate || !releaseStart || cellDate.getTime() >= releaseStart.getTime();
     if (actualVal !== null && actualVal !== undefined && typeof actualVal === 'number') {
       cumulativeActual += actualVal;
+      if (isInRelease) releaseActual += actualVal;
     }
     
     // Row 4: Cumulative Committed
@@ -476,17 +284,37 @@ async function updateProgressSheet(workbook, targetVelocity, actualVelocity, pro
       progressSheet.getRow(6).getCell(colNumber).value = null;
     }
     
-    // Row 7: Burndown (Release 1D Total - Cumulative Actual)
-    if (totalRelease1DCommitted > 0) {
-      const burndown = totalRelease1DCommitted - cumulativeActual;
+    // Row 7: Burndown (Release Total - Actual since the release started)
+    if (releaseTotalCommitted > 0 && isInRelease) {
+      const burndown = releaseTotalCommitted - releaseActual;
       progressSheet.getRow(7).getCell(colNumber).value = Math.round(burndown * 10) / 10;
       cumulativeUpdates++;
+    } else if (releaseTotalCommitted > 0) {
+      // Days before the release started are not part of its burndown
+      progressSheet.getRow(7).getCell(colNumber).value = null;
     }
   });
   
   console.log(`   ✓ Updated ${cumulativeUpdates} cells with cumulative and burndown values`);
 }
 
+// Read a Progress sheet date header (a date, serial number or formula)
+function readProgressDate(cell) {
+  let value = cell.value;
+  if (value && typeof value === 'object' && value.result !== undefined) {
+    value = value.result;
+  }
+  
+  let date = null;
+  if (value instanceof Date) {
+    date = new Date(value);
+  } else if (typeof value === 'number') {
+    date = excelDateToJSDate(value);
+  }
+  if (date) date.setHours(0, 0, 0, 0);
+  return date;
+}
+
 // Read design progress from Designs sheet
 async function readDesignProgress(workbook) {
   const designSheet = workbook.getWorksheet('Designs');
@@ -532,123 +360,45 @@ async function readDesignProgress(workbook) {
   return designs;
 }
 
-// Read project-level data from main sheet
-async function readProjectData(workbook) {
-  const mainSheet = workbook.worksheets[0]; // First sheet is the main plan
-  
+// Project-level data from the plan
+function readProjectData(plan) {
   const projectData = {
     totalProjectPoints: 0,
-    totalDelivered: 0,
-    totalRemaining: 0,
+    totalDelivered: sumSprints(plan.delivered, plan.sprints.map(sprint => sprint.number)),
+    totalRemaining: plan.remaining,
     deliveredPercentage: 0,
     lastSprintEndDate: null,
     workingDaysRemaining: 0,
+    fullTeamDaysRemaining: 0,
     requiredDailyVelocity: 0
   };
   
-  // Find the TOTAL PROJECT REMAINING STORY POINTS row
-  mainSheet.eachRow((row, rowNum) => {
-    const firstCell = row.getCell(1).value;
-    const cellStr = String(firstCell || '').toUpperCase();
-    
-    // Get total remaining from row 59
-    if (cellStr.includes('TOTAL PROJECT') && cellStr.includes('REMAIN')) {
-      const val = row.getCell(2).value;
-      projectData.totalRemaining = val !== null && val !== undefined ? 
-        (typeof val === 'object' && val.result !== undefined ? val.result : val) : 0;
-    }
-    
-    // Get total delivered across all sprints (row 50)
-    if (cellStr === 'STORY POINTS DELIVERED') {
-      let total = 0;
-      for (let col = 2; col <= 12; col++) { // Sprints are in columns 2-12
-        const val = row.getCell(col).value;
-        if (val !== null && val !== undefined) {
-          const numVal = typeof val === 'object' && val.result !== undefined ? val.result : val;
-          if (typeof numVal === 'number') {
-            total += numVal;
-          }
-        }
-      }
-      projectData.totalDelivered = total;
-    }
-  });
-  
   // Calculate total project points
   projectData.totalProjectPoints = projectData.totalRemaining + projectData.totalDelivered;
   projectData.deliveredPercentage = projectData.totalProjectPoints > 0 
     ? Math.round((projectData.totalDelivered / projectData.totalProjectPoints) * 100) 
     : 0;
   
-  // Find the last sprint end date (Sprint 38, column 12)
-  // Row 2 should have the end date
-  const lastSprintDateCell = mainSheet.getRow(2).getCell(12).value;
-  if (lastSprintDateCell && typeof lastSprintDateCell === 'object' && lastSprintDateCell.result) {
-    // It's a formula, get the result
-    const dateVal = lastSprintDateCell.result;
-    if (typeof dateVal === 'number') {
-      // Excel serial date
-      projectData.lastSprintEndDate = excelDateToJSDate(dateVal);
-    } else {
-      projectData.lastSprintEndDate = new Date(dateVal);
-    }
-  } else if (typeof lastSprintDateCell === 'number') {
-    projectData.lastSprintEndDate = excelDateToJSDate(lastSprintDateCell);
-  } else if (lastSprintDateCell) {
-    projectData.lastSprintEndDate = new Date(lastSprintDateCell);
-  }
+  // The last sprint's date row holds the end of the plan
+  projectData.lastSprintEndDate = plan.sprints[plan.sprints.length - 1].startDate;
   
-  // Calculate working days remaining from today to end of last sprint
+  // Working days remaining from today to end of last sprint, less holidays;
+  // the required velocity is per day at full team capacity
   if (projectData.lastSprintEndDate) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    let workingDays = 0;
-    const currentDate = new Date(today);
-    
-    while (currentDate <= projectData.lastSprintEndDate) {
-      const dayOfWeek = currentDate.getDay();
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Not weekend
-        workingDays++;
-      }
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-    
+    const { workingDays, fullTeamDays } = calendar.summarize(today, projectData.lastSprintEndDate);
     projectData.workingDaysRemaining = workingDays;
-    projectData.requiredDailyVelocity = workingDays > 0 
-      ? Math.round((projectData.totalRemaining / workingDays) * 10) / 10 
+    projectData.fullTeamDaysRemaining = fullTeamDays;
+    projectData.requiredDailyVelocity = fullTeamDays > 0 
+      ? Math.round((projectData.totalRemaining / fullTeamDays) * 10) / 10 
       : 0;
   }
   
   return projectData;
 }
 
-// Helper function to convert Excel date serial to JS Date
-function excelDateToJSDate(serial) {
-  const utc_days = Math.floor(serial - 25569);
-  const utc_value = utc_days * 86400;
-  const date_info = new Date(utc_value * 1000);
-  return new Date(date_info.getFullYear(), date_info.getMonth(), date_info.getDate());
-}
-
-// Helper function to parse sprint date string (e.g., "06-Nov")
-function parseSprintDate(dateStr) {
-  const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
-  const parts = dateStr.toLowerCase().split('-');
-  
-  if (parts.length === 2) {
-    const day = parseInt(parts[0]);
-    const monthIndex = months.indexOf(parts[1]);
-    
-    if (monthIndex !== -1 && !isNaN(day)) {
-      const currentYear = new Date().getFullYear();
-      return new Date(currentYear, monthIndex, day);
-    }
-  }
-  
-  return null;
-}
-
 // Read sprint data from Excel
 async function readSprintData(sprintNumber) {
   const filePath = path.join(__dirname, '..', 'data', 'NH Story Point Plan.xlsx');
@@ -759,9 +509,11 @@ async function readSprintData(sprintNumber) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
-  // Count working days elapsed
+  // Count working days elapsed, and the same at full team capacity for velocities
   let workingDaysElapsed = 0;
   let totalWorkingDays = 0;
+  let fullTeamDaysElapsed = 0;
+  let totalFullTeamDays = 0;
   
   for (let i = 0; i < data.dates.length; i++) {
     const dateValue = data.dates[i];
@@ -776,13 +528,15 @@ async function readSprintData(sprintNumber) {
     }
     dayDate.setHours(0, 0, 0, 0);
     
-    // Check if it's a weekend
-    const isWeekend = dayDate.getDay() === 0 || dayDate.getDay() === 6;
+    // Weekends, bank holidays and days nobody is in are not working days
+    const capacityFactor = calendar.capacityFactor(dayDate);
     
-    if (!isWeekend) {
+    if (capacityFactor > 0) {
       totalWorkingDays++;
+      totalFullTeamDays += capacityFactor;
       if (dayDate <= today) {
         workingDaysElapsed++;
+        fullTeamDaysElapsed += capacityFactor;
       }
     }
   }
@@ -791,18 +545,18 @@ async function readSprintData(sprintNumber) {
   data.totalWorkingDays = totalWorkingDays;
   
   // Calculate target velocity (points that should be delivered per day to meet commitment)
-  data.targetVelocity = totalWorkingDays > 0 ? 
-    Math.round((data.totalCommitted / totalWorkingDays) * 10) / 10 : 0;
+  data.targetVelocity = totalFullTeamDays > 0 ? 
+    Math.round((data.totalCommitted / totalFullTeamDays) * 10) / 10 : 0;
   
-  // Calculate current velocity (points per working day)
-  data.currentVelocity = workingDaysElapsed > 0 ? 
-    Math.round((data.totalDelivered / workingDaysElapsed) * 10) / 10 : 0;
+  // Calculate current velocity (points per working day at full team capacity)
+  data.currentVelocity = fullTeamDaysElapsed > 0 ? 
+    Math.round((data.totalDelivered / fullTeamDaysElapsed) * 10) / 10 : 0;
   
   // Predicted total at current rate
-  data.predictedTotal = Math.round(data.currentVelocity * totalWorkingDays);
+  data.predictedTotal = Math.round(data.currentVelocity * totalFullTeamDays);
   
   // Calculate velocity uplift needed to meet commitment
-  const remainingDays = totalWorkingDays - workingDaysElapsed;
+  const remainingDays = totalFullTeamDays - fullTeamDaysElapsed;
   const remainingPoints = data.totalCommitted - data.totalDelivered;
   
   if (remainingDays > 0 && data.currentVelocity > 0) {
@@ -900,22 +654,22 @@ async function generateReport() {
     
     // Add release information
     sprintData.release = getReleaseInfo(sprintNumber);
-    console.log(`   Release: ${sprintData.release.name} (ends at Sprint ${sprintData.release.endSprint})`);
+    console.log(`   Release: ${sprintData.release.name} (Sprints ${sprintData.release.firstSprint}-${sprintData.release.lastSprint}${sprintData.release.fixVersion ? `, fix version ${sprintData.release.fixVersion}` : ''})`);
     
     // Read project-level data
     console.log('\nReading project-level data...');
     const filePath = path.join(__dirname, '..', 'data', 'NH Story Point Plan.xlsx');
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(filePath);
-    const projectData = await readProjectData(workbook);
+    const plan = readPlan(workbook, filePath);
+    const projectData = readProjectData(plan);
     
     // Read delivered today value
-    const deliveredToday = await readDeliveredToday(workbook, sprintNumber);
-    sprintData.deliveredToday = deliveredToday;
-    console.log(`   Delivered Today: ${deliveredToday} points`);
+    sprintData.deliveredToday = plan.deliveredToday;
+    console.log(`   Delivered Today: ${plan.deliveredToday} points`);
     
     // Read release-level data
-    const releaseData = await readReleaseData(workbook, sprintData.release);
+    const releaseData = readReleaseData(plan, sprintData.release);
     sprintData.releaseData = releaseData;
     console.log(`\n📦 Release Data: ${releaseData.releaseName}`);
     console.log(`   Total Committed: ${releaseData.totalCommitted} points`);
@@ -925,7 +679,7 @@ async function generateReport() {
     // Calculate overrun/underrun based on current sprint velocity
     if (sprintData.currentVelocity > 0) {
       const daysNeededAtCurrentVelocity = projectData.totalRemaining / sprintData.currentVelocity;
-      projectData.daysOverrun = Math.round(daysNeededAtCurrentVelocity - projectData.workingDaysRemaining);
+      projectData.daysOverrun = Math.round(daysNeededAtCurrentVelocity - projectData.fullTeamDaysRemaining);
       projectData.isOverrun = projectData.daysOverrun > 0;
       
       console.log(`   Days needed at current velocity (${sprintData.currentVelocity.toFixed(1)} pts/day): ${Math.round(daysNeededAtCurrentVelocity)} days`);
@@ -939,7 +693,7 @@ async function generateReport() {
     }
     
     console.log(`✅ Project data: ${projectData.totalProjectPoints} total points, ${projectData.totalDelivered} delivered (${projectData.deliveredPercentage}%)`);
-    console.log(`   ${projectData.workingDaysRemaining} working days remaining, required velocity: ${projectData.requiredDailyVelocity} pts/day`);
+    console.log(`   ${projectData.workingDaysRemaining} working days remaining (${projectData.fullTeamDaysRemaining} at full team capacity, ${calendar.description}), required velocity: ${projectData.requiredDailyVelocity} pts/day`);
     
     // Merge project data into sprint data
     sprintData.projectData = projectData;
@@ -949,7 +703,7 @@ async function generateReport() {
     sprintData.designProgress = designProgress;
     
     // Update Progress sheet with today's velocity data
-    await updateProgressSheet(workbook, sprintData.targetVelocity, sprintData.deliveredToday, projectData);
+    await updateProgressSheet(workbook, plan, sprintData.targetVelocity, sprintData.deliveredToday, projectData, sprintData.release);
     
     // Save the workbook after updating Progress sheet
     try {
@@ -960,7 +714,7 @@ async function generateReport() {
     }
     
     // Create PDF
-    const outputPath = path.join(__dirname, '..', 'reports', `Sprint-${sprintNumber}-Report.pdf`);
+    const outputPath = path.join(getReportsDir(), `Sprint-${sprintNumber}-Report.pdf`);
     
     // Import report template
     const { generatePDF } = require('./templates/report-template');
@@ -1,95 +1,84 @@
 const ExcelJS = require('exceljs');
 const path = require('path');
+const { toDayKey, generateSprintDates, getSprintLength, countWorkingDays, distributeByCapacity } = require('./lib/sprint-calendar');
+const { formatDate } = require('./lib/excel');
+const { parsePlan } = require('./lib/plan-workbook');
+const { getConnectionSettings, createJiraClient, searchIssues, getIssue, getStoryPointsFieldId } = require('./lib/jira-client');
+const { getFixtureSettings } = require('./lib/fixtures');
+const { loadConfig } = require('./lib/config');
+const { getCompletionDates } = require('./lib/changelog');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
+const { summarizeEpicActuals } = require('./lib/plan-actuals');
+const { linkPlanEpics, epicBurndown } = require('./lib/plan-epics');
+const { loadTeamCalendar } = require('./lib/team-calendar');
 
-// Helper function to check if a date is a weekend
-function isWeekend(date) {
-  const day = date.getDay();
-  return day === 0 || day === 6; // Sunday = 0, Saturday = 6
-}
+const config = loadConfig();
+const calendar = loadTeamCalendar(config);
 
-// Helper function to format date as DD/MM/YYYY
-function formatDate(date) {
-  const day = String(date.getDate()).padStart(2, '0');
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const year = date.getFullYear();
-  return `${day}/${month}/${year}`;
-}
+// Stories and bugs without an estimate count as 2 points, as in the other reports
+const DEFAULT_STORY_POINTS = 2;
 
-// Convert Excel serial date to JavaScript Date
-function excelDateToJSDate(serial) {
-  if (typeof serial === 'number') {
-    const utc_days = Math.floor(serial - 25569);
-    const utc_value = utc_days * 86400;
-    const date_info = new Date(utc_value * 1000);
-    return new Date(date_info.getFullYear(), date_info.getMonth(), date_info.getDate());
+// Link the plan's epics to JIRA epics and fetch the points completed under
+// each, by day. Without credentials the sheets are generated without them,
+// and the caller does the same when JIRA fails.
+async function fetchEpicActuals(plan, startDay, endDay) {
+  const { email, apiToken } = getConnectionSettings();
+  if (getFixtureSettings().mode !== 'replay' && !(email && apiToken)) {
+    console.log('\n⚠️  JIRA_EMAIL/JIRA_API_TOKEN not set: sprint sheets will not have per-epic actuals');
+    return null;
+  }
+  if (!config.project) {
+    console.log('\n⚠️  No project configured: sprint sheets will not have per-epic actuals');
+    return null;
   }
-  return null;
-}
 
-// Parse sprint name from header
-function parseSprintHeader(header) {
-  if (!header || typeof header !== 'string') return null;
-  
-  const match = header.match(/Sprint\s+(\d+)/i);
-  if (!match) return null;
-  
-  return {
-    sprintName: `Sprint ${match[1]}`,
-    sprintNumber: match[1]
-  };
-}
+  const client = createJiraClient();
+  const workflow = await discoverWorkflow(client, config);
+  const storyPointsFieldId = await getStoryPointsFieldId(client, config.fields.storyPoints);
 
-// Parse date from Excel serial or string
-function parseSprintDate(dateValue) {
-  if (!dateValue) return null;
-  
-  // If it's already a Date object (ExcelJS reads dates as Date objects)
-  if (dateValue instanceof Date) {
-    return dateValue;
-  }
-  
-  // If it's a formula object with a result (ExcelJS formula cells)
-  if (typeof dateValue === 'object' && dateValue.result !== undefined) {
-    const result = dateValue.result;
-    if (typeof result === 'number') {
-      return excelDateToJSDate(result);
-    }
-    if (result instanceof Date) {
-      return result;
-    }
-  }
-  
-  // If it's a serial number
-  if (typeof dateValue === 'number') {
-    return excelDateToJSDate(dateValue);
+  console.log(`\n🔗 Linking plan epics to ${config.project} epics...`);
+  const jiraEpics = await searchIssues(client, `project = ${config.project} AND issuetype = Epic`, { fields: 'summary' });
+  const { links, unlinked, warnings } = linkPlanEpics(plan.epics, jiraEpics);
+  plan.epics.forEach(epic => {
+    const link = links.get(epic.row);
+    if (!link) return;
+    const how = link.by === 'column' ? 'JIRA Epic column' : `name match ${link.score}`;
+    console.log(`   ✓ ${epic.name} → ${link.key}${link.summary ? ` (${link.summary})` : ''} [${how}]`);
+  });
+  warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+  if (unlinked.length > 0) {
+    console.log(`   ⚠️  ${unlinked.length} epics not linked (add their keys to a "JIRA Epic" column): ${unlinked.map(epic => epic.name).join(', ')}`);
   }
-  
-  return null;
-}
 
-// Generate array of dates for a 14-day sprint
-function generateSprintDates(startDate) {
-  const dates = [];
-  for (let i = 0; i < 14; i++) {
-    const date = new Date(startDate);
-    date.setDate(startDate.getDate() + i);
-    dates.push({
-      date: new Date(date),
-      isWeekend: isWeekend(date)
+  const epicKeys = [...new Set([...links.values()].map(link => link.key))];
+  if (epicKeys.length === 0 || startDay > endDay) return { links, byEpic: new Map() };
+
+  const jql = `project = ${config.project} AND issuetype in (Story, Bug) AND parent in (${epicKeys.join(', ')}) AND status changed to ${toJqlList(workflow.getStatuses('done'))} during ("${startDay}", "${endDay}")`;
+  console.log(`\n🔎 Fetching completed epic stories...`);
+  console.log(`   JQL: ${jql}`);
+  const issueRefs = await searchIssues(client, jql, { fields: 'summary' });
+  console.log(`   ✓ Found ${issueRefs.length} issues`);
+
+  const completions = [];
+  for (const issueRef of issueRefs) {
+    const issue = await getIssue(client, issueRef.key, {
+      fields: `summary,parent,${storyPointsFieldId}`,
+      expand: 'changelog'
     });
-  }
-  return dates;
-}
 
-// Count working days in a sprint
-function countWorkingDays(sprintDates) {
-  return sprintDates.filter(d => !d.isWeekend).length;
-}
+    // JQL also matches moves between completed statuses (Ready for Release -> Closed)
+    const completedOn = getCompletionDates(issue, workflow.isDone).find(day => day >= startDay && day <= endDay);
+    if (!completedOn) continue;
+
+    completions.push({
+      key: issue.key,
+      epicKey: issue.fields.parent?.key || null,
+      points: issue.fields[storyPointsFieldId] || DEFAULT_STORY_POINTS,
+      completedOn
+    });
+  }
 
-// Distribute story points across working days (2 decimal places)
-function distributePoints(totalPoints, workingDays) {
-  if (totalPoints === 0 || workingDays === 0) return 0;
-  return Math.round((totalPoints / workingDays) * 100) / 100;
+  return { links, byEpic: summarizeEpicActuals(completions) };
 }
 
 // Main function to generate sprint sheets
@@ -100,195 +89,71 @@ async function generateSprintSheets() {
   const workbook = new ExcelJS.Workbook();
   await workbook.xlsx.readFile(filePath);
   
-  // Get the first sheet (original data)
-  const originalSheet = workbook.worksheets[0];
-  
-  // Read data from original sheet
-  const data = [];
-  originalSheet.eachRow((row, rowNumber) => {
-    const rowData = [];
-    row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
-      rowData[colNumber - 1] = cell.value;
-    });
-    data.push(rowData);
-  });
-  
-  if (data.length === 0) {
-    console.error('No data found in the sheet');
-    return;
-  }
-  
-  const headers = data[0];
-  const dateRow = data[1];
-  console.log('Headers found:', headers.slice(0, 10));
-  
-  // Parse sprints from headers
-  const sprints = [];
-  
-  for (let i = 1; i < headers.length; i++) {
-    const sprintInfo = parseSprintHeader(headers[i]);
-    if (sprintInfo && dateRow[i]) {
-      const startDate = parseSprintDate(dateRow[i]);
-      if (startDate) {
-        sprintInfo.startDate = startDate;
-        sprintInfo.columnIndex = i;
-        sprints.push(sprintInfo);
-        console.log(`Found sprint: ${sprintInfo.sprintName} starting ${formatDate(sprintInfo.startDate)}`);
-      }
-    }
+  // Read the main plan sheet by its labelled rows and "Sprint N" headers
+  const plan = parsePlan(workbook);
+  if (plan.problems.length > 0) {
+    console.error(`❌ ${path.basename(filePath)} does not match the plan layout:`);
+    plan.problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exit(1);
   }
   
-  if (sprints.length === 0) {
-    console.error('No sprints found in headers');
-    return;
-  }
+  const sprints = plan.sprints.map((sprint, index) => ({
+    sprintName: `Sprint ${sprint.number}`,
+    startDate: sprint.startDate,
+    length: getSprintLength(plan.sprints, index)
+  }));
+  sprints.forEach(sprint => console.log(`Found sprint: ${sprint.sprintName} starting ${formatDate(sprint.startDate)}`));
   
-  // Look for Story Points Delivered row in the main sheet
+  // Story Points Delivered per sprint from the main sheet
   const deliveredPoints = {};
-  console.log('\nLooking for Story Points Delivered row...');
-  for (let rowIndex = 2; rowIndex < data.length; rowIndex++) {
-    const row = data[rowIndex];
-    if (!row || !row[0]) continue;
-    
-    const rowName = String(row[0]).trim();
-    
-    // Debug: show row names that might match
-    if (rowName.toLowerCase().includes('delivered') || rowName.toLowerCase().includes('story')) {
-      console.log(`  Found row: "${rowName}"`);
+  plan.sprints.forEach(sprint => {
+    const points = plan.delivered.get(sprint.number);
+    deliveredPoints[`Sprint ${sprint.number}`] = points;
+    if (points > 0) {
+      console.log(`  ✓ Sprint ${sprint.number}: ${points} points delivered`);
     }
-    
-    if (rowName === 'Story Points Delivered') {
-      console.log('✓ Found Story Points Delivered row in main sheet');
-      sprints.forEach(sprint => {
-        const deliveredValue = row[sprint.columnIndex];
-        console.log(`  ${sprint.sprintName}: raw value = ${deliveredValue}, type = ${typeof deliveredValue}`);
-        let points = 0;
-        
-        // Handle different value types (number, string, formula object)
-        if (deliveredValue !== null && deliveredValue !== undefined && deliveredValue !== '') {
-          // If it's a formula object, get the result
-          if (typeof deliveredValue === 'object' && deliveredValue.result !== undefined) {
-            const result = deliveredValue.result;
-            if (typeof result === 'number') {
-              points = result;
-            } else if (typeof result === 'string') {
-              const parsed = parseFloat(result.trim());
-              points = isNaN(parsed) ? 0 : parsed;
-            }
-            console.log(`    Formula result: ${points}`);
-          } else {
-            // Regular number or string
-            const parsed = parseFloat(String(deliveredValue).trim());
-            points = isNaN(parsed) ? 0 : parsed;
-          }
-        }
-        
-        deliveredPoints[sprint.sprintName] = points;
-        if (points > 0) {
-          console.log(`  ✓ ${sprint.sprintName}: ${points} points delivered`);
-        }
-      });
-      break;
-    }
-  }
-  
-  if (Object.keys(deliveredPoints).length === 0) {
-    console.log('⚠️  WARNING: No Story Points Delivered row found in main sheet');
-  }
+  });
   
-  // Extract epic names and their story points
-  const epics = [];
-  let sprint30Total = 0;
-  console.log('\nExtracting epic points...');
+  // Epic names and their story points per sprint
+  const epics = plan.epics.map(epic => ({
+    row: epic.row,
+    name: epic.name,
+    sprintPoints: Object.fromEntries(plan.sprints.map(sprint => [`Sprint ${sprint.number}`, epic.points.get(sprint.number)]))
+  }));
+  console.log(`Found ${epics.length} epics`);
   
-  for (let rowIndex = 2; rowIndex < data.length; rowIndex++) {
-    const row = data[rowIndex];
-    if (!row || !row[0]) continue;
-    
-    const epicName = row[0];
-    const epicNameStr = String(epicName).trim();
-    
-    // Stop processing if we hit "IGNORE BELOW" row (check various cases)
-    const epicNameUpper = epicNameStr.toUpperCase();
-    if (epicNameUpper === 'IGNORE BELOW' || epicNameUpper.includes('IGNORE')) {
-      console.log(`  ✓ Reached "${epicNameStr}" marker - stopping epic extraction`);
-      break;
-    }
-    
-    // Debug: show what rows are being skipped
-    const skipRows = [
-      'Dates',
-      'TOTALS',
-      'TOTAL Committed Story Points Per Sprint',
-      'Story Points Delivered'
-    ];
-    
-    if (skipRows.includes(epicNameStr) || epicNameStr.toLowerCase().includes('total')) {
-      console.log(`  Skipping row: "${epicNameStr}"`);
-      
-      // If it's a TOTALS row, let's see what the Sprint 30 total is
-      if (epicNameStr === 'TOTALS' || epicNameStr === 'TOTAL Committed Story Points Per Sprint') {
-        const sprint30Sprint = sprints.find(s => s.sprintName === 'Sprint 30');
-        if (sprint30Sprint) {
-          const totalValue = row[sprint30Sprint.columnIndex];
-          let actualValue = totalValue;
-          
-          // Handle formula objects
-          if (typeof totalValue === 'object' && totalValue !== null && totalValue.result !== undefined) {
-            actualValue = totalValue.result;
-          }
-          
-          console.log(`    This TOTALS row shows Sprint 30: ${actualValue}`);
-        }
-      }
-      continue;
-    }
-    
-    const sprintPoints = {};
-    
-    sprints.forEach(sprint => {
-      const pointValue = row[sprint.columnIndex];
-      let points = 0;
-      if (pointValue !== null && pointValue !== undefined && pointValue !== '') {
-        const parsed = parseFloat(String(pointValue).trim());
-        points = isNaN(parsed) ? 0 : parsed;
-      }
-      sprintPoints[sprint.sprintName] = points;
-      
-      // Track Sprint 30 total for debugging
-      if (sprint.sprintName === 'Sprint 30' && points > 0) {
-        sprint30Total += points;
-      }
-    });
-    
-    epics.push({
-      name: epicName,
-      sprintPoints
-    });
+  // Per-epic actuals from JIRA, from the first sprint's start up to today
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const lastSprint = sprints[sprints.length - 1];
+  const lastSprintDates = generateSprintDates(lastSprint.startDate, lastSprint.length);
+  const lastDay = [toDayKey(lastSprintDates[lastSprintDates.length - 1].date), toDayKey(today)].sort()[0];
+  let epicActuals = null;
+  try {
+    epicActuals = await fetchEpicActuals(plan, toDayKey(plan.sprints[0].startDate), lastDay);
+  } catch (error) {
+    console.log(`\n⚠️  Could not fetch per-epic actuals from JIRA (${error.message}): sprint sheets will not have them`);
   }
   
-  console.log(`Found ${epics.length} epics`);
-  console.log(`Sprint 30 total from individual epics: ${sprint30Total}`);
-  
-  // Debug: Show all epics with Sprint 30 points
-  console.log('\nAll epics with Sprint 30 points:');
-  epics.forEach(epic => {
-    const sprint30Points = epic.sprintPoints['Sprint 30'] || 0;
-    if (sprint30Points > 0) {
-      const epicNameUpper = String(epic.name).toUpperCase().trim();
-      const marker = (epicNameUpper.includes('BUG') || epicNameUpper.includes('STABIL')) ? ' ⚠️' : '';
-      console.log(`  "${epic.name}": ${sprint30Points} points${marker}`);
-    }
-  });
+  // Working days and team capacity from the calendar
+  console.log(`\nCalendar: ${calendar.description}${calendar.team.length > 0 ? `, team of ${calendar.team.length} (${calendar.fullCapacity} person-days a day)` : ''}`);
   
   // Generate a sheet for each sprint
   for (const sprint of sprints) {
     console.log(`\nGenerating sheet for ${sprint.sprintName}...`);
     
-    const sprintDates = generateSprintDates(sprint.startDate);
+    const sprintDates = generateSprintDates(sprint.startDate, sprint.length, calendar);
     const workingDays = countWorkingDays(sprintDates);
+    const capacities = sprintDates.filter(dateInfo => dateInfo.isWorkingDay).map(dateInfo => dateInfo.capacity);
     
-    console.log(`  14 calendar days, ${workingDays} working days`);
+    console.log(`  ${sprintDates.length} calendar days, ${workingDays} working days`);
+    sprintDates.filter(dateInfo => dateInfo.holiday && !dateInfo.isWeekend).forEach(dateInfo => {
+      console.log(`  Holiday: ${formatDate(dateInfo.date)} ${dateInfo.holiday}`);
+    });
+    if (calendar.team.length > 0) {
+      const teamDays = Math.round(capacities.reduce((sum, capacity) => sum + capacity, 0) * 100) / 100;
+      console.log(`  Team capacity: ${teamDays} person-days (${Math.round(calendar.fullCapacity * workingDays * 100) / 100} with everyone in)`);
+    }
     
     // Remove existing sheet if it exists
     const existingSheet = workbook.getWorksheet(sprint.sprintName);
@@ -319,6 +184,8 @@ async function generateSprintSheets() {
     
     // Add epic data rows
     let currentRow = 2;
+    const dayTotals = new Array(sprintDates.length).fill(0);
+    const epicRows = [];
     epics.forEach(epic => {
       const totalPoints = epic.sprintPoints[sprint.sprintName] || 0;
       
@@ -327,16 +194,21 @@ async function generateSprintSheets() {
         return;
       }
       
-      const pointsPerWorkingDay = distributePoints(totalPoints, workingDays);
+      // Split per working day by team capacity (even when everyone is in); the row sums to the total
+      const dailyPoints = distributeByCapacity(totalPoints, capacities);
+      let workingDayIdx = 0;
       
       const row = worksheet.getRow(currentRow);
       row.getCell(1).value = epic.name;
       
-      sprintDates.forEach((dateInfo, idx) => {
-        const points = dateInfo.isWeekend ? 0 : (totalPoints > 0 ? pointsPerWorkingDay : 0);
+      const plannedDays = sprintDates.map((dateInfo, idx) => {
+        const points = dateInfo.isWorkingDay ? (dailyPoints[workingDayIdx++] || 0) : 0;
+        dayTotals[idx] += points;
         // Use blank cell instead of 0 when no points allocated
         row.getCell(idx + 2).value = points > 0 ? points : null;
+        return points;
       });
+      epicRows.push({ epic, rowNum: currentRow, plannedDays });
       
       currentRow++;
     });
@@ -346,20 +218,9 @@ async function generateSprintSheets() {
     const committedRow = worksheet.getRow(committedRowNum);
     committedRow.getCell(1).value = 'Story Points Committed';
     
-    // Calculate daily totals (only for epics with points in this sprint)
+    // Daily totals of the epic rows above
     for (let dayIdx = 0; dayIdx < sprintDates.length; dayIdx++) {
-      let dayTotal = 0;
-      epics.forEach(epic => {
-        const totalPoints = epic.sprintPoints[sprint.sprintName] || 0;
-        
-        // Skip epics with 0 points for this sprint
-        if (totalPoints === 0) {
-          return;
-        }
-        
-        const pointsPerWorkingDay = distributePoints(totalPoints, workingDays);
-        dayTotal += sprintDates[dayIdx].isWeekend ? 0 : (totalPoints > 0 ? pointsPerWorkingDay : 0);
-      });
+      const dayTotal = Math.round(dayTotals[dayIdx] * 100) / 100;
       // Use blank cell instead of 0 when no points allocated
       committedRow.getCell(dayIdx + 2).value = dayTotal > 0 ? dayTotal : null;
     }
@@ -393,7 +254,7 @@ async function generateSprintSheets() {
         
         if (dayDate <= today) {
           daysElapsed = dayIdx + 1;
-          if (!sprintDates[dayIdx].isWeekend) {
+          if (sprintDates[dayIdx].isWorkingDay) {
             workingDaysElapsed++;
           }
         }
@@ -404,10 +265,10 @@ async function generateSprintSheets() {
         const pointsPerDay = Math.round((totalDelivered / workingDaysElapsed) * 100) / 100;
         
         for (let dayIdx = 0; dayIdx < daysElapsed; dayIdx++) {
-          if (!sprintDates[dayIdx].isWeekend) {
+          if (sprintDates[dayIdx].isWorkingDay) {
             deliveredRow.getCell(dayIdx + 2).value = pointsPerDay;
           } else {
-            deliveredRow.getCell(dayIdx + 2).value = null; // Blank for weekends
+            deliveredRow.getCell(dayIdx + 2).value = null; // Blank for weekends and holidays
           }
         }
         
@@ -447,7 +308,7 @@ async function generateSprintSheets() {
     // Day numbers row
     const dayRow = worksheet.getRow(currentRow);
     dayRow.getCell(1).value = 'Day';
-    for (let day = 1; day <= 14; day++) {
+    for (let day = 1; day <= sprintDates.length; day++) {
       dayRow.getCell(day + 1).value = day;
     }
     dayRow.font = { bold: true };
@@ -460,7 +321,7 @@ async function generateSprintSheets() {
     // Points Remaining row (references to formulas above)
     const chartDataRow = worksheet.getRow(currentRow + 1);
     chartDataRow.getCell(1).value = 'Points Remaining';
-    for (let day = 1; day <= 14; day++) {
+    for (let day = 1; day <= sprintDates.length; day++) {
       const colLetter = String.fromCharCode(65 + day); // B, C, D, etc.
       chartDataRow.getCell(day + 1).value = {
         formula: `${colLetter}${remainingRowNum}`
@@ -482,9 +343,87 @@ async function generateSprintSheets() {
     const instr3 = worksheet.getRow(currentRow + 3);
     instr3.getCell(1).value = `3. Set chart title to "Burndown for ${sprint.sprintName}"`;
     
+    // Per-epic delivered and remaining rows from JIRA
+    if (epicActuals && epicRows.length > 0) {
+      currentRow += 5;
+      const lastColLetter = String.fromCharCode(65 + sprintDates.length);
+      const daysElapsed = sprintDates.filter(dateInfo => dateInfo.date <= today).length;
+      
+      const epicHeaderRow = worksheet.getRow(currentRow);
+      epicHeaderRow.getCell(1).value = 'Epic Actuals (JIRA)';
+      sprintDates.forEach((dateInfo, idx) => {
+        epicHeaderRow.getCell(idx + 2).value = formatDate(dateInfo.date);
+      });
+      epicHeaderRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      epicHeaderRow.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FF4472C4' }
+      };
+      epicHeaderRow.alignment = { horizontal: 'center', vertical: 'middle' };
+      currentRow++;
+      
+      const behind = [];
+      for (const { epic, rowNum, plannedDays } of epicRows) {
+        const link = epicActuals.links.get(epic.row);
+        if (!link) {
+          worksheet.getRow(currentRow).getCell(1).value = `${epic.name} - no JIRA epic linked`;
+          worksheet.getRow(currentRow).font = { italic: true, color: { argb: 'FF808080' } };
+          currentRow++;
+          continue;
+        }
+        
+        // Points completed under the epic each day up to today
+        const byDay = epicActuals.byEpic.get(link.key) || new Map();
+        const deliveredDays = sprintDates.map(dateInfo => byDay.get(toDayKey(dateInfo.date)) || 0);
+        const epicDeliveredRowNum = currentRow;
+        const epicDeliveredRow = worksheet.getRow(epicDeliveredRowNum);
+        epicDeliveredRow.getCell(1).value = `${epic.name} - Delivered (${link.key})`;
+        sprintDates.forEach((dateInfo, idx) => {
+          if (idx >= daysElapsed) return;
+          // Blank for weekends and holidays with nothing completed
+          epicDeliveredRow.getCell(idx + 2).value = !dateInfo.isWorkingDay && deliveredDays[idx] === 0 ? null : deliveredDays[idx];
+        });
+        epicDeliveredRow.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFFFF2CC' }
+        };
+        
+        // Formula: Epic's sprint points - Cumulative Delivered; red where more is left than planned
+        const burndown = epicBurndown(plannedDays, deliveredDays, daysElapsed);
+        const epicRemainingRow = worksheet.getRow(epicDeliveredRowNum + 1);
+        epicRemainingRow.getCell(1).value = `${epic.name} - Remaining`;
+        for (let dayIdx = 0; dayIdx < sprintDates.length; dayIdx++) {
+          const colLetter = String.fromCharCode(66 + dayIdx);
+          const cell = epicRemainingRow.getCell(dayIdx + 2);
+          cell.value = {
+            formula: `SUM($B$${rowNum}:$${lastColLetter}$${rowNum})-SUM($B$${epicDeliveredRowNum}:${colLetter}$${epicDeliveredRowNum})`
+          };
+          if (burndown.actual[dayIdx] !== null && burndown.actual[dayIdx] > burndown.planned[dayIdx]) {
+            cell.font = { color: { argb: 'FF9C0006' } };
+            cell.fill = {
+              type: 'pattern',
+              pattern: 'solid',
+              fgColor: { argb: 'FFFFC7CE' }
+            };
+          }
+        }
+        if (burndown.behindBy > 0) behind.push(`${epic.name} (${burndown.behindBy} pts)`);
+        
+        currentRow += 2;
+      }
+      
+      const linkedCount = epicRows.filter(({ epic }) => epicActuals.links.has(epic.row)).length;
+      console.log(`  Epic actuals: ${linkedCount} of ${epicRows.length} epics linked to JIRA`);
+      if (behind.length > 0) {
+        console.log(`  ⚠️  Behind plan: ${behind.join(', ')}`);
+      }
+    }
+    
     // Set column widths
     worksheet.getColumn(1).width = 50; // Epic column
-    for (let i = 2; i <= 15; i++) {
+    for (let i = 2; i <= sprintDates.length + 1; i++) {
       worksheet.getColumn(i).width = 12; // Date columns
     }
     
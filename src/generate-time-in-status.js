@@ -1,63 +1,44 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getIssueChangelog,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { buildStatusTimeline } = require('./lib/changelog');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const CURRENT_SPRINT = 'NH Sprint 31'; // Update this for each sprint
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let CURRENT_SPRINT = config.sprint; // Resolved against the board in main()
 const STALE_THRESHOLD_HOURS = 24;
 
-// Completed statuses to exclude
-const COMPLETED_STATUSES = ['Ready for release', 'CLOSED', 'Closed', 'Done'];
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create JIRA API client
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    },
-    timeout: 30000
-  });
-}
+let workflow; // Discovered from JIRA in main(); done issues are excluded
 
 // Get custom field IDs
 async function getCustomFieldIds(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story point')
     );
     
     return {
-      storyPoints: storyPointsField ? storyPointsField.id : 'customfield_10003'
+      storyPoints: storyPointsField ? storyPointsField.id : config.fields.storyPoints
     };
   } catch (error) {
     console.warn(`   ⚠️  Could not fetch custom fields: ${error.message}`);
     return {
-      storyPoints: 'customfield_10003'
+      storyPoints: config.fields.storyPoints
     };
   }
 }
@@ -75,38 +56,24 @@ function formatDuration(hours) {
   return `${days} days ${remainingHours} hours`;
 }
 
-// Get the last status change time from issue changelog
-async function getLastStatusChangeTime(client, issueKey) {
+// Get the time the issue entered its current status (its creation if it never moved)
+async function getLastStatusChangeTime(client, issue) {
   try {
-    const response = await client.get(`/rest/api/3/issue/${issueKey}/changelog`);
-    const changelog = response.data.values || [];
-    
-    // Find the most recent status change
-    let lastStatusChange = null;
-    
-    for (const historyItem of changelog) {
-      const items = historyItem.items || [];
-      const statusChange = items.find(item => item.field === 'status');
-      
-      if (statusChange) {
-        const changeDate = new Date(historyItem.created);
-        if (!lastStatusChange || changeDate > lastStatusChange) {
-          lastStatusChange = changeDate;
-        }
-      }
-    }
+    const histories = await getIssueChangelog(client, issue.key);
+    const timeline = buildStatusTimeline(issue, { histories });
+    const current = timeline[timeline.length - 1];
     
-    return lastStatusChange;
+    return current && current.entered ? new Date(current.entered) : null;
     
   } catch (error) {
-    console.warn(`   ⚠️  Could not fetch changelog for ${issueKey}: ${error.message}`);
+    console.warn(`   ⚠️  Could not fetch changelog for ${issue.key}: ${error.message}`);
     return null;
   }
 }
 
 // Fetch all active issues and their time in current status
 async function fetchStaleIssues(client, fieldIds) {
-  const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Story, Bug) AND status NOT IN ("${COMPLETED_STATUSES.join('", "')}")`;
+  const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Story, Bug) AND status NOT IN ${toJqlList(workflow.getStatuses('done'))}`;
   
   console.log(`\n🔎 Querying Active Issues...`);
   console.log(`   Sprint: ${CURRENT_SPRINT}`);
@@ -114,12 +81,7 @@ async function fetchStaleIssues(client, fieldIds) {
   
   try {
     // Step 1: Get all issue keys
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} active issues`);
     
     if (issueRefs.length === 0) {
@@ -140,13 +102,10 @@ async function fetchStaleIssues(client, fieldIds) {
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,assignee,priority,${fieldIds.storyPoints}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,assignee,priority,created,${fieldIds.storyPoints}`
         });
         
-        const issue = issueResponse.data;
         const actualKey = issue.key;
         const fields = issue.fields || {};
         let storyPoints = fields[fieldIds.storyPoints] || 0;
@@ -162,7 +121,7 @@ async function fetchStaleIssues(client, fieldIds) {
         }
         
         // Get last status change time
-        const lastStatusChange = await getLastStatusChangeTime(client, actualKey);
+        const lastStatusChange = await getLastStatusChangeTime(client, issue);
         
         let hoursInStatus = null;
         let isStale = false;
@@ -171,7 +130,7 @@ async function fetchStaleIssues(client, fieldIds) {
           hoursInStatus = (now - lastStatusChange) / (1000 * 60 * 60);
           isStale = hoursInStatus > STALE_THRESHOLD_HOURS;
         } else {
-          // If no status changes found, use creation date as fallback
+          // Changelog unavailable
           isStale = true; // Assume stale if we can't determine
           hoursInStatus = null;
         }
@@ -225,19 +184,21 @@ async function fetchStaleIssues(client, fieldIds) {
 // Main function
 async function main() {
   try {
+    validateCredentials();
+    
+    const client = createJiraClient();
+    CURRENT_SPRINT = (await resolveSprint(client, config)).name;
+    
     console.log('\n📊 Generating Time in Status Report');
     console.log('='.repeat(60));
     console.log(`   Project: ${PROJECT_KEY}`);
     console.log(`   Sprint: ${CURRENT_SPRINT}`);
     console.log(`   Stale Threshold: ${STALE_THRESHOLD_HOURS} hours`);
     
-    validateConfig();
-    
-    const client = createJiraClient();
-    
     console.log('\n🔍 Discovering custom fields...');
     const fieldIds = await getCustomFieldIds(client);
     console.log(`   ✓ Story Points field: ${fieldIds.storyPoints}`);
+    workflow = await discoverWorkflow(client, config);
     
     // Fetch stale issues
     const data = await fetchStaleIssues(client, fieldIds);
@@ -304,7 +265,7 @@ async function main() {
     
     // Save to JSON
     const today = new Date().toISOString().split('T')[0];
-    const outputDir = path.join(__dirname, '..', 'reports');
+    const outputDir = getReportsDir();
     
     if (!fs.existsSync(outputDir)) {
       fs.mkdirSync(outputDir, { recursive: true });
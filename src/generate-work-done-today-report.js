@@ -1,51 +1,30 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { resolveSprint } = require('./lib/sprints');
+const { enteredStatusOn, getCompletionDates } = require('./lib/changelog');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const CURRENT_SPRINT = 'NH Sprint 31'; // Update this for each sprint
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project', 'sprint'] });
+const PROJECT_KEY = config.project;
+let CURRENT_SPRINT = config.sprint; // Resolved against the board in main()
 
-// Statuses to track
-const COMPLETED_STATUSES = ['READY FOR RELEASE', 'CLOSED'];
-const QA_STATUS = 'In QA';
-const DEV_STATUS = 'In Dev';
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
+let workflow; // Discovered from JIRA in generateWorkDoneReport()
 
 // Get the Story Points field ID
 async function getStoryPointsFieldId(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     const storyPointsField = fields.find(field => 
       field.name && field.name.toLowerCase().includes('story point')
@@ -55,59 +34,23 @@ async function getStoryPointsFieldId(client) {
       return storyPointsField.id;
     }
     
-    return 'customfield_10003';
+    return config.fields.storyPoints;
   } catch (error) {
-    return 'customfield_10003';
-  }
-}
-
-// Check if status change happened today
-function changedToStatusToday(issue, targetStatuses, today) {
-  if (!issue.changelog || !issue.changelog.histories) {
-    return null;
+    return config.fields.storyPoints;
   }
-  
-  const todayStr = today.toISOString().split('T')[0];
-  
-  // Look through changelog histories
-  for (const history of issue.changelog.histories) {
-    const changeDate = history.created.split('T')[0];
-    
-    // Check if change happened today
-    if (changeDate === todayStr) {
-      // Check if this history contains a status change to one of our target statuses
-      for (const item of history.items) {
-        if (item.field === 'status' && item.toString) {
-          const toStatusUpper = item.toString.toUpperCase();
-          for (const targetStatus of targetStatuses) {
-            if (toStatusUpper === targetStatus.toUpperCase()) {
-              return item.toString; // Return actual status name
-            }
-          }
-        }
-      }
-    }
-  }
-  
-  return null;
 }
 
-// Fetch issues that changed to specified statuses today
-async function fetchIssuesByStatus(client, storyPointsFieldId, statusList, label, today) {
+// Fetch issues that reached a workflow stage today
+async function fetchIssuesByStage(client, storyPointsFieldId, stage, label, today) {
   // Only fetch issues updated today to reduce API calls
   const todayStr = today.toISOString().split('T')[0];
-  const jql = `project = ${PROJECT_KEY} AND status in (${statusList.map(s => `"${s}"`).join(', ')}) AND updated >= "${todayStr}"`;
+  const jql = `project = ${PROJECT_KEY} AND status in ${toJqlList(workflow.getStatuses(stage))} AND updated >= "${todayStr}"`;
   
   console.log(`\n🔎 Querying ${label}...`);
   console.log(`   JQL: ${jql}`);
   
   try {
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueData = response.data.issues || [];
+    const issueData = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueData.length} issues in these statuses`);
     
     const movedTodayIssues = [];
@@ -118,14 +61,11 @@ async function fetchIssuesByStatus(client, storyPointsFieldId, statusList, label
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,priority,${storyPointsFieldId}`,
-            expand: 'changelog'
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,priority,${storyPointsFieldId}`,
+          expand: 'changelog'
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields || {};
         const issueType = fields.issuetype?.name || 'Unknown';
         const priority = fields.priority?.name || 'Unknown';
@@ -135,10 +75,13 @@ async function fetchIssuesByStatus(client, storyPointsFieldId, statusList, label
         
         // Only count Epic, Story, and Bug
         if (issueType === 'Epic' || issueType === 'Story' || issueType === 'Bug') {
-          // Check if this issue moved to one of our target statuses today
-          const movedToStatus = changedToStatusToday(issue, statusList, today);
+          // Check if this issue reached the stage today; done means completed
+          // today, so moves between done statuses don't count
+          const movedToday = stage === 'done'
+            ? getCompletionDates(issue, workflow.isDone).includes(todayStr)
+            : Boolean(enteredStatusOn(issue, status => workflow.getStage(status) === stage, today));
           
-          if (movedToStatus) {
+          if (movedToday) {
             // Default to 2 points for Stories or Bugs without points
             const defaulted = (issueType === 'Story' || issueType === 'Bug') && storyPoints === 0;
             if (defaulted) {
@@ -196,18 +139,12 @@ async function fetchSprintCompletedTotals(client, storyPointsFieldId) {
   try {
     console.log('\n🔎 Fetching Sprint Total (Completed)...');
     
-    const statusList = COMPLETED_STATUSES.map(s => `"${s}"`).join(', ');
-    const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Story, Bug) AND status in (${statusList})`;
+    const jql = `project = ${PROJECT_KEY} AND sprint = "${CURRENT_SPRINT}" AND issuetype in (Story, Bug) AND status in ${toJqlList(workflow.getStatuses('done'))}`;
     
     console.log(`   JQL: ${jql}`);
     
     // Fetch all completed issues in the sprint
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1000
-    });
-    
-    const issueRefs = response.data.issues || [];
+    const issueRefs = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueRefs.length} completed issues in sprint`);
     
     let totalStoryPoints = 0;
@@ -217,13 +154,10 @@ async function fetchSprintCompletedTotals(client, storyPointsFieldId) {
       const issueKey = issueRef.key || issueRef.id;
       
       try {
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `issuetype,${storyPointsFieldId}`
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `issuetype,${storyPointsFieldId}`
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields;
         
         const issueType = fields.issuetype?.name || 'Unknown';
@@ -277,35 +211,38 @@ async function generateWorkDoneReport() {
   console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
   
   const client = createJiraClient();
+  CURRENT_SPRINT = (await resolveSprint(client, config)).name;
+  console.log(`   Sprint: ${CURRENT_SPRINT}`);
   
   // Get Story Points field ID
   console.log('\n🔍 Discovering Story Points field...');
   const storyPointsFieldId = await getStoryPointsFieldId(client);
   console.log(`   ✓ Using field: ${storyPointsFieldId}`);
+  workflow = await discoverWorkflow(client, config);
   
   // Fetch completed issues
-  const completed = await fetchIssuesByStatus(
+  const completed = await fetchIssuesByStage(
     client, 
     storyPointsFieldId, 
-    COMPLETED_STATUSES, 
-    'Completed Issues (Ready for Release / Closed)',
+    'done', 
+    `Completed Issues (${workflow.getStatuses('done').join(' / ')})`,
     today
   );
   
   // Fetch issues moved to QA
-  const movedToQA = await fetchIssuesByStatus(
+  const movedToQA = await fetchIssuesByStage(
     client,
     storyPointsFieldId,
-    [QA_STATUS],
+    'qa',
     'Issues Moved to QA',
     today
   );
   
   // Fetch issues moved to Dev
-  const movedToDev = await fetchIssuesByStatus(
+  const movedToDev = await fetchIssuesByStage(
     client,
     storyPointsFieldId,
-    [DEV_STATUS],
+    'dev',
     'Issues Moved to Dev',
     today
   );
@@ -417,7 +354,7 @@ async function generateWorkDoneReport() {
 
 // Save results to JSON file
 function saveResults(data) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   
   if (!fs.existsSync(reportsDir)) {
     fs.mkdirSync(reportsDir, { recursive: true });
@@ -435,7 +372,7 @@ function saveResults(data) {
 // Main function
 async function main() {
   try {
-    validateConfig();
+    validateCredentials();
     const data = await generateWorkDoneReport();
     saveResults(data);
     console.log('\n🎉 Done!');
@@ -1,6 +1,7 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { parseCliArgs, getReportsDir } = require('./lib/config');
 
 // Configuration
 const COLORS = {
@@ -20,7 +21,7 @@ const COLORS = {
 
 // Parse command-line arguments
 function parseArgs() {
-  const args = process.argv.slice(2);
+  const { args } = parseCliArgs(process.argv.slice(2));
   
   if (args.length === 0) {
     // Default to today's date
@@ -33,7 +34,7 @@ function parseArgs() {
 
 // Load JSON data
 function loadData(date) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   const filename = `work-done-today-${date}.json`;
   const filepath = path.join(reportsDir, filename);
   
@@ -66,7 +67,7 @@ function generatePDF(data) {
     bufferPages: true
   });
   
-  const outputDir = path.join(__dirname, '..', 'reports');
+  const outputDir = getReportsDir();
   const outputPath = path.join(outputDir, `work-done-today-${data.date}.pdf`);
   
   doc.pipe(fs.createWriteStream(outputPath));
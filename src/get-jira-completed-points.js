@@ -1,17 +1,25 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getReportsDir } = require('./lib/config');
+const { getCompletionDates } = require('./lib/changelog');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const COMPLETED_STATUSES = ['READY FOR RELEASE', 'CLOSED'];
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project'] });
+const PROJECT_KEY = config.project;
 
 // Parse command-line arguments
 function parseArgs() {
-  const args = process.argv.slice(2);
+  const args = config.args;
   
   if (args.length < 2) {
     console.error('❌ Error: Start date and end date are required');
@@ -40,43 +48,10 @@ function parseArgs() {
   return { startDate, endDate };
 }
 
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    console.log('\nSet it with: export JIRA_EMAIL="your-email@company.com"');
-    process.exit(1);
-  }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    console.log('\nTo create a Personal Access Token:');
-    console.log('1. Go to https://id.atlassian.com/manage-profile/security/api-tokens');
-    console.log('2. Click "Create API token"');
-    console.log('3. Copy the token and run: export JIRA_API_TOKEN="your-token"');
-    process.exit(1);
-  }
-}
-
-// Create axios instance with authentication
-function createJiraClient() {
-  const auth = Buffer.from(`${JIRA_EMAIL}:${JIRA_API_TOKEN}`).toString('base64');
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  });
-}
-
 // Get the Story Points field ID
 async function getStoryPointsFieldId(client) {
   try {
-    const response = await client.get('/rest/api/3/field');
-    const fields = response.data;
+    const fields = await getFields(client);
     
     // Look for Story Points field (case-insensitive)
     const storyPointsField = fields.find(field => 
@@ -96,73 +71,31 @@ async function getStoryPointsFieldId(client) {
   }
 }
 
-// Parse date from changelog item
-function parseChangeDate(changeItem) {
-  return changeItem.created ? changeItem.created.split('T')[0] : null;
-}
-
-// Get status change date from changelog
-function getStatusChangeDate(issue, targetStatuses, startDate, endDate) {
-  if (!issue.changelog || !issue.changelog.histories) {
-    return null;
-  }
-  
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
-  // Look through changelog histories in reverse (most recent first)
-  for (const history of issue.changelog.histories) {
-    const changeDate = new Date(history.created.split('T')[0]);
-    
-    // Check if change is within date range
-    if (changeDate >= start && changeDate <= end) {
-      // Check if this history contains a status change to our target statuses
-      for (const item of history.items) {
-        if (item.field === 'status' && 
-            item.toString && 
-            targetStatuses.some(status => item.toString.toUpperCase() === status.toUpperCase())) {
-          return history.created.split('T')[0];
-        }
-      }
-    }
-  }
-  
-  return null;
-}
-
 // Fetch completed story points from JIRA
 async function fetchCompletedStoryPoints(startDate, endDate) {
   console.log(`\n📊 Fetching completed story points from JIRA...`);
   console.log('='.repeat(60));
   console.log(`   Project: ${PROJECT_KEY}`);
   console.log(`   Date Range: ${startDate} to ${endDate}`);
-  console.log(`   Target Statuses: ${COMPLETED_STATUSES.join(', ')}`);
   console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
   
   const client = createJiraClient();
+  const workflow = await discoverWorkflow(client, config);
+  console.log(`   Target Statuses: ${workflow.getStatuses('done').join(', ')}`);
   
   // Get Story Points field ID
   console.log('\n🔍 Discovering Story Points field...');
   const storyPointsFieldId = await getStoryPointsFieldId(client);
   
   // Build JQL query - filter for Story and Bug issue types only
-  const statusList = COMPLETED_STATUSES.map(s => `"${s}"`).join(', ');
-  const jql = `project = ${PROJECT_KEY} AND issuetype in (Story, Bug) AND status changed to (${statusList}) during ("${startDate}", "${endDate}")`;
+  const jql = `project = ${PROJECT_KEY} AND issuetype in (Story, Bug) AND status changed to ${toJqlList(workflow.getStatuses('done'))} during ("${startDate}", "${endDate}")`;
   
   console.log(`\n🔎 Executing JQL query...`);
   console.log(`   ${jql}`);
   
   try {
-    // Search for issues using the new JQL endpoint
-    // Note: /rest/api/3/search/jql appears to only accept jql parameter
-    // We'll fetch all fields and filter client-side
-    const requestPayload = {
-      jql: jql
-    };
-    
-    const response = await client.post('/rest/api/3/search/jql', requestPayload);
-    
-    const issueData = response.data.issues || [];
+    // Search for issues using the new JQL endpoint (all pages)
+    const issueData = await searchIssues(client, jql);
     console.log(`   ✓ Found ${issueData.length} issues`);
     
     // The /search/jql endpoint doesn't return fields, so we need to fetch each issue
@@ -172,6 +105,7 @@ async function fetchCompletedStoryPoints(startDate, endDate) {
     let totalStoryPoints = 0;
     let issuesWithPoints = 0;
     let issuesWithoutPoints = 0;
+    let completedOutsideRange = 0;
     
     // Breakdown by issue type
     let storyPointsFromStories = 0;
@@ -185,19 +119,24 @@ async function fetchCompletedStoryPoints(startDate, endDate) {
       
       try {
         // Fetch full issue details including issue type
-        const issueResponse = await client.get(`/rest/api/3/issue/${issueKey}`, {
-          params: {
-            fields: `summary,status,issuetype,${storyPointsFieldId}`,
-            expand: 'changelog'
-          }
+        const issue = await getIssue(client, issueKey, {
+          fields: `summary,status,issuetype,${storyPointsFieldId}`,
+          expand: 'changelog'
         });
         
-        const issue = issueResponse.data;
         const fields = issue.fields || {};
         let storyPoints = fields[storyPointsFieldId];
         const issueType = fields.issuetype?.name || 'Unknown';
-        const statusChangeDate = getStatusChangeDate(issue, COMPLETED_STATUSES, startDate, endDate);
         const currentStatus = fields.status?.name || 'Unknown';
+        
+        // JQL also matches moves between completed statuses (Ready for Release -> Closed)
+        const statusChangeDate = getCompletionDates(issue, workflow.isDone)
+          .find(date => date >= startDate && date <= endDate) || null;
+        if (!statusChangeDate) {
+          completedOutsideRange++;
+          console.log(`   ↷ ${issue.key}: completed outside the date range, skipped (${issueType} - ${currentStatus})`);
+          continue;
+        }
         let defaultPointsAssigned = false;
         
         // Default to 2 points if not assigned
@@ -246,7 +185,10 @@ async function fetchCompletedStoryPoints(startDate, endDate) {
     console.log(`   Bugs: ${storyPointsFromBugs} points (${bugCount} issues)`);
     console.log(`   Issues with Points: ${issuesWithPoints}`);
     console.log(`   Issues without Points (defaulted to 2): ${issuesWithoutPoints}`);
-    console.log(`   Total Issues: ${issueData.length}`);
+    console.log(`   Total Issues: ${issueData.length - completedOutsideRange}`);
+    if (completedOutsideRange > 0) {
+      console.log(`   Completed Outside Range (skipped): ${completedOutsideRange}`);
+    }
     
     return {
       dateRange: {
@@ -255,7 +197,7 @@ async function fetchCompletedStoryPoints(startDate, endDate) {
       },
       summary: {
         totalStoryPoints: totalStoryPoints,
-        issueCount: issueData.length,
+        issueCount: issueData.length - completedOutsideRange,
         issuesWithPoints: issuesWithPoints,
         issuesWithoutPoints: issuesWithoutPoints,
         project: PROJECT_KEY,
@@ -302,7 +244,7 @@ async function fetchCompletedStoryPoints(startDate, endDate) {
 
 // Save results to JSON file
 function saveResults(data, startDate, endDate) {
-  const reportsDir = path.join(__dirname, '..', 'reports');
+  const reportsDir = getReportsDir();
   
   // Ensure reports directory exists
   if (!fs.existsSync(reportsDir)) {
@@ -322,7 +264,7 @@ function saveResults(data, startDate, endDate) {
 async function main() {
   try {
     // Validate configuration
-    validateConfig();
+    validateCredentials();
     
     // Parse arguments
     const { startDate, endDate } = parseArgs();
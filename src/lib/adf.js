@@ -0,0 +1,324 @@
+// Atlassian Document Format (ADF): the JSON documents the v3 REST API takes
+// and returns for descriptions and comments.
+//
+// The builders return plain node objects, so documents are put together by
+// nesting calls:
+//   doc(heading(3, 'Defect Details'), fieldTable([{ label: 'Module', value: 'Login' }]))
+// adfToText and adfToMarkdown read any document back, including ones written
+// in JIRA's editor.
+
+const URL_PATTERN = /https?:\/\/[^\s<>"]+[^\s<>".,;:!?)\]]/g;
+
+/**
+ * A text node, optionally with marks such as { type: 'strong' }.
+ *
+ * @param {string} value
+ * @param {Array<Object>} [marks]
+ * @returns {Object}
+ */
+function text(value, marks) {
+  const node = { type: 'text', text: String(value) };
+  if (marks && marks.length > 0) node.marks = marks;
+  return node;
+}
+
+/**
+ * Bold text.
+ *
+ * @param {string} value
+ * @returns {Object}
+ */
+function strong(value) {
+  return text(value, [{ type: 'strong' }]);
+}
+
+/**
+ * Linked text.
+ *
+ * @param {string} value - Text shown
+ * @param {string} [href] - Defaults to the text
+ * @returns {Object}
+ */
+function link(value, href = value) {
+  return text(value, [{ type: 'link', attrs: { href } }]);
+}
+
+/**
+ * Inline nodes for plain text: URLs become links and line breaks become hard breaks.
+ * Empty text gives no nodes, as ADF does not allow empty text nodes.
+ *
+ * @param {*} value
+ * @returns {Array<Object>}
+ */
+function inline(value) {
+  const nodes = [];
+  String(value ?? '').split(/\r?\n/).forEach((line, index) => {
+    if (index > 0) nodes.push({ type: 'hardBreak' });
+    let last = 0;
+    for (const match of line.matchAll(URL_PATTERN)) {
+      if (match.index > last) nodes.push(text(line.slice(last, match.index)));
+      nodes.push(link(match[0]));
+      last = match.index + match[0].length;
+    }
+    if (last < line.length) nodes.push(text(line.slice(last)));
+  });
+  return nodes;
+}
+
+// Strings become inline nodes, nodes are kept as they are
+function toInline(parts) {
+  return parts.flatMap(part => (typeof part === 'string' ? inline(part) : [part]));
+}
+
+/**
+ * A paragraph of strings (run through inline) and inline nodes.
+ *
+ * @param {...(string|Object)} parts
+ * @returns {Object}
+ */
+function paragraph(...parts) {
+  const content = toInline(parts);
+  return content.length > 0 ? { type: 'paragraph', content } : { type: 'paragraph' };
+}
+
+/**
+ * A heading, level 1 to 6.
+ *
+ * @param {number} level
+ * @param {...(string|Object)} parts
+ * @returns {Object}
+ */
+function heading(level, ...parts) {
+  return { type: 'heading', attrs: { level }, content: toInline(parts) };
+}
+
+/**
+ * A bullet list. Each item is a string, an inline node, or a list of block nodes.
+ *
+ * @param {Array<string|Object|Array<Object>>} items
+ * @returns {Object}
+ */
+function bulletList(items) {
+  return {
+    type: 'bulletList',
+    content: items.map(item => ({
+      type: 'listItem',
+      content: Array.isArray(item) ? item : [paragraph(item)]
+    }))
+  };
+}
+
+/**
+ * A table. Cells are strings or inline nodes; with header set the first row
+ * is a header row.
+ *
+ * @param {Array<Array<string|Object>>} rows
+ * @param {{header?: boolean}} [options]
+ * @returns {Object}
+ */
+function table(rows, options = {}) {
+  return {
+    type: 'table',
+    attrs: { isNumberColumnEnabled: false, layout: 'default' },
+    content: rows.map((row, index) => ({
+      type: 'tableRow',
+      content: row.map(cell => ({
+        type: options.header && index === 0 ? 'tableHeader' : 'tableCell',
+        attrs: {},
+        content: [paragraph(cell)]
+      }))
+    }))
+  };
+}
+
+/**
+ * A two-column table of labelled values, labels in bold.
+ *
+ * @param {Array<{label: string, value: *}>} fields
+ * @returns {Object}
+ */
+function fieldTable(fields) {
+  return table(fields.map(field => [strong(field.label), String(field.value)]));
+}
+
+/**
+ * A document holding the given blocks.
+ *
+ * @param {...(Object|Array<Object>)} blocks
+ * @returns {Object}
+ */
+function doc(...blocks) {
+  return { type: 'doc', version: 1, content: blocks.flat().filter(Boolean) };
+}
+
+/**
+ * A document from plain text lines: one paragraph per line, with runs of
+ * lines starting "- " turned into a bullet list.
+ *
+ * @param {string[]} lines
+ * @returns {Object}
+ */
+function linesToDocument(lines) {
+  const blocks = [];
+  let items = null;
+  for (const line of lines) {
+    const bullet = String(line).match(/^- (.*)$/s);
+    if (bullet) {
+      if (!items) {
+        items = [];
+        blocks.push(items);
+      }
+      items.push(bullet[1]);
+    } else {
+      items = null;
+      blocks.push(paragraph(line));
+    }
+  }
+  return doc(blocks.map(block => (Array.isArray(block) ? bulletList(block) : block)));
+}
+
+// Blocks that end with a line break in plain text
+const TEXT_BLOCKS = ['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote', 'rule'];
+
+/**
+ * Plain text of an ADF value; text nodes are joined, with a line break after
+ * each block and table cells separated by " | ". Strings are returned as they are.
+ *
+ * @param {Object|string} node
+ * @returns {string}
+ */
+function adfToText(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+  if (node.type === 'mention') return node.attrs?.text || '';
+  if (node.type === 'emoji') return node.attrs?.text || node.attrs?.shortName || '';
+  if (node.type === 'inlineCard' || node.type === 'blockCard') return node.attrs?.url || '';
+
+  if (node.type === 'tableRow') {
+    return (node.content || []).map(cell => adfToText(cell).trim()).join(' | ') + '\n';
+  }
+
+  // Lists nested in a list item start on their own line
+  const text = (node.content || []).map(adfToText).join('');
+  if (node.type === 'listItem') return text.endsWith('\n') ? text : `${text}\n`;
+  return TEXT_BLOCKS.includes(node.type) ? `${text}\n` : text;
+}
+
+// Markdown for a text node's marks
+function markText(node) {
+  let value = node.text || '';
+  for (const mark of node.marks || []) {
+    if (mark.type === 'strong') value = `**${value}**`;
+    if (mark.type === 'em') value = `_${value}_`;
+    if (mark.type === 'strike') value = `~~${value}~~`;
+    if (mark.type === 'code') value = `\`${value}\``;
+  }
+  const href = (node.marks || []).find(mark => mark.type === 'link')?.attrs?.href;
+  if (!href) return value;
+  return href === node.text ? `<${href}>` : `[${value}](${href})`;
+}
+
+// Markdown for inline content; breaks inside table cells become <br>
+function inlineMarkdown(nodes, inCell) {
+  return (nodes || []).map(node => {
+    if (node.type === 'text') return markText(node);
+    if (node.type === 'hardBreak') return inCell ? '<br>' : '  \n';
+    return adfToText(node);
+  }).join('');
+}
+
+// Markdown for a list of blocks, separated by blank lines
+function blocksMarkdown(nodes, indent = '') {
+  return (nodes || []).map(node => blockMarkdown(node, indent)).filter(block => block !== '').join('\n\n');
+}
+
+function blockMarkdown(node, indent) {
+  switch (node.type) {
+    case 'paragraph':
+      return indent + inlineMarkdown(node.content);
+    case 'heading':
+      return `${indent}${'#'.repeat(node.attrs?.level || 1)} ${inlineMarkdown(node.content)}`;
+    case 'bulletList':
+    case 'orderedList':
+      return (node.content || []).map((item, index) => {
+        const marker = node.type === 'orderedList' ? `${(node.attrs?.order || 1) + index}.` : '-';
+        const [first, ...rest] = item.content || [];
+        const lines = [`${indent}${marker} ${first ? blockMarkdown(first, '').trim() : ''}`];
+        rest.forEach(child => lines.push(blockMarkdown(child, indent + '  ')));
+        return lines.join('\n');
+      }).join('\n');
+    case 'codeBlock':
+      return `${indent}\`\`\`${node.attrs?.language || ''}\n${adfToText(node)}${indent}\`\`\``;
+    case 'blockquote':
+      return blocksMarkdown(node.content).split('\n').map(line => `${indent}> ${line}`).join('\n');
+    case 'rule':
+      return `${indent}---`;
+    case 'table': {
+      const rows = (node.content || []).map(row =>
+        (row.content || []).map(cell =>
+          (cell.content || []).map(block => inlineMarkdown(block.content, true)).join('<br>').replace(/\|/g, '\\|')
+        )
+      );
+      if (rows.length === 0) return '';
+      // Markdown tables need a header row; a table without one gets an empty header
+      const hasHeader = node.content[0].content?.every(cell => cell.type === 'tableHeader');
+      const width = Math.max(...rows.map(row => row.length));
+      const header = hasHeader ? rows.shift() : new Array(width).fill('');
+      const line = cells => `${indent}| ${cells.join(' | ')} |`;
+      return [line(header), line(new Array(width).fill('---')), ...rows.map(line)].join('\n');
+    }
+    default:
+      return node.content ? blocksMarkdown(node.content, indent) : indent + adfToText(node);
+  }
+}
+
+/**
+ * Markdown for an ADF value: headings, bold/italic/code marks, links, lists,
+ * tables and code blocks. Strings are returned as they are.
+ *
+ * @param {Object|string} node
+ * @returns {string}
+ */
+function adfToMarkdown(node) {
+  if (!node) return '';
+  if (typeof node === 'string') return node;
+  if (node.type === 'doc') return blocksMarkdown(node.content);
+  return blockMarkdown(node, '');
+}
+
+/**
+ * The rows of the first table in a document as plain text cells.
+ *
+ * @param {Object} node
+ * @returns {?Array<string[]>} null when the document has no table
+ */
+function readTable(node) {
+  if (!node || typeof node !== 'object') return null;
+  if (node.type === 'table') {
+    return (node.content || []).map(row => (row.content || []).map(cell => adfToText(cell).trim()));
+  }
+  for (const child of node.content || []) {
+    const rows = readTable(child);
+    if (rows) return rows;
+  }
+  return null;
+}
+
+module.exports = {
+  text,
+  strong,
+  link,
+  inline,
+  paragraph,
+  heading,
+  bulletList,
+  table,
+  fieldTable,
+  doc,
+  linesToDocument,
+  adfToText,
+  adfToMarkdown,
+  readTable
+};
@@ -0,0 +1,150 @@
+// Evidence files (screenshots, logs) uploaded to bugs created from a defect log.
+//
+// A row names its files in the profile's "attachments" column, separated by
+// commas, semicolons or line breaks, relative to the defect log's folder.
+// With "attachmentsDir" set, files are also picked up by defect ID: everything
+// in <attachmentsDir>/<ID>/ and any file in <attachmentsDir> named <ID> or
+// starting with "<ID> ", "<ID>-" or "<ID>_". The ID is the profile's
+// externalId column, else the test case ID.
+
+const fs = require('fs');
+const path = require('path');
+
+// Largest file uploaded unless defects.maxAttachmentMb says otherwise
+const DEFAULT_MAX_ATTACHMENT_MB = 10;
+
+/**
+ * @typedef {Object} AttachmentFile
+ * @property {string} path - Absolute path
+ * @property {string} name - File name as uploaded
+ * @property {number} size - Bytes
+ */
+
+/**
+ * Split an attachments cell into the paths it lists.
+ *
+ * @param {*} value
+ * @returns {string[]}
+ */
+function splitPaths(value) {
+  if (value === undefined || value === null) return [];
+  return String(value).split(/[,;\r\n]+/).map(part => part.trim()).filter(part => part !== '' && part !== 'N/A');
+}
+
+/**
+ * The IDs a defect's evidence may be filed under in attachmentsDir.
+ *
+ * @param {Object} defect - From mapDefect
+ * @param {Object} profile - As returned by resolveProfile
+ * @returns {string[]}
+ */
+function getEvidenceIds(defect, profile) {
+  const ids = [profile.externalId ? defect.externalId : null, defect.testCaseId];
+  return [...new Set(ids.filter(Boolean))];
+}
+
+// Regular, non-hidden files directly inside a folder
+function listFiles(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+}
+
+// Files in the evidence folder filed under one of the IDs
+function findEvidenceFiles(dir, ids) {
+  const matches = [];
+  for (const id of ids) {
+    const wanted = id.toLowerCase();
+    matches.push(...listFiles(path.join(dir, id)));
+    matches.push(...listFiles(dir).filter(file => {
+      const name = path.parse(file).name.toLowerCase();
+      return name === wanted || [' ', '-', '_'].some(separator => name.startsWith(wanted + separator));
+    }));
+  }
+  return matches;
+}
+
+/**
+ * Find the files to attach to a defect's bug.
+ *
+ * @param {Object} defect - From mapDefect
+ * @param {Object} profile - As returned by resolveProfile
+ * @param {Object} options
+ * @param {string} options.baseDir - Folder relative paths are resolved from (the defect log's)
+ * @param {number} [options.maxBytes] - Larger files are reported instead of uploaded
+ * @returns {{files: AttachmentFile[], missing: string[], tooLarge: AttachmentFile[]}}
+ */
+function findAttachments(defect, profile, options) {
+  const { baseDir, maxBytes = DEFAULT_MAX_ATTACHMENT_MB * 1024 * 1024 } = options;
+  const files = [];
+  const missing = [];
+  const tooLarge = [];
+  const seen = new Set();
+
+  const add = filePath => {
+    if (seen.has(filePath)) return;
+    seen.add(filePath);
+    const file = { path: filePath, name: path.basename(filePath), size: fs.statSync(filePath).size };
+    (file.size > maxBytes ? tooLarge : files).push(file);
+  };
+
+  for (const listed of defect.attachments || []) {
+    const filePath = path.resolve(baseDir, listed);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      add(filePath);
+    } else {
+      missing.push(listed);
+    }
+  }
+
+  if (profile.attachmentsDir) {
+    findEvidenceFiles(path.resolve(baseDir, profile.attachmentsDir), getEvidenceIds(defect, profile)).forEach(add);
+  }
+
+  return { files, missing, tooLarge };
+}
+
+/**
+ * A file size for people: 512 B, 120 KB, 2.4 MB.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Upload a file to an issue. JIRA rejects multipart posts without the
+ * X-Atlassian-Token header as a cross-site request.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} issueKey
+ * @param {AttachmentFile} file
+ * @returns {Promise<Object>} The attachment JIRA created
+ */
+async function uploadAttachment(client, issueKey, file) {
+  const form = new FormData();
+  form.append('file', new Blob([await fs.promises.readFile(file.path)]), file.name);
+
+  const response = await client.post(`/rest/api/3/issue/${issueKey}/attachments`, form, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+      'X-Atlassian-Token': 'no-check'
+    }
+  });
+  return response.data[0];
+}
+
+module.exports = {
+  DEFAULT_MAX_ATTACHMENT_MB,
+  splitPaths,
+  getEvidenceIds,
+  findAttachments,
+  formatSize,
+  uploadAttachment
+};
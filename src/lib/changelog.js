@@ -0,0 +1,187 @@
+// Status timelines built from issue changelogs.
+//
+// Every report that asks "when did this issue enter X" or "when was it
+// completed" reads the answer from the same timeline, so the reports agree.
+// Statuses are compared case-insensitively. Days are UTC calendar days, as
+// in the reports' own dates, whatever offset JIRA gave a timestamp.
+
+/**
+ * @typedef {Object} StatusInterval
+ * @property {?string} status - Status name as JIRA reports it
+ * @property {?string} entered - Timestamp the issue entered the status; the
+ *   first interval starts at the issue's creation date when known
+ * @property {?string} exited - Timestamp the issue left the status, null while current
+ * @property {?number} durationMs - Time spent in the status (up to now while current)
+ * @property {?string} author - Who moved the issue into the status
+ */
+
+function normalizeStatus(status) {
+  return String(status || '').trim().toUpperCase();
+}
+
+function toStatusSet(statuses) {
+  return new Set((Array.isArray(statuses) ? statuses : [statuses]).map(normalizeStatus));
+}
+
+// Statuses to test against: a name, a list of names or a predicate (workflow.isDone)
+function toStatusMatcher(statuses) {
+  if (typeof statuses === 'function') return status => Boolean(statuses(status));
+  const targets = toStatusSet(statuses);
+  return status => targets.has(normalizeStatus(status));
+}
+
+/**
+ * The UTC calendar day of a JIRA timestamp or a Date; a YYYY-MM-DD string
+ * is returned as it is.
+ *
+ * @param {string|Date} value
+ * @returns {string} YYYY-MM-DD
+ */
+function dayOf(value) {
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  const text = String(value);
+  const time = text.includes('T') ? Date.parse(text) : NaN;
+  return isNaN(time) ? text.split('T')[0] : new Date(time).toISOString().split('T')[0];
+}
+
+/**
+ * List an issue's status changes, oldest first.
+ *
+ * @param {Array<Object>} histories - changelog.histories, in any order
+ * @returns {Array<{at: string, from: ?string, to: ?string, author: ?string}>}
+ */
+function getStatusTransitions(histories) {
+  const transitions = [];
+
+  for (const history of histories || []) {
+    for (const item of history.items || []) {
+      if (item.field === 'status') {
+        transitions.push({
+          at: history.created,
+          from: item.fromString ?? null,
+          to: item.toString ?? null,
+          author: history.author?.displayName || null
+        });
+      }
+    }
+  }
+
+  // Stable, so changes within one history keep their order
+  return transitions.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+/**
+ * Turn an issue's changelog into the ordered list of statuses it has been in.
+ *
+ * @param {import('./jira-client').JiraIssue} issue
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.histories] - Full changelog when it was
+ *   fetched separately (getIssueChangelog); defaults to issue.changelog.histories
+ * @param {Date} [options.now] - End of the current interval for durations
+ * @returns {StatusInterval[]}
+ */
+function buildStatusTimeline(issue, options = {}) {
+  const fields = issue.fields || {};
+  const transitions = getStatusTransitions(options.histories || issue.changelog?.histories);
+  const now = options.now || new Date();
+
+  const initialStatus = transitions.length > 0 ? transitions[0].from : fields.status?.name;
+  if (initialStatus === undefined) return [];
+
+  const timeline = [];
+  let current = {
+    status: initialStatus,
+    entered: fields.created || null,
+    author: fields.creator?.displayName || fields.reporter?.displayName || null
+  };
+
+  const close = (interval, exited) => {
+    const end = exited ? Date.parse(exited) : now.getTime();
+    timeline.push({
+      status: interval.status,
+      entered: interval.entered,
+      exited,
+      durationMs: interval.entered ? Math.max(0, end - Date.parse(interval.entered)) : null,
+      author: interval.author
+    });
+  };
+
+  for (const transition of transitions) {
+    close(current, transition.at);
+    current = { status: transition.to, entered: transition.at, author: transition.author };
+  }
+  close(current, null);
+
+  return timeline;
+}
+
+/**
+ * Find the status an issue entered on a given day.
+ *
+ * @param {import('./jira-client').JiraIssue} issue
+ * @param {string|string[]|function(string): boolean} statuses
+ * @param {string|Date} day
+ * @returns {?string} The status name as it appears in the changelog, or null
+ */
+function enteredStatusOn(issue, statuses, day) {
+  const matches = toStatusMatcher(statuses);
+  const wanted = dayOf(day);
+
+  // The first interval is where the issue was created, not a status change
+  const interval = buildStatusTimeline(issue).slice(1).find(entry =>
+    dayOf(entry.entered) === wanted && matches(entry.status)
+  );
+
+  return interval ? interval.status : null;
+}
+
+/**
+ * The days an issue was completed: each time it moved from a status outside
+ * completedStatuses into one inside it. Moving between completed statuses
+ * (Ready for Release -> Closed) is not a new completion. An issue that is
+ * complete with no recorded transition uses its updated date.
+ *
+ * @param {import('./jira-client').JiraIssue} issue
+ * @param {string[]|function(string): boolean} completedStatuses - Names or workflow.isDone
+ * @returns {string[]} YYYY-MM-DD, oldest first
+ */
+function getCompletionDates(issue, completedStatuses) {
+  const isCompleted = toStatusMatcher(completedStatuses);
+  const timeline = buildStatusTimeline(issue);
+  const dates = [];
+
+  timeline.forEach((interval, i) => {
+    if (!isCompleted(interval.status) || (i > 0 && isCompleted(timeline[i - 1].status))) return;
+
+    const at = i > 0 ? interval.entered : issue.fields?.updated;
+    if (at) dates.push(dayOf(at));
+  });
+
+  return dates;
+}
+
+/**
+ * The day an issue was last completed, if it is complete now. An issue
+ * reopened since its last completion has none; reports counting completions
+ * over a date range use getCompletionDates instead.
+ *
+ * @param {import('./jira-client').JiraIssue} issue
+ * @param {string[]|function(string): boolean} completedStatuses
+ * @returns {?string} YYYY-MM-DD, or null if it is not complete now
+ */
+function getCompletionDate(issue, completedStatuses) {
+  const timeline = buildStatusTimeline(issue);
+  if (timeline.length === 0 || !toStatusMatcher(completedStatuses)(timeline[timeline.length - 1].status)) return null;
+
+  const dates = getCompletionDates(issue, completedStatuses);
+  return dates.length > 0 ? dates[dates.length - 1] : null;
+}
+
+module.exports = {
+  dayOf,
+  getStatusTransitions,
+  buildStatusTimeline,
+  enteredStatusOn,
+  getCompletionDates,
+  getCompletionDate
+};
@@ -0,0 +1,149 @@
+// Every jira-utils command and the script behind it, shared by src/cli.js and
+// the argument parsing in lib/config.js.
+
+// Command groups. `formats` maps each --format value to the script that
+// produces it; the first entry is the default. Commands with `makesChanges`
+// are given --dry-run to preview their changes instead of being skipped.
+// `valueFlags` lists the script's own flags that take a value, so the CLI and
+// lib/config.js keep each value with its flag instead of reading it as a
+// positional argument.
+const COMMANDS = {
+  report: {
+    description: 'Sprint and project reports',
+    commands: {
+      'sprint': {
+        description: 'Sprint PDF report from the Excel plan',
+        usage: '<sprint-number>',
+        formats: { pdf: 'generate-sprint-report.js' }
+      },
+      'burndown': {
+        description: 'Burndown and scope change summary',
+        formats: { json: 'generate-burndown-summary.js' }
+      },
+      'so-far': {
+        description: 'Day-by-day progress for the sprint',
+        formats: { json: 'generate-sprint-so-far.js' }
+      },
+      'flow': {
+        description: 'Cumulative flow by workflow stage, JSON and CSV (PDF is built from the sprint\'s JSON)',
+        usage: '[sprint-number]',
+        formats: { json: 'generate-cumulative-flow.js', pdf: 'generate-cumulative-flow-pdf.js' }
+      },
+      'points-by-status': {
+        description: 'Story points by status for the sprint',
+        formats: { json: 'generate-points-by-status.js' }
+      },
+      'work-today': {
+        description: 'Work completed today (PDF is built from today\'s JSON)',
+        usage: '[date]',
+        formats: { json: 'generate-work-done-today-report.js', pdf: 'generate-work-today-pdf.js' }
+      },
+      'assignee': {
+        description: 'Per-assignee workload (PDF is built from the sprint\'s JSON)',
+        usage: '[sprint-number]',
+        formats: { json: 'generate-assignee-report.js', pdf: 'generate-assignee-pdf.js' }
+      },
+      'allocation': {
+        description: 'Assignee allocation across the configured sprints',
+        formats: { json: 'generate-assignee-allocation-report.js' }
+      },
+      'estimates': {
+        description: 'Estimated points for the configured upcoming sprints',
+        formats: { json: 'generate-sprint-estimates.js' }
+      },
+      'epics': {
+        description: 'Epic completion for the configured fix version',
+        formats: { json: 'generate-complete-epics.js' }
+      },
+      'design': {
+        description: 'Design task progress (PDF is built from the JSON)',
+        formats: { json: 'generate-design-progress.js', pdf: 'generate-design-status-pdf.js' }
+      }
+    }
+  },
+  qa: {
+    description: 'QA tracking',
+    commands: {
+      'entered': {
+        description: 'Issues that moved into QA',
+        formats: { json: 'generate-jira-into-QA.js' }
+      },
+      'current': {
+        description: 'Issues currently in QA',
+        formats: { json: 'generate-issues-currently-in-qa.js' }
+      },
+      'stale': {
+        description: 'Time in status, flagging issues stuck too long',
+        formats: { json: 'generate-time-in-status.js' }
+      }
+    }
+  },
+  dev: {
+    description: 'Development tracking',
+    commands: {
+      'entered': {
+        description: 'Issues that moved into development',
+        formats: { json: 'generate-jira-into-dev.js' }
+      },
+      'review': {
+        description: 'Issues in dev or review, grouped by assignee',
+        formats: { json: 'generate-dev-review-by-assignee.js' }
+      }
+    }
+  },
+  points: {
+    description: 'Story point queries',
+    commands: {
+      'completed': {
+        description: 'Points completed between two dates',
+        usage: '<start-date> <end-date>',
+        formats: { json: 'get-jira-completed-points.js' }
+      }
+    }
+  },
+  plan: {
+    description: 'Excel plan maintenance',
+    commands: {
+      'sheets': {
+        description: 'Generate the daily sprint sheets in the plan workbook',
+        formats: { xlsx: 'generate-sprint-sheets.js' }
+      },
+      'sync': {
+        description: 'Write delivered points from JIRA into the plan workbook, after showing what changes',
+        usage: '[date] [--yes]',
+        formats: { xlsx: 'sync-plan-actuals.js' },
+        makesChanges: true
+      }
+    }
+  },
+  defects: {
+    description: 'Defect management',
+    commands: {
+      'upload': {
+        description: 'Create JIRA bugs from a defect log (CSV or .xlsx) using a column mapping profile',
+        usage: '[--csv <path>] [--sheet <name>] [--profile <name>] [--sync] [--on-duplicate ask|link|skip|create] [--resume] [--undo <run ID>|last]',
+        formats: { json: 'nh-defect-upload.js' },
+        valueFlags: ['--csv', '--sheet', '--profile', '--on-duplicate', '--undo'],
+        makesChanges: true
+      },
+      'export': {
+        description: 'Copy of the defect log with each row\'s JIRA key, status, assignee, fix version and last update',
+        usage: '[--csv <path>] [--sheet <name>] [--profile <name>]',
+        formats: { json: 'nh-defect-export.js' },
+        valueFlags: ['--csv', '--sheet', '--profile']
+      }
+    }
+  }
+};
+
+// Value flags every script accepts: the config overrides (lib/config.js) and
+// the fixtures directory (lib/fixtures.js)
+const COMMON_VALUE_FLAGS = ['--project', '--sprint', '--fix-version', '--fixtures'];
+
+// Every flag a script reads with a value, common or command-specific
+const SCRIPT_VALUE_FLAGS = [...new Set([
+  ...COMMON_VALUE_FLAGS,
+  ...Object.values(COMMANDS).flatMap(group => Object.values(group.commands).flatMap(command => command.valueFlags || []))
+])];
+
+module.exports = { COMMANDS, SCRIPT_VALUE_FLAGS };
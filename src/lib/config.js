@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { SCRIPT_VALUE_FLAGS } = require('./commands');
+const { DEFAULT_PROFILE_NAME } = require('./defects');
+const { validateDefaultsShape } = require('./issue-defaults');
+const { validatePriorityRules } = require('./priority-rules');
+const { validateReleases } = require('./releases');
+const { validateCalendar } = require('./team-calendar');
+
+// Central project configuration shared by every script.
+//
+// Values are read from jira-utils.config.json in the repository root (or the
+// file named by --config / JIRA_UTILS_CONFIG) and can be overridden per run
+// with --project, --sprint and --fix-version. The sprint defaults to the
+// board's active sprint; see lib/sprints.js for the accepted selectors.
+// Workflow stages are described in lib/workflow.js, bank holidays and team
+// capacity in lib/team-calendar.js.
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'jira-utils.config.json');
+const DEFAULT_REPORTS_DIR = path.join(__dirname, '..', '..', 'reports');
+
+// Values used when the config file does not set them
+const DEFAULTS = {
+  sprint: 'active',
+  fields: {
+    storyPoints: 'customfield_10003',
+    sprint: 'customfield_11150'
+  }
+};
+
+// CLI flags that override config values
+const CLI_OVERRIDES = {
+  '--project': 'project',
+  '--sprint': 'sprint',
+  '--fix-version': 'fixVersion'
+};
+
+// Expected type of each known config value
+const SCHEMA = {
+  'project': 'string',
+  'sprint': 'string',
+  'boardId': 'number',
+  'fixVersion': 'string',
+  'estimateSprints': 'string[]',
+  'allocationSprints': 'string[]',
+  'fields.storyPoints': 'string',
+  'fields.sprint': 'string',
+  'defects.epicKey': 'string',
+  'defects.profile': 'string',
+  'defects.maxAttachmentMb': 'number',
+  'defects.undoStatus': 'string',
+  'workflow.todo': 'string[]',
+  'workflow.dev': 'string[]',
+  'workflow.review': 'string[]',
+  'workflow.qa': 'string[]',
+  'workflow.done': 'string[]'
+};
+
+const TYPE_DESCRIPTIONS = {
+  'string': 'a non-empty string',
+  'number': 'a positive whole number',
+  'string[]': 'a list of non-empty strings'
+};
+
+// Where each value can be set, used in error messages
+const HINTS = {
+  'project': '"project" in the config file or --project',
+  'sprint': '"sprint" in the config file or --sprint',
+  'fixVersion': '"fixVersion" in the config file or --fix-version'
+};
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Split argv into config flags, positional arguments and anything else
+function parseCliArgs(argv) {
+  const overrides = {};
+  const args = [];
+  let configPath = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s, 2) : [arg];
+
+    if (flag === '--config' || CLI_OVERRIDES[flag]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new ConfigError(`Missing value for ${flag}`);
+      }
+      if (flag === '--config') {
+        configPath = value;
+      } else {
+        overrides[CLI_OVERRIDES[flag]] = value;
+      }
+    } else if (SCRIPT_VALUE_FLAGS.includes(flag)) {
+      // Read elsewhere; the value must not be taken as a positional argument
+      if (inlineValue === undefined) i++;
+    } else if (!arg.startsWith('--')) {
+      args.push(arg);
+    }
+  }
+
+  return { overrides, args, configPath };
+}
+
+/**
+ * Read the value of a script-specific flag (--csv <path> or --csv=<path>).
+ *
+ * @param {string[]} argv
+ * @param {string} flag - e.g. '--csv'
+ * @returns {string|undefined}
+ */
+function getFlagValue(argv, flag) {
+  let value;
+  argv.forEach((arg, i) => {
+    if (arg === flag && argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) value = argv[i + 1];
+    if (arg.startsWith(`${flag}=`)) value = arg.slice(flag.length + 1);
+  });
+  return value;
+}
+
+function getPath(obj, dottedKey) {
+  return dottedKey.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function matchesType(value, type) {
+  if (type === 'string') {
+    return typeof value === 'string' && value.trim() !== '';
+  }
+  if (type === 'number') {
+    return Number.isInteger(value) && value > 0;
+  }
+  if (type === 'string[]') {
+    return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+  }
+  return true;
+}
+
+// Check types of known keys and presence of required keys
+function validateConfig(config, required = []) {
+  const problems = [];
+
+  for (const [key, type] of Object.entries(SCHEMA)) {
+    const value = getPath(config, key);
+    if (value !== undefined && value !== null && !matchesType(value, type)) {
+      problems.push(`"${key}" must be ${TYPE_DESCRIPTIONS[type]}`);
+    }
+  }
+
+  if (typeof config.project === 'string' && config.project && !/^[A-Z][A-Z0-9_]+$/.test(config.project)) {
+    problems.push(`"project" must be a JIRA project key (e.g. VER10), got "${config.project}"`);
+  }
+
+  problems.push(...validateReleases(config.releases));
+  problems.push(...validateCalendar(config.calendar));
+
+  // Workflow stages are a fixed set (see lib/workflow.js) and a status can only be in one
+  const stageOf = {};
+  for (const [stage, statuses] of Object.entries(config.workflow || {})) {
+    if (!SCHEMA[`workflow.${stage}`]) {
+      problems.push(`"workflow.${stage}" is not a workflow stage (use todo, dev, review, qa or done)`);
+      continue;
+    }
+    for (const status of Array.isArray(statuses) ? statuses : []) {
+      const key = String(status).trim().toUpperCase();
+      if (stageOf[key]) {
+        problems.push(`Status "${status}" is listed in both "workflow.${stageOf[key]}" and "workflow.${stage}"`);
+      }
+      stageOf[key] = stage;
+    }
+  }
+
+  // Defect mapping profiles (see lib/defects.js) must at least name a summary column
+  const profiles = config.defects?.profiles;
+  if (profiles !== undefined && (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles))) {
+    problems.push('"defects.profiles" must map profile names to column mappings');
+  } else {
+    for (const [name, profile] of Object.entries(profiles || {})) {
+      if (!profile || !matchesType(profile.summary, 'string')) {
+        problems.push(`"defects.profiles.${name}.summary" must name the CSV column used as the bug summary`);
+      }
+      problems.push(...validateDefaultsShape(profile?.defaults, `defects.profiles.${name}.defaults`));
+      problems.push(...validatePriorityRules(profile?.priorityRules, `defects.profiles.${name}.priorityRules`));
+    }
+  }
+  problems.push(...validateDefaultsShape(config.defects?.defaults, 'defects.defaults'));
+  const profileNames = [DEFAULT_PROFILE_NAME, ...Object.keys(profiles || {})];
+  if (typeof config.defects?.profile === 'string' && !profileNames.includes(config.defects.profile)) {
+    problems.push(`"defects.profile" names an unknown profile "${config.defects.profile}" (available: ${profileNames.join(', ')})`);
+  }
+
+  for (const key of required) {
+    const value = getPath(config, key);
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      problems.push(`Missing required value "${key}" - set ${HINTS[key] || `"${key}" in the config file`}`);
+    }
+  }
+
+  return problems;
+}
+
+// Read and parse the config file
+function readConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file not found: ${configPath}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`Could not parse config file ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Resolve configuration from the config file and CLI overrides.
+ * Throws a ConfigError describing every problem found.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.argv] - Arguments to parse (default: process.argv.slice(2))
+ * @param {string[]} [options.required] - Keys that must have a value, e.g. ['project', 'sprint']
+ * @param {Object} [options.env] - Environment to read JIRA_UTILS_CONFIG from
+ * @returns {Object} Config values plus `args` (positional arguments) and `configPath`
+ */
+function resolveConfig(options = {}) {
+  const argv = options.argv || process.argv.slice(2);
+  const env = options.env || process.env;
+  const { overrides, args, configPath: cliConfigPath } = parseCliArgs(argv);
+
+  const configPath = path.resolve(cliConfigPath || env.JIRA_UTILS_CONFIG || DEFAULT_CONFIG_PATH);
+  const fileConfig = readConfigFile(configPath);
+
+  const config = {
+    ...DEFAULTS,
+    ...fileConfig,
+    ...overrides,
+    fields: { ...DEFAULTS.fields, ...(fileConfig.fields || {}) },
+    defects: { ...(fileConfig.defects || {}) },
+    workflow: { ...(fileConfig.workflow || {}) }
+  };
+
+  const problems = validateConfig(config, options.required);
+  if (problems.length > 0) {
+    throw new ConfigError(`Invalid configuration in ${configPath}`, problems);
+  }
+
+  return { ...config, args, configPath };
+}
+
+/**
+ * Load configuration for a script, exiting with a clear error if it is invalid.
+ *
+ * @param {Object} [options] - See resolveConfig
+ * @returns {Object}
+ */
+function loadConfig(options = {}) {
+  try {
+    return resolveConfig(options);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ Error: ${error.message}`);
+    error.problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exit(1);
+  }
+}
+
+// Directory generated reports are written to and read from (jira-utils --out),
+// created if missing
+function getReportsDir(env = process.env) {
+  const reportsDir = env.JIRA_UTILS_OUT_DIR ? path.resolve(env.JIRA_UTILS_OUT_DIR) : DEFAULT_REPORTS_DIR;
+  if (!fs.existsSync(reportsDir)) {
+    fs.mkdirSync(reportsDir, { recursive: true });
+  }
+  return reportsDir;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_REPORTS_DIR,
+  ConfigError,
+  parseCliArgs,
+  getFlagValue,
+  validateConfig,
+  resolveConfig,
+  loadConfig,
+  getReportsDir
+};
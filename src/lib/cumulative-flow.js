@@ -0,0 +1,125 @@
+// Cumulative flow: points in each workflow stage at the end of every sprint day.
+
+const { buildStatusTimeline, dayOf } = require('./changelog');
+const { DEFAULT_STORY_POINTS, getDateRange } = require('./sprint-progress');
+const { createWorkflow } = require('./workflow');
+
+// Statuses the workflow does not map are counted here
+const OTHER_STAGE = 'other';
+
+// A stage's points must rise this many days in a row to be flagged
+const BOTTLENECK_RUN_DAYS = 3;
+
+/**
+ * The status an issue was in at the end of a day, read from its timeline.
+ * Days follow the same rule as the other reports: the date part of JIRA's
+ * timestamp.
+ *
+ * @param {import('./changelog').StatusInterval[]} timeline
+ * @param {string} day - YYYY-MM-DD
+ * @returns {?import('./changelog').StatusInterval} null if the issue did not exist yet
+ */
+function intervalAtEndOf(timeline, day) {
+  let current = null;
+  for (const interval of timeline) {
+    // The first interval has no entry date when the creation date is unknown
+    if (interval.entered && dayOf(interval.entered) > day) break;
+    current = interval;
+  }
+  return current;
+}
+
+/**
+ * Points (and issue counts) in each stage at the end of each day from
+ * startDate to endDate. Issues count from the day they were created, at
+ * their current estimate; unestimated issues count as 2 points.
+ *
+ * @param {import('./jira-client').JiraIssue[]} issues - With changelogs
+ * @param {Object} options
+ * @param {string} options.startDate - YYYY-MM-DD
+ * @param {string} options.endDate - YYYY-MM-DD
+ * @param {string} options.storyPointsField
+ * @param {Object} [options.workflow] - Maps statuses to stages (lib/workflow)
+ * @returns {{stages: string[], days: Array<{date: string, points: Object<string, number>, issues: Object<string, number>}>}}
+ */
+function calculateCumulativeFlow(issues, options) {
+  const { startDate, endDate, storyPointsField } = options;
+  const workflow = options.workflow || createWorkflow();
+  const stages = [...workflow.stages, OTHER_STAGE];
+
+  const timelines = issues.map(issue => ({
+    points: issue.fields[storyPointsField] || DEFAULT_STORY_POINTS,
+    timeline: buildStatusTimeline(issue)
+  }));
+
+  const days = getDateRange(startDate, endDate).map(date => {
+    const points = Object.fromEntries(stages.map(stage => [stage, 0]));
+    const counts = Object.fromEntries(stages.map(stage => [stage, 0]));
+
+    for (const { points: issuePoints, timeline } of timelines) {
+      const interval = intervalAtEndOf(timeline, date);
+      if (!interval) continue;
+
+      const stage = workflow.getStage(interval.status) || OTHER_STAGE;
+      points[stage] += issuePoints;
+      counts[stage] += 1;
+    }
+
+    return { date, points, issues: counts };
+  });
+
+  return { stages, days };
+}
+
+/**
+ * Summarise each in-flight stage (not To Do or Done) over the period: its
+ * points at the start and end, its peak, and the longest run of days its
+ * points kept rising. A stage that rose BOTTLENECK_RUN_DAYS days in a row is
+ * flagged as a likely bottleneck.
+ *
+ * @param {ReturnType<typeof calculateCumulativeFlow>} flow
+ * @returns {Array<{stage: string, start: number, end: number, peak: number, peakDate: ?string, longestRise: number, risingSince: ?string, bottleneck: boolean}>}
+ */
+function findBottlenecks(flow) {
+  const inFlight = flow.stages.filter(stage => !['todo', 'done', OTHER_STAGE].includes(stage));
+
+  return inFlight.map(stage => {
+    const series = flow.days.map(day => day.points[stage]);
+    let peak = 0;
+    let peakDate = null;
+    let run = 0;
+    let longestRise = 0;
+    let risingSince = null;
+
+    series.forEach((points, i) => {
+      if (points > peak) {
+        peak = points;
+        peakDate = flow.days[i].date;
+      }
+
+      run = i > 0 && points > series[i - 1] ? run + 1 : 0;
+      if (run > longestRise) {
+        longestRise = run;
+        risingSince = flow.days[i - run].date;
+      }
+    });
+
+    return {
+      stage,
+      start: series.length > 0 ? series[0] : 0,
+      end: series.length > 0 ? series[series.length - 1] : 0,
+      peak,
+      peakDate,
+      longestRise,
+      risingSince,
+      bottleneck: longestRise >= BOTTLENECK_RUN_DAYS
+    };
+  });
+}
+
+module.exports = {
+  OTHER_STAGE,
+  BOTTLENECK_RUN_DAYS,
+  calculateCumulativeFlow,
+  findBottlenecks
+};
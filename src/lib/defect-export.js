@@ -0,0 +1,157 @@
+// Writing JIRA's view of each defect back into a copy of the customer's log.
+//
+// Rows are matched to bugs by the sync label the importer gave them
+// (lib/defect-sync). The JIRA columns go after the log's own columns, or
+// replace the ones already there when an exported log is exported again.
+
+const { cellText, formatDate } = require('./excel');
+
+const EXPORT_COLUMNS = ['Jira Key', 'Jira Status', 'Jira Assignee', 'Jira Fix Version', 'Jira Last Updated'];
+
+// Issue fields the export columns are read from
+const EXPORT_FIELDS = ['status', 'assignee', 'fixVersions', 'updated', 'labels'];
+
+/**
+ * The export column values for a bug, in EXPORT_COLUMNS order. The last
+ * updated value is the calendar day as JIRA reports it (YYYY-MM-DD).
+ *
+ * @param {?import('./jira-client').JiraIssue} issue - null for rows with no bug
+ * @returns {string[]}
+ */
+function getExportValues(issue) {
+  if (!issue) return EXPORT_COLUMNS.map(() => '');
+
+  const fields = issue.fields || {};
+  return [
+    issue.key,
+    fields.status?.name || '',
+    fields.assignee?.displayName || 'Unassigned',
+    (fields.fixVersions || []).map(version => version.name).join(', '),
+    fields.updated ? String(fields.updated).split('T')[0] : ''
+  ];
+}
+
+/**
+ * Where each export column goes: the header's position when the log already
+ * has it (matched case-insensitively), else after the last column.
+ *
+ * @param {string[]} headers
+ * @returns {number[]} Zero-based column index per EXPORT_COLUMNS entry
+ */
+function placeExportColumns(headers) {
+  const names = headers.map(header => String(header || '').trim().toLowerCase());
+  let next = names.length;
+  while (next > 0 && names[next - 1] === '') next--;
+
+  return EXPORT_COLUMNS.map(column => {
+    const index = names.indexOf(column.toLowerCase());
+    return index === -1 ? next++ : index;
+  });
+}
+
+// YYYY-MM-DD -> DD/MM/YYYY, as dates appear in the CSV log
+function toLogDate(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return formatDate(new Date(year, month - 1, date));
+}
+
+/**
+ * Add the export columns to a CSV log's rows. The first row is the header;
+ * rows are otherwise copied as they are, blank rows included.
+ *
+ * @param {string[][]} rows - The log as parsed, without trimming
+ * @param {function(Object<string, string>): ?Object} issueForRecord - The bug
+ *   for a row, given the row keyed by (trimmed) header
+ * @returns {string[][]}
+ */
+function exportCsvRows(rows, issueForRecord) {
+  const [header = [], ...data] = rows;
+  const headers = header.map(name => String(name).trim());
+  const columns = placeExportColumns(headers);
+  const width = Math.max(header.length, ...columns.map(index => index + 1));
+  const pad = row => [...row, ...new Array(Math.max(0, width - row.length)).fill('')];
+
+  const output = [pad(header)];
+  columns.forEach((index, i) => { output[0][index] = EXPORT_COLUMNS[i]; });
+
+  for (const row of data) {
+    const copy = pad(row);
+    if (row.some(cell => String(cell).trim() !== '')) {
+      const record = Object.fromEntries(headers.map((name, i) => [name, String(row[i] ?? '').trim()]));
+      const values = getExportValues(issueForRecord(record));
+      values[4] = values[4] && toLogDate(values[4]);
+      columns.forEach((index, i) => { copy[index] = values[i]; });
+    }
+    output.push(copy);
+  }
+
+  return output;
+}
+
+// Quote a CSV value when it needs it
+function csvValue(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Add the export columns to a worksheet in place, keeping its formatting.
+ * New header cells take the style of the last header cell, and the last
+ * updated column holds real dates.
+ *
+ * @param {import('exceljs').Worksheet} worksheet
+ * @param {ReturnType<import('./excel').readSheetRecords>} sheet - The records read from worksheet
+ * @param {function(Object<string, string>): ?Object} issueForRecord
+ */
+function exportWorksheet(worksheet, sheet, issueForRecord) {
+  const headerRow = worksheet.getRow(sheet.headerRow);
+  const headers = [];
+  for (let c = 1; c <= worksheet.columnCount; c++) {
+    headers.push(cellText(headerRow.getCell(c)));
+  }
+
+  const columns = placeExportColumns(headers);
+  const lastHeader = headerRow.getCell(Math.max(1, headers.map(header => header !== '').lastIndexOf(true) + 1));
+  columns.forEach((index, i) => {
+    const cell = headerRow.getCell(index + 1);
+    if (cell.value === null || cell.value === undefined) {
+      cell.style = JSON.parse(JSON.stringify(lastHeader.style || {}));
+    }
+    cell.value = EXPORT_COLUMNS[i];
+
+    const column = worksheet.getColumn(index + 1);
+    column.width = Math.max(column.width || 0, EXPORT_COLUMNS[i].length + 2);
+  });
+
+  sheet.records.forEach((record, r) => {
+    const values = getExportValues(issueForRecord(record));
+    const row = worksheet.getRow(sheet.rowNumbers[r]);
+    columns.forEach((index, i) => {
+      const cell = row.getCell(index + 1);
+      if (i === 4 && values[i]) {
+        cell.value = new Date(`${values[i]}T00:00:00Z`);
+        cell.numFmt = 'dd/mm/yyyy';
+      } else {
+        cell.value = values[i] || null;
+      }
+    });
+  });
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FIELDS,
+  getExportValues,
+  placeExportColumns,
+  exportCsvRows,
+  toCsv,
+  exportWorksheet
+};
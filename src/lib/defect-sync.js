@@ -0,0 +1,145 @@
+// Keeping JIRA bugs in step with the customer's defect log.
+//
+// Every bug the importer creates carries a label naming its defect row
+// (defect-<profile>-<external ID>) so it can be found again with JQL, and an
+// issue property holding the row's values as last synced. A later --sync run
+// compares the log against that snapshot, updates only what changed and
+// leaves a comment saying what it changed.
+
+// Issue property holding the last synced values
+const SYNC_PROPERTY = 'jira-utils.defect-sync';
+
+// Values compared between syncs, with the names used in change comments
+const SYNCED_FIELDS = {
+  summary: 'Summary',
+  priorityCode: 'Priority',
+  description: 'Description',
+  labels: 'Labels',
+  components: 'Components',
+  customFields: 'Custom fields'
+};
+
+/**
+ * The label that ties a bug to its defect row.
+ *
+ * @param {string} profileName
+ * @param {string} externalId
+ * @returns {string} e.g. defect-nh-uat-UAT-PPP-003
+ */
+function toSyncLabel(profileName, externalId) {
+  const safe = value => String(value).trim().replace(/[^A-Za-z0-9_.-]+/g, '-');
+  return `defect-${safe(profileName)}-${safe(externalId)}`;
+}
+
+/**
+ * The values of a mapped defect that are synced, in a stable order.
+ *
+ * @param {ReturnType<import('./defects').mapDefect>} defect
+ * @returns {Object}
+ */
+function snapshotDefect(defect) {
+  return {
+    summary: defect.summary,
+    priorityCode: defect.priorityCode,
+    description: defect.description,
+    labels: [...defect.labels].sort(),
+    components: [...defect.components].sort(),
+    customFields: Object.fromEntries(Object.entries(defect.customFields).sort(([a], [b]) => a.localeCompare(b)))
+  };
+}
+
+/**
+ * The synced values that differ between two snapshots.
+ *
+ * @param {Object} previous - snapshotDefect() as stored at the last sync
+ * @param {Object} current - snapshotDefect() of the row now
+ * @returns {Array<{field: string, label: string, from: *, to: *}>}
+ */
+function diffDefect(previous, current) {
+  const changes = [];
+  for (const [field, label] of Object.entries(SYNCED_FIELDS)) {
+    const from = previous[field];
+    const to = current[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, label, from, to });
+    }
+  }
+  return changes;
+}
+
+// Show a synced value in a comment
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    return entries.length > 0 ? entries.map(([key, v]) => `${key}: ${v}`).join(', ') : '(none)';
+  }
+  return value === undefined || value === null || value === '' ? '(none)' : String(value);
+}
+
+/**
+ * Comment lines describing what a sync changed. Descriptions are long, so
+ * only the fact that they changed is reported.
+ *
+ * @param {ReturnType<typeof diffDefect>} changes
+ * @param {string} source - Where the change came from, e.g. the log's file name
+ * @returns {string[]}
+ */
+function describeChanges(changes, source) {
+  const lines = [`Updated from the defect log (${source}):`];
+  for (const change of changes) {
+    if (change.field === 'description') {
+      lines.push('- Description updated');
+    } else {
+      lines.push(`- ${change.label}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Read the values an issue was last synced with.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} issueKey
+ * @returns {Promise<?{profile: string, externalId: string, syncedAt: string, values: Object}>}
+ *   null if the issue has never been synced
+ */
+async function readSyncState(client, issueKey) {
+  try {
+    const response = await client.get(`/rest/api/3/issue/${issueKey}/properties/${SYNC_PROPERTY}`);
+    return response.data.value;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Record the values an issue now matches.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} issueKey
+ * @param {string} profileName
+ * @param {ReturnType<import('./defects').mapDefect>} defect
+ * @returns {Promise<void>}
+ */
+async function writeSyncState(client, issueKey, profileName, defect) {
+  await client.put(`/rest/api/3/issue/${issueKey}/properties/${SYNC_PROPERTY}`, {
+    profile: profileName,
+    externalId: defect.externalId,
+    syncedAt: new Date().toISOString(),
+    values: snapshotDefect(defect)
+  });
+}
+
+module.exports = {
+  SYNC_PROPERTY,
+  SYNCED_FIELDS,
+  toSyncLabel,
+  snapshotDefect,
+  diffDefect,
+  describeChanges,
+  readSyncState,
+  writeSyncState
+};
@@ -0,0 +1,383 @@
+// Mapping defect log rows onto JIRA bug fields.
+//
+// Each source of defect logs has a mapping profile naming the CSV columns that
+// feed the summary, description sections, priority, labels, components and
+// custom fields. Profiles live under "defects.profiles" in
+// jira-utils.config.json; "nh-uat" (the NH UAT defect log) is built in and is
+// used when no profile is chosen.
+
+const crypto = require('crypto');
+const path = require('path');
+const { splitPaths } = require('./attachments');
+const { doc, heading, fieldTable } = require('./adf');
+const { findPriorityRule, getRuleColumns } = require('./priority-rules');
+
+const DEFAULT_PROFILE_NAME = 'nh-uat';
+
+/**
+ * @typedef {Object} DefectProfile
+ * @property {string} [csv] - Defect log path (.csv or .xlsx), relative to the config file
+ * @property {string} [sheet] - Worksheet to read from an .xlsx log (default: the
+ *   first sheet with the summary column in its header row)
+ * @property {string} summary - Column used as the bug summary (and duplicate check)
+ * @property {string} [externalId] - Column holding the customer's defect ID; rows
+ *   without one are identified by their summary
+ * @property {string} [heading] - Heading above the description sections
+ * @property {Array<string|{label: string, column: string}>} [description] -
+ *   Columns listed in the description, in order; a plain string is both label and column
+ * @property {string} [priority] - Column holding the severity: P1-P4, Critical/High/Medium/Low or Sev 1-4
+ * @property {Array<Object>} [priorityRules] - Rules mapping columns onto a priority
+ *   and labels, tried before the priority column (see lib/priority-rules.js)
+ * @property {string[]} [labels] - Columns whose values become labels
+ * @property {string} [components] - Column naming the component(s), comma separated
+ * @property {string} [module] - Column naming the module or screen, compared
+ *   when looking for duplicates
+ * @property {string} [testCaseId] - Column holding the test case ID, compared
+ *   when looking for duplicates; without it an ID in the summary is used
+ * @property {Object<string, string>} [customFields] - JIRA field name or ID -> column
+ * @property {string} [attachments] - Column listing evidence files to attach,
+ *   relative to the defect log (see lib/attachments.js)
+ * @property {string} [attachmentsDir] - Folder, relative to the defect log,
+ *   holding evidence filed by defect ID
+ * @property {Object} [defaults] - Assignee, fixVersion, component, company,
+ *   epicKey and labels for every bug (see lib/issue-defaults.js)
+ */
+
+/** @type {DefectProfile} */
+const NH_UAT_PROFILE = {
+  csv: 'data/CCET Release 1 C UAT Defect Log .csv',
+  summary: 'Defect Name',
+  // Test case IDs are shared between defects (and some rows just say "UAT"),
+  // so rows are identified by their summary
+  externalId: null,
+  heading: 'Defect Details from UAT',
+  description: [
+    'Raised By',
+    'Date Raised',
+    'Environment',
+    'Module / Area',
+    'Related Requirement',
+    'Test Case ID',
+    'Defect Description',
+    'Severity / Priority',
+    'Business Impact',
+    'Impact Area',
+    'Workaround Available?',
+    'Go/No-Go Risk',
+    'Comments / Notes'
+  ],
+  priority: 'Severity / Priority',
+  priorityRules: [],
+  labels: [],
+  components: null,
+  module: 'Module / Area',
+  testCaseId: 'Test Case ID',
+  customFields: {},
+  attachments: null,
+  attachmentsDir: null,
+  defaults: {
+    fixVersion: 'Release 1C'
+  }
+};
+
+// Values a profile falls back to for keys it leaves out
+const PROFILE_DEFAULTS = {
+  externalId: null,
+  heading: 'Defect Details',
+  description: [],
+  priority: null,
+  priorityRules: [],
+  labels: [],
+  components: null,
+  module: null,
+  testCaseId: null,
+  customFields: {},
+  attachments: null,
+  attachmentsDir: null,
+  defaults: {}
+};
+
+// Cell values that mean "nothing here"
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '' || String(value).trim() === 'N/A';
+}
+
+/**
+ * Pick a mapping profile and fill in its defaults.
+ *
+ * @param {Object} [defectsConfig] - config.defects
+ * @param {string} [name] - Profile name (--profile); defaults to defects.profile, then "nh-uat"
+ * @returns {DefectProfile & {name: string}}
+ */
+function resolveProfile(defectsConfig = {}, name) {
+  const profiles = { [DEFAULT_PROFILE_NAME]: NH_UAT_PROFILE, ...(defectsConfig.profiles || {}) };
+  const profileName = name || defectsConfig.profile || DEFAULT_PROFILE_NAME;
+  const profile = profiles[profileName];
+
+  if (!profile) {
+    throw new Error(`Unknown defect profile "${profileName}" (available: ${Object.keys(profiles).join(', ')})`);
+  }
+
+  return {
+    ...PROFILE_DEFAULTS,
+    ...profile,
+    name: profileName,
+    description: (profile.description || []).map(entry =>
+      typeof entry === 'string' ? { label: entry, column: entry } : { label: entry.label || entry.column, column: entry.column }
+    )
+  };
+}
+
+/**
+ * Pick the mapping profile and defect log for a run. The log is the --csv
+ * path (relative to the working directory) or the profile's csv (relative to
+ * the config file), and may be a .csv file or an .xlsx workbook.
+ *
+ * @param {Object} config - Resolved config (lib/config)
+ * @param {{profile?: string, csv?: string, sheet?: string}} [flags] - --profile, --csv and --sheet
+ * @returns {{profile: Object, logPath: string, sheet: ?string}}
+ * @throws {Error} If the profile is unknown, no log is given or the log is an .xls file
+ */
+function resolveDefectLog(config, flags = {}) {
+  const profile = resolveProfile(config.defects, flags.profile);
+
+  if (!flags.csv && !profile.csv) {
+    throw new Error(`No defect log given. Pass --csv <path> or set "csv" in the "${profile.name}" profile`);
+  }
+
+  const logPath = flags.csv ? path.resolve(flags.csv) : path.resolve(path.dirname(config.configPath), profile.csv);
+  if (path.extname(logPath).toLowerCase() === '.xls') {
+    throw new Error('.xls workbooks are not supported; save the defect log as .xlsx or .csv');
+  }
+
+  return { profile, logPath, sheet: flags.sheet || profile.sheet || null };
+}
+
+/**
+ * Every column a profile reads, summary first.
+ *
+ * @param {DefectProfile} profile - As returned by resolveProfile
+ * @returns {string[]}
+ */
+function getProfileColumns(profile) {
+  const columns = [
+    profile.summary,
+    profile.externalId,
+    profile.priority,
+    profile.components,
+    profile.module,
+    profile.testCaseId,
+    profile.attachments,
+    ...profile.labels,
+    ...getRuleColumns(profile.priorityRules),
+    ...profile.description.map(section => section.column),
+    ...Object.values(profile.customFields)
+  ];
+  return [...new Set(columns.filter(Boolean))];
+}
+
+/**
+ * Check a profile against the defect log's header row.
+ *
+ * @param {DefectProfile} profile - As returned by resolveProfile
+ * @param {string[]} headers - Column names in the CSV
+ * @returns {string[]} Problems found; empty when the profile fits
+ */
+function validateProfile(profile, headers) {
+  const problems = [];
+
+  if (typeof profile.summary !== 'string' || profile.summary.trim() === '') {
+    problems.push(`Profile "${profile.name}" must name its summary column`);
+  }
+
+  const available = new Set(headers.map(header => header.trim()));
+  for (const column of getProfileColumns(profile)) {
+    if (!available.has(column.trim())) {
+      problems.push(`Column "${column}" used by profile "${profile.name}" is not in the defect log`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Read a row value by column name, ignoring stray spaces around CSV headers.
+ *
+ * @param {Object<string, string>} row
+ * @param {?string} column
+ * @returns {*} undefined if the row has no such column
+ */
+function getCell(row, column) {
+  if (!column) return undefined;
+  if (row[column] !== undefined) return row[column];
+  const key = Object.keys(row).find(header => header.trim() === column.trim());
+  return key === undefined ? undefined : row[key];
+}
+
+// Severity words customer logs use instead of P1-P4
+const SEVERITY_WORDS = [
+  [/\b(critical|showstopper|blocker|urgent)\b/i, 'P1'],
+  [/\b(high|major)\b/i, 'P2'],
+  [/\b(medium|moderate|normal)\b/i, 'P3'],
+  [/\b(low|minor|trivial|cosmetic)\b/i, 'P4']
+];
+
+// Extract priority from severity/priority column
+function extractPriority(severityText) {
+  if (!severityText) return 'P3'; // Default to P3
+
+  // Try to extract P1, P2, P3, or P4 from the text
+  const match = severityText.match(/P([1-4])/i);
+  if (match) {
+    return `P${match[1]}`;
+  }
+
+  // "Sev 1", "Severity 2", "S3"
+  const severity = severityText.match(/\b(?:sev(?:erity)?|s)[\s-]*([1-4])\b/i);
+  if (severity) {
+    return `P${severity[1]}`;
+  }
+
+  const word = SEVERITY_WORDS.find(([pattern]) => pattern.test(severityText));
+  return word ? word[1] : 'P3'; // Default
+}
+
+// The profile's description sections that have a value in the row
+function getDescriptionFields(row, profile) {
+  return profile.description
+    .map(section => ({ label: section.label, value: getCell(row, section.column) }))
+    .filter(field => !isBlank(field.value));
+}
+
+// Format description from CSV row. This text is what --sync and the duplicate
+// check compare; JIRA is sent the document from buildDescription.
+function formatDescription(row, profile = resolveProfile()) {
+  const description = [];
+
+  description.push(`h3. ${profile.heading}\n`);
+
+  // Add each populated section as a key-value pair
+  getDescriptionFields(row, profile).forEach(field => {
+    description.push(`*${field.label}:* ${field.value}`);
+  });
+
+  return description.join('\n');
+}
+
+/**
+ * The bug description as an Atlassian Document: the profile's heading above a
+ * two-column table of the populated sections. URLs in the log become links.
+ *
+ * @param {Object<string, string>} row - CSV row keyed by header
+ * @param {DefectProfile} [profile] - As returned by resolveProfile
+ * @returns {Object}
+ */
+function buildDescription(row, profile = resolveProfile()) {
+  const fields = getDescriptionFields(row, profile).map(field => ({ ...field, value: String(field.value).trim() }));
+  return doc(heading(3, profile.heading), fields.length > 0 ? fieldTable(fields) : null);
+}
+
+// JIRA labels cannot contain spaces
+function toLabel(value) {
+  return String(value).trim().replace(/\s+/g, '-');
+}
+
+// Split a comma separated cell into its non-blank values
+function splitValues(value) {
+  return isBlank(value) ? [] : String(value).split(',').map(part => part.trim()).filter(part => !isBlank(part));
+}
+
+/**
+ * The stable ID of a defect row: the profile's externalId column, or else a
+ * hash of the summary (case and spacing ignored). Stored on the bug so later
+ * syncs and exports find it again.
+ *
+ * @param {Object<string, string>} row
+ * @param {DefectProfile} profile - As returned by resolveProfile
+ * @param {string} summary
+ * @returns {string}
+ */
+function getExternalId(row, profile, summary) {
+  const explicit = getCell(row, profile.externalId);
+  if (!isBlank(explicit)) return String(explicit).trim();
+
+  const normalized = summary.toLowerCase().replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12);
+}
+
+/**
+ * Map a defect log row onto bug values using a profile. Components and custom
+ * fields are returned by name; resolving them against JIRA is left to the caller.
+ *
+ * @param {Object<string, string>} row - CSV row keyed by header
+ * @param {DefectProfile} [profile] - As returned by resolveProfile
+ * @returns {{externalId: string, summary: string, priorityCode: string, priorityRule: ?string, description: string, descriptionDocument: Object, labels: string[], components: string[], module: ?string, testCaseId: ?string, customFields: Object<string, string>, attachments: string[]}}
+ *   priorityRule names the priority rule the row matched, null if none did
+ */
+function mapDefect(row, profile = resolveProfile()) {
+  const customFields = {};
+  for (const [field, column] of Object.entries(profile.customFields)) {
+    const value = getCell(row, column);
+    if (!isBlank(value)) customFields[field] = String(value).trim();
+  }
+
+  const summary = String(getCell(row, profile.summary) || '').trim();
+  const matched = findPriorityRule(profile.priorityRules, column => getCell(row, column));
+  const labels = profile.labels.flatMap(column => splitValues(getCell(row, column)));
+  const optional = column => (isBlank(getCell(row, column)) ? null : String(getCell(row, column)).trim());
+
+  return {
+    externalId: getExternalId(row, profile, summary),
+    summary,
+    priorityCode: matched ? matched.rule.priority : extractPriority(getCell(row, profile.priority)),
+    priorityRule: matched ? matched.name : null,
+    description: formatDescription(row, profile),
+    descriptionDocument: buildDescription(row, profile),
+    labels: [...new Set([...labels, ...(matched?.rule.labels || [])].map(toLabel))],
+    components: splitValues(getCell(row, profile.components)),
+    module: optional(profile.module),
+    testCaseId: optional(profile.testCaseId),
+    customFields,
+    attachments: splitPaths(getCell(row, profile.attachments))
+  };
+}
+
+/**
+ * Shape a CSV value for a JIRA field according to the field's schema
+ * (from /rest/api/3/field): select lists take {value}, multi-selects and
+ * label-style fields take lists, numbers are parsed.
+ *
+ * @param {{schema?: {type: string, items?: string}}} field
+ * @param {string} value
+ * @returns {*}
+ */
+function toFieldValue(field, value) {
+  const schema = field.schema || {};
+
+  if (schema.type === 'option') return { value };
+  if (schema.type === 'number') return Number(value);
+  if (schema.type === 'array') {
+    const values = splitValues(value);
+    if (schema.items === 'option') return values.map(item => ({ value: item }));
+    if (schema.items === 'string') return values;
+    if (schema.items === 'component' || schema.items === 'version') return values.map(name => ({ name }));
+  }
+
+  return value;
+}
+
+module.exports = {
+  DEFAULT_PROFILE_NAME,
+  NH_UAT_PROFILE,
+  resolveProfile,
+  resolveDefectLog,
+  getProfileColumns,
+  validateProfile,
+  getCell,
+  extractPriority,
+  formatDescription,
+  buildDescription,
+  getExternalId,
+  mapDefect,
+  toFieldValue
+};
@@ -0,0 +1,223 @@
+// Finding bugs a defect log row may duplicate.
+//
+// A row is compared with each candidate bug on four signals: summary and
+// description wording (shared words, ignoring case, punctuation and common
+// words), module and test case ID. Each signal scores 0 to 1 and the score is
+// their weighted average over the signals both sides have, so a bug without a
+// test case ID is judged on the rest.
+
+const { adfToText, readTable } = require('./adf');
+
+// Weight of each signal in the score
+const SIGNAL_WEIGHTS = {
+  summary: 0.5,
+  description: 0.2,
+  module: 0.1,
+  testCaseId: 0.2
+};
+
+// Scores at or above this are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.6;
+
+// Words too common in defect logs to say two defects are alike
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'not', 'of', 'on', 'or', 'the', 'this', 'to', 'when', 'with', 'uat', 'defect'
+]);
+
+// Test case IDs open a summary: an upper case prefix, up to two more words,
+// then a number (UAT-PPP-003, "UAT Login 003")
+const TEST_CASE_ID_PATTERN = /^\s*[A-Z]{2,}(?:[\s-]+[A-Za-z]{2,}){0,2}[\s-]*\d{2,}\b/;
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function toWords(text) {
+  return new Set(normalizeText(text).split(' ').filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+}
+
+/**
+ * How much wording two texts share: the Dice coefficient of their word sets.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {?number} 0 to 1, or null if either has no words
+ */
+function textSimilarity(a, b) {
+  const wordsA = toWords(a);
+  const wordsB = toWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) return null;
+
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * A test case ID in a comparable form: "UAT- LIB-011" -> UAT-LIB-011.
+ * Values without a number ("UAT", "N/A") are not IDs.
+ *
+ * @param {?string} value
+ * @returns {?string}
+ */
+function normalizeTestCaseId(value) {
+  if (!value || !/\d/.test(value)) return null;
+  return String(value).toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * The test case ID named at the start of a summary, if any.
+ *
+ * @param {string} summary
+ * @returns {?string}
+ */
+function extractTestCaseId(summary) {
+  const match = String(summary || '').match(TEST_CASE_ID_PATTERN);
+  return match ? normalizeTestCaseId(match[0]) : null;
+}
+
+// The free text of a description written by formatDescription: sections of
+// three words or more. Short values (names, dates, environments, severities)
+// are shared by unrelated defects, so they are left out.
+function descriptionWords(description) {
+  return String(description || '')
+    .split('\n')
+    .filter(line => !/^h\d\.\s/.test(line))
+    .map(line => line.replace(/^\*[^*]+:\*/, '').trim())
+    .filter(value => value.split(/\s+/).length >= 3)
+    .join(' ');
+}
+
+// Read a "*Label:* value" line from a description written by formatDescription
+function readDescriptionField(description, label) {
+  if (!label) return null;
+  const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = String(description || '').match(new RegExp(`^\\*${escaped}:\\* *(.+)$`, 'm'));
+  return match ? match[1].trim() : null;
+}
+
+// A bug's description in the text form formatDescription writes. Bugs created
+// with a field table are read back row by row as "*Label:* value" lines.
+function readDescription(description) {
+  const rows = readTable(description);
+  if (!rows) return adfToText(description);
+  return rows.filter(cells => cells.length === 2).map(([label, value]) => `*${label}:* ${value}`).join('\n');
+}
+
+/**
+ * What the comparison needs from a JIRA bug. The module and test case ID are
+ * read from the description sections the profile writes, and the module also
+ * from the bug's components.
+ *
+ * @param {import('./jira-client').JiraIssue} issue - With summary, description, components and labels
+ * @param {Object} profile - Resolved defect profile (lib/defects)
+ * @returns {{key: string, summary: string, description: string, modules: string[], testCaseId: ?string, labels: string[]}}
+ */
+function toCandidate(issue, profile) {
+  const fields = issue.fields || {};
+  const description = readDescription(fields.description);
+  const labelOf = column => profile.description.find(section => section.column === column)?.label;
+
+  const module = readDescriptionField(description, labelOf(profile.module));
+  const testCaseId = normalizeTestCaseId(readDescriptionField(description, labelOf(profile.testCaseId)));
+
+  return {
+    key: issue.key,
+    summary: fields.summary || '',
+    description,
+    modules: [module, ...(fields.components || []).map(component => component.name)].filter(Boolean),
+    testCaseId: testCaseId || extractTestCaseId(fields.summary),
+    labels: fields.labels || []
+  };
+}
+
+/**
+ * Score how likely a bug is to be the same defect as a row.
+ *
+ * @param {ReturnType<import('./defects').mapDefect>} defect
+ * @param {ReturnType<typeof toCandidate>} candidate
+ * @returns {{score: number, signals: Object<string, ?number>}} signals are
+ *   null where a side has nothing to compare
+ */
+function scoreDuplicate(defect, candidate) {
+  const defectId = normalizeTestCaseId(defect.testCaseId) || extractTestCaseId(defect.summary);
+  // The ID is its own signal; leave it out of the summary wording
+  const withoutId = summary => String(summary).replace(TEST_CASE_ID_PATTERN, ' ');
+
+  const module = normalizeText(defect.module);
+  const signals = {
+    summary: textSimilarity(withoutId(defect.summary), withoutId(candidate.summary)),
+    description: textSimilarity(descriptionWords(defect.description), descriptionWords(candidate.description)),
+    module: module && candidate.modules.length > 0
+      ? Number(candidate.modules.some(name => normalizeText(name) === module))
+      : null,
+    testCaseId: defectId && candidate.testCaseId ? Number(defectId === candidate.testCaseId) : null
+  };
+
+  let total = 0;
+  let weights = 0;
+  for (const [signal, value] of Object.entries(signals)) {
+    if (value === null) continue;
+    total += SIGNAL_WEIGHTS[signal] * value;
+    weights += SIGNAL_WEIGHTS[signal];
+  }
+
+  return { score: weights > 0 ? Math.round((total / weights) * 100) / 100 : 0, signals };
+}
+
+/**
+ * Candidates scoring at least the threshold, best first.
+ *
+ * @param {ReturnType<import('./defects').mapDefect>} defect
+ * @param {Array<ReturnType<typeof toCandidate>>} candidates
+ * @param {number} [threshold]
+ * @returns {Array<{candidate: Object, score: number, signals: Object<string, ?number>}>}
+ */
+function findDuplicates(defect, candidates, threshold = DUPLICATE_THRESHOLD) {
+  return candidates
+    .map(candidate => ({ candidate, ...scoreDuplicate(defect, candidate) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * The bug a row was already uploaded as: one carrying its sync label, or one
+ * with the same summary (ignoring case, spacing and punctuation).
+ *
+ * A row whose ID changed (a summary-based ID after the summary was edited)
+ * no longer matches its bug's label. With `orphans` given, the best
+ * findDuplicates match among bugs whose sync label no row of the log carries
+ * any more is taken as the row's bug.
+ *
+ * @param {ReturnType<import('./defects').mapDefect>} defect
+ * @param {Array<ReturnType<typeof toCandidate>>} candidates
+ * @param {string} syncLabel - lib/defect-sync toSyncLabel
+ * @param {{labelPrefix: string, rowLabels: Set<string>}} [orphans] - The
+ *   profile's sync label prefix and the sync labels of every row in the log
+ * @returns {?Object} The candidate, or null
+ */
+function findUploadedBug(defect, candidates, syncLabel, orphans = null) {
+  const summary = normalizeText(defect.summary);
+  const uploaded = candidates.find(candidate => candidate.labels.includes(syncLabel)) ||
+    candidates.find(candidate => normalizeText(candidate.summary) === summary);
+  if (uploaded || !orphans) return uploaded || null;
+
+  const isOrphan = candidate => candidate.labels.some(label =>
+    label.startsWith(orphans.labelPrefix) && !orphans.rowLabels.has(label)
+  );
+  const [best] = findDuplicates(defect, candidates.filter(isOrphan));
+  return best ? best.candidate : null;
+}
+
+module.exports = {
+  SIGNAL_WEIGHTS,
+  DUPLICATE_THRESHOLD,
+  textSimilarity,
+  normalizeTestCaseId,
+  extractTestCaseId,
+  toCandidate,
+  scoreDuplicate,
+  findDuplicates,
+  findUploadedBug
+};
@@ -0,0 +1,172 @@
+// Reading values out of Excel workbooks (ExcelJS), shared by the plan scripts
+// and the defect importer.
+
+// Rows searched for a header row before giving up
+const HEADER_SEARCH_ROWS = 20;
+
+// Convert Excel serial date to JavaScript Date
+function excelDateToJSDate(serial) {
+  if (typeof serial === 'number') {
+    const utc_days = Math.floor(serial - 25569);
+    const utc_value = utc_days * 86400;
+    const date_info = new Date(utc_value * 1000);
+    return new Date(date_info.getFullYear(), date_info.getMonth(), date_info.getDate());
+  }
+  return null;
+}
+
+// Format date as DD/MM/YYYY
+function formatDate(date) {
+  const day = String(date.getDate()).padStart(2, '0');
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const year = date.getFullYear();
+  return `${day}/${month}/${year}`;
+}
+
+// Number formats that display a serial number as a date
+function isDateFormat(numFmt) {
+  if (!numFmt) return false;
+  // Drop quoted text and [colour]/[locale] sections before looking for d/m/y
+  const format = numFmt.replace(/"[^"]*"|\[[^\]]*\]/g, '');
+  return /[dmy]/i.test(format);
+}
+
+/**
+ * The text a cell shows, the way a CSV export would have it: dates as
+ * DD/MM/YYYY, formulas as their result, rich text and hyperlinks as plain text.
+ * Merged cells read the value of the top-left cell of the merge.
+ *
+ * @param {import('exceljs').Cell} cell
+ * @returns {string}
+ */
+function cellText(cell) {
+  let value = cell.value;
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if (value.result !== undefined) value = value.result;
+    else if (value.richText) value = value.richText.map(part => part.text).join('');
+    else if (value.text !== undefined) value = value.text;
+    else if (value.error) value = '';
+  }
+
+  if (value === null || value === undefined) return '';
+
+  // ExcelJS gives date cells as UTC midnight; keep the calendar day
+  if (value instanceof Date) {
+    return formatDate(new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+  if (typeof value === 'number' && isDateFormat(cell.numFmt)) {
+    return formatDate(excelDateToJSDate(value));
+  }
+
+  return String(value).trim();
+}
+
+/**
+ * Find the header row: the row within the first HEADER_SEARCH_ROWS that holds
+ * the most of the wanted column names (at least one, and always the first).
+ *
+ * @param {string[][]} rows - Cell text by row
+ * @param {string[]} columns - Column names to look for; columns[0] must be present
+ * @returns {number} Index into rows, or -1 if no row has columns[0]
+ */
+function findHeaderRow(rows, columns) {
+  const wanted = columns.map(column => column.trim().toLowerCase());
+  let best = -1;
+  let bestMatches = 0;
+
+  rows.slice(0, HEADER_SEARCH_ROWS).forEach((row, index) => {
+    const cells = new Set(row.map(cell => cell.trim().toLowerCase()));
+    if (!cells.has(wanted[0])) return;
+
+    const matches = wanted.filter(column => cells.has(column)).length;
+    if (matches > bestMatches) {
+      best = index;
+      bestMatches = matches;
+    }
+  });
+
+  return best;
+}
+
+// Cell text for every row of a worksheet, padded to the sheet's width
+function readSheetRows(worksheet) {
+  const rows = [];
+  for (let r = 1; r <= worksheet.rowCount; r++) {
+    const row = worksheet.getRow(r);
+    const cells = [];
+    for (let c = 1; c <= worksheet.columnCount; c++) {
+      cells.push(cellText(row.getCell(c)));
+    }
+    rows.push(cells);
+  }
+  return rows;
+}
+
+/**
+ * Read a worksheet as records keyed by header, like csv-parse's columns: true.
+ * The sheet is the one named, or else the first whose header row has
+ * columns[0]. Blank rows are skipped. A header merged across several columns
+ * keeps its first column only.
+ *
+ * @param {import('exceljs').Workbook} workbook
+ * @param {Object} options
+ * @param {string[]} options.columns - Columns the caller reads; columns[0] identifies the header row
+ * @param {string} [options.sheet] - Worksheet name
+ * @returns {{sheetName: string, headerRow: number, headers: string[], records: Object<string, string>[], rowNumbers: number[]}}
+ *   rowNumbers holds the worksheet row each record was read from
+ */
+function readSheetRecords(workbook, options) {
+  const { columns, sheet } = options;
+  let worksheets = workbook.worksheets;
+
+  if (sheet) {
+    const worksheet = workbook.worksheets.find(ws => ws.name.trim().toLowerCase() === sheet.trim().toLowerCase());
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheet}" not found (sheets: ${workbook.worksheets.map(ws => ws.name).join(', ')})`);
+    }
+    worksheets = [worksheet];
+  }
+
+  for (const worksheet of worksheets) {
+    const rows = readSheetRows(worksheet);
+    const headerIndex = findHeaderRow(rows, columns);
+    if (headerIndex === -1) continue;
+
+    const headers = [];
+    const seen = new Set();
+    rows[headerIndex].forEach((header, i) => {
+      if (header && !seen.has(header)) {
+        seen.add(header);
+        headers.push({ name: header, index: i });
+      }
+    });
+
+    const rowNumbers = [];
+    const records = [];
+    rows.forEach((row, index) => {
+      if (index <= headerIndex || !row.some(cell => cell !== '')) return;
+      rowNumbers.push(index + 1);
+      records.push(Object.fromEntries(headers.map(header => [header.name, row[header.index]])));
+    });
+
+    return {
+      sheetName: worksheet.name,
+      headerRow: headerIndex + 1,
+      headers: headers.map(header => header.name),
+      records,
+      rowNumbers
+    };
+  }
+
+  throw new Error(`No sheet has a header row with a "${columns[0]}" column${sheet ? ` (looked in "${sheet}")` : ''}`);
+}
+
+module.exports = {
+  HEADER_SEARCH_ROWS,
+  excelDateToJSDate,
+  formatDate,
+  cellText,
+  findHeaderRow,
+  readSheetRecords
+};
@@ -0,0 +1,372 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AxiosError, AxiosHeaders } = require('axios');
+
+// Record/replay of JIRA API responses.
+//
+// With --record every response the client receives is written, sanitized, to
+// the fixtures directory. With --replay the client answers from those files
+// instead of the network, so a report produces the same output offline as it
+// did when recorded.
+//
+// A recorded run's clock stops at its first read and that instant is kept in
+// the manifest under the command (script and arguments); replaying the same
+// command freezes the clock there, so "today" and every duration match.
+//
+// Mode can also be set with JIRA_UTILS_RECORD=1 / JIRA_UTILS_REPLAY=1 and the
+// directory with --fixtures <dir> or JIRA_UTILS_FIXTURES_DIR.
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+const MANIFEST_FILE = '_manifest.json';
+
+// Placeholders written in place of personal or instance-specific data
+const REDACTED_EMAIL = 'redacted@example.com';
+const REDACTED_BASE_URL = 'https://jira.example.com';
+
+// Flags that choose the fixture mode, left out of a command's manifest key
+const FIXTURE_FLAGS = ['--record', '--replay'];
+
+// Account IDs seen in recorded responses, replaced wherever a later request
+// or response repeats them
+const seenAccountIds = new Set();
+
+/**
+ * @typedef {Object} FixtureSettings
+ * @property {?('record'|'replay')} mode
+ * @property {string} dir - Absolute path of the fixtures directory
+ */
+
+/**
+ * Read fixture settings from the environment and command-line flags.
+ *
+ * @param {string[]} [argv]
+ * @param {Object} [env]
+ * @returns {FixtureSettings}
+ */
+function getFixtureSettings(argv = process.argv.slice(2), env = process.env) {
+  const record = env.JIRA_UTILS_RECORD === '1' || argv.includes('--record');
+  const replay = env.JIRA_UTILS_REPLAY === '1' || argv.includes('--replay');
+
+  if (record && replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+
+  let dir = env.JIRA_UTILS_FIXTURES_DIR;
+  argv.forEach((arg, i) => {
+    if (arg === '--fixtures' && argv[i + 1]) dir = argv[i + 1];
+    if (arg.startsWith('--fixtures=')) dir = arg.slice('--fixtures='.length);
+  });
+
+  return {
+    mode: record ? 'record' : (replay ? 'replay' : null),
+    dir: path.resolve(dir || DEFAULT_FIXTURES_DIR)
+  };
+}
+
+// Sort object keys so equivalent requests hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function parseBody(data) {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+// The same pseudonym for the same person in every fixture, so people stay
+// apart in replayed reports
+function pseudonym(prefix, value) {
+  return `${prefix}${crypto.createHash('sha1').update(String(value)).digest('hex').slice(0, 8)}`;
+}
+
+function redactAccountId(accountId) {
+  return pseudonym('redacted-', accountId);
+}
+
+// Replace the account IDs seen so far in a string
+function redactKnownIds(text) {
+  let result = text;
+  for (const accountId of seenAccountIds) {
+    if (result.includes(accountId)) result = result.split(accountId).join(redactAccountId(accountId));
+  }
+  return result;
+}
+
+// Request values with seen account IDs replaced, so a recorded request that
+// names a person (assignee = <id>) is found again when replayed with the
+// pseudonym its response gave
+function redactRequestValue(value) {
+  if (typeof value === 'string') return redactKnownIds(value);
+  if (Array.isArray(value)) return value.map(redactRequestValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactRequestValue(item)]));
+  }
+  return value;
+}
+
+/**
+ * File name for a request: method and path for readability, plus a hash of
+ * the path, query parameters and body so every distinct request has its own file.
+ *
+ * @param {import('axios').InternalAxiosRequestConfig} config
+ * @returns {string}
+ */
+function getFixtureName(config) {
+  const method = (config.method || 'get').toLowerCase();
+  const url = redactKnownIds(config.url || '');
+  const request = { method, url, params: redactRequestValue(config.params || {}), body: redactRequestValue(parseBody(config.data) ?? null) };
+  const hash = crypto.createHash('sha1')
+    .update(stableStringify(request))
+    .digest('hex')
+    .slice(0, 10);
+  const slug = url.replace(/^\/+/, '').replace(/[^A-Za-z0-9-]+/g, '_').slice(0, 80);
+
+  return `${method}_${slug}_${hash}.json`;
+}
+
+/**
+ * Remove personal and instance-specific data from a response body: emails
+ * and avatars go, names and account IDs become pseudonyms (the same for the
+ * same person everywhere) and the instance URL is replaced.
+ *
+ * @param {*} value
+ * @param {string} baseUrl
+ * @returns {*}
+ */
+function sanitize(value, baseUrl) {
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, baseUrl));
+  }
+
+  if (value && typeof value === 'object') {
+    if (typeof value.accountId === 'string' && value.accountId) seenAccountIds.add(value.accountId);
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (key === 'avatarUrls') continue;
+      if (key === 'emailAddress' && item) {
+        result[key] = REDACTED_EMAIL;
+      } else if (key === 'displayName' && typeof item === 'string' && item) {
+        result[key] = pseudonym('User ', item);
+      } else if (key === 'accountId' && typeof item === 'string' && item) {
+        result[key] = redactAccountId(item);
+      } else {
+        result[key] = sanitize(item, baseUrl);
+      }
+    }
+    return result;
+  }
+
+  if (typeof value === 'string') {
+    const redacted = redactKnownIds(value);
+    return baseUrl && redacted.includes(baseUrl) ? redacted.split(baseUrl).join(REDACTED_BASE_URL) : redacted;
+  }
+
+  return value;
+}
+
+function writeFixture(dir, config, response, baseUrl) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Named before the response is sanitized: only IDs from earlier responses
+  // can come back as pseudonyms in a replayed request
+  const name = getFixtureName(config);
+
+  const fixture = {
+    request: {
+      method: (config.method || 'get').toUpperCase(),
+      url: config.url,
+      params: config.params || undefined,
+      body: sanitize(parseBody(config.data), baseUrl)
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers?.['retry-after'] ? { 'retry-after': response.headers['retry-after'] } : {},
+      data: sanitize(response.data, baseUrl)
+    }
+  };
+
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(fixture, null, 2) + '\n');
+}
+
+function readManifest(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+// Keep the recording time of one command, next to those of other commands
+// recorded into the same directory
+function writeRecordedAt(dir, command, recordedAt) {
+  fs.mkdirSync(dir, { recursive: true });
+  const manifest = readManifest(dir);
+  manifest.commands = { ...(manifest.commands || {}), [command]: { recordedAt } };
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n');
+}
+
+/**
+ * The manifest key of a run: the script and its arguments, without the flags
+ * choosing the fixture mode and directory.
+ *
+ * @param {string[]} [argv] - process.argv
+ * @returns {string} e.g. "generate-time-in-status.js --sprint 32"
+ */
+function getCommandKey(argv = process.argv) {
+  const args = [];
+  const rest = argv.slice(2);
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--fixtures') {
+      i++;
+    } else if (!FIXTURE_FLAGS.includes(rest[i]) && !rest[i].startsWith('--fixtures=')) {
+      args.push(rest[i]);
+    }
+  }
+  return [path.basename(argv[1] || 'node'), ...args].join(' ');
+}
+
+/**
+ * Save every response the client receives, including error responses.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} dir
+ * @param {string} baseUrl
+ */
+function attachRecorder(client, dir, baseUrl) {
+  client.interceptors.response.use(response => {
+    writeFixture(dir, response.config, response, baseUrl);
+    return response;
+  }, error => {
+    if (error.response && error.config) {
+      writeFixture(dir, error.config, error.response, baseUrl);
+    }
+    throw error;
+  });
+}
+
+/**
+ * Axios adapter that answers requests from recorded fixtures.
+ *
+ * @param {string} dir
+ * @returns {function(import('axios').InternalAxiosRequestConfig): Promise<import('axios').AxiosResponse>}
+ */
+function createReplayAdapter(dir) {
+  return async config => {
+    const name = getFixtureName(config);
+    const fixturePath = path.join(dir, name);
+
+    if (!fs.existsSync(fixturePath)) {
+      throw new AxiosError(
+        `No recorded response for ${(config.method || 'get').toUpperCase()} ${config.url} (${name}) - run once with --record to capture it`,
+        'ERR_FIXTURE_MISSING',
+        config
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+    const response = {
+      data: fixture.response.data,
+      status: fixture.response.status,
+      statusText: fixture.response.statusText || '',
+      headers: new AxiosHeaders(fixture.response.headers || {}),
+      config,
+      request: {}
+    };
+
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      throw new AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Replace the global Date so `new Date()` and `Date.now()` return a fixed
+ * instant. Dates built from explicit values are unaffected. Without an
+ * instant the clock stops at its first read, which onFirstRead is told of.
+ *
+ * @param {?(string|number)} instant
+ * @param {function(number): void} [onFirstRead]
+ */
+function freezeClock(instant, onFirstRead = () => {}) {
+  const RealDate = Date;
+  let fixed = instant === null || instant === undefined ? null : new RealDate(instant).getTime();
+  const now = () => {
+    if (fixed === null) {
+      fixed = RealDate.now();
+      onFirstRead(fixed);
+    }
+    return fixed;
+  };
+
+  class FixedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) {
+        super(now());
+      } else {
+        super(...args);
+      }
+    }
+
+    static now() {
+      return now();
+    }
+  }
+
+  global.Date = FixedDate;
+}
+
+/**
+ * Give recorded and replayed runs the same clock. Recording stops the clock
+ * at its first read and keeps that instant for the command; replaying the
+ * command freezes the clock there. Manifests from before per-command times
+ * hold one recordedAt for the directory, which is used when the command has none.
+ *
+ * @param {FixtureSettings} settings
+ * @param {string} [command] - getCommandKey()
+ */
+function applyFixtureClock(settings, command = getCommandKey()) {
+  if (settings.mode === 'record') {
+    freezeClock(null, instant => writeRecordedAt(settings.dir, command, new Date(instant).toISOString()));
+    return;
+  }
+  if (settings.mode !== 'replay') return;
+
+  const manifest = readManifest(settings.dir);
+  const recordedAt = manifest.commands?.[command]?.recordedAt || manifest.recordedAt;
+  if (recordedAt) {
+    freezeClock(recordedAt);
+  } else {
+    console.warn(`⚠️  No recording time for "${command}" in ${settings.dir}; replaying with the real clock`);
+  }
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  getFixtureSettings,
+  getFixtureName,
+  getCommandKey,
+  sanitize,
+  attachRecorder,
+  createReplayAdapter,
+  freezeClock,
+  applyFixtureClock
+};
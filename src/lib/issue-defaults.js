@@ -0,0 +1,235 @@
+// Values every bug from a defect log gets: assignee, fix version, component,
+// company, epic and labels.
+//
+// They are declared under "defaults" in a mapping profile, or in
+// defects.defaults for every profile (the profile wins key by key), and are
+// checked against JIRA before any bug is created, so a value JIRA would
+// reject stops the run instead of failing row after row.
+
+// Keys a "defaults" block may set
+const DEFAULT_KEYS = ['assignee', 'fixVersion', 'component', 'company', 'epicKey', 'labels'];
+
+// The Company field on the NH site, used when it has been renamed
+const COMPANY_FIELD_ID = 'customfield_11650';
+
+// Fields every bug is created with, whatever the profile says
+const ALWAYS_SET = ['project', 'issuetype', 'summary', 'description', 'priority', 'labels'];
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Merge config-wide and profile defaults. The epic falls back to defects.epicKey.
+ *
+ * @param {Object} [defectsConfig] - config.defects
+ * @param {Object} [profile] - As returned by resolveProfile
+ * @returns {{assignee: ?string, fixVersion: ?string, component: ?string, company: ?string, epicKey: ?string, labels: string[]}}
+ */
+function resolveDefaults(defectsConfig = {}, profile = {}) {
+  const merged = { ...(defectsConfig.defaults || {}), ...(profile.defaults || {}) };
+  return {
+    assignee: merged.assignee || null,
+    fixVersion: merged.fixVersion || null,
+    component: merged.component || null,
+    company: merged.company || null,
+    epicKey: merged.epicKey || defectsConfig.epicKey || null,
+    labels: merged.labels || []
+  };
+}
+
+/**
+ * Problems with a "defaults" block's shape, for config validation.
+ *
+ * @param {*} defaults
+ * @param {string} where - Config path of the block, e.g. defects.profiles.acme.defaults
+ * @returns {string[]}
+ */
+function validateDefaultsShape(defaults, where) {
+  if (defaults === undefined) return [];
+  if (!defaults || typeof defaults !== 'object' || Array.isArray(defaults)) {
+    return [`"${where}" must be an object with any of: ${DEFAULT_KEYS.join(', ')}`];
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(defaults)) {
+    if (!DEFAULT_KEYS.includes(key)) {
+      problems.push(`"${where}.${key}" is not a known default (use ${DEFAULT_KEYS.join(', ')})`);
+    } else if (key === 'labels' ? !Array.isArray(value) || value.some(label => typeof label !== 'string') : typeof value !== 'string') {
+      problems.push(`"${where}.${key}" must be ${key === 'labels' ? 'a list of strings' : 'a string'}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Required Bug fields in the create metadata that the import does not set.
+ * Fields JIRA fills in itself (reporter) are not counted.
+ *
+ * @param {?Object} bugMeta - The Bug issue type from createmeta, with fields
+ * @param {string[]} setFieldIds
+ * @returns {Array<{id: string, name: string}>}
+ */
+function findUnsetRequiredFields(bugMeta, setFieldIds) {
+  return Object.entries(bugMeta?.fields || {})
+    .filter(([id, meta]) => meta.required && !meta.hasDefaultValue && !setFieldIds.includes(id))
+    .map(([id, meta]) => ({ id, name: meta.name || id }));
+}
+
+// Find a user by email address or account ID
+async function findUser(client, value) {
+  if (value.includes('@')) {
+    const response = await client.get('/rest/api/3/user/search', { params: { query: value } });
+    const users = response.data || [];
+    // Sites that hide email addresses still match on them, so one result is the user
+    return users.find(user => sameName(user.emailAddress, value)) || (users.length === 1 ? users[0] : null);
+  }
+
+  try {
+    const response = await client.get('/rest/api/3/user', { params: { accountId: value } });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Look up each default in JIRA and check JIRA will accept it on a Bug.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {Object} options
+ * @param {string} options.project - Project key
+ * @param {ReturnType<typeof resolveDefaults>} options.defaults
+ * @param {Array<Object>} options.fields - From getFields
+ * @param {Object} options.profile - As returned by resolveProfile
+ * @returns {Promise<{values: Object, problems: string[]}>} values holds the JIRA
+ *   objects to send (assignee, fixVersion, component, company, epic) plus the
+ *   project's components and the Epic Link and Company field IDs
+ */
+async function checkIssueDefaults(client, options) {
+  const { project, defaults, fields, profile } = options;
+  const problems = [];
+
+  const epicField = fields.find(field =>
+    field.name === 'Epic Link' || field.schema?.custom === 'com.pyxis.greenhopper.jira:gh-epic-link'
+  );
+  const companyField = fields.find(field => field.name === 'Company') || fields.find(field => field.id === COMPANY_FIELD_ID);
+
+  const values = {
+    epicLinkId: epicField ? epicField.id : 'customfield_10014',
+    companyFieldId: companyField ? companyField.id : null,
+    components: [],
+    epic: null,
+    assignee: null,
+    fixVersion: null,
+    component: null,
+    company: null,
+    labels: defaults.labels
+  };
+
+  const [projectResponse, versionsResponse, metaResponse] = await Promise.all([
+    client.get(`/rest/api/3/project/${project}`),
+    client.get(`/rest/api/3/project/${project}/versions`),
+    client.get('/rest/api/3/issue/createmeta', {
+      params: { projectKeys: project, issuetypeNames: 'Bug', expand: 'projects.issuetypes.fields' }
+    })
+  ]);
+  values.components = projectResponse.data.components || [];
+  const versions = versionsResponse.data || [];
+  const bugMeta = metaResponse.data.projects?.[0]?.issuetypes?.find(type => type.name === 'Bug');
+  if (!bugMeta) problems.push(`Project ${project} has no Bug issue type`);
+
+  if (!defaults.epicKey) {
+    problems.push('No epic set: add "epicKey" to the profile\'s defaults or set defects.epicKey');
+  } else {
+    try {
+      const response = await client.get(`/rest/api/3/issue/${defaults.epicKey}`, { params: { fields: 'issuetype,summary' } });
+      values.epic = response.data;
+      if (response.data.fields?.issuetype?.name !== 'Epic') {
+        problems.push(`${defaults.epicKey} is a ${response.data.fields?.issuetype?.name}, not an Epic`);
+      }
+    } catch (error) {
+      if (error.response?.status !== 404) throw error;
+      problems.push(`Epic ${defaults.epicKey} does not exist or cannot be seen`);
+    }
+  }
+
+  if (defaults.assignee) {
+    const user = await findUser(client, defaults.assignee);
+    if (!user) {
+      problems.push(`Assignee "${defaults.assignee}" is not a JIRA user (use an email address or account ID)`);
+    } else {
+      const response = await client.get('/rest/api/3/user/assignable/search', {
+        params: { project, accountId: user.accountId }
+      });
+      if ((response.data || []).some(assignable => assignable.accountId === user.accountId)) {
+        values.assignee = user;
+      } else {
+        problems.push(`${user.displayName} (${defaults.assignee}) cannot be assigned issues in ${project}`);
+      }
+    }
+  }
+
+  if (defaults.fixVersion) {
+    values.fixVersion = versions.find(version => sameName(version.name, defaults.fixVersion)) || null;
+    if (!values.fixVersion) {
+      problems.push(`Fix version "${defaults.fixVersion}" is not in ${project} (available: ${versions.map(v => v.name).join(', ') || 'none'})`);
+    }
+  }
+
+  if (defaults.component) {
+    values.component = values.components.find(component => sameName(component.name, defaults.component)) || null;
+    if (!values.component) {
+      problems.push(`Component "${defaults.component}" is not in ${project} (available: ${values.components.map(c => c.name).join(', ') || 'none'})`);
+    }
+  }
+
+  if (defaults.company) {
+    const allowed = bugMeta?.fields?.[values.companyFieldId]?.allowedValues;
+    if (!values.companyFieldId) {
+      problems.push(`Company "${defaults.company}" is set but the site has no Company field`);
+    } else if (allowed) {
+      values.company = allowed.find(option => sameName(option.value, defaults.company)) || null;
+      if (!values.company) {
+        problems.push(`Company "${defaults.company}" is not an allowed value (allowed: ${allowed.map(option => option.value).join(', ')})`);
+      }
+    } else {
+      values.company = { value: defaults.company };
+    }
+  }
+
+  for (const label of defaults.labels) {
+    if (/\s/.test(label)) problems.push(`Label "${label}" contains spaces, which JIRA does not allow`);
+  }
+
+  // Fields the profile fills from its columns count as set, and so do
+  // defaults already reported above
+  const mappedIds = Object.keys(profile.customFields || {}).map(ref =>
+    (fields.find(field => field.id === ref || field.name === ref) || {}).id
+  );
+  const setFieldIds = [
+    ...ALWAYS_SET,
+    values.epicLinkId,
+    ...mappedIds,
+    defaults.assignee && 'assignee',
+    defaults.fixVersion && 'fixVersions',
+    (defaults.component || profile.components) && 'components',
+    defaults.company && values.companyFieldId
+  ].filter(Boolean);
+  for (const field of findUnsetRequiredFields(bugMeta, setFieldIds)) {
+    const allowed = bugMeta.fields[field.id].allowedValues;
+    const hint = allowed ? ` (allowed: ${allowed.map(option => option.value || option.name).join(', ')})` : '';
+    problems.push(`${field.name} is required on a Bug but neither the profile's defaults nor its columns set it${hint}`);
+  }
+
+  return { values, problems };
+}
+
+module.exports = {
+  DEFAULT_KEYS,
+  resolveDefaults,
+  validateDefaultsShape,
+  findUnsetRequiredFields,
+  checkIssueDefaults
+};
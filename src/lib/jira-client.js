@@ -0,0 +1,374 @@
+const axios = require('axios');
+const { getFixtureSettings, attachRecorder, createReplayAdapter, applyFixtureClock } = require('./fixtures');
+
+// Shared JIRA REST client used by every script.
+//
+// Wraps an axios instance with Basic auth and automatic retries, and provides
+// helpers that page through search results and changelogs so callers always
+// see the complete data set. Responses can be recorded to, or replayed from,
+// a fixtures directory (see lib/fixtures.js).
+
+const DEFAULT_BASE_URL = 'https://benchmarkestimating.atlassian.net';
+const DEFAULT_STORY_POINTS_FIELD = 'customfield_10003';
+
+const SEARCH_PAGE_SIZE = 100;
+const CHANGELOG_PAGE_SIZE = 100;
+
+const MAX_RETRIES = 4;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Errors with no response from JIRA that are worth another attempt (axios
+// reports its own timeout as ECONNABORTED). A refused connection or unknown
+// host is a configuration problem and fails straight away.
+const TRANSIENT_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'];
+
+// POSTs that only read. Other POSTs create issues, comments, links or
+// attachments, and JIRA may have done so before the response was lost.
+const READ_ONLY_POSTS = ['/rest/api/3/search/jql'];
+
+let fixtureSettings;
+try {
+  fixtureSettings = getFixtureSettings();
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Reports compute "today" as they load, so the clock is set up front
+applyFixtureClock(fixtureSettings);
+
+/**
+ * @typedef {Object} JiraClientOptions
+ * @property {string} [baseUrl] - JIRA instance URL (defaults to JIRA_BASE_URL or the Benchmark instance)
+ * @property {string} [email] - Account email (defaults to JIRA_EMAIL)
+ * @property {string} [apiToken] - API token (defaults to JIRA_API_TOKEN)
+ * @property {number} [timeout] - Request timeout in milliseconds
+ * @property {number} [maxRetries] - Retries for 429 responses, and for 5xx
+ *   responses and dropped or timed-out connections of requests safe to repeat
+ * @property {boolean} [verbose] - Log each request (defaults to JIRA_UTILS_VERBOSE)
+ * @property {import('./fixtures').FixtureSettings} [fixtures] - Record/replay settings (defaults to --record/--replay)
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {string[]|string} [fields] - Fields to return for each issue
+ * @property {string[]|string} [expand] - Expansions, e.g. 'changelog'
+ * @property {number} [maxResults] - Stop after this many issues (default: all)
+ * @property {number} [pageSize] - Issues requested per page
+ */
+
+/**
+ * @typedef {Object} IssueOptions
+ * @property {string[]|string} [fields] - Fields to return
+ * @property {string[]|string} [expand] - Expansions, e.g. 'changelog'
+ */
+
+/**
+ * @typedef {Object} JiraChangelogHistory
+ * @property {string} id
+ * @property {string} created - ISO timestamp of the change
+ * @property {{displayName: string, accountId: string}} [author]
+ * @property {Array<{field: string, fieldId?: string, from: ?string, fromString: ?string, to: ?string, toString: ?string}>} items
+ */
+
+/**
+ * @typedef {Object} JiraIssue
+ * @property {string} id
+ * @property {string} key
+ * @property {Object<string, *>} fields
+ * @property {{histories: JiraChangelogHistory[], total?: number}} [changelog]
+ */
+
+// Read connection settings from the environment
+function getConnectionSettings(options = {}) {
+  return {
+    baseUrl: options.baseUrl || process.env.JIRA_BASE_URL || DEFAULT_BASE_URL,
+    email: options.email || process.env.JIRA_EMAIL,
+    apiToken: options.apiToken || process.env.JIRA_API_TOKEN
+  };
+}
+
+// Validate that credentials are available, exiting with guidance if not
+function validateCredentials(options = {}) {
+  const { email, apiToken } = getConnectionSettings(options);
+  const fixtures = options.fixtures || fixtureSettings;
+
+  // Replayed runs never reach JIRA
+  if (fixtures.mode === 'replay') {
+    return;
+  }
+
+  if (!email) {
+    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
+    console.log('\nSet it with: export JIRA_EMAIL="your-email@company.com"');
+    process.exit(1);
+  }
+
+  if (!apiToken) {
+    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
+    console.log('\nTo create a Personal Access Token:');
+    console.log('1. Go to https://id.atlassian.com/manage-profile/security/api-tokens');
+    console.log('2. Click "Create API token"');
+    console.log('3. Copy the token and run: export JIRA_API_TOKEN="your-token"');
+    process.exit(1);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Whether sending a request twice does no harm
+function isIdempotent(config) {
+  const method = (config.method || 'get').toLowerCase();
+  if (method === 'post') return READ_ONLY_POSTS.includes(String(config.url).split('?')[0]);
+  return ['get', 'head', 'options', 'put', 'delete'].includes(method);
+}
+
+// Whether a failed request is worth retrying: rate limits, which JIRA answers
+// without acting on the request, and, for requests safe to send again, server
+// errors and connections that dropped or timed out before JIRA answered
+function isRetryable(error) {
+  if (error.response?.status === 429) {
+    return true;
+  }
+  if (!isIdempotent(error.config)) {
+    return false;
+  }
+  if (!error.response) {
+    return TRANSIENT_NETWORK_ERRORS.includes(error.code);
+  }
+  return error.response.status >= 500;
+}
+
+// Work out how long to wait before the next attempt, honouring Retry-After
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.min(seconds * 1000, MAX_RETRY_DELAY_MS);
+    }
+
+    const retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) {
+      return Math.min(Math.max(retryDate - Date.now(), 0), MAX_RETRY_DELAY_MS);
+    }
+  }
+
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Create an authenticated axios instance for the JIRA REST API.
+ * Requests that fail with 429 are retried with backoff, and so are reads and
+ * edits that fail with 5xx or a dropped or timed-out connection.
+ *
+ * @param {JiraClientOptions} [options]
+ * @returns {import('axios').AxiosInstance}
+ */
+function createJiraClient(options = {}) {
+  const { baseUrl, email, apiToken } = getConnectionSettings(options);
+  const fixtures = options.fixtures || fixtureSettings;
+  const replaying = fixtures.mode === 'replay';
+  // Replayed error responses would fail identically on every attempt
+  const maxRetries = options.maxRetries !== undefined ? options.maxRetries : (replaying ? 0 : MAX_RETRIES);
+  const verbose = options.verbose !== undefined ? options.verbose : Boolean(process.env.JIRA_UTILS_VERBOSE);
+  const auth = Buffer.from(`${email}:${apiToken}`).toString('base64');
+
+  const client = axios.create({
+    baseURL: baseUrl,
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    timeout: options.timeout || 30000,
+    adapter: replaying ? createReplayAdapter(fixtures.dir) : undefined
+  });
+
+  if (fixtures.mode === 'record') {
+    attachRecorder(client, fixtures.dir, baseUrl);
+  }
+
+  if (verbose) {
+    client.interceptors.request.use(config => {
+      console.log(`   → ${config.method.toUpperCase()} ${config.url}`);
+      return config;
+    });
+  }
+
+  client.interceptors.response.use(null, async error => {
+    const config = error.config;
+
+    if (!config || !isRetryable(error)) {
+      throw error;
+    }
+
+    config.retryCount = config.retryCount || 0;
+    if (config.retryCount >= maxRetries) {
+      throw error;
+    }
+
+    const delay = getRetryDelay(error, config.retryCount);
+    config.retryCount++;
+    const reason = error.response ? `JIRA returned ${error.response.status}` : `Request failed (${error.code})`;
+    console.warn(`   ⚠️  ${reason}, retrying in ${Math.round(delay / 1000)}s (attempt ${config.retryCount}/${maxRetries})`);
+
+    await sleep(delay);
+    return client.request(config);
+  });
+
+  return client;
+}
+
+// Normalise a list option into the comma-separated form JIRA expects
+function toList(value) {
+  if (!value) return undefined;
+  return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Run a JQL search, following nextPageToken until every page is read.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} jql
+ * @param {SearchOptions} [options]
+ * @returns {Promise<JiraIssue[]>}
+ */
+async function searchIssues(client, jql, options = {}) {
+  const issues = [];
+  const limit = options.maxResults || Infinity;
+  const pageSize = options.pageSize || SEARCH_PAGE_SIZE;
+  const fields = toList(options.fields);
+  const expand = toList(options.expand);
+  let nextPageToken;
+
+  do {
+    const payload = {
+      jql,
+      maxResults: Math.min(pageSize, limit - issues.length)
+    };
+    if (fields) payload.fields = fields;
+    if (expand) payload.expand = expand.join(',');
+    if (nextPageToken) payload.nextPageToken = nextPageToken;
+
+    const response = await client.post('/rest/api/3/search/jql', payload);
+    const page = response.data.issues || [];
+    issues.push(...page);
+
+    nextPageToken = response.data.isLast ? undefined : response.data.nextPageToken;
+
+    if (page.length === 0) break;
+  } while (nextPageToken && issues.length < limit);
+
+  return issues.length > limit ? issues.slice(0, limit) : issues;
+}
+
+/**
+ * Fetch the complete changelog for an issue, page by page.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} issueKey
+ * @returns {Promise<JiraChangelogHistory[]>}
+ */
+async function getIssueChangelog(client, issueKey) {
+  const histories = [];
+  let startAt = 0;
+
+  while (true) {
+    const response = await client.get(`/rest/api/3/issue/${issueKey}/changelog`, {
+      params: { startAt, maxResults: CHANGELOG_PAGE_SIZE }
+    });
+    const page = response.data.values || [];
+    histories.push(...page);
+
+    const total = response.data.total;
+    const isLast = response.data.isLast !== undefined
+      ? response.data.isLast
+      : (total === undefined || histories.length >= total);
+
+    if (isLast || page.length === 0) break;
+    startAt += page.length;
+  }
+
+  return histories;
+}
+
+/**
+ * Fetch a single issue. When the changelog is expanded and JIRA truncated it,
+ * the remaining histories are fetched so the changelog is always complete.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} issueKey
+ * @param {IssueOptions} [options]
+ * @returns {Promise<JiraIssue>}
+ */
+async function getIssue(client, issueKey, options = {}) {
+  const params = {};
+  const fields = toList(options.fields);
+  const expand = toList(options.expand);
+  if (fields) params.fields = fields.join(',');
+  if (expand) params.expand = expand.join(',');
+
+  const response = await client.get(`/rest/api/3/issue/${issueKey}`, { params });
+  const issue = response.data;
+
+  const changelog = issue.changelog;
+  if (changelog && changelog.histories && changelog.total > changelog.histories.length) {
+    changelog.histories = await getIssueChangelog(client, issue.key);
+    changelog.startAt = 0;
+    changelog.maxResults = changelog.histories.length;
+  }
+
+  return issue;
+}
+
+/**
+ * List all fields defined on the instance.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @returns {Promise<Array<{id: string, key: string, name: string, schema?: Object}>>}
+ */
+async function getFields(client) {
+  const response = await client.get('/rest/api/3/field');
+  return response.data;
+}
+
+/**
+ * Find the Story Points custom field, falling back to the known default.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} [fallback]
+ * @returns {Promise<string>}
+ */
+async function getStoryPointsFieldId(client, fallback = DEFAULT_STORY_POINTS_FIELD) {
+  try {
+    const fields = await getFields(client);
+    const storyPointsField = fields.find(field =>
+      field.name && field.name.toLowerCase() === 'story points'
+    ) || fields.find(field =>
+      field.name && field.name.toLowerCase().includes('story point')
+    );
+
+    return storyPointsField ? storyPointsField.id : fallback;
+  } catch (error) {
+    console.warn(`   ⚠️  Could not fetch fields, using default Story Points field ID: ${error.message}`);
+    return fallback;
+  }
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  DEFAULT_STORY_POINTS_FIELD,
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getIssueChangelog,
+  getFields,
+  getStoryPointsFieldId
+};
@@ -0,0 +1,176 @@
+// Delivered story points from JIRA, written into the plan workbook in place
+// of the numbers typed in by hand: each sprint's "Story Points Delivered",
+// "DELIVERED TODAY" and the Progress sheet's actual points per day.
+//
+// An issue counts on the first day in the synced range it reached a done
+// status (as jira-points counts it), towards the plan sprint whose dates hold
+// that day. Only cells JIRA disagrees with are changed, and cells holding a
+// formula are reported but never overwritten.
+
+const { SPRINT_LENGTH_DAYS, isWeekend, toDayKey } = require('./sprint-calendar');
+const { PLAN_SHEET, PROGRESS_SHEET, VALUE_COLUMN } = require('./plan-workbook');
+
+/**
+ * @typedef {Object} Completion
+ * @property {string} key
+ * @property {number} points - Story points, already defaulted for unestimated issues
+ * @property {string} completedOn - YYYY-MM-DD
+ * @property {?string} [epicKey] - The issue's parent epic, for per-epic actuals
+ */
+
+/**
+ * @typedef {Object} CellChange
+ * @property {string} sheet
+ * @property {string} address - e.g. E50
+ * @property {string} label - What the cell holds, for the preview
+ * @property {?(number|string)} from - Current value, null when blank
+ * @property {number} to - Value from JIRA
+ * @property {?string} formula - Set when the cell holds a formula, which is left as is
+ */
+
+// Points rounded to 2 decimal places, so summed halves compare cleanly
+function roundPoints(points) {
+  return Math.round(points * 100) / 100;
+}
+
+/**
+ * The plan sprint a day falls in: from its start date up to the next sprint's
+ * start; the last sprint runs SPRINT_LENGTH_DAYS.
+ *
+ * @param {Array<{number: number, startDate: Date}>} sprints - plan.sprints
+ * @param {string} day - YYYY-MM-DD
+ * @returns {?number} Sprint number
+ */
+function findPlanSprint(sprints, day) {
+  for (const [index, sprint] of sprints.entries()) {
+    const next = sprints[index + 1];
+    const end = next ? next.startDate : new Date(sprint.startDate.getFullYear(), sprint.startDate.getMonth(), sprint.startDate.getDate() + SPRINT_LENGTH_DAYS);
+    if (day >= toDayKey(sprint.startDate) && day < toDayKey(end)) return sprint.number;
+  }
+  return null;
+}
+
+/**
+ * Completed points per day and per plan sprint.
+ *
+ * @param {Completion[]} completions
+ * @param {Array<{number: number, startDate: Date}>} sprints - plan.sprints
+ * @returns {{byDay: Map<string, number>, bySprint: Map<number, number>, outside: Completion[]}}
+ *   outside holds completions on days no plan sprint covers
+ */
+function summarizeActuals(completions, sprints) {
+  const byDay = new Map();
+  const bySprint = new Map();
+  const outside = [];
+
+  for (const completion of completions) {
+    byDay.set(completion.completedOn, roundPoints((byDay.get(completion.completedOn) || 0) + completion.points));
+    const sprint = findPlanSprint(sprints, completion.completedOn);
+    if (sprint === null) {
+      outside.push(completion);
+    } else {
+      bySprint.set(sprint, roundPoints((bySprint.get(sprint) || 0) + completion.points));
+    }
+  }
+
+  return { byDay, bySprint, outside };
+}
+
+/**
+ * Completed points per epic per day. Completions without an epic are left out.
+ *
+ * @param {Completion[]} completions
+ * @returns {Map<string, Map<string, number>>} Epic key -> day -> points
+ */
+function summarizeEpicActuals(completions) {
+  const byEpic = new Map();
+  for (const completion of completions) {
+    if (!completion.epicKey) continue;
+    if (!byEpic.has(completion.epicKey)) byEpic.set(completion.epicKey, new Map());
+    const byDay = byEpic.get(completion.epicKey);
+    byDay.set(completion.completedOn, roundPoints((byDay.get(completion.completedOn) || 0) + completion.points));
+  }
+  return byEpic;
+}
+
+// The change for one cell, or null when it already holds the value
+function compareCell(sheet, cell, label, to) {
+  const value = cell.value;
+  if (value && typeof value === 'object' && (value.formula !== undefined || value.sharedFormula !== undefined)) {
+    const current = typeof value.result === 'number' ? value.result : null;
+    if (current === to) return null;
+    return { sheet, address: cell.address, label, from: current, to, formula: value.formula || `shared formula from ${value.sharedFormula}` };
+  }
+
+  let from = value === null || value === undefined || String(value).trim() === '' ? null : value;
+  if (typeof from === 'string' && Number.isFinite(Number(from))) from = Number(from);
+  if (from === to) return null;
+  return { sheet, address: cell.address, label, from, to, formula: null };
+}
+
+/**
+ * The cells a sync would change: Story Points Delivered for every sprint that
+ * has started, DELIVERED TODAY, and the Progress sheet's actual points up to
+ * the as-of day. Weekend days are only filled in when something was completed.
+ *
+ * @param {import('./plan-workbook').Plan} plan
+ * @param {ReturnType<import('./plan-workbook').readProgressSheet>} progress
+ * @param {ReturnType<typeof summarizeActuals>} actuals
+ * @param {string} asOf - YYYY-MM-DD
+ * @returns {CellChange[]}
+ */
+function buildActualChanges(plan, progress, actuals, asOf) {
+  const changes = [];
+  const add = change => {
+    if (change) changes.push(change);
+  };
+  const sheet = plan.worksheet;
+
+  for (const sprint of plan.sprints) {
+    if (toDayKey(sprint.startDate) > asOf) continue;
+    add(compareCell(PLAN_SHEET, sheet.getCell(plan.rows.delivered, sprint.column),
+      `Story Points Delivered, Sprint ${sprint.number}`, actuals.bySprint.get(sprint.number) || 0));
+  }
+
+  add(compareCell(PLAN_SHEET, sheet.getCell(plan.rows.deliveredToday, VALUE_COLUMN), `DELIVERED TODAY (${asOf})`, actuals.byDay.get(asOf) || 0));
+
+  if (progress.worksheet && progress.actualRow) {
+    for (const { column, date } of progress.days) {
+      const day = toDayKey(date);
+      const points = actuals.byDay.get(day) || 0;
+      if (day > asOf || (isWeekend(date) && points === 0)) continue;
+      add(compareCell(PROGRESS_SHEET, progress.worksheet.getCell(progress.actualRow, column), `Actual points, ${day}`, points));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Write the changes into the workbook, leaving formula cells and cell
+ * formatting alone. Excel is asked to recalculate on open, so totals built on
+ * the changed cells are brought up to date.
+ *
+ * @param {import('exceljs').Workbook} workbook
+ * @param {CellChange[]} changes
+ * @returns {number} Cells written
+ */
+function applyActualChanges(workbook, changes) {
+  let written = 0;
+  for (const change of changes) {
+    if (change.formula) continue;
+    workbook.getWorksheet(change.sheet).getCell(change.address).value = change.to;
+    written++;
+  }
+  if (written > 0) workbook.calcProperties.fullCalcOnLoad = true;
+  return written;
+}
+
+module.exports = {
+  toDayKey,
+  findPlanSprint,
+  summarizeActuals,
+  summarizeEpicActuals,
+  buildActualChanges,
+  applyActualChanges
+};
@@ -0,0 +1,117 @@
+// Linking the plan's epic rows to JIRA epics, and how far each epic is behind
+// its plan inside a sprint.
+//
+// A row links to the epic named in its "JIRA Epic" column. Rows without one
+// are matched on wording: the row's name (without its "VER-123 -" prefix)
+// against each epic's summary, as duplicates.js compares defect summaries.
+// The best pairs scoring at least EPIC_MATCH_THRESHOLD are linked first, and
+// each JIRA epic is matched to one row at most.
+
+const { textSimilarity } = require('./duplicates');
+
+// Name matches scoring below this are left unlinked
+const EPIC_MATCH_THRESHOLD = 0.6;
+
+// The reference the plan puts before an epic's name: "VER-6968 - ", "VER-TBC - "
+const NAME_PREFIX_PATTERN = /^\s*[A-Z][A-Z0-9]*-(?:\d+|TBC)\s+-\s+/i;
+
+/**
+ * @typedef {Object} EpicLink
+ * @property {string} key - JIRA epic key
+ * @property {?string} summary - null when the key is not among the project's epics
+ * @property {string} by - 'column' or 'name'
+ * @property {?number} score - Name match score, 0 to 1
+ */
+
+/**
+ * A plan epic's name without its reference prefix.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function planEpicTitle(name) {
+  return String(name || '').replace(NAME_PREFIX_PATTERN, '').trim();
+}
+
+/**
+ * Link plan epic rows to JIRA epics.
+ *
+ * @param {Array<{row: number, name: string, jiraKey: ?string}>} planEpics - plan.epics
+ * @param {Array<{key: string, fields: {summary: string}}>} jiraEpics - The project's epics
+ * @param {number} [threshold]
+ * @returns {{links: Map<number, EpicLink>, unlinked: Array<Object>, warnings: string[]}}
+ *   links is keyed by plan row; unlinked holds the plan epics with no link
+ */
+function linkPlanEpics(planEpics, jiraEpics, threshold = EPIC_MATCH_THRESHOLD) {
+  const links = new Map();
+  const warnings = [];
+  const summaries = new Map(jiraEpics.map(epic => [epic.key, epic.fields.summary]));
+  const claimed = new Set();
+
+  for (const epic of planEpics) {
+    if (!epic.jiraKey) continue;
+    const summary = summaries.has(epic.jiraKey) ? summaries.get(epic.jiraKey) : null;
+    if (summary === null) warnings.push(`${epic.name} (row ${epic.row}): ${epic.jiraKey} is not one of the project's epics`);
+    links.set(epic.row, { key: epic.jiraKey, summary, by: 'column', score: null });
+    claimed.add(epic.jiraKey);
+  }
+
+  const pairs = [];
+  for (const epic of planEpics) {
+    if (epic.jiraKey) continue;
+    for (const jiraEpic of jiraEpics) {
+      if (claimed.has(jiraEpic.key)) continue;
+      const score = textSimilarity(planEpicTitle(epic.name), jiraEpic.fields.summary);
+      if (score !== null && score >= threshold) pairs.push({ epic, jiraEpic, score });
+    }
+  }
+
+  // Best matches first; sort is stable, so ties keep plan row order
+  pairs.sort((a, b) => b.score - a.score);
+  for (const { epic, jiraEpic, score } of pairs) {
+    if (links.has(epic.row) || claimed.has(jiraEpic.key)) continue;
+    links.set(epic.row, { key: jiraEpic.key, summary: jiraEpic.fields.summary, by: 'name', score: Math.round(score * 100) / 100 });
+    claimed.add(jiraEpic.key);
+  }
+
+  return { links, unlinked: planEpics.filter(epic => !links.has(epic.row)), warnings };
+}
+
+/**
+ * An epic's points left at the end of each sprint day, as planned and as
+ * delivered. Days after the last elapsed day have no actual figure.
+ *
+ * @param {number[]} planned - Points planned per sprint day
+ * @param {number[]} delivered - Points delivered per sprint day
+ * @param {number} daysElapsed - Sprint days up to and including today
+ * @returns {{planned: number[], actual: Array<?number>, behindBy: number}}
+ *   behindBy is how many more points are left than planned at the end of the
+ *   last elapsed day (0 when on or ahead of plan)
+ */
+function epicBurndown(planned, delivered, daysElapsed) {
+  const total = planned.reduce((sum, points) => sum + points, 0);
+  const round = points => Math.round(points * 100) / 100;
+  let plannedSoFar = 0;
+  let deliveredSoFar = 0;
+  const burndown = { planned: [], actual: [], behindBy: 0 };
+
+  planned.forEach((points, day) => {
+    plannedSoFar += points;
+    deliveredSoFar += delivered[day] || 0;
+    burndown.planned.push(round(total - plannedSoFar));
+    burndown.actual.push(day < daysElapsed ? round(total - deliveredSoFar) : null);
+  });
+
+  if (daysElapsed > 0) {
+    const last = Math.min(daysElapsed, planned.length) - 1;
+    burndown.behindBy = Math.max(0, round(burndown.actual[last] - burndown.planned[last]));
+  }
+  return burndown;
+}
+
+module.exports = {
+  EPIC_MATCH_THRESHOLD,
+  planEpicTitle,
+  linkPlanEpics,
+  epicBurndown
+};
@@ -0,0 +1,327 @@
+// The plan workbook's main sheet (Full-Delivery), read by its labels rather
+// than by position.
+//
+// Row 1 holds the headers: "Epic", "Release", one "Sprint N" column per sprint,
+// "TOTALS" and optionally "JIRA Epic", the key of each row's epic. Column A
+// labels the rows: the sprint start dates, the epics, the committed and
+// delivered totals, DELIVERED TODAY, the IGNORE BELOW marker and the project's
+// remaining points. parsePlan finds each by its label and lists everything
+// missing or unreadable, so a plan whose layout has drifted is reported cell
+// by cell instead of read as zeros.
+
+const { excelDateToJSDate, cellText } = require('./excel');
+const { readSprintHeader, getReleaseColumns } = require('./releases');
+
+const PLAN_SHEET = 'Full-Delivery';
+
+const PROGRESS_SHEET = 'Progress';
+
+// The Progress sheet row holding each day's delivered points
+const PROGRESS_ACTUAL_LABELS = ['Actual Story Points', 'Actual Velocity'];
+
+const HEADER_ROW = 1;
+
+const LABEL_COLUMN = 1;
+
+// Column B holds the single-value rows (DELIVERED TODAY, remaining points)
+const VALUE_COLUMN = 2;
+
+// Rows found by their column A label (case and spacing ignored). The first
+// label is the one reported as missing; ignoreBelow matches any label holding it.
+const PLAN_ROWS = [
+  { key: 'dates', labels: ['Sprint Start Date', 'Sprint Start Dates', 'Dates'] },
+  { key: 'committed', labels: ['TOTAL Committed Story Points Per Sprint'] },
+  { key: 'deliveredToday', labels: ['DELIVERED TODAY'] },
+  { key: 'delivered', labels: ['Story Points Delivered'] },
+  { key: 'ignoreBelow', labels: ['IGNORE BELOW'], partial: true },
+  { key: 'remaining', labels: ['TOTAL PROJECT REMAINING STORY POINTS', 'TOTAL PROJECT REMAING STORY POINTS'] }
+];
+
+// Optional column linking each epic row to its JIRA epic by key
+const EPIC_KEY_HEADERS = ['JIRA Epic', 'Epic Key'];
+
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * @typedef {Object} Plan
+ * @property {import('exceljs').Worksheet} worksheet
+ * @property {Array<{number: number, column: number, startDate: Date}>} sprints - In column order
+ * @property {?number} totalsColumn
+ * @property {?number} releaseColumn
+ * @property {?number} epicKeyColumn - The "JIRA Epic" column, if the plan has one
+ * @property {Object<string, number>} rows - Row number of each PLAN_ROWS key found
+ * @property {Array<{row: number, name: string, release: string, points: Map<number, number>, total: number, jiraKey: ?string}>} epics
+ * @property {Map<number, number>} committed - Sprint number -> committed points
+ * @property {Map<number, number>} delivered - Sprint number -> delivered points
+ * @property {number} deliveredToday
+ * @property {number} remaining - TOTAL PROJECT REMAINING STORY POINTS
+ * @property {string[]} problems - Empty when the plan matches the layout
+ */
+
+function normalizeLabel(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+// Formula cells read as their saved result
+function cellValue(cell) {
+  const value = cell.value;
+  if (value && typeof value === 'object' && (value.formula !== undefined || value.sharedFormula !== undefined)) {
+    return value.result === undefined ? { noResult: true } : value.result;
+  }
+  return value;
+}
+
+// A numeric cell: blank is 0, anything else must be a number. Excel leaves
+// no saved result on some shared formulas that come to nothing, so those are 0 too.
+function readNumber(cell) {
+  const value = cellValue(cell);
+  if (value === null || value === undefined || value.noResult) return { value: 0 };
+  if (typeof value === 'number') return { value };
+  if (value.error) return { problem: `shows ${value.error}` };
+  if (value instanceof Date) return { problem: 'is a date, not a number' };
+
+  const text = value.richText ? value.richText.map(part => part.text).join('') : String(value);
+  if (text.trim() === '') return { value: 0 };
+  const number = Number(text.trim());
+  return Number.isFinite(number) ? { value: number } : { problem: `is "${text.trim()}", not a number` };
+}
+
+// A date cell: a date, an Excel serial number, DD/MM/YYYY or DD-Mon (this year)
+function readDate(cell) {
+  const value = cellValue(cell);
+  if (value === null || value === undefined || value === '') return { problem: 'is empty' };
+  if (value.noResult) return { problem: 'is a formula with no saved result (open and save the workbook in Excel)' };
+  // ExcelJS gives date cells as UTC midnight; keep the calendar day
+  if (value instanceof Date) return { value: new Date(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()) };
+  if (typeof value === 'number') return { value: excelDateToJSDate(value) };
+
+  const text = String(value.richText ? value.richText.map(part => part.text).join('') : value).trim();
+  const dayMonthYear = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (dayMonthYear) return { value: new Date(Number(dayMonthYear[3]), Number(dayMonthYear[2]) - 1, Number(dayMonthYear[1])) };
+  const dayMonth = text.match(/^(\d{1,2})-([a-z]{3})$/i);
+  if (dayMonth && MONTHS.includes(dayMonth[2].toLowerCase())) {
+    return { value: new Date(new Date().getFullYear(), MONTHS.indexOf(dayMonth[2].toLowerCase()), Number(dayMonth[1])) };
+  }
+  return { problem: `is "${text}", not a date` };
+}
+
+// The PLAN_ROWS entry a column A label belongs to
+function findRowSpec(label) {
+  return PLAN_ROWS.find(spec => spec.labels.some(wanted =>
+    spec.partial ? label.includes(normalizeLabel(wanted)) : label === normalizeLabel(wanted)
+  )) || null;
+}
+
+/**
+ * Read the main plan sheet and check it against the layout.
+ *
+ * @param {import('exceljs').Workbook} workbook
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.releases] - From resolveReleases; each sprint needs a column
+ * @returns {Plan}
+ */
+function parsePlan(workbook, options = {}) {
+  const problems = [];
+  const plan = {
+    worksheet: null,
+    sprints: [],
+    totalsColumn: null,
+    releaseColumn: null,
+    epicKeyColumn: null,
+    rows: {},
+    epics: [],
+    committed: new Map(),
+    delivered: new Map(),
+    deliveredToday: 0,
+    remaining: 0,
+    problems
+  };
+
+  const worksheet = workbook.getWorksheet(PLAN_SHEET);
+  if (!worksheet) {
+    problems.push(`No "${PLAN_SHEET}" sheet (sheets: ${workbook.worksheets.map(sheet => sheet.name).join(', ') || 'none'})`);
+    return plan;
+  }
+  plan.worksheet = worksheet;
+  const where = (rowNumber, column) => `${PLAN_SHEET}!${worksheet.getCell(rowNumber, column).address}`;
+
+  // Numbers from one row, one per sprint column
+  const readSprintValues = (key, label) => {
+    const values = new Map();
+    for (const sprint of plan.sprints) {
+      const { value, problem } = readNumber(worksheet.getCell(plan.rows[key], sprint.column));
+      if (problem) problems.push(`${where(plan.rows[key], sprint.column)} (${label}, Sprint ${sprint.number}) ${problem}`);
+      values.set(sprint.number, value || 0);
+    }
+    return values;
+  };
+
+  worksheet.getRow(HEADER_ROW).eachCell((cell, column) => {
+    const sprintNumber = readSprintHeader(cell);
+    const header = normalizeLabel(cellText(cell));
+    if (sprintNumber !== null) {
+      const seen = plan.sprints.find(sprint => sprint.number === sprintNumber);
+      if (seen) {
+        problems.push(`Sprint ${sprintNumber} has two columns (${where(HEADER_ROW, seen.column)} and ${where(HEADER_ROW, column)})`);
+      } else {
+        plan.sprints.push({ number: sprintNumber, column, startDate: null });
+      }
+    } else if (header === 'TOTALS') {
+      plan.totalsColumn = column;
+    } else if (header === 'RELEASE') {
+      plan.releaseColumn = column;
+    } else if (EPIC_KEY_HEADERS.some(wanted => header === normalizeLabel(wanted))) {
+      plan.epicKeyColumn = column;
+    }
+  });
+  if (plan.sprints.length === 0) problems.push(`Row ${HEADER_ROW} of ${PLAN_SHEET} has no "Sprint N" headers`);
+  if (!plan.totalsColumn) problems.push(`Row ${HEADER_ROW} of ${PLAN_SHEET} has no "TOTALS" header`);
+
+  for (const release of options.releases || []) {
+    const columns = new Map(plan.sprints.map(sprint => [sprint.number, sprint.column]));
+    for (const sprintNumber of getReleaseColumns(release, columns).missing) {
+      problems.push(`${release.name} (Sprints ${release.firstSprint}-${release.lastSprint}) has no "Sprint ${sprintNumber}" column in ${PLAN_SHEET}`);
+    }
+  }
+
+  const found = {};
+  worksheet.eachRow((row, rowNumber) => {
+    const spec = findRowSpec(normalizeLabel(cellText(row.getCell(LABEL_COLUMN))));
+    if (spec) (found[spec.key] = found[spec.key] || []).push(rowNumber);
+  });
+  for (const spec of PLAN_ROWS) {
+    const rowNumbers = found[spec.key] || [];
+    if (rowNumbers.length === 0) {
+      problems.push(`No ${spec.labels.map(label => `"${label}"`).join(' or ')} row in column A of ${PLAN_SHEET}`);
+    } else if (rowNumbers.length > 1) {
+      problems.push(`"${spec.labels[0]}" is on rows ${rowNumbers.join(' and ')} of ${PLAN_SHEET}; keep one`);
+    } else {
+      plan.rows[spec.key] = rowNumbers[0];
+    }
+  }
+
+  if (plan.rows.dates) {
+    let previous = null;
+    for (const sprint of plan.sprints) {
+      const { value, problem } = readDate(worksheet.getCell(plan.rows.dates, sprint.column));
+      if (problem) {
+        problems.push(`${where(plan.rows.dates, sprint.column)} (Sprint ${sprint.number} start date) ${problem}`);
+        continue;
+      }
+      sprint.startDate = value;
+      if (previous && value <= previous.startDate) {
+        problems.push(`Sprint ${sprint.number} starts (${where(plan.rows.dates, sprint.column)}) on or before Sprint ${previous.number}`);
+      }
+      previous = sprint;
+    }
+  }
+
+  // Epics are the labelled rows between the dates and the first total below them
+  const epicsEnd = Math.min(...['committed', 'deliveredToday', 'delivered', 'ignoreBelow']
+    .map(key => plan.rows[key])
+    .filter(rowNumber => rowNumber > (plan.rows.dates || 0)));
+  if (plan.rows.dates && Number.isFinite(epicsEnd)) {
+    for (let rowNumber = plan.rows.dates + 1; rowNumber < epicsEnd; rowNumber++) {
+      const name = cellText(worksheet.getCell(rowNumber, LABEL_COLUMN));
+      if (name === '') continue;
+
+      const points = new Map();
+      for (const sprint of plan.sprints) {
+        const { value, problem } = readNumber(worksheet.getCell(rowNumber, sprint.column));
+        if (problem) problems.push(`${where(rowNumber, sprint.column)} (${name}, Sprint ${sprint.number}) ${problem}`);
+        points.set(sprint.number, value || 0);
+      }
+      const total = plan.totalsColumn ? readNumber(worksheet.getCell(rowNumber, plan.totalsColumn)) : { value: 0 };
+      if (total.problem) problems.push(`${where(rowNumber, plan.totalsColumn)} (${name}, TOTALS) ${total.problem}`);
+      const jiraKey = plan.epicKeyColumn ? cellText(worksheet.getCell(rowNumber, plan.epicKeyColumn)).toUpperCase() : '';
+      if (jiraKey && !ISSUE_KEY_PATTERN.test(jiraKey)) {
+        problems.push(`${where(rowNumber, plan.epicKeyColumn)} (${name}, JIRA Epic) is "${jiraKey}", not an issue key`);
+      }
+
+      plan.epics.push({
+        row: rowNumber,
+        name,
+        release: plan.releaseColumn ? cellText(worksheet.getCell(rowNumber, plan.releaseColumn)) : '',
+        points,
+        total: total.value || 0,
+        jiraKey: ISSUE_KEY_PATTERN.test(jiraKey) ? jiraKey : null
+      });
+    }
+    if (plan.epics.length === 0) {
+      problems.push(`No epic rows between "${PLAN_ROWS[0].labels[0]}" (row ${plan.rows.dates}) and row ${epicsEnd} of ${PLAN_SHEET}`);
+    }
+  }
+
+  if (plan.rows.committed) plan.committed = readSprintValues('committed', 'committed points');
+  if (plan.rows.delivered) plan.delivered = readSprintValues('delivered', 'delivered points');
+
+  for (const key of ['deliveredToday', 'remaining']) {
+    if (!plan.rows[key]) continue;
+    const { value, problem } = readNumber(worksheet.getCell(plan.rows[key], VALUE_COLUMN));
+    if (problem) problems.push(`${where(plan.rows[key], VALUE_COLUMN)} (${PLAN_ROWS.find(spec => spec.key === key).labels[0]}) ${problem}`);
+    plan[key] = value || 0;
+  }
+
+  return plan;
+}
+
+/**
+ * The Progress sheet's day columns and its actual points row.
+ *
+ * @param {import('exceljs').Workbook} workbook
+ * @returns {{worksheet: ?import('exceljs').Worksheet, days: Array<{column: number, date: Date}>, actualRow: ?number, problems: string[]}}
+ */
+function readProgressSheet(workbook) {
+  const progress = { worksheet: null, days: [], actualRow: null, problems: [] };
+  const worksheet = workbook.getWorksheet(PROGRESS_SHEET);
+  if (!worksheet) {
+    progress.problems.push(`No "${PROGRESS_SHEET}" sheet`);
+    return progress;
+  }
+  progress.worksheet = worksheet;
+
+  worksheet.getRow(HEADER_ROW).eachCell((cell, column) => {
+    if (column === LABEL_COLUMN) return;
+    const { value, problem } = readDate(cell);
+    if (problem) {
+      progress.problems.push(`${PROGRESS_SHEET}!${cell.address} (date) ${problem}`);
+    } else {
+      progress.days.push({ column, date: value });
+    }
+  });
+
+  const wanted = PROGRESS_ACTUAL_LABELS.map(normalizeLabel);
+  worksheet.eachRow((row, rowNumber) => {
+    if (!progress.actualRow && wanted.includes(normalizeLabel(cellText(row.getCell(LABEL_COLUMN))))) {
+      progress.actualRow = rowNumber;
+    }
+  });
+  if (!progress.actualRow) {
+    progress.problems.push(`No ${PROGRESS_ACTUAL_LABELS.map(label => `"${label}"`).join(' or ')} row in column A of ${PROGRESS_SHEET}`);
+  }
+
+  return progress;
+}
+
+/**
+ * Total of the given sprints' values.
+ *
+ * @param {Map<number, number>} values - e.g. plan.committed
+ * @param {number[]} sprintNumbers
+ * @returns {number}
+ */
+function sumSprints(values, sprintNumbers) {
+  return sprintNumbers.reduce((sum, sprintNumber) => sum + (values.get(sprintNumber) || 0), 0);
+}
+
+module.exports = {
+  PLAN_SHEET,
+  PROGRESS_SHEET,
+  VALUE_COLUMN,
+  PLAN_ROWS,
+  parsePlan,
+  readProgressSheet,
+  sumSprints
+};
@@ -0,0 +1,150 @@
+// Rules turning a defect row's severity, business impact, go/no-go risk or any
+// other columns into a JIRA priority, plus labels such as go-live-blocker.
+//
+// A profile's "priorityRules" are tried in order and the first rule whose
+// conditions all hold decides:
+//   { "name": "Go-live blocker", "when": { "Go/No-Go Risk": "Yes" }, "priority": "P1", "labels": ["go-live-blocker"] }
+// A condition compares a column with a value (case and surrounding spaces
+// ignored), any value in a list, or a "/regular expression/flags". A rule
+// without conditions matches every row, so it makes a catch-all last rule.
+// Rows no rule matches keep the priority read from the profile's priority
+// column and are listed before the upload.
+
+// JIRA priority names for the P1-P4 codes the priority column holds
+const PRIORITY_NAMES = {
+  P1: 'P1 - Critical',
+  P2: 'P2 - High',
+  P3: 'P3 - Medium',
+  P4: 'P4 - Low'
+};
+
+const RULE_KEYS = ['name', 'when', 'priority', 'labels'];
+
+// "/pattern/flags" as a RegExp, anything else as null
+function parsePattern(value) {
+  const match = String(value).match(/^\/(.+)\/([a-z]*)$/);
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+function normalize(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+// Whether a cell satisfies one condition
+function matchesCondition(cell, expected) {
+  const values = Array.isArray(expected) ? expected : [expected];
+  return values.some(value => {
+    const pattern = parsePattern(value);
+    return pattern ? pattern.test(String(cell ?? '').trim()) : normalize(cell) === normalize(value);
+  });
+}
+
+/**
+ * How a rule is named in reports: its name, else its position.
+ *
+ * @param {Object} rule
+ * @param {number} index
+ * @returns {string}
+ */
+function describeRule(rule, index) {
+  return rule.name || `rule ${index + 1}`;
+}
+
+/**
+ * The first rule a row matches.
+ *
+ * @param {Array<Object>} rules - The profile's priorityRules
+ * @param {function(string): *} read - Reads a row's cell by column name
+ * @returns {?{rule: Object, name: string}} null when no rule matches
+ */
+function findPriorityRule(rules, read) {
+  for (const [index, rule] of (rules || []).entries()) {
+    const conditions = Object.entries(rule.when || {});
+    if (conditions.every(([column, expected]) => matchesCondition(read(column), expected))) {
+      return { rule, name: describeRule(rule, index) };
+    }
+  }
+  return null;
+}
+
+/**
+ * The columns the rules read, so they are checked against the defect log.
+ *
+ * @param {Array<Object>} rules
+ * @returns {string[]}
+ */
+function getRuleColumns(rules) {
+  return [...new Set((rules || []).flatMap(rule => Object.keys(rule.when || {})))];
+}
+
+/**
+ * Problems with a priorityRules list's shape, for config validation.
+ *
+ * @param {*} rules
+ * @param {string} where - Config path of the list, e.g. defects.profiles.acme.priorityRules
+ * @returns {string[]}
+ */
+function validatePriorityRules(rules, where) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) return [`"${where}" must be a list of rules`];
+
+  const problems = [];
+  rules.forEach((rule, index) => {
+    const at = `${where}[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      problems.push(`"${at}" must be an object with "when" and "priority"`);
+      return;
+    }
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) problems.push(`"${at}.${key}" is not a rule key (use ${RULE_KEYS.join(', ')})`);
+    }
+    if (typeof rule.priority !== 'string' || rule.priority.trim() === '') {
+      problems.push(`"${at}.priority" must name a JIRA priority or P1-P4`);
+    }
+    if (rule.labels !== undefined && (!Array.isArray(rule.labels) || rule.labels.some(label => typeof label !== 'string'))) {
+      problems.push(`"${at}.labels" must be a list of strings`);
+    }
+    if (rule.when !== undefined && (!rule.when || typeof rule.when !== 'object' || Array.isArray(rule.when))) {
+      problems.push(`"${at}.when" must map column names to values`);
+      return;
+    }
+    for (const [column, expected] of Object.entries(rule.when || {})) {
+      for (const value of Array.isArray(expected) ? expected : [expected]) {
+        if (typeof value !== 'string') {
+          problems.push(`"${at}.when.${column}" must be a string or a list of strings`);
+          continue;
+        }
+        try {
+          parsePattern(value);
+        } catch (error) {
+          problems.push(`"${at}.when.${column}" has an invalid pattern ${value}: ${error.message}`);
+        }
+      }
+    }
+  });
+  return problems;
+}
+
+/**
+ * The JIRA priority for a P1-P4 code or priority name: the code's usual
+ * name, else a priority with that name (case ignored), else one containing it.
+ *
+ * @param {Array<{id: string, name: string}>} priorities - From /rest/api/3/priority
+ * @param {string} value
+ * @returns {?{id: string, name: string}}
+ */
+function resolvePriority(priorities, value) {
+  const wanted = normalize(PRIORITY_NAMES[String(value).toUpperCase()] || value);
+  return priorities.find(priority => normalize(priority.name) === wanted)
+    || priorities.find(priority => normalize(priority.name).includes(normalize(value)))
+    || null;
+}
+
+module.exports = {
+  PRIORITY_NAMES,
+  describeRule,
+  findPriorityRule,
+  getRuleColumns,
+  validatePriorityRules,
+  resolvePriority
+};
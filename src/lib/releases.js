@@ -0,0 +1,149 @@
+// The release plan: which sprints make up each release.
+//
+// Releases are declared under "releases" in jira-utils.config.json:
+//   { "name": "Release 1D", "firstSprint": 30, "lastSprint": 33, "type": "feature", "fixVersion": "Release 1D" }
+// and found in the plan workbook by the "Sprint N" headers of its main sheet,
+// so inserting a sprint column or moving a release boundary only needs the
+// config (or the workbook) changed, not the scripts.
+
+const { cellText } = require('./excel');
+
+const RELEASE_TYPES = ['feature', 'bugfix'];
+
+const SPRINT_HEADER_PATTERN = /^sprint\s+(\d+)$/i;
+
+/**
+ * @typedef {Object} Release
+ * @property {string} name - Shown in reports
+ * @property {number} firstSprint
+ * @property {number} lastSprint
+ * @property {string} type - feature or bugfix
+ * @property {?string} fixVersion - The JIRA fix version the release ships as
+ */
+
+/**
+ * Problems with the releases list, for config validation.
+ *
+ * @param {*} releases
+ * @returns {string[]}
+ */
+function validateReleases(releases) {
+  if (releases === undefined) return [];
+  if (!Array.isArray(releases)) return ['"releases" must be a list of releases'];
+
+  const problems = [];
+  const isSprint = value => Number.isInteger(value) && value > 0;
+  releases.forEach((release, index) => {
+    const at = `releases[${index}]`;
+    if (!release || typeof release !== 'object' || Array.isArray(release)) {
+      problems.push(`"${at}" must be an object with name, firstSprint and lastSprint`);
+      return;
+    }
+    if (typeof release.name !== 'string' || release.name.trim() === '') {
+      problems.push(`"${at}.name" must be a non-empty string`);
+    }
+    if (!isSprint(release.firstSprint)) problems.push(`"${at}.firstSprint" must be a sprint number`);
+    if (!isSprint(release.lastSprint)) problems.push(`"${at}.lastSprint" must be a sprint number`);
+    if (isSprint(release.firstSprint) && isSprint(release.lastSprint) && release.firstSprint > release.lastSprint) {
+      problems.push(`"${at}" ends (Sprint ${release.lastSprint}) before it starts (Sprint ${release.firstSprint})`);
+    }
+    if (release.type !== undefined && !RELEASE_TYPES.includes(release.type)) {
+      problems.push(`"${at}.type" must be one of ${RELEASE_TYPES.join(', ')}`);
+    }
+    if (release.fixVersion !== undefined && (typeof release.fixVersion !== 'string' || release.fixVersion.trim() === '')) {
+      problems.push(`"${at}.fixVersion" must be a non-empty string`);
+    }
+  });
+
+  // A sprint belongs to one release
+  const valid = releases.filter(release => release && Number.isInteger(release.firstSprint) && Number.isInteger(release.lastSprint));
+  valid.forEach((release, i) => {
+    for (const other of valid.slice(i + 1)) {
+      if (release.firstSprint <= other.lastSprint && other.firstSprint <= release.lastSprint) {
+        problems.push(`Releases "${release.name}" and "${other.name}" both include Sprint ${Math.max(release.firstSprint, other.firstSprint)}`);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * The configured releases in sprint order, with defaults filled in.
+ *
+ * @param {Object} config - Resolved config (lib/config)
+ * @returns {Release[]}
+ */
+function resolveReleases(config) {
+  return (config.releases || [])
+    .map(release => ({ type: 'feature', fixVersion: null, ...release }))
+    .sort((a, b) => a.firstSprint - b.firstSprint);
+}
+
+/**
+ * The release a sprint belongs to.
+ *
+ * @param {Release[]} releases
+ * @param {number} sprintNumber
+ * @returns {?Release}
+ */
+function findRelease(releases, sprintNumber) {
+  return releases.find(release => sprintNumber >= release.firstSprint && sprintNumber <= release.lastSprint) || null;
+}
+
+/**
+ * The sprint number of a "Sprint N" header cell.
+ *
+ * @param {import('exceljs').Cell} cell
+ * @returns {?number}
+ */
+function readSprintHeader(cell) {
+  const match = cellText(cell).trim().match(SPRINT_HEADER_PATTERN);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Sprint columns of a plan sheet, found by their "Sprint N" headers.
+ *
+ * @param {import('exceljs').Worksheet} worksheet
+ * @param {number} [headerRow] - Row holding the headers (default 1)
+ * @returns {Map<number, number>} Sprint number -> column number, in column order
+ */
+function getSprintColumns(worksheet, headerRow = 1) {
+  const columns = new Map();
+  worksheet.getRow(headerRow).eachCell((cell, colNumber) => {
+    const sprint = readSprintHeader(cell);
+    if (sprint !== null && !columns.has(sprint)) columns.set(sprint, colNumber);
+  });
+  return columns;
+}
+
+/**
+ * The plan columns of a release's sprints.
+ *
+ * @param {Release} release
+ * @param {Map<number, number>} sprintColumns - From getSprintColumns
+ * @returns {{columns: number[], missing: number[]}} missing lists sprints with no column
+ */
+function getReleaseColumns(release, sprintColumns) {
+  const columns = [];
+  const missing = [];
+  for (let sprint = release.firstSprint; sprint <= release.lastSprint; sprint++) {
+    if (sprintColumns.has(sprint)) {
+      columns.push(sprintColumns.get(sprint));
+    } else {
+      missing.push(sprint);
+    }
+  }
+  return { columns, missing };
+}
+
+module.exports = {
+  RELEASE_TYPES,
+  validateReleases,
+  resolveReleases,
+  findRelease,
+  readSprintHeader,
+  getSprintColumns,
+  getReleaseColumns
+};
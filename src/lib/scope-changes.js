@@ -0,0 +1,147 @@
+// Sprint scope analysis: when issues joined the sprint and how their estimates grew.
+
+const { createWorkflow } = require('./workflow');
+
+/**
+ * Analyze when issue was added to sprint.
+ * The sprint field's changelog value is a comma separated list of sprint
+ * names, so names are matched exactly ("Sprint 3" is not "Sprint 31").
+ *
+ * @param {Object} changelog - issue.changelog
+ * @param {string} sprintFieldId
+ * @param {string} sprintName
+ * @param {string} createdDate - Fallback when the changelog has no sprint change
+ * @returns {string} ISO timestamp
+ */
+function analyzeSprintAddition(changelog, sprintFieldId, sprintName, createdDate) {
+  if (!changelog || !changelog.histories) {
+    return createdDate; // If no changelog, assume added at creation
+  }
+
+  for (const history of changelog.histories) {
+    for (const item of history.items || []) {
+      if (item.field === 'Sprint' || item.fieldId === sprintFieldId) {
+        // Check if this sprint was added
+        const sprintNames = (item.toString || '').split(',').map(name => name.trim());
+        if (sprintNames.includes(sprintName)) {
+          return history.created;
+        }
+      }
+    }
+  }
+
+  return createdDate; // Default to creation date if not found in changelog
+}
+
+/**
+ * Analyze story point changes over time
+ *
+ * @param {Object} changelog - issue.changelog
+ * @param {string} storyPointsFieldId
+ * @returns {Array<{date: string, from: string, to: string, author: string}>}
+ */
+function analyzeStoryPointChanges(changelog, storyPointsFieldId) {
+  const changes = [];
+
+  if (!changelog || !changelog.histories) {
+    return changes;
+  }
+
+  for (const history of changelog.histories) {
+    for (const item of history.items || []) {
+      if (item.field === 'Story Points' || item.fieldId === storyPointsFieldId) {
+        changes.push({
+          date: history.created,
+          from: item.fromString || '0',
+          to: item.toString || '0',
+          author: history.author?.displayName || 'Unknown'
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Calculate scope changes and statistics.
+ * Issues are the summaries built by the burndown script: key, summary,
+ * status, storyPoints, addedToSprint and storyPointHistory.
+ *
+ * @param {Array<Object>} issues
+ * @param {string} sprintStartDate
+ * @param {Object} [workflow] - Decides which statuses are done (lib/workflow)
+ * @returns {Object}
+ */
+function calculateScopeChanges(issues, sprintStartDate, workflow = createWorkflow()) {
+  const sprintStart = new Date(sprintStartDate);
+
+  const initialScope = [];
+  const addedScope = [];
+  const storyPointIncreases = [];
+
+  for (const issue of issues) {
+    const addedDate = new Date(issue.addedToSprint);
+
+    if (addedDate <= sprintStart) {
+      initialScope.push(issue);
+    } else {
+      addedScope.push(issue);
+    }
+
+    // Check for story point increases
+    if (issue.storyPointHistory && issue.storyPointHistory.length > 0) {
+      for (const change of issue.storyPointHistory) {
+        const changeDate = new Date(change.date);
+        if (changeDate >= sprintStart) {
+          const fromPoints = parseFloat(change.from) || 0;
+          const toPoints = parseFloat(change.to) || 0;
+          const increase = toPoints - fromPoints;
+
+          if (increase > 0) {
+            storyPointIncreases.push({
+              issue: issue.key,
+              summary: issue.summary,
+              date: change.date,
+              from: fromPoints,
+              to: toPoints,
+              increase: increase,
+              author: change.author
+            });
+          }
+        }
+      }
+    }
+  }
+
+  // Calculate totals
+  const initialPoints = initialScope.reduce((sum, issue) => sum + issue.storyPoints, 0);
+  const addedPoints = addedScope.reduce((sum, issue) => sum + issue.storyPoints, 0);
+  const increasedPoints = storyPointIncreases.reduce((sum, change) => sum + change.increase, 0);
+
+  const completedIssues = issues.filter(issue => workflow.isDone(issue.status));
+  const completedPoints = completedIssues.reduce((sum, issue) => sum + issue.storyPoints, 0);
+
+  const remainingIssues = issues.filter(issue => !workflow.isDone(issue.status));
+  const remainingPoints = remainingIssues.reduce((sum, issue) => sum + issue.storyPoints, 0);
+
+  return {
+    initialScope,
+    initialPoints,
+    addedScope,
+    addedPoints,
+    storyPointIncreases,
+    increasedPoints,
+    totalCurrentPoints: initialPoints + addedPoints + increasedPoints,
+    completedIssues,
+    completedPoints,
+    remainingIssues,
+    remainingPoints
+  };
+}
+
+module.exports = {
+  analyzeSprintAddition,
+  analyzeStoryPointChanges,
+  calculateScopeChanges
+};
@@ -0,0 +1,70 @@
+// S-curve distribution of sprint story points across working days.
+
+// Standard S-curve profiles (share of the total per day) by sprint length.
+// None of them sum to 1; distributeSCurve puts the remainder on the middle day.
+const S_CURVE_PROFILES = {
+  10: [0.05, 0.07, 0.10, 0.12, 0.13, 0.13, 0.12, 0.10, 0.07, 0.05],
+  9: [0.05, 0.07, 0.11, 0.13, 0.14, 0.14, 0.13, 0.11, 0.07],
+  8: [0.06, 0.08, 0.12, 0.14, 0.14, 0.14, 0.12, 0.08],
+  7: [0.07, 0.10, 0.13, 0.15, 0.15, 0.13, 0.10],
+  6: [0.08, 0.12, 0.15, 0.15, 0.12, 0.08],
+  5: [0.10, 0.15, 0.20, 0.15, 0.10]
+};
+
+function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Generate an S-curve profile for any number of days using smoothstep.
+ * The shares sum to 1.
+ *
+ * @param {number} days
+ * @returns {number[]}
+ */
+function generateSCurveProfile(days) {
+  if (days <= 0) return [];
+  if (days === 1) return [1];
+
+  const profile = [];
+  for (let i = 0; i < days; i++) {
+    const t = i / (days - 1); // 0 to 1
+    const smoothT = t * t * (3 - 2 * t);
+    profile.push(smoothT);
+  }
+
+  // Normalize to percentages that sum to 1
+  const sum = profile.reduce((a, b) => a + b, 0);
+  return profile.map(v => v / sum);
+}
+
+/**
+ * Split a sprint's points across its working days along an S-curve.
+ * Each day is rounded to 2 decimal places and any rounding difference is
+ * added to the middle day, so the days always sum to the total.
+ *
+ * @param {number} totalPoints
+ * @param {number} workingDays
+ * @returns {number[]} Points per working day
+ */
+function distributeSCurve(totalPoints, workingDays) {
+  if (workingDays <= 0) return [];
+
+  const profile = S_CURVE_PROFILES[workingDays] || generateSCurveProfile(workingDays);
+  const distribution = profile.map(percentage => roundPoints(totalPoints * percentage));
+
+  const sum = distribution.reduce((a, b) => a + b, 0);
+  const diff = roundPoints(totalPoints - sum);
+  if (diff !== 0) {
+    const middle = Math.floor(workingDays / 2);
+    distribution[middle] = roundPoints(distribution[middle] + diff);
+  }
+
+  return distribution;
+}
+
+module.exports = {
+  S_CURVE_PROFILES,
+  generateSCurveProfile,
+  distributeSCurve
+};
@@ -0,0 +1,154 @@
+// Sprint calendar helpers: sprint dates, working days and point splits.
+//
+// Working days are weekdays unless a team calendar (lib/team-calendar.js) is
+// given, which also takes out bank holidays and days nobody is in, and weighs
+// each day by the team's capacity.
+
+const SPRINT_LENGTH_DAYS = 14;
+
+// Check if a date is a weekend
+function isWeekend(date) {
+  const day = date.getDay();
+  return day === 0 || day === 6; // Sunday = 0, Saturday = 6
+}
+
+/**
+ * A date as YYYY-MM-DD in local time (plan and calendar dates are local midnight).
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * @typedef {Object} SprintDay
+ * @property {Date} date
+ * @property {boolean} isWeekend
+ * @property {?string} holiday - Bank holiday name
+ * @property {number} capacity - Person-days the team has that day (1 per weekday without a team calendar)
+ * @property {boolean} isWorkingDay
+ */
+
+/**
+ * Generate the calendar days of a sprint starting on startDate.
+ *
+ * @param {Date} startDate
+ * @param {number} [length] - Sprint length in calendar days
+ * @param {?Object} [calendar] - From lib/team-calendar; weekends only when omitted
+ * @returns {SprintDay[]}
+ */
+function generateSprintDates(startDate, length = SPRINT_LENGTH_DAYS, calendar = null) {
+  const dates = [];
+  for (let i = 0; i < length; i++) {
+    const date = new Date(startDate);
+    date.setDate(startDate.getDate() + i);
+    const capacity = calendar ? calendar.capacityOn(date) : (isWeekend(date) ? 0 : 1);
+    dates.push({
+      date: new Date(date),
+      isWeekend: isWeekend(date),
+      holiday: calendar ? calendar.holidayOn(date) : null,
+      capacity,
+      isWorkingDay: capacity > 0
+    });
+  }
+  return dates;
+}
+
+/**
+ * Calendar days in a plan sprint: up to the next sprint's start, or
+ * SPRINT_LENGTH_DAYS for the last one.
+ *
+ * @param {Array<{startDate: Date}>} sprints - In date order
+ * @param {number} index
+ * @returns {number}
+ */
+function getSprintLength(sprints, index) {
+  const next = sprints[index + 1];
+  if (!next) return SPRINT_LENGTH_DAYS;
+  const start = sprints[index].startDate;
+  // Count in UTC so a clock change inside the sprint does not shorten it
+  const days = (Date.UTC(next.startDate.getFullYear(), next.startDate.getMonth(), next.startDate.getDate()) -
+    Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / 86400000;
+  return days > 0 ? days : SPRINT_LENGTH_DAYS;
+}
+
+// Count working days in a sprint
+function countWorkingDays(sprintDates) {
+  return sprintDates.filter(d => d.isWorkingDay).length;
+}
+
+/**
+ * Points per working day for an even split, rounded to 2 decimal places.
+ * Multiplying back by workingDays may not give the exact total; use
+ * distributePointsByDay when the days must add up.
+ *
+ * @param {number} totalPoints
+ * @param {number} workingDays
+ * @returns {number}
+ */
+function distributePoints(totalPoints, workingDays) {
+  if (totalPoints === 0 || workingDays === 0) return 0;
+  return Math.round((totalPoints / workingDays) * 100) / 100;
+}
+
+/**
+ * Split points evenly across working days, 2 decimal places per day, with the
+ * rounding remainder on the last day so the days sum to the total.
+ *
+ * @param {number} totalPoints
+ * @param {number} workingDays
+ * @returns {number[]}
+ */
+function distributePointsByDay(totalPoints, workingDays) {
+  if (workingDays <= 0) return [];
+
+  const perDay = distributePoints(totalPoints, workingDays);
+  const days = new Array(workingDays).fill(perDay);
+  const assigned = Math.round(perDay * (workingDays - 1) * 100) / 100;
+  days[workingDays - 1] = Math.round((totalPoints - assigned) * 100) / 100;
+
+  return days;
+}
+
+/**
+ * Split points across working days in proportion to each day's capacity,
+ * following the shape of `distribute` (an even split by default, or
+ * distributeSCurve). Days with equal capacity get exactly what `distribute`
+ * gives; otherwise each day is weighted by its capacity, rounded to 2 decimal
+ * places, with the rounding remainder on the biggest day.
+ *
+ * @param {number} totalPoints
+ * @param {number[]} capacities - Capacity of each working day
+ * @param {function(number, number): number[]} [distribute]
+ * @returns {number[]}
+ */
+function distributeByCapacity(totalPoints, capacities, distribute = distributePointsByDay) {
+  const base = distribute(totalPoints, capacities.length);
+  if (capacities.every(capacity => capacity === capacities[0])) return base;
+
+  const weighted = base.map((points, i) => points * capacities[i]);
+  const weightedTotal = weighted.reduce((sum, points) => sum + points, 0);
+  if (weightedTotal === 0) return base;
+
+  const days = weighted.map(points => Math.round((points / weightedTotal) * totalPoints * 100) / 100);
+  const biggest = days.indexOf(Math.max(...days));
+  const assigned = days.reduce((sum, points, i) => (i === biggest ? sum : sum + points), 0);
+  days[biggest] = Math.round((totalPoints - assigned) * 100) / 100;
+  return days;
+}
+
+module.exports = {
+  SPRINT_LENGTH_DAYS,
+  isWeekend,
+  toDayKey,
+  generateSprintDates,
+  getSprintLength,
+  countWorkingDays,
+  distributePoints,
+  distributePointsByDay,
+  distributeByCapacity
+};
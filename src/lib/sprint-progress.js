@@ -0,0 +1,101 @@
+// Day-by-day sprint progress from issue changelogs.
+
+const { getCompletionDates } = require('./changelog');
+const { createWorkflow } = require('./workflow');
+
+const DEFAULT_STORY_POINTS = 2;
+
+/**
+ * Generate all dates between start and end (inclusive).
+ * Steps in UTC so daylight saving changes never repeat or skip a day.
+ *
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function getDateRange(startDate, endDate) {
+  const dates = [];
+  const current = new Date(startDate);
+  const end = new Date(endDate);
+
+  while (current <= end) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Calculate daily progress from the sprint start up to today.
+ * Issues without story points count as 2 points.
+ *
+ * @param {import('./jira-client').JiraIssue[]} issues
+ * @param {string} sprintStartDate - YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @param {string} storyPointsField
+ * @param {Object} [workflow] - Decides which statuses are done (lib/workflow)
+ * @returns {Array<Object>} One entry per calendar day
+ */
+function calculateDailyProgress(issues, sprintStartDate, today, storyPointsField, workflow = createWorkflow()) {
+  const dailyProgress = [];
+  // Ensure today is included in range
+  const endDate = today >= sprintStartDate ? today : sprintStartDate;
+  const dates = getDateRange(sprintStartDate, endDate);
+
+  // Calculate total sprint scope
+  let totalPoints = 0;
+  for (const issue of issues) {
+    totalPoints += issue.fields[storyPointsField] || DEFAULT_STORY_POINTS;
+  }
+
+  // The first completion in the range, so a day's count stays put when the
+  // report is re-run, even if the issue has since been reopened
+  const completionDates = new Map(issues.map(issue => [
+    issue,
+    getCompletionDates(issue, workflow.isDone).find(day => day >= sprintStartDate && day <= endDate) || null
+  ]));
+  let cumulativePoints = 0;
+
+  for (const date of dates) {
+    // Find all issues completed on this date (only during or after sprint start)
+    let pointsCompletedToday = 0;
+    const completedIssues = [];
+
+    for (const issue of issues) {
+      const completionDate = completionDates.get(issue);
+      if (completionDate === date) {
+        const points = issue.fields[storyPointsField] || DEFAULT_STORY_POINTS;
+        pointsCompletedToday += points;
+        completedIssues.push({
+          key: issue.key,
+          summary: issue.fields.summary,
+          points: points,
+          type: issue.fields.issuetype.name
+        });
+      }
+    }
+
+    cumulativePoints += pointsCompletedToday;
+    const remainingPoints = totalPoints - cumulativePoints;
+    const percentComplete = totalPoints > 0 ? (cumulativePoints / totalPoints) * 100 : 0;
+
+    dailyProgress.push({
+      date,
+      totalSprint: totalPoints,
+      completedToday: pointsCompletedToday,
+      cumulativeCompleted: cumulativePoints,
+      remaining: remainingPoints,
+      percentComplete: percentComplete.toFixed(1),
+      completedIssues
+    });
+  }
+
+  return dailyProgress;
+}
+
+module.exports = {
+  DEFAULT_STORY_POINTS,
+  getDateRange,
+  calculateDailyProgress
+};
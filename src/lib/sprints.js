@@ -0,0 +1,203 @@
+// Sprint discovery through the JIRA Agile board API.
+//
+// Resolves a sprint selector from the config or --sprint ("active", "next",
+// "previous", a sprint number such as "32", or a full sprint name) to the
+// matching sprint on the project's board, including its dates and goal.
+
+const BOARD_PAGE_SIZE = 50;
+const SPRINT_PAGE_SIZE = 50;
+
+const RELATIVE_SELECTORS = ['active', 'current', 'next', 'previous'];
+
+/**
+ * @typedef {Object} Sprint
+ * @property {?number} id
+ * @property {string} name
+ * @property {?string} state - 'active', 'closed' or 'future'
+ * @property {?string} startDate - ISO timestamp
+ * @property {?string} endDate - ISO timestamp
+ * @property {?string} completeDate - ISO timestamp, set once the sprint is closed
+ * @property {?string} goal
+ * @property {?number} boardId
+ */
+
+// Read every page of an Agile API list endpoint
+async function getAllPages(client, url, params, pageSize) {
+  const values = [];
+  let startAt = 0;
+
+  while (true) {
+    const response = await client.get(url, {
+      params: { ...params, startAt, maxResults: pageSize }
+    });
+    const page = response.data.values || [];
+    values.push(...page);
+
+    if (response.data.isLast !== false || page.length === 0) break;
+    startAt += page.length;
+  }
+
+  return values;
+}
+
+/**
+ * Find the scrum board for a project. The first board is used when the project
+ * has several.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {string} projectKey
+ * @returns {Promise<number>}
+ */
+async function findBoardId(client, projectKey) {
+  const boards = await getAllPages(client, '/rest/agile/1.0/board', {
+    projectKeyOrId: projectKey,
+    type: 'scrum'
+  }, BOARD_PAGE_SIZE);
+
+  if (boards.length === 0) {
+    throw new Error(`No scrum board found for project ${projectKey} - set "boardId" in the config file`);
+  }
+
+  if (boards.length > 1) {
+    console.warn(`   ⚠️  Project ${projectKey} has ${boards.length} boards, using "${boards[0].name}" (${boards[0].id}). Set "boardId" to choose another.`);
+  }
+
+  return boards[0].id;
+}
+
+/**
+ * List every sprint on a board, oldest first.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {number} boardId
+ * @returns {Promise<Sprint[]>}
+ */
+async function getBoardSprints(client, boardId) {
+  const sprints = await getAllPages(client, `/rest/agile/1.0/board/${boardId}/sprint`, {}, SPRINT_PAGE_SIZE);
+  return sprints.map(normalizeSprint);
+}
+
+function normalizeSprint(sprint) {
+  return {
+    id: sprint.id ?? null,
+    name: sprint.name,
+    state: sprint.state ? sprint.state.toLowerCase() : null,
+    startDate: sprint.startDate || null,
+    endDate: sprint.endDate || null,
+    completeDate: sprint.completeDate || null,
+    goal: sprint.goal || null,
+    boardId: sprint.originBoardId ?? null
+  };
+}
+
+// Trailing number of a sprint name, e.g. "NH Sprint 32" -> 32
+function getSprintNumber(name) {
+  const match = String(name).match(/(\d+)\s*$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+function byDate(field) {
+  return (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+}
+
+/**
+ * Pick out the active sprint and the sprints either side of it.
+ * When more than one sprint is active the one that started last wins.
+ *
+ * @param {Sprint[]} sprints
+ * @returns {{active: ?Sprint, next: ?Sprint, previous: ?Sprint}}
+ */
+function classifySprints(sprints) {
+  const active = sprints
+    .filter(s => s.state === 'active')
+    .sort(byDate('startDate'))
+    .pop() || null;
+
+  const previous = sprints
+    .filter(s => s.state === 'closed')
+    .sort((a, b) => byDate('completeDate')(a, b) || byDate('endDate')(a, b))
+    .pop() || null;
+
+  // Future sprints often have no dates yet, so fall back to board order
+  const next = sprints
+    .filter(s => s.state === 'future')
+    .sort((a, b) => byDate('startDate')(a, b) || (a.id - b.id))[0] || null;
+
+  return { active, next, previous };
+}
+
+/**
+ * Find the sprint a selector refers to.
+ *
+ * @param {Sprint[]} sprints
+ * @param {string|number} selector - 'active', 'current', 'next', 'previous', a sprint number or a sprint name
+ * @returns {?Sprint}
+ */
+function matchSprint(sprints, selector) {
+  const value = String(selector).trim();
+  const keyword = value.toLowerCase();
+
+  if (RELATIVE_SELECTORS.includes(keyword)) {
+    const { active, next, previous } = classifySprints(sprints);
+    if (keyword === 'next') return next;
+    if (keyword === 'previous') return previous;
+    return active;
+  }
+
+  const exact = sprints.find(s => s.name === value);
+  if (exact) return exact;
+
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value, 10);
+    return sprints.find(s => getSprintNumber(s.name) === number) || null;
+  }
+
+  return sprints.find(s => s.name.toLowerCase() === keyword) || null;
+}
+
+function isRelativeSelector(selector) {
+  return RELATIVE_SELECTORS.includes(String(selector).trim().toLowerCase());
+}
+
+/**
+ * Resolve the configured sprint against the project's board.
+ *
+ * A full sprint name still works when the board cannot be read (for example
+ * when the account lacks Agile permissions); only the name is known then.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {{project: string, sprint?: string, boardId?: number}} config
+ * @returns {Promise<Sprint>}
+ */
+async function resolveSprint(client, config) {
+  const selector = config.sprint || 'active';
+
+  let sprints;
+  try {
+    const boardId = config.boardId || await findBoardId(client, config.project);
+    sprints = await getBoardSprints(client, boardId);
+  } catch (error) {
+    if (isRelativeSelector(selector) || /^\d+$/.test(String(selector).trim())) {
+      throw new Error(`Could not resolve sprint "${selector}": ${error.message}`);
+    }
+    console.warn(`   ⚠️  Could not read sprints from the board (${error.message}), using "${selector}" as the sprint name`);
+    return normalizeSprint({ name: selector });
+  }
+
+  const sprint = matchSprint(sprints, selector);
+  if (!sprint) {
+    const known = sprints.slice(-5).map(s => s.name).join(', ');
+    throw new Error(`No sprint matching "${selector}" on the board${known ? ` (recent sprints: ${known})` : ''}`);
+  }
+
+  return sprint;
+}
+
+module.exports = {
+  findBoardId,
+  getBoardSprints,
+  classifySprints,
+  matchSprint,
+  getSprintNumber,
+  resolveSprint
+};
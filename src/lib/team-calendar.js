@@ -0,0 +1,431 @@
+// The team calendar: bank holidays, leave and part-time working, giving the
+// team's capacity on each day.
+//
+// Set under "calendar" in jira-utils.config.json:
+//   "calendar": {
+//     "holidays": "uk",
+//     "team": [
+//       { "name": "Jane Smith", "capacity": 0.6, "leave": ["2025-12-22/2025-12-31", "2026-01-09"] }
+//     ]
+//   }
+// "holidays" is "uk" (England and Wales bank holidays, worked out for any
+// year; the default), "none", or the path of an iCal (.ics) or JSON file of
+// holidays, relative to the config file. A person's capacity is the share of
+// a full day they work (default 1) and their leave is a list of days or
+// from/to ranges. A day's capacity is the person-days the team has that day,
+// 0 at weekends and on holidays; without a team it is 1 on every working day.
+
+const fs = require('fs');
+const path = require('path');
+const { isWeekend, toDayKey } = require('./sprint-calendar');
+
+const DEFAULT_HOLIDAYS = 'uk';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @typedef {Object} Holiday
+ * @property {string} day - YYYY-MM-DD
+ * @property {string} name
+ */
+
+// YYYY-MM-DD as local midnight
+function parseDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+}
+
+function isValidDay(value) {
+  return typeof value === 'string' && DAY_PATTERN.test(value) && toDayKey(parseDay(value)) === value;
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function roundDays(days) {
+  return Math.round(days * 100) / 100;
+}
+
+// Easter Sunday by the anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+// The first Monday of a month (0-based), or the last when last is set
+function monday(year, month, last = false) {
+  if (last) {
+    const lastDay = new Date(year, month + 1, 0);
+    return addDays(lastDay, -((lastDay.getDay() + 6) % 7));
+  }
+  const firstDay = new Date(year, month, 1);
+  return addDays(firstDay, (8 - firstDay.getDay()) % 7);
+}
+
+/**
+ * England and Wales bank holidays in a year, moved to the next weekday when
+ * they fall at a weekend. One-off holidays (coronations, jubilees) cannot be
+ * worked out; use a holiday file for years that have them.
+ *
+ * @param {number} year
+ * @returns {Holiday[]}
+ */
+function ukBankHolidays(year) {
+  const easter = easterSunday(year);
+  const newYear = new Date(year, 0, 1);
+  const christmas = new Date(year, 11, 25);
+  const boxingDay = new Date(year, 11, 26);
+
+  return [
+    { date: isWeekend(newYear) ? addDays(newYear, newYear.getDay() === 6 ? 2 : 1) : newYear, name: 'New Year\'s Day' },
+    { date: addDays(easter, -2), name: 'Good Friday' },
+    { date: addDays(easter, 1), name: 'Easter Monday' },
+    { date: monday(year, 4), name: 'Early May bank holiday' },
+    { date: monday(year, 4, true), name: 'Spring bank holiday' },
+    { date: monday(year, 7, true), name: 'Summer bank holiday' },
+    // At a weekend, Christmas Day moves to the 27th and Boxing Day to the 28th,
+    // unless Boxing Day is the Monday
+    { date: isWeekend(christmas) ? new Date(year, 11, 27) : christmas, name: 'Christmas Day' },
+    { date: isWeekend(boxingDay) ? new Date(year, 11, 28) : boxingDay, name: 'Boxing Day' }
+  ].map(({ date, name }) => ({ day: toDayKey(date), name }));
+}
+
+// iCal DATE or DATE-TIME value as YYYY-MM-DD
+function readICalDay(value) {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Holidays from an iCal file: every day of each event, from DTSTART up to
+ * (not including) DTEND.
+ *
+ * @param {string} text
+ * @returns {Holiday[]}
+ */
+function parseICalHolidays(text) {
+  // Long lines are folded onto lines starting with a space or tab
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  for (const line of lines) {
+    if (line.trim() === 'BEGIN:VEVENT') {
+      event = {};
+    } else if (line.trim() === 'END:VEVENT') {
+      if (event && event.start) {
+        const name = event.summary || 'Holiday';
+        let date = parseDay(event.start);
+        const end = event.end && event.end > event.start ? parseDay(event.end) : addDays(date, 1);
+        for (; date < end; date = addDays(date, 1)) holidays.push({ day: toDayKey(date), name });
+      }
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+      const property = line.slice(0, separator).split(';')[0].toUpperCase();
+      const value = line.slice(separator + 1);
+      if (property === 'DTSTART') event.start = readICalDay(value);
+      if (property === 'DTEND') event.end = readICalDay(value);
+      if (property === 'SUMMARY') event.summary = value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ').trim();
+    }
+  }
+
+  return holidays;
+}
+
+/**
+ * Holidays from a JSON file: a list of dates or {date, title} entries, an
+ * object with such an "events" list, or GOV.UK's bank-holidays.json (its
+ * england-and-wales division).
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {Holiday[]}
+ */
+function parseJsonHolidays(data) {
+  let events = data;
+  if (events && typeof events === 'object' && !Array.isArray(events)) {
+    events = events.events || (events['england-and-wales'] && events['england-and-wales'].events);
+  }
+  if (!Array.isArray(events)) {
+    throw new Error('expected a list of dates, an "events" list or GOV.UK\'s bank-holidays.json');
+  }
+
+  return events.map(event => {
+    const day = typeof event === 'string' ? event : event && event.date;
+    if (!isValidDay(day)) throw new Error(`${JSON.stringify(event)} is not a YYYY-MM-DD date`);
+    return { day, name: (event && (event.title || event.name)) || 'Holiday' };
+  });
+}
+
+/**
+ * Read a holiday file, .ics or .json by its extension.
+ *
+ * @param {string} filePath
+ * @returns {Holiday[]}
+ */
+function readHolidayFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf-8');
+  if (/\.ics$/i.test(filePath)) return parseICalHolidays(text);
+  return parseJsonHolidays(JSON.parse(text));
+}
+
+// A leave entry ("2025-12-22" or "2025-12-22/2025-12-31") as a day range
+function parseLeave(entry) {
+  const [from, to = from] = String(entry).split('/').map(part => part.trim());
+  return { from, to };
+}
+
+/**
+ * Problems with the calendar settings, for config validation.
+ *
+ * @param {*} calendar
+ * @returns {string[]}
+ */
+function validateCalendar(calendar) {
+  if (calendar === undefined) return [];
+  if (!calendar || typeof calendar !== 'object' || Array.isArray(calendar)) {
+    return ['"calendar" must be an object with holidays and team'];
+  }
+
+  const problems = [];
+  const { holidays, team } = calendar;
+  if (holidays !== undefined && (typeof holidays !== 'string' ||
+      !(['uk', 'none'].includes(holidays.trim().toLowerCase()) || /\.(ics|json)$/i.test(holidays.trim())))) {
+    problems.push('"calendar.holidays" must be "uk", "none" or the path of an .ics or .json file');
+  }
+
+  if (team === undefined) return problems;
+  if (!Array.isArray(team)) return [...problems, '"calendar.team" must be a list of people'];
+
+  const seen = new Set();
+  team.forEach((person, index) => {
+    const at = `calendar.team[${index}]`;
+    if (!person || typeof person !== 'object' || Array.isArray(person)) {
+      problems.push(`"${at}" must be an object with a name`);
+      return;
+    }
+    if (typeof person.name !== 'string' || person.name.trim() === '') {
+      problems.push(`"${at}.name" must be a non-empty string`);
+    } else if (seen.has(person.name.trim().toLowerCase())) {
+      problems.push(`"${person.name}" is listed twice in "calendar.team"`);
+    } else {
+      seen.add(person.name.trim().toLowerCase());
+    }
+    if (person.capacity !== undefined && !(typeof person.capacity === 'number' && person.capacity > 0 && person.capacity <= 1)) {
+      problems.push(`"${at}.capacity" must be the share of a full day worked, above 0 and up to 1 (e.g. 0.6)`);
+    }
+    if (person.leave === undefined) return;
+    if (!Array.isArray(person.leave)) {
+      problems.push(`"${at}.leave" must be a list of days (YYYY-MM-DD) or ranges (YYYY-MM-DD/YYYY-MM-DD)`);
+      return;
+    }
+    person.leave.forEach((entry, i) => {
+      const { from, to } = parseLeave(entry);
+      if (typeof entry !== 'string' || !isValidDay(from) || !isValidDay(to)) {
+        problems.push(`"${at}.leave[${i}]" must be a day (YYYY-MM-DD) or a range (YYYY-MM-DD/YYYY-MM-DD), got ${JSON.stringify(entry)}`);
+      } else if (to < from) {
+        problems.push(`"${at}.leave[${i}]" ends before it starts`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * A team calendar.
+ *
+ * @param {Object} [options]
+ * @param {string|Holiday[]} [options.holidays] - 'uk', 'none' or a list of holidays
+ * @param {Array<{name: string, capacity?: number, leave?: string[]}>} [options.team]
+ * @param {string} [options.description] - Where the holidays come from, for logs
+ * @returns {Object} Calendar with holidayOn, capacityOn, personCapacityOn,
+ *   capacityFactor, summarize and personDays
+ */
+function createTeamCalendar(options = {}) {
+  const holidaySetting = options.holidays === undefined ? DEFAULT_HOLIDAYS : options.holidays;
+  const useUk = typeof holidaySetting === 'string' && holidaySetting.toLowerCase() === 'uk';
+  const listed = new Map(Array.isArray(holidaySetting) ? holidaySetting.map(holiday => [holiday.day, holiday.name]) : []);
+  const ukYears = new Map();
+
+  const team = (options.team || []).map(person => ({
+    name: person.name.trim(),
+    capacity: person.capacity === undefined ? 1 : person.capacity,
+    leave: (person.leave || []).map(parseLeave)
+  }));
+  const fullCapacity = team.length === 0 ? 1 : roundDays(team.reduce((sum, person) => sum + person.capacity, 0));
+
+  const findPerson = name => team.find(person => person.name.toLowerCase() === String(name || '').trim().toLowerCase()) || null;
+  const isOnLeave = (person, day) => person.leave.some(range => day >= range.from && day <= range.to);
+
+  function holidayOn(date) {
+    if (!useUk) return listed.get(toDayKey(date)) || null;
+    const year = date.getFullYear();
+    if (!ukYears.has(year)) ukYears.set(year, new Map(ukBankHolidays(year).map(holiday => [holiday.day, holiday.name])));
+    return ukYears.get(year).get(toDayKey(date)) || null;
+  }
+
+  const isOpen = date => !isWeekend(date) && !holidayOn(date);
+
+  // Person-days the team has on a date
+  function capacityOn(date) {
+    if (!isOpen(date)) return 0;
+    if (team.length === 0) return 1;
+    const day = toDayKey(date);
+    return roundDays(team.reduce((sum, person) => sum + (isOnLeave(person, day) ? 0 : person.capacity), 0));
+  }
+
+  // Share of a full day one person works on a date; people not in the team work full days
+  function personCapacityOn(name, date) {
+    if (!isOpen(date)) return 0;
+    const person = findPerson(name);
+    if (!person) return 1;
+    return isOnLeave(person, toDayKey(date)) ? 0 : person.capacity;
+  }
+
+  // Each day from one date to another, inclusive
+  function eachDay(from, to, callback) {
+    const last = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+    for (let date = new Date(from.getFullYear(), from.getMonth(), from.getDate()); date <= last; date = addDays(date, 1)) {
+      callback(date);
+    }
+  }
+
+  return {
+    team,
+    fullCapacity,
+    description: options.description || (useUk ? 'England and Wales bank holidays' : `${listed.size} holidays`),
+    holidayOn,
+    capacityOn,
+    personCapacityOn,
+    isInTeam: name => findPerson(name) !== null,
+
+    // The team's capacity on a date as a share of a normal day (1 when everyone is in)
+    capacityFactor: date => capacityOn(date) / fullCapacity,
+
+    /**
+     * Working days between two dates (inclusive), the same counted at full
+     * team capacity, and the holidays on weekdays among them.
+     *
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {{workingDays: number, fullTeamDays: number, holidays: Holiday[]}}
+     */
+    summarize(from, to) {
+      const summary = { workingDays: 0, fullTeamDays: 0, holidays: [] };
+      eachDay(from, to, date => {
+        const holiday = holidayOn(date);
+        if (holiday && !isWeekend(date)) summary.holidays.push({ day: toDayKey(date), name: holiday });
+        const capacity = capacityOn(date);
+        if (capacity > 0) {
+          summary.workingDays++;
+          summary.fullTeamDays += capacity / fullCapacity;
+        }
+      });
+      summary.fullTeamDays = roundDays(summary.fullTeamDays);
+      return summary;
+    },
+
+    /**
+     * Days one person works between two dates (inclusive), part-time days
+     * counting as their share.
+     *
+     * @param {string} name - As in calendar.team, or a JIRA display name
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {number}
+     */
+    personDays(name, from, to) {
+      let days = 0;
+      eachDay(from, to, date => {
+        days += personCapacityOn(name, date);
+      });
+      return roundDays(days);
+    }
+  };
+}
+
+/**
+ * One person's days in a sprint: the sprint's working days, the days they are
+ * in (part-time days counting as their share), those left from today, and
+ * their share of a full-time person's sprint.
+ *
+ * @param {ReturnType<typeof createTeamCalendar>} calendar
+ * @param {string} name - JIRA display name
+ * @param {{startDate: ?string, endDate: ?string}} sprint - From lib/sprints
+ * @param {Date} [today]
+ * @returns {?{sprintDays: number, availableDays: number, daysLeft: number, share: number}}
+ *   null when the sprint has no dates
+ */
+function sprintCapacity(calendar, name, sprint, today = new Date()) {
+  if (!sprint.startDate || !sprint.endDate) return null;
+  const start = new Date(sprint.startDate);
+  const end = new Date(sprint.endDate);
+  let sprintDays = 0;
+  for (let date = new Date(start.getFullYear(), start.getMonth(), start.getDate()); date <= end; date = addDays(date, 1)) {
+    if (!isWeekend(date) && !calendar.holidayOn(date)) sprintDays++;
+  }
+  const availableDays = calendar.personDays(name, start, end);
+  return {
+    sprintDays,
+    availableDays,
+    daysLeft: today > end ? 0 : calendar.personDays(name, today > start ? today : start, end),
+    share: sprintDays > 0 ? roundDays(availableDays / sprintDays) : 0
+  };
+}
+
+/**
+ * The team calendar set in the config, exiting with a clear error if its
+ * holiday file cannot be read.
+ *
+ * @param {Object} config - Resolved config (lib/config)
+ * @returns {ReturnType<typeof createTeamCalendar>}
+ */
+function loadTeamCalendar(config) {
+  const settings = config.calendar || {};
+  const setting = (settings.holidays || DEFAULT_HOLIDAYS).trim();
+  if (['uk', 'none'].includes(setting.toLowerCase())) {
+    return createTeamCalendar({
+      holidays: setting.toLowerCase(),
+      team: settings.team,
+      description: setting.toLowerCase() === 'uk' ? 'England and Wales bank holidays' : 'no bank holidays'
+    });
+  }
+
+  const filePath = path.resolve(config.configPath ? path.dirname(config.configPath) : process.cwd(), setting);
+  let holidays;
+  try {
+    holidays = readHolidayFile(filePath);
+  } catch (error) {
+    console.error(`❌ Error: Could not read holidays from ${filePath}: ${error.message}`);
+    process.exit(1);
+  }
+  return createTeamCalendar({ holidays, team: settings.team, description: `${holidays.length} holidays from ${path.basename(filePath)}` });
+}
+
+module.exports = {
+  DEFAULT_HOLIDAYS,
+  ukBankHolidays,
+  parseICalHolidays,
+  parseJsonHolidays,
+  readHolidayFile,
+  validateCalendar,
+  createTeamCalendar,
+  sprintCapacity,
+  loadTeamCalendar
+};
@@ -0,0 +1,167 @@
+// Progress journal for defect uploads.
+//
+// Each run appends one JSON line per event to <reports>/defect-upload-runs/<run ID>.jsonl
+// as it happens, so a run that dies halfway still says which rows were done:
+//   {"type":"run", ...}     profile, defect log, project and epic
+//   {"type":"row", ...}     a row's outcome (status pending while its bug is being created)
+//   {"type":"resume", ...}  a later run carried on in the same journal
+//   {"type":"end", ...}     the run finished
+//   {"type":"undo", ...}    a created bug was deleted or rejected by --undo
+// A line cut short by a crash is ignored when the journal is read.
+
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_DIR = 'defect-upload-runs';
+
+// Row outcomes a resumed run does not repeat; errors and pending rows are retried
+const FINAL_STATUSES = ['created', 'updated', 'unchanged', 'linked', 'skipped'];
+
+/**
+ * A run ID that sorts by start time: 2026-10-19T10-15-48-123Z.
+ *
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function createRunId(now = new Date()) {
+  return now.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Where a run's journal lives.
+ *
+ * @param {string} reportsDir
+ * @param {string} runId
+ * @returns {string}
+ */
+function getJournalPath(reportsDir, runId) {
+  return path.join(reportsDir, JOURNAL_DIR, `${runId}.jsonl`);
+}
+
+/**
+ * Open a journal for appending, creating it with its run header if new.
+ * Every entry is written straight to disk with a timestamp.
+ *
+ * @param {string} filePath
+ * @param {Object} [header] - The run entry for a new journal
+ * @returns {{path: string, record: function(Object): void}}
+ */
+function openJournal(filePath, header) {
+  if (!fs.existsSync(filePath)) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify({ type: 'run', ...header }) + '\n');
+  } else if (!fs.readFileSync(filePath, 'utf-8').endsWith('\n')) {
+    // Start after a line cut short by a crash rather than on the end of it
+    fs.appendFileSync(filePath, '\n');
+  }
+
+  return {
+    path: filePath,
+    record(entry) {
+      fs.appendFileSync(filePath, JSON.stringify({ ...entry, at: new Date().toISOString() }) + '\n');
+    }
+  };
+}
+
+/**
+ * Read a journal back.
+ *
+ * @param {string} filePath
+ * @returns {{run: Object, rows: Map<string, Object>, ended: boolean, undone: Map<string, Object>}}
+ *   rows holds each row's latest entry by external ID; undone holds undo entries by issue key
+ */
+function readJournal(filePath) {
+  const entries = [];
+  for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+    if (line.trim() === '') continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Written when the run was stopped
+    }
+  }
+
+  const run = entries.find(entry => entry.type === 'run');
+  if (!run) throw new Error(`${filePath} is not a defect upload journal`);
+
+  const rows = new Map();
+  const undone = new Map();
+  let ended = false;
+  for (const entry of entries) {
+    if (entry.type === 'row') rows.set(entry.externalId, entry);
+    if (entry.type === 'undo') undone.set(entry.key, entry);
+    if (entry.type === 'end') ended = true;
+    if (entry.type === 'resume') ended = false;
+  }
+
+  return { run, rows, ended, undone };
+}
+
+/**
+ * The journals in the reports directory, oldest first.
+ *
+ * @param {string} reportsDir
+ * @returns {Array<{runId: string, path: string}>}
+ */
+function listRuns(reportsDir) {
+  const dir = path.join(reportsDir, JOURNAL_DIR);
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => ({ runId: path.basename(name, '.jsonl'), path: path.join(dir, name) }));
+}
+
+/**
+ * The latest run of the same defect log and profile, to resume.
+ *
+ * @param {string} reportsDir
+ * @param {{logPath: string, profile: string}} input
+ * @returns {?{runId: string, path: string}}
+ */
+function findLatestRun(reportsDir, input) {
+  const runs = listRuns(reportsDir).reverse();
+  return runs.find(run => {
+    try {
+      const { run: header } = readJournal(run.path);
+      return header.logPath === input.logPath && header.profile === input.profile;
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Whether a resumed run can leave a row alone.
+ *
+ * @param {Object} [entry] - The row's latest journal entry
+ * @returns {boolean}
+ */
+function isRowDone(entry) {
+  return Boolean(entry) && FINAL_STATUSES.includes(entry.status);
+}
+
+/**
+ * The bugs a run created that have not been undone yet.
+ *
+ * @param {ReturnType<typeof readJournal>} journal
+ * @returns {Array<{key: string, summary: string, externalId: string}>}
+ */
+function getCreatedIssues(journal) {
+  return [...journal.rows.values()]
+    .filter(entry => entry.status === 'created' && entry.key && !journal.undone.has(entry.key))
+    .map(entry => ({ key: entry.key, summary: entry.summary, externalId: entry.externalId }));
+}
+
+module.exports = {
+  JOURNAL_DIR,
+  FINAL_STATUSES,
+  createRunId,
+  getJournalPath,
+  openJournal,
+  readJournal,
+  listRuns,
+  findLatestRun,
+  isRowDone,
+  getCreatedIssues
+};
@@ -0,0 +1,153 @@
+// Workflow model: maps JIRA statuses onto the stages reports count by.
+//
+// A status belongs to the stage it is listed under in the "workflow" config,
+// matched case-insensitively. Any other status falls back to its JIRA status
+// category: To Do -> todo, In Progress -> dev, Done -> done. Statuses are
+// discovered from /rest/api/3/status, so category fallbacks work for statuses
+// nobody listed and JQL only names statuses that exist on the instance.
+
+const STAGES = ['todo', 'dev', 'review', 'qa', 'done'];
+
+const STAGE_LABELS = {
+  todo: 'To Do',
+  dev: 'Dev',
+  review: 'Review',
+  qa: 'QA',
+  done: 'Done'
+};
+
+// JIRA statusCategory key -> stage
+const CATEGORY_STAGES = {
+  new: 'todo',
+  indeterminate: 'dev',
+  done: 'done'
+};
+
+// Stages the config file does not list keep these statuses
+const DEFAULT_WORKFLOW = {
+  todo: ['To Do', 'Backlog', 'Open'],
+  dev: ['In Dev', 'In Progress'],
+  review: ['In Review', 'Ready for Review'],
+  qa: ['In QA'],
+  done: ['Ready for Release', 'Closed', 'Done', 'Completed']
+};
+
+function normalizeStatus(status) {
+  return String(status || '').trim().toUpperCase();
+}
+
+/**
+ * Build a workflow from configured stage lists and, when known, the
+ * instance's statuses. A stage set in the config replaces its default list,
+ * and a status listed there wins over the stage it has by default.
+ *
+ * @param {Object<string, string[]>} [workflowConfig] - config.workflow
+ * @param {?Array<{name: string, statusCategory?: {key: string}}>} [jiraStatuses]
+ * @returns {Object} Workflow with getStage, isDone, getStatuses and getLabel
+ */
+function createWorkflow(workflowConfig = {}, jiraStatuses = null) {
+  const stageStatuses = { ...DEFAULT_WORKFLOW, ...workflowConfig };
+
+  const configured = new Map();
+  const defaultStages = STAGES.filter(stage => !workflowConfig[stage]);
+  const overriddenStages = STAGES.filter(stage => workflowConfig[stage]);
+  for (const stage of [...defaultStages, ...overriddenStages]) {
+    for (const name of stageStatuses[stage] || []) {
+      configured.set(normalizeStatus(name), stage);
+    }
+  }
+
+  const categories = new Map();
+  for (const status of jiraStatuses || []) {
+    if (status.statusCategory && !categories.has(normalizeStatus(status.name))) {
+      categories.set(normalizeStatus(status.name), status.statusCategory.key);
+    }
+  }
+
+  /**
+   * The stage of a status name or status object ({name, statusCategory}).
+   *
+   * @param {string|Object} status
+   * @returns {?string} One of STAGES, or null if the status is unknown
+   */
+  function getStage(status) {
+    const name = normalizeStatus(typeof status === 'object' && status ? status.name : status);
+    if (configured.has(name)) return configured.get(name);
+
+    const category = categories.get(name) || (typeof status === 'object' && status?.statusCategory?.key);
+    return CATEGORY_STAGES[category] || null;
+  }
+
+  /**
+   * Status names in a stage, for JQL. Once statuses have been discovered only
+   * names that exist on the instance are returned, spelled as JIRA spells them.
+   *
+   * @param {...string} stages
+   * @returns {string[]}
+   */
+  function getStatuses(...stages) {
+    const inStages = names => {
+      const seen = new Set();
+      return names.filter(name => {
+        const key = normalizeStatus(name);
+        if (seen.has(key) || !stages.includes(getStage(name))) return false;
+        seen.add(key);
+        return true;
+      });
+    };
+
+    const configuredNames = inStages(stages.flatMap(stage => stageStatuses[stage] || []));
+    if (!jiraStatuses) return configuredNames;
+
+    // Nothing on the instance maps to the stage; let JQL report the configured names
+    const discoveredNames = inStages(jiraStatuses.map(status => status.name));
+    return discoveredNames.length > 0 ? discoveredNames : configuredNames;
+  }
+
+  return {
+    stages: STAGES,
+    discovered: Boolean(jiraStatuses),
+    getStage,
+    getStatuses,
+    isDone: status => getStage(status) === 'done',
+    getLabel: stage => STAGE_LABELS[stage] || stage
+  };
+}
+
+/**
+ * Build the workflow for a run from config.workflow and the instance's
+ * statuses. Falls back to the config alone if statuses cannot be read.
+ *
+ * @param {import('axios').AxiosInstance} client
+ * @param {Object} config - Resolved config (lib/config)
+ * @returns {Promise<Object>} See createWorkflow
+ */
+async function discoverWorkflow(client, config) {
+  try {
+    const response = await client.get('/rest/api/3/status');
+    return createWorkflow(config.workflow, response.data);
+  } catch (error) {
+    console.warn(`   ⚠️  Could not fetch statuses, using the configured workflow only: ${error.message}`);
+    return createWorkflow(config.workflow);
+  }
+}
+
+/**
+ * Quote status names for a JQL list: ("In QA", "In Dev").
+ *
+ * @param {string[]} statuses
+ * @returns {string}
+ */
+function toJqlList(statuses) {
+  return `(${statuses.map(status => `"${status}"`).join(', ')})`;
+}
+
+module.exports = {
+  STAGES,
+  STAGE_LABELS,
+  CATEGORY_STAGES,
+  DEFAULT_WORKFLOW,
+  createWorkflow,
+  discoverWorkflow,
+  toJqlList
+};
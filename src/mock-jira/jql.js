@@ -0,0 +1,382 @@
+// A small JQL evaluator for the mock JIRA server.
+//
+// Supports the subset of JQL the scripts use: AND / OR / NOT with
+// parentheses, =, !=, ~, !~, <, <=, >, >=, IN, NOT IN, IS [NOT] EMPTY and
+// "<field> CHANGED [FROM x] [TO x] [DURING (a, b)] [AFTER a] [BEFORE b]".
+// ORDER BY is accepted and ignored. Unknown fields raise a JqlError, which
+// the server returns as a 400 like JIRA does.
+
+class JqlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JqlError';
+  }
+}
+
+const OPERATORS = ['!=', '!~', '>=', '<=', '=', '~', '>', '<'];
+
+// Split a query into strings, words, operators and punctuation
+function tokenize(jql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < jql.length) {
+    const ch = jql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < jql.length && jql[i] !== ch) {
+        if (jql[i] === '\\' && i + 1 < jql.length) i++;
+        value += jql[i++];
+      }
+      if (i >= jql.length) throw new JqlError('Unterminated string in JQL');
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    const op = OPERATORS.find(o => jql.startsWith(o, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+      continue;
+    }
+
+    let word = '';
+    while (i < jql.length && !/[\s(),"'=!~<>]/.test(jql[i])) {
+      word += jql[i++];
+    }
+    if (!word) throw new JqlError(`Unexpected character "${ch}" in JQL`);
+    tokens.push({ type: 'word', value: word });
+  }
+
+  return tokens;
+}
+
+function isKeyword(token, keyword) {
+  return token && token.type === 'word' && token.value.toUpperCase() === keyword;
+}
+
+/**
+ * Parse a JQL query into a tree of clauses.
+ *
+ * @param {string} jql
+ * @returns {?Object} Parsed expression, or null for an empty query
+ */
+function parseJql(jql) {
+  let tokens = tokenize(jql);
+
+  const orderBy = tokens.findIndex((t, i) => isKeyword(t, 'ORDER') && isKeyword(tokens[i + 1], 'BY'));
+  if (orderBy !== -1) tokens = tokens.slice(0, orderBy);
+  if (tokens.length === 0) return null;
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = type => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new JqlError(`Expected "${type}" in JQL`);
+    }
+    return token;
+  };
+
+  function parseValue() {
+    const token = next();
+    if (!token) throw new JqlError('Expected a value in JQL');
+    if (token.type === 'string' || token.type === 'word') return token.value;
+    throw new JqlError(`Unexpected "${token.value || token.type}" in JQL`);
+  }
+
+  function parseList() {
+    if (peek()?.type !== '(') return [parseValue()];
+    next();
+    const values = [parseValue()];
+    while (peek()?.type === ',') {
+      next();
+      values.push(parseValue());
+    }
+    expect(')');
+    return values;
+  }
+
+  function parseChanged(field) {
+    const clause = { type: 'changed', field };
+    while (peek() && peek().type === 'word') {
+      const keyword = peek().value.toUpperCase();
+      if (keyword === 'TO' || keyword === 'FROM') {
+        next();
+        clause[keyword.toLowerCase()] = parseList();
+      } else if (keyword === 'DURING') {
+        next();
+        expect('(');
+        const start = parseValue();
+        expect(',');
+        const end = parseValue();
+        expect(')');
+        clause.during = [start, end];
+      } else if (keyword === 'AFTER' || keyword === 'BEFORE') {
+        next();
+        clause[keyword.toLowerCase()] = parseValue();
+      } else {
+        break;
+      }
+    }
+    return clause;
+  }
+
+  function parseClause() {
+    const fieldToken = next();
+    if (!fieldToken || (fieldToken.type !== 'word' && fieldToken.type !== 'string')) {
+      throw new JqlError('Expected a field name in JQL');
+    }
+    const field = fieldToken.value;
+    const token = peek();
+
+    if (isKeyword(token, 'CHANGED')) {
+      next();
+      return parseChanged(field);
+    }
+
+    if (isKeyword(token, 'IN')) {
+      next();
+      return { type: 'compare', field, op: 'in', values: parseList() };
+    }
+
+    if (isKeyword(token, 'NOT') && isKeyword(tokens[pos + 1], 'IN')) {
+      pos += 2;
+      return { type: 'compare', field, op: 'not in', values: parseList() };
+    }
+
+    if (isKeyword(token, 'IS')) {
+      next();
+      const negate = isKeyword(peek(), 'NOT');
+      if (negate) next();
+      const value = parseValue().toUpperCase();
+      if (value !== 'EMPTY' && value !== 'NULL') {
+        throw new JqlError(`Expected EMPTY after IS in JQL`);
+      }
+      return { type: 'compare', field, op: negate ? 'is not empty' : 'is empty' };
+    }
+
+    if (token && token.type === 'op') {
+      next();
+      return { type: 'compare', field, op: token.value, values: [parseValue()] };
+    }
+
+    throw new JqlError(`Expected an operator after "${field}" in JQL`);
+  }
+
+  function parseFactor() {
+    if (isKeyword(peek(), 'NOT')) {
+      next();
+      return { type: 'not', expr: parseFactor() };
+    }
+    if (peek()?.type === '(') {
+      next();
+      const expr = parseExpression();
+      expect(')');
+      return expr;
+    }
+    return parseClause();
+  }
+
+  function parseTerm() {
+    const parts = [parseFactor()];
+    while (isKeyword(peek(), 'AND')) {
+      next();
+      parts.push(parseFactor());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'and', parts };
+  }
+
+  function parseExpression() {
+    const parts = [parseTerm()];
+    while (isKeyword(peek(), 'OR')) {
+      next();
+      parts.push(parseTerm());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'or', parts };
+  }
+
+  const expr = parseExpression();
+  if (pos < tokens.length) {
+    throw new JqlError(`Unexpected "${peek().value || peek().type}" in JQL`);
+  }
+  return expr;
+}
+
+function toTime(value) {
+  const time = Date.parse(value);
+  if (isNaN(time)) throw new JqlError(`Invalid date "${value}" in JQL`);
+  return time;
+}
+
+// A bare date ("2025-01-31") covers the whole day when used as an upper bound
+function toEndTime(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? toTime(value) + 24 * 60 * 60 * 1000 - 1 : toTime(value);
+}
+
+function lower(value) {
+  return value == null ? '' : String(value).toLowerCase();
+}
+
+/**
+ * Read the comparable values of a JQL field from an issue.
+ *
+ * @param {Object} issue
+ * @param {string} field
+ * @param {{sprintField: string, epicLinkField: string}} context
+ * @returns {Array<string>}
+ */
+function getFieldValues(issue, field, context) {
+  const fields = issue.fields || {};
+  const name = field.toLowerCase();
+
+  switch (name) {
+    case 'project':
+      return [fields.project?.key, fields.project?.id, issue.key.split('-')[0]].filter(Boolean);
+    case 'key':
+    case 'issuekey':
+    case 'id':
+      return [issue.key, issue.id];
+    case 'issuetype':
+    case 'type':
+      return [fields.issuetype?.name].filter(Boolean);
+    case 'status':
+      return [fields.status?.name].filter(Boolean);
+    case 'sprint':
+      return (fields[context.sprintField] || []).flatMap(s => [s.name, String(s.id)]);
+    case 'assignee':
+    case 'reporter': {
+      const user = fields[name];
+      return user ? [user.accountId, user.displayName, user.emailAddress].filter(Boolean) : [];
+    }
+    case 'fixversion':
+      return (fields.fixVersions || []).flatMap(v => [v.name, String(v.id)]);
+    case 'priority':
+      return [fields.priority?.name].filter(Boolean);
+    case 'labels':
+      return fields.labels || [];
+    case 'summary':
+    case 'description':
+    case 'text':
+      return [name === 'text' ? `${fields.summary || ''} ${JSON.stringify(fields.description || '')}` : fields[name]]
+        .map(v => (typeof v === 'string' ? v : JSON.stringify(v || '')));
+    case 'parent':
+    case 'epic link':
+      return [fields.parent?.key, fields[context.epicLinkField]].filter(Boolean);
+    case 'created':
+    case 'updated':
+    case 'resolutiondate':
+    case 'duedate':
+      return [fields[name]].filter(Boolean);
+    default:
+      throw new JqlError(`Field '${field}' is not supported by the mock JIRA server`);
+  }
+}
+
+const DATE_FIELDS = ['created', 'updated', 'resolutiondate', 'duedate'];
+
+function evaluateCompare(issue, clause, context) {
+  const values = getFieldValues(issue, clause.field, context);
+  const wanted = (clause.values || []).map(lower);
+  const actual = values.map(lower);
+
+  switch (clause.op) {
+    case '=':
+    case 'in':
+      return actual.some(v => wanted.includes(v));
+    case '!=':
+    case 'not in':
+      return actual.length > 0 && !actual.some(v => wanted.includes(v));
+    case '~':
+      return actual.some(v => v.includes(wanted[0]));
+    case '!~':
+      return !actual.some(v => v.includes(wanted[0]));
+    case 'is empty':
+      return values.length === 0;
+    case 'is not empty':
+      return values.length > 0;
+    case '<':
+    case '<=':
+    case '>':
+    case '>=': {
+      if (!DATE_FIELDS.includes(clause.field.toLowerCase())) {
+        throw new JqlError(`Operator ${clause.op} is only supported on date fields`);
+      }
+      if (values.length === 0) return false;
+      const time = toTime(values[0]);
+      const bound = clause.values[0];
+      if (clause.op === '>=') return time >= toTime(bound);
+      if (clause.op === '>') return time > toEndTime(bound);
+      if (clause.op === '<=') return time <= toEndTime(bound);
+      return time < toTime(bound);
+    }
+    default:
+      throw new JqlError(`Unsupported operator ${clause.op}`);
+  }
+}
+
+function evaluateChanged(issue, clause) {
+  const histories = issue.changelog?.histories || [];
+  const field = clause.field.toLowerCase();
+  const to = clause.to?.map(lower);
+  const from = clause.from?.map(lower);
+
+  return histories.some(history => {
+    const time = Date.parse(history.created);
+    if (clause.during && (time < toTime(clause.during[0]) || time > toEndTime(clause.during[1]))) return false;
+    if (clause.after && time <= toTime(clause.after)) return false;
+    if (clause.before && time >= toTime(clause.before)) return false;
+
+    return history.items.some(item =>
+      lower(item.field) === field &&
+      (!to || to.includes(lower(item.toString))) &&
+      (!from || from.includes(lower(item.fromString)))
+    );
+  });
+}
+
+/**
+ * Evaluate a parsed JQL expression against an issue.
+ *
+ * @param {?Object} expr - Result of parseJql
+ * @param {Object} issue
+ * @param {{sprintField: string, epicLinkField: string}} context
+ * @returns {boolean}
+ */
+function matchesJql(expr, issue, context) {
+  if (!expr) return true;
+
+  switch (expr.type) {
+    case 'and':
+      return expr.parts.every(part => matchesJql(part, issue, context));
+    case 'or':
+      return expr.parts.some(part => matchesJql(part, issue, context));
+    case 'not':
+      return !matchesJql(expr.expr, issue, context);
+    case 'changed':
+      return evaluateChanged(issue, expr);
+    default:
+      return evaluateCompare(issue, expr, context);
+  }
+}
+
+module.exports = {
+  JqlError,
+  parseJql,
+  matchesJql
+};
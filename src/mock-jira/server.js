@@ -0,0 +1,772 @@
+#!/usr/bin/env node
+
+/**
+ * Mock JIRA server for development and tests.
+ *
+ * Implements the subset of the JIRA Cloud REST API the scripts use, backed by
+ * a JSON dataset (see dataset.json for the format):
+ *
+ *   POST /rest/api/3/search/jql              GET /rest/api/3/issue/{key}
+ *   GET  /rest/api/3/issue/{key}/changelog   POST /rest/api/3/issue
+ *   PUT  /rest/api/3/issue/{key}             POST /rest/api/3/issue/{key}/comment
+ *   DELETE /rest/api/3/issue/{key}
+ *   GET  /rest/api/3/issue/{key}/transitions POST /rest/api/3/issue/{key}/transitions
+ *   POST /rest/api/3/issueLink               POST /rest/api/3/issue/{key}/attachments
+ *   GET  /rest/api/3/issue/{key}/properties/{propertyKey}
+ *   PUT  /rest/api/3/issue/{key}/properties/{propertyKey}
+ *   GET  /rest/api/3/issue/createmeta        GET /rest/api/3/field
+ *   GET  /rest/api/3/priority                GET /rest/api/3/user/search
+ *   GET  /rest/api/3/user                    GET /rest/api/3/user/assignable/search
+ *   GET  /rest/api/3/status
+ *   GET  /rest/api/3/project/{key}           GET /rest/api/3/project/{key}/versions
+ *   GET  /rest/agile/1.0/board               GET /rest/agile/1.0/board/{id}/sprint
+ *   GET  /rest/agile/1.0/sprint/{id}
+ *
+ * Run standalone with:
+ *   npm run mock-jira -- [--seed dataset.json] [--port 4555]
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { URL } = require('url');
+const { JqlError, parseJql, matchesJql } = require('./jql');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, 'dataset.json');
+const DEFAULT_PORT = 4555;
+
+// Page size limits, matching JIRA Cloud
+const SEARCH_MAX_RESULTS = 100;
+const CHANGELOG_MAX_RESULTS = 100;
+const AGILE_MAX_RESULTS = 50;
+
+// Issue fields that refer to a project's versions or components
+const PROJECT_REF_FIELDS = {
+  fixVersions: 'versions',
+  versions: 'versions',
+  components: 'components'
+};
+
+// Issue link types every JIRA Cloud site starts with
+const LINK_TYPES = [
+  { id: '10000', name: 'Blocks', inward: 'is blocked by', outward: 'blocks' },
+  { id: '10001', name: 'Cloners', inward: 'is cloned by', outward: 'clones' },
+  { id: '10002', name: 'Duplicate', inward: 'is duplicated by', outward: 'duplicates' },
+  { id: '10003', name: 'Relates', inward: 'relates to', outward: 'relates to' }
+];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read a dataset file.
+ *
+ * @param {string} [datasetPath]
+ * @returns {Object}
+ */
+function loadDataset(datasetPath = DEFAULT_DATASET_PATH) {
+  return JSON.parse(fs.readFileSync(datasetPath, 'utf-8'));
+}
+
+// Fill in an issue status's id and category from the dataset's statuses
+function expandStatus(statuses, status) {
+  if (!status || typeof status !== 'object') return status;
+  const name = String(status.name || '').toLowerCase();
+  const known = statuses.find(s => s.name.toLowerCase() === name);
+  return known ? { ...clone(known), ...status } : status;
+}
+
+// Build the server's working state from a dataset
+function createState(dataset) {
+  const data = clone(dataset);
+  const sprintField = data.sprintField || 'customfield_11150';
+  const sprints = data.sprints || [];
+  const statuses = data.statuses || [];
+
+  const issues = (data.issues || []).map((issue, index) => {
+    const fields = issue.fields || {};
+    const projectKey = issue.key.split('-')[0];
+    fields.project = fields.project || { key: projectKey };
+
+    fields.status = expandStatus(statuses, fields.status);
+
+    // Issues may reference sprints by id or name; expand to sprint objects
+    if (fields[sprintField]) {
+      fields[sprintField] = fields[sprintField].map(ref => {
+        if (typeof ref === 'object') return ref;
+        const sprint = sprints.find(s => s.id === ref || s.name === ref);
+        if (!sprint) throw new Error(`Issue ${issue.key} references unknown sprint "${ref}"`);
+        return { id: sprint.id, name: sprint.name, state: sprint.state, boardId: sprint.originBoardId, startDate: sprint.startDate, endDate: sprint.endDate, completeDate: sprint.completeDate, goal: sprint.goal };
+      });
+    }
+
+    return {
+      id: String(issue.id || 10000 + index),
+      key: issue.key,
+      fields,
+      changelog: { histories: (issue.changelog && issue.changelog.histories) || [] }
+    };
+  });
+
+  return {
+    sprintField,
+    epicLinkField: data.epicLinkField || 'customfield_10014',
+    auth: data.auth || null,
+    fields: data.fields || [],
+    priorities: data.priorities || [],
+    statuses,
+    users: data.users || [],
+    projects: data.projects || [],
+    boards: data.boards || [],
+    sprints,
+    issues,
+    created: [],
+    nextIssueNumber: {}
+  };
+}
+
+// Keep only the requested fields; no fields means id and key only, as JIRA does
+function projectIssue(issue, fieldList, expand, baseUrl) {
+  const result = { id: issue.id, key: issue.key, self: `${baseUrl}/rest/api/3/issue/${issue.id}` };
+
+  if (fieldList && fieldList.length > 0) {
+    const all = fieldList.includes('*all') || fieldList.includes('*navigable');
+    result.fields = {};
+    for (const [name, value] of Object.entries(issue.fields)) {
+      if (all || fieldList.includes(name)) result.fields[name] = value;
+    }
+  }
+
+  if (expand.includes('changelog')) {
+    const histories = issue.changelog.histories;
+    result.changelog = {
+      startAt: 0,
+      maxResults: Math.min(histories.length, CHANGELOG_MAX_RESULTS),
+      total: histories.length,
+      histories: histories.slice(0, CHANGELOG_MAX_RESULTS)
+    };
+  }
+
+  return result;
+}
+
+// Changelog text for a field value: names for objects, joined for lists
+function describeValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(describeValue).join(', ');
+  if (typeof value === 'object') return value.name || value.value || value.key || JSON.stringify(value);
+  return String(value);
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+// Pull the uploaded files out of a multipart/form-data body
+function parseMultipart(buffer, contentType) {
+  const boundary = (contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/) || []).slice(1).find(Boolean);
+  if (!boundary) throw new HttpError(400, 'Multipart request has no boundary');
+
+  const delimiter = Buffer.from(`--${boundary}`);
+  const files = [];
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    const next = buffer.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) break;
+    const part = buffer.subarray(start + delimiter.length + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = part.subarray(0, headerEnd).toString();
+    const filename = (headers.match(/filename="([^"]*)"/) || [])[1];
+    if (filename !== undefined) {
+      files.push({
+        filename,
+        mimeType: (headers.match(/content-type:\s*([^\r\n]+)/i) || [])[1] || 'application/octet-stream',
+        size: part.length - headerEnd - 4
+      });
+    }
+    start = next;
+  }
+  return { files };
+}
+
+function paginate(values, startAt, maxResults, limit) {
+  const size = Math.min(Number(maxResults) || limit, limit);
+  const start = Number(startAt) || 0;
+  const page = values.slice(start, start + size);
+  return {
+    startAt: start,
+    maxResults: size,
+    total: values.length,
+    isLast: start + page.length >= values.length,
+    values: page
+  };
+}
+
+/**
+ * Create a mock JIRA server.
+ *
+ * @param {Object} [dataset] - Seed data; defaults to dataset.json
+ * @returns {{start: function(number=): Promise<string>, stop: function(): Promise<void>, seed: function(Object): void, failNext: function(Object): void, baseUrl: ?string, requests: Array, state: Object}}
+ */
+function createMockJiraServer(dataset = loadDataset()) {
+  const mock = {
+    baseUrl: null,
+    requests: [],
+    state: createState(dataset),
+    failures: []
+  };
+
+  function findIssue(keyOrId) {
+    const issue = mock.state.issues.find(i => i.key === keyOrId || i.id === keyOrId);
+    if (!issue) throw new HttpError(404, 'Issue does not exist or you do not have permission to see it.');
+    return issue;
+  }
+
+  function findProject(keyOrId) {
+    const project = mock.state.projects.find(p => p.key === keyOrId || String(p.id) === keyOrId);
+    if (!project) throw new HttpError(404, `No project could be found with key '${keyOrId}'.`);
+    return project;
+  }
+
+  function searchJql(body) {
+    const { jql = '', fields, expand, maxResults, nextPageToken } = body || {};
+
+    let expr;
+    try {
+      expr = parseJql(jql);
+    } catch (error) {
+      if (error instanceof JqlError) throw new HttpError(400, error.message);
+      throw error;
+    }
+
+    const context = { sprintField: mock.state.sprintField, epicLinkField: mock.state.epicLinkField };
+    let matches;
+    try {
+      matches = mock.state.issues.filter(issue => matchesJql(expr, issue, context));
+    } catch (error) {
+      if (error instanceof JqlError) throw new HttpError(400, error.message);
+      throw error;
+    }
+
+    const start = nextPageToken ? parseInt(Buffer.from(nextPageToken, 'base64').toString(), 10) : 0;
+    const size = Math.min(maxResults || 50, SEARCH_MAX_RESULTS);
+    const page = matches.slice(start, start + size);
+    const isLast = start + page.length >= matches.length;
+
+    const response = {
+      issues: page.map(issue => projectIssue(issue, toList(fields), toList(expand), mock.baseUrl)),
+      isLast
+    };
+    if (!isLast) {
+      response.nextPageToken = Buffer.from(String(start + page.length)).toString('base64');
+    }
+    return response;
+  }
+
+  // JIRA stores versions and components by reference and answers with each
+  // one's id and name, however the request named them
+  function expandProjectRefs(project, fields, errors) {
+    const expanded = { ...fields };
+    for (const [name, listName] of Object.entries(PROJECT_REF_FIELDS)) {
+      if (!Array.isArray(fields[name])) continue;
+      const known = project?.[listName] || [];
+      expanded[name] = fields[name].map(ref => {
+        const match = known.find(item => (ref?.id !== undefined ? String(item.id) === String(ref.id) : item.name === ref?.name));
+        if (!match) {
+          errors[name] = `${listName === 'versions' ? 'Version' : 'Component'} ${ref?.id !== undefined ? `id '${ref.id}'` : `name '${ref?.name}'`} is not valid`;
+          return ref;
+        }
+        return { id: match.id, name: match.name };
+      });
+    }
+    return expanded;
+  }
+
+  function createIssue(body) {
+    const fields = (body && body.fields) || {};
+    const errors = {};
+
+    const projectRef = fields.project || {};
+    const project = mock.state.projects.find(p => p.key === projectRef.key || String(p.id) === String(projectRef.id));
+    if (!project) errors.project = 'Specify a valid project ID or key';
+
+    const issuetypes = project?.issuetypes || [];
+    const issuetype = issuetypes.find(t => t.name === fields.issuetype?.name || String(t.id) === String(fields.issuetype?.id));
+    if (project && !issuetype) errors.issuetype = 'Specify a valid issue type';
+
+    if (!fields.summary) errors.summary = 'You must specify a summary of the issue.';
+
+    const required = issuetype?.requiredFields || [];
+    for (const fieldId of required) {
+      if (fields[fieldId] === undefined) errors[fieldId] = `${fieldId} is required.`;
+    }
+    const expandedFields = expandProjectRefs(project, fields, errors);
+
+    if (Object.keys(errors).length > 0) {
+      const error = new HttpError(400, 'Issue could not be created');
+      error.errors = errors;
+      throw error;
+    }
+
+    const counter = mock.state.nextIssueNumber;
+    if (!counter[project.key]) {
+      const numbers = mock.state.issues
+        .filter(i => i.key.startsWith(`${project.key}-`))
+        .map(i => parseInt(i.key.split('-')[1], 10));
+      counter[project.key] = Math.max(0, ...numbers) + 1;
+    }
+
+    const now = new Date().toISOString();
+    const issue = {
+      id: String(10000 + mock.state.issues.length),
+      key: `${project.key}-${counter[project.key]++}`,
+      fields: {
+        ...expandedFields,
+        project: { id: project.id, key: project.key },
+        issuetype: { id: issuetype.id, name: issuetype.name },
+        status: expandStatus(mock.state.statuses, { name: issuetype.initialStatus || 'To Do' }),
+        created: now,
+        updated: now
+      },
+      changelog: { histories: [] }
+    };
+
+    mock.state.issues.push(issue);
+    mock.state.created.push(issue);
+    return { id: issue.id, key: issue.key, self: `${mock.baseUrl}/rest/api/3/issue/${issue.id}` };
+  }
+
+  // Apply an edit: "fields" replaces values, "update" applies add/remove/set
+  // operations. Each changed field is recorded in the changelog.
+  function updateIssue(issue, body) {
+    const items = [];
+    const setField = (name, value) => {
+      const before = issue.fields[name];
+      if (JSON.stringify(before) === JSON.stringify(value)) return;
+      issue.fields[name] = value;
+      items.push({ field: name, fieldId: name, fromString: describeValue(before), toString: describeValue(value) });
+    };
+
+    const project = mock.state.projects.find(p => p.key === issue.fields.project?.key);
+    const errors = {};
+    const fields = expandProjectRefs(project, (body && body.fields) || {}, errors);
+    const updates = Object.entries((body && body.update) || {}).map(([name, operations]) => [name, operations.map(operation => {
+      const expand = value => expandProjectRefs(project, { [name]: [value] }, errors)[name][0];
+      return {
+        ...operation,
+        ...('set' in operation ? { set: expandProjectRefs(project, { [name]: operation.set }, errors)[name] } : {}),
+        ...('add' in operation ? { add: expand(operation.add) } : {}),
+        ...('remove' in operation ? { remove: expand(operation.remove) } : {})
+      };
+    })]);
+    if (Object.keys(errors).length > 0) {
+      const error = new HttpError(400, 'Issue could not be updated');
+      error.errors = errors;
+      throw error;
+    }
+
+    for (const [name, value] of Object.entries(fields)) {
+      setField(name, value);
+    }
+    for (const [name, operations] of updates) {
+      let values = [...(issue.fields[name] || [])];
+      const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+      for (const operation of operations) {
+        if ('set' in operation) values = [...operation.set];
+        if ('add' in operation && !values.some(v => same(v, operation.add))) values.push(operation.add);
+        if ('remove' in operation) values = values.filter(v => !same(v, operation.remove));
+      }
+      setField(name, values);
+    }
+
+    if (items.length > 0) {
+      const now = new Date().toISOString();
+      issue.fields.updated = now;
+      issue.changelog.histories.push({ id: String(issue.changelog.histories.length + 1), created: now, items });
+    }
+  }
+
+  function addComment(issue, body) {
+    if (!body || !body.body) throw new HttpError(400, 'Comment body can not be empty!');
+    const comments = issue.fields.comment || (issue.fields.comment = { comments: [], total: 0 });
+    const now = new Date().toISOString();
+    const comment = { id: String(comments.comments.length + 1), body: body.body, created: now, updated: now };
+    comments.comments.push(comment);
+    comments.total = comments.comments.length;
+    return comment;
+  }
+
+  // JIRA applies the outward description to inwardIssue: linking with
+  // inwardIssue A and outwardIssue B under Duplicate reads "A duplicates B"
+  function linkIssues(body) {
+    const type = LINK_TYPES.find(t => t.name === body?.type?.name || t.id === String(body?.type?.id));
+    if (!type) throw new HttpError(404, `No issue link type with name '${body?.type?.name}' found.`);
+    const inward = findIssue(body.inwardIssue?.key || body.inwardIssue?.id);
+    const outward = findIssue(body.outwardIssue?.key || body.outwardIssue?.id);
+
+    const id = String(10000 + mock.state.issues.reduce((count, issue) => count + (issue.fields.issuelinks || []).length, 0));
+    (inward.fields.issuelinks = inward.fields.issuelinks || []).push({ id, type, outwardIssue: { id: outward.id, key: outward.key } });
+    (outward.fields.issuelinks = outward.fields.issuelinks || []).push({ id, type, inwardIssue: { id: inward.id, key: inward.key } });
+  }
+
+  // Every other status is one transition away, named after the status it leads to
+  function listTransitions(issue) {
+    const current = String(issue.fields.status?.name || '').toLowerCase();
+    const transitions = mock.state.statuses
+      .filter(status => status.name.toLowerCase() !== current)
+      .map(status => ({ id: String(status.id), name: status.name, to: clone(status) }));
+    return { transitions };
+  }
+
+  function transitionIssue(issue, body) {
+    const transition = listTransitions(issue).transitions.find(t => t.id === String(body?.transition?.id));
+    if (!transition) throw new HttpError(400, `Transition id '${body?.transition?.id}' is not valid for this issue.`);
+
+    const now = new Date().toISOString();
+    const from = issue.fields.status;
+    issue.fields.status = transition.to;
+    issue.fields.updated = now;
+    issue.changelog.histories.push({
+      id: String(issue.changelog.histories.length + 1),
+      created: now,
+      items: [{ field: 'status', fieldId: 'status', fromString: from?.name ?? null, toString: transition.to.name }]
+    });
+  }
+
+  function deleteIssue(issue) {
+    mock.state.issues = mock.state.issues.filter(i => i !== issue);
+  }
+
+  function addAttachments(issue, body, headers) {
+    if (headers['x-atlassian-token'] !== 'no-check') throw new HttpError(403, 'XSRF check failed');
+    if (!body || !Array.isArray(body.files) || body.files.length === 0) throw new HttpError(400, 'No file was attached');
+
+    const attachments = issue.fields.attachment || (issue.fields.attachment = []);
+    const created = body.files.map(file => {
+      const attachment = {
+        id: String(10000 + mock.state.issues.reduce((count, i) => count + (i.fields.attachment || []).length, 0)),
+        filename: file.filename,
+        size: file.size,
+        mimeType: file.mimeType,
+        created: new Date().toISOString()
+      };
+      attachments.push(attachment);
+      return attachment;
+    });
+    return created;
+  }
+
+  function createmeta(query) {
+    const keys = toList(query.get('projectKeys'));
+    const names = toList(query.get('issuetypeNames'));
+    const projects = mock.state.projects
+      .filter(p => keys.length === 0 || keys.includes(p.key))
+      .map(p => ({
+        id: p.id,
+        key: p.key,
+        name: p.name,
+        issuetypes: (p.issuetypes || [])
+          .filter(t => names.length === 0 || names.includes(t.name))
+          .map(t => ({ id: t.id, name: t.name, fields: t.fields || {} }))
+      }));
+    return { projects };
+  }
+
+  // Route a request to its handler; returns [status, body]
+  function route(method, url, body, headers = {}) {
+    const { pathname, searchParams: query } = url;
+    let match;
+
+    if (method === 'POST' && pathname === '/rest/api/3/search/jql') {
+      return [200, searchJql(body)];
+    }
+    if (method === 'POST' && pathname === '/rest/api/3/issue') {
+      return [201, createIssue(body)];
+    }
+    if (method === 'POST' && pathname === '/rest/api/3/issueLink') {
+      linkIssues(body);
+      return [201, undefined];
+    }
+    if (method === 'PUT' && (match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)$/))) {
+      updateIssue(findIssue(match[1]), body);
+      return [204, undefined];
+    }
+    if (method === 'DELETE' && (match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)$/))) {
+      deleteIssue(findIssue(match[1]));
+      return [204, undefined];
+    }
+    if ((match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)\/transitions$/))) {
+      const issue = findIssue(match[1]);
+      if (method === 'POST') {
+        transitionIssue(issue, body);
+        return [204, undefined];
+      }
+      if (method === 'GET') return [200, listTransitions(issue)];
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)\/comment$/))) {
+      return [201, addComment(findIssue(match[1]), body)];
+    }
+    if (method === 'POST' && (match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)\/attachments$/))) {
+      return [200, addAttachments(findIssue(match[1]), body, headers)];
+    }
+    if ((match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)\/properties\/([^/]+)$/))) {
+      const issue = findIssue(match[1]);
+      const properties = issue.properties || (issue.properties = {});
+      const propertyKey = decodeURIComponent(match[2]);
+      if (method === 'PUT') {
+        const existed = propertyKey in properties;
+        properties[propertyKey] = body;
+        return [existed ? 200 : 201, undefined];
+      }
+      if (method === 'GET') {
+        if (!(propertyKey in properties)) throw new HttpError(404, `The property with key '${propertyKey}' does not exist.`);
+        return [200, { key: propertyKey, value: properties[propertyKey] }];
+      }
+    }
+    if (method !== 'GET') {
+      throw new HttpError(405, `${method} ${pathname} is not supported by the mock JIRA server`);
+    }
+
+    if (pathname === '/rest/api/3/field') {
+      return [200, mock.state.fields];
+    }
+    if (pathname === '/rest/api/3/priority') {
+      return [200, mock.state.priorities];
+    }
+    if (pathname === '/rest/api/3/status') {
+      return [200, mock.state.statuses];
+    }
+    if (pathname === '/rest/api/3/user') {
+      const user = mock.state.users.find(u => u.accountId === query.get('accountId'));
+      if (!user) throw new HttpError(404, `Specified user does not exist or you do not have required permissions`);
+      return [200, user];
+    }
+    // Every active user can be assigned issues in every project
+    if (pathname === '/rest/api/3/user/assignable/search') {
+      const accountId = query.get('accountId');
+      const q = (query.get('query') || '').toLowerCase();
+      return [200, mock.state.users.filter(u => u.active !== false &&
+        (accountId ? u.accountId === accountId : (u.displayName || '').toLowerCase().includes(q))
+      )];
+    }
+    if (pathname === '/rest/api/3/user/search') {
+      const q = (query.get('query') || '').toLowerCase();
+      return [200, mock.state.users.filter(u =>
+        (u.displayName || '').toLowerCase().includes(q) || (u.emailAddress || '').toLowerCase().includes(q)
+      )];
+    }
+    if (pathname === '/rest/api/3/issue/createmeta') {
+      return [200, createmeta(query)];
+    }
+    if ((match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)\/changelog$/))) {
+      const issue = findIssue(match[1]);
+      return [200, paginate(issue.changelog.histories, query.get('startAt'), query.get('maxResults'), CHANGELOG_MAX_RESULTS)];
+    }
+    if ((match = pathname.match(/^\/rest\/api\/3\/issue\/([^/]+)$/))) {
+      const issue = findIssue(match[1]);
+      const fields = query.has('fields') ? toList(query.get('fields')) : ['*all'];
+      return [200, projectIssue(issue, fields, toList(query.get('expand')), mock.baseUrl)];
+    }
+    if ((match = pathname.match(/^\/rest\/api\/3\/project\/([^/]+)\/versions$/))) {
+      return [200, findProject(match[1]).versions || []];
+    }
+    if ((match = pathname.match(/^\/rest\/api\/3\/project\/([^/]+)$/))) {
+      const { issuetypes, versions, ...project } = findProject(match[1]);
+      return [200, { ...project, issueTypes: (issuetypes || []).map(t => ({ id: t.id, name: t.name })) }];
+    }
+    if (pathname === '/rest/agile/1.0/board') {
+      const projectKey = query.get('projectKeyOrId');
+      const type = query.get('type');
+      const boards = mock.state.boards.filter(b =>
+        (!projectKey || b.location?.projectKey === projectKey) && (!type || b.type === type)
+      );
+      return [200, paginate(boards, query.get('startAt'), query.get('maxResults'), AGILE_MAX_RESULTS)];
+    }
+    if ((match = pathname.match(/^\/rest\/agile\/1\.0\/board\/(\d+)\/sprint$/))) {
+      const boardId = Number(match[1]);
+      if (!mock.state.boards.some(b => b.id === boardId)) {
+        throw new HttpError(404, `Board ${boardId} does not exist or you do not have permission to see it.`);
+      }
+      const states = toList(query.get('state'));
+      const sprints = mock.state.sprints.filter(s =>
+        s.originBoardId === boardId && (states.length === 0 || states.includes(s.state))
+      );
+      return [200, paginate(sprints, query.get('startAt'), query.get('maxResults'), AGILE_MAX_RESULTS)];
+    }
+    if ((match = pathname.match(/^\/rest\/agile\/1\.0\/sprint\/(\d+)$/))) {
+      const sprint = mock.state.sprints.find(s => s.id === Number(match[1]));
+      if (!sprint) throw new HttpError(404, `Sprint ${match[1]} does not exist.`);
+      return [200, sprint];
+    }
+
+    throw new HttpError(404, `${method} ${pathname} is not supported by the mock JIRA server`);
+  }
+
+  // Pop the first injected failure matching this request, if any
+  function takeFailure(method, pathname) {
+    const index = mock.failures.findIndex(f =>
+      (!f.method || f.method.toUpperCase() === method) &&
+      (f.path instanceof RegExp ? f.path.test(pathname) : pathname.startsWith(f.path || ''))
+    );
+    if (index === -1) return null;
+
+    const failure = mock.failures[index];
+    failure.times = (failure.times || 1) - 1;
+    if (failure.times <= 0) mock.failures.splice(index, 1);
+    return failure;
+  }
+
+  function isAuthorized(header) {
+    if (!header || !header.startsWith('Basic ')) return false;
+    if (!mock.state.auth) return true;
+    const [email, apiToken] = Buffer.from(header.slice(6), 'base64').toString().split(':');
+    return email === mock.state.auth.email && apiToken === mock.state.auth.apiToken;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  function handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => { chunks.push(chunk); });
+    req.on('end', () => {
+      const url = new URL(req.url, mock.baseUrl);
+      const raw = Buffer.concat(chunks);
+      const contentType = req.headers['content-type'] || '';
+      let body;
+      try {
+        if (contentType.startsWith('multipart/form-data')) {
+          body = parseMultipart(raw, contentType);
+        } else {
+          body = raw.length > 0 ? JSON.parse(raw.toString()) : undefined;
+        }
+      } catch (error) {
+        send(res, 400, { errorMessages: [error instanceof HttpError ? error.message : 'Request body is not valid JSON'] });
+        return;
+      }
+
+      mock.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+      if (!isAuthorized(req.headers.authorization)) {
+        send(res, 401, { errorMessages: ['Client must be authenticated to access this resource.'] });
+        return;
+      }
+
+      const respond = () => {
+        try {
+          const [status, result] = route(req.method, url, body, req.headers);
+          send(res, status, result);
+        } catch (error) {
+          if (error instanceof HttpError) {
+            send(res, error.status, { errorMessages: [error.message], errors: error.errors || {} });
+          } else {
+            send(res, 500, { errorMessages: [error.message] });
+          }
+        }
+      };
+
+      const failure = takeFailure(req.method, url.pathname);
+      if (failure?.reset) {
+        req.socket.destroy();
+        return;
+      }
+      if (failure?.delay) {
+        // The request is still carried out, as JIRA does after a client gives up
+        setTimeout(respond, failure.delay);
+        return;
+      }
+      if (failure) {
+        const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+        send(res, failure.status || 500, failure.body || { errorMessages: ['Injected failure'] }, headers);
+        return;
+      }
+
+      respond();
+    });
+  }
+
+  const server = http.createServer(handle);
+
+  /**
+   * Start listening. Port 0 (the default) picks a free port.
+   * @returns {Promise<string>} Base URL of the server
+   */
+  mock.start = (port = 0) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      mock.baseUrl = `http://127.0.0.1:${server.address().port}`;
+      resolve(mock.baseUrl);
+    });
+  });
+
+  mock.stop = () => new Promise(resolve => {
+    server.closeAllConnections?.();
+    server.close(() => resolve());
+  });
+
+  // Replace all data and clear recorded requests and failures
+  mock.seed = newDataset => {
+    mock.state = createState(newDataset);
+    mock.requests = [];
+    mock.failures = [];
+  };
+
+  /**
+   * Make the next matching request fail, with an error response or, with
+   * `reset`, by dropping the connection. With `delay` (ms) the request
+   * succeeds but is answered late, for client timeouts.
+   * @param {{method?: string, path?: string|RegExp, status?: number, retryAfter?: number, times?: number, body?: Object, reset?: boolean, delay?: number}} failure
+   */
+  mock.failNext = failure => {
+    mock.failures.push({ ...failure });
+  };
+
+  return mock;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const valueOf = flag => {
+    const index = args.indexOf(flag);
+    return index !== -1 ? args[index + 1] : undefined;
+  };
+
+  const datasetPath = path.resolve(valueOf('--seed') || DEFAULT_DATASET_PATH);
+  const port = Number(valueOf('--port') || DEFAULT_PORT);
+
+  let mock;
+  try {
+    mock = createMockJiraServer(loadDataset(datasetPath));
+  } catch (error) {
+    console.error(`❌ Error: Could not load dataset ${datasetPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  mock.start(port).then(baseUrl => {
+    console.log(`🧪 Mock JIRA server running at ${baseUrl}`);
+    console.log(`   Dataset: ${datasetPath}`);
+    console.log('\nPoint the scripts at it with:');
+    console.log(`   export JIRA_BASE_URL=${baseUrl} JIRA_EMAIL=mock@example.com JIRA_API_TOKEN=mock`);
+    console.log('\nPress Ctrl+C to stop.');
+  }).catch(error => {
+    console.error(`❌ Error: Could not start mock JIRA server: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  DEFAULT_DATASET_PATH,
+  loadDataset,
+  createMockJiraServer
+};
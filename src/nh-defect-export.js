@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Defect Log Export
+ *
+ * Writes a copy of the customer's defect log (CSV or .xlsx) with each row's
+ * JIRA key, status, assignee, fix version and last updated date, for UAT
+ * meetings. Rows are matched to the bugs nh-defect-upload.js created by the
+ * external ID stored on them at upload.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues
+} = require('./lib/jira-client');
+const { loadConfig, getFlagValue, getReportsDir } = require('./lib/config');
+const { resolveDefectLog, getProfileColumns, validateProfile, mapDefect } = require('./lib/defects');
+const { toSyncLabel } = require('./lib/defect-sync');
+const { EXPORT_FIELDS, exportCsvRows, toCsv, exportWorksheet } = require('./lib/defect-export');
+const { readSheetRecords } = require('./lib/excel');
+
+// Configuration
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project'] });
+const PROJECT_KEY = config.project;
+
+// Labels per search, to keep the JQL short
+const LABEL_BATCH_SIZE = 50;
+
+// Disable SSL verification for development
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+
+let PROFILE;
+let DEFECT_LOG_PATH;
+let SHEET_NAME;
+try {
+  const argv = process.argv.slice(2);
+  ({ profile: PROFILE, logPath: DEFECT_LOG_PATH, sheet: SHEET_NAME } = resolveDefectLog(config, {
+    profile: getFlagValue(argv, '--profile'),
+    csv: getFlagValue(argv, '--csv'),
+    sheet: getFlagValue(argv, '--sheet')
+  }));
+} catch (error) {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+}
+
+// Every column the profile maps must exist to work out each row's external ID
+function checkColumns(headers, source) {
+  const problems = validateProfile(PROFILE, headers);
+  if (problems.length > 0) {
+    throw new Error(`${source} does not match the "${PROFILE.name}" profile: ${problems.join('; ')}`);
+  }
+}
+
+// Find the bugs for the given sync labels, keyed by label
+async function fetchBugsByLabel(client, labels) {
+  const bugs = new Map();
+  for (let i = 0; i < labels.length; i += LABEL_BATCH_SIZE) {
+    const batch = labels.slice(i, i + LABEL_BATCH_SIZE);
+    const jql = `project = ${PROJECT_KEY} AND labels in (${batch.map(label => `"${label}"`).join(', ')})`;
+    const issues = await searchIssues(client, jql, { fields: EXPORT_FIELDS });
+    for (const issue of issues) {
+      for (const label of issue.fields.labels || []) {
+        if (batch.includes(label) && !bugs.has(label)) bugs.set(label, issue);
+      }
+    }
+  }
+  return bugs;
+}
+
+// The sync label of a row, or null for rows the importer skips (blank and
+// test example rows)
+function syncLabelOf(record) {
+  const defect = mapDefect(record, PROFILE);
+  if (!defect.summary || defect.summary.toUpperCase().includes('TEST EXAMPLE')) return null;
+  return toSyncLabel(PROFILE.name, defect.externalId);
+}
+
+// Output file: the log's name with " - JIRA" added, in the reports directory
+function getOutputPath() {
+  const extension = path.extname(DEFECT_LOG_PATH);
+  const name = path.basename(DEFECT_LOG_PATH, extension).trim();
+  return path.join(getReportsDir(), `${name} - JIRA${extension}`);
+}
+
+async function main() {
+  console.log('📤 Defect Log Export from JIRA\n');
+  console.log('============================================================');
+  console.log(`   Project: ${PROJECT_KEY}`);
+  console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
+  console.log(`   Profile: ${PROFILE.name}`);
+  console.log(`   Defect Log: ${DEFECT_LOG_PATH}${SHEET_NAME ? ` (sheet "${SHEET_NAME}")` : ''}`);
+  console.log();
+
+  validateCredentials();
+  if (!fs.existsSync(DEFECT_LOG_PATH)) {
+    console.error('❌ Error: Defect log not found at', DEFECT_LOG_PATH);
+    process.exit(1);
+  }
+
+  try {
+    const client = createJiraClient();
+    const isWorkbook = path.extname(DEFECT_LOG_PATH).toLowerCase() === '.xlsx';
+
+    // Read the log
+    console.log('📄 Reading defect log...');
+    let records;
+    let workbook;
+    let sheet;
+    let content;
+    if (isWorkbook) {
+      workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(DEFECT_LOG_PATH);
+      sheet = readSheetRecords(workbook, { sheet: SHEET_NAME, columns: getProfileColumns(PROFILE) });
+      checkColumns(sheet.headers, `Sheet "${sheet.sheetName}"`);
+      records = sheet.records;
+    } else {
+      content = fs.readFileSync(DEFECT_LOG_PATH, 'utf-8');
+      let headers = [];
+      records = parse(content, {
+        columns: header => (headers = header),
+        skip_empty_lines: true,
+        trim: true,
+        bom: true
+      });
+      checkColumns(headers, 'The CSV');
+    }
+    console.log(`   ✓ Found ${records.length} rows\n`);
+
+    // Find each row's bug
+    console.log('🔍 Fetching bugs by external ID...');
+    const labels = [...new Set(records.map(syncLabelOf).filter(Boolean))];
+    const bugs = await fetchBugsByLabel(client, labels);
+    console.log(`   ✓ Found ${bugs.size} of ${labels.length} bugs\n`);
+
+    const matched = [];
+    const unmatched = [];
+    const issueForRecord = record => {
+      const label = syncLabelOf(record);
+      if (!label) return null;
+      const bug = bugs.get(label) || null;
+      (bug ? matched : unmatched).push({ name: mapDefect(record, PROFILE).summary, key: bug?.key });
+      return bug;
+    };
+
+    // Write the copy
+    const outputPath = getOutputPath();
+    if (isWorkbook) {
+      exportWorksheet(workbook.getWorksheet(sheet.sheetName), sheet, issueForRecord);
+      await workbook.xlsx.writeFile(outputPath);
+    } else {
+      const rows = parse(content, { bom: true, relax_column_count: true });
+      const bom = content.charCodeAt(0) === 0xFEFF ? '\uFEFF' : '';
+      fs.writeFileSync(outputPath, bom + toCsv(exportCsvRows(rows, issueForRecord)));
+    }
+
+    console.log('============================================================');
+    console.log('📊 SUMMARY:\n');
+    console.log(`   ✅ Matched: ${matched.length}`);
+    console.log(`   ⚠️  Not in JIRA: ${unmatched.length}\n`);
+
+    if (unmatched.length > 0) {
+      console.log('Not in JIRA (upload them, or run "defects upload --sync" to link bugs created before sync):');
+      unmatched.forEach(item => console.log(`   - ${item.name}`));
+      console.log();
+    }
+
+    console.log(`✅ Defect log saved to: ${outputPath}`);
+    console.log('\n🎉 Export complete!\n');
+  } catch (error) {
+    console.error('\n❌ Error exporting defect log:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+    process.exit(1);
+  }
+}
+
+main();
@@ -1,272 +1,344 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
 const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getFields
+} = require('./lib/jira-client');
+const { loadConfig, getFlagValue, getReportsDir } = require('./lib/config');
+const { resolveDefectLog, getProfileColumns, validateProfile, getCell, mapDefect, toFieldValue } = require('./lib/defects');
+const { readSheetRecords } = require('./lib/excel');
+const { linesToDocument } = require('./lib/adf');
+const {
+  toSyncLabel,
+  snapshotDefect,
+  diffDefect,
+  describeChanges,
+  readSyncState,
+  writeSyncState
+} = require('./lib/defect-sync');
+const { toCandidate, findDuplicates, findUploadedBug } = require('./lib/duplicates');
+const { DEFAULT_MAX_ATTACHMENT_MB, findAttachments, formatSize, uploadAttachment } = require('./lib/attachments');
+const { resolveDefaults, checkIssueDefaults } = require('./lib/issue-defaults');
+const { describeRule, getRuleColumns, resolvePriority } = require('./lib/priority-rules');
+const {
+  createRunId,
+  getJournalPath,
+  openJournal,
+  readJournal,
+  listRuns,
+  findLatestRun,
+  isRowDone,
+  getCreatedIssues
+} = require('./lib/upload-journal');
 
 // Configuration
-const JIRA_BASE_URL = process.env.JIRA_BASE_URL || 'https://benchmarkestimating.atlassian.net';
-const JIRA_EMAIL = process.env.JIRA_EMAIL;
-const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
-const PROJECT_KEY = 'VER10';
-const EPIC_KEY = 'VER10-8245';
-const CSV_FILE_PATH = path.join(__dirname, '../data/CCET Release 1 C UAT Defect Log .csv');
-
-// Validate environment variables
-function validateConfig() {
-  if (!JIRA_EMAIL) {
-    console.error('❌ Error: JIRA_EMAIL environment variable is not set');
-    console.log('\nSet it with: export JIRA_EMAIL="your-email@company.com"');
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project'] });
+const PROJECT_KEY = config.project;
+const { profile: PROFILE, logPath: DEFECT_LOG_PATH, sheet: SHEET_NAME } = resolveInput(process.argv.slice(2));
+
+// Assignee, fix version, component, company, epic and labels for every bug
+const DEFAULTS = resolveDefaults(config.defects, PROFILE);
+const EPIC_KEY = DEFAULTS.epicKey;
+
+// What to do with a row that looks like a bug already under the epic
+const DUPLICATE_ACTIONS = ['ask', 'link', 'skip', 'create'];
+const ON_DUPLICATE = resolveDuplicateAction(process.argv.slice(2));
+
+// Likely duplicates shown per row
+const MAX_DUPLICATES_SHOWN = 3;
+
+// Evidence files over this size are reported instead of uploaded
+const MAX_ATTACHMENT_MB = config.defects.maxAttachmentMb || DEFAULT_MAX_ATTACHMENT_MB;
+const HAS_ATTACHMENTS = Boolean(PROFILE.attachments || PROFILE.attachmentsDir);
+
+// Status --undo moves a bug to when JIRA will not let us delete it
+const UNDO_STATUS = config.defects.undoStatus || 'Rejected';
+
+// Disable SSL verification for development
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
+
+// Pick the mapping profile (--profile) and the defect log (--csv, or the
+// profile's csv relative to the config file). The log may be a .csv file or
+// an .xlsx workbook; --sheet (or the profile's sheet) picks the worksheet.
+function resolveInput(argv) {
+  try {
+    return resolveDefectLog(config, {
+      profile: getFlagValue(argv, '--profile'),
+      csv: getFlagValue(argv, '--csv'),
+      sheet: getFlagValue(argv, '--sheet')
+    });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
     process.exit(1);
   }
-  
-  if (!JIRA_API_TOKEN) {
-    console.error('❌ Error: JIRA_API_TOKEN environment variable is not set');
-    console.log('\nSet it with: export JIRA_API_TOKEN="your-api-token"');
+}
+
+// --on-duplicate, else ask when someone is at the terminal and skip when not
+function resolveDuplicateAction(argv) {
+  const action = getFlagValue(argv, '--on-duplicate');
+  if (action === undefined) return process.stdin.isTTY ? 'ask' : 'skip';
+  if (!DUPLICATE_ACTIONS.includes(action)) {
+    console.error(`❌ Error: --on-duplicate must be one of ${DUPLICATE_ACTIONS.join(', ')}`);
     process.exit(1);
   }
+  return action;
+}
+
+// Validate environment variables and input file
+function validateConfig() {
+  validateCredentials();
 
-  if (!fs.existsSync(CSV_FILE_PATH)) {
-    console.error('❌ Error: CSV file not found at', CSV_FILE_PATH);
+  if (!fs.existsSync(DEFECT_LOG_PATH)) {
+    console.error('❌ Error: Defect log not found at', DEFECT_LOG_PATH);
     process.exit(1);
   }
 }
 
-// Create axios instance for JIRA API
-function createJiraClient() {
-  // Disable SSL verification for development
-  process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
-  
-  return axios.create({
-    baseURL: JIRA_BASE_URL,
-    auth: {
-      username: JIRA_EMAIL,
-      password: JIRA_API_TOKEN
-    },
-    headers: {
-      'Accept': 'application/json',
-      'Content-Type': 'application/json'
-    }
-  });
+// Every column the profile maps must exist, or rows would import half-empty
+function checkColumns(headers, source) {
+  const problems = validateProfile(PROFILE, headers);
+  if (problems.length > 0) {
+    console.error(`❌ Error: ${source} does not match the "${PROFILE.name}" profile`);
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exit(1);
+  }
+}
+
+// Read the defect log, CSV or workbook
+async function readDefectLog() {
+  const isWorkbook = path.extname(DEFECT_LOG_PATH).toLowerCase() === '.xlsx';
+  return isWorkbook ? readWorkbook() : readCSV();
 }
 
 // Read and parse CSV file
 function readCSV() {
-  console.log('📄 Reading CSV file:', CSV_FILE_PATH);
+  console.log('📄 Reading CSV file:', DEFECT_LOG_PATH);
   
-  let fileContent = fs.readFileSync(CSV_FILE_PATH, 'utf-8');
+  let fileContent = fs.readFileSync(DEFECT_LOG_PATH, 'utf-8');
   
   // Remove UTF-8 BOM if present
   if (fileContent.charCodeAt(0) === 0xFEFF) {
     fileContent = fileContent.substring(1);
   }
   
+  let headers = [];
   const records = parse(fileContent, {
-    columns: true,
+    columns: header => (headers = header),
     skip_empty_lines: true,
     trim: true,
     bom: true
   });
   
+  checkColumns(headers, 'The CSV');
+  
   console.log(`   ✓ Found ${records.length} rows in CSV\n`);
   return records;
 }
 
-// Extract priority from severity/priority column
-function extractPriority(severityText) {
-  if (!severityText) return 'P3'; // Default to P3
+// Read the defect sheet from an Excel workbook. The header row is found by
+// looking for the profile's columns, so title rows above it are skipped.
+async function readWorkbook() {
+  console.log('📄 Reading workbook:', DEFECT_LOG_PATH);
   
-  // Try to extract P1, P2, P3, or P4 from the text
-  const match = severityText.match(/P([1-4])/i);
-  if (match) {
-    return `P${match[1]}`;
-  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(DEFECT_LOG_PATH);
   
-  return 'P3'; // Default
-}
-
-// Format description from CSV row
-function formatDescription(row) {
-  const description = [];
-  
-  description.push('h3. Defect Details from UAT\n');
-  
-  // Add each field as a key-value pair
-  const fields = [
-    { label: 'Raised By', value: row['Raised By'] },
-    { label: 'Date Raised', value: row['Date Raised'] },
-    { label: 'Environment', value: row['Environment'] },
-    { label: 'Module / Area', value: row['Module / Area'] },
-    { label: 'Related Requirement', value: row['Related Requirement'] },
-    { label: 'Test Case ID', value: row['Test Case ID'] },
-    { label: 'Defect Description', value: row['Defect Description'] },
-    { label: 'Severity / Priority', value: row['Severity / Priority'] },
-    { label: 'Business Impact', value: row['Business Impact'] },
-    { label: 'Impact Area', value: row['Impact Area'] },
-    { label: 'Workaround Available?', value: row['Workaround Available?'] },
-    { label: 'Go/No-Go Risk', value: row['Go/No-Go Risk'] },
-    { label: 'Comments / Notes', value: row['Comments / Notes'] }
-  ];
+  let sheet;
+  try {
+    sheet = readSheetRecords(workbook, { sheet: SHEET_NAME, columns: getProfileColumns(PROFILE) });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
   
-  fields.forEach(field => {
-    if (field.value && field.value.trim() !== '' && field.value.trim() !== 'N/A') {
-      description.push(`*${field.label}:* ${field.value}`);
-    }
-  });
+  checkColumns(sheet.headers, `Sheet "${sheet.sheetName}"`);
   
-  return description.join('\n');
+  console.log(`   ✓ Sheet "${sheet.sheetName}", header on row ${sheet.headerRow}`);
+  console.log(`   ✓ Found ${sheet.records.length} rows in sheet\n`);
+  return sheet.records;
 }
 
-// Check if bug already exists in JIRA
-async function checkIfExists(client, defectName) {
+// Fetch the bugs under the epic, to compare rows with
+async function fetchCandidateBugs(client) {
   try {
-    // Escape special characters in the defect name for JQL
-    const escapedName = defectName.replace(/"/g, '\\"');
-    
-    const jql = `project = ${PROJECT_KEY} AND issuetype = Bug AND summary ~ "${escapedName}"`;
-    
-    const response = await client.post('/rest/api/3/search/jql', {
-      jql: jql,
-      maxResults: 1,
-      fields: ['key', 'summary']
+    const issues = await searchIssues(client, `project = ${PROJECT_KEY} AND issuetype = Bug AND "Epic Link" = ${EPIC_KEY}`, {
+      fields: ['summary', 'description', 'components', 'labels']
     });
-    
-    if (response.data.issues && response.data.issues.length > 0) {
-      return response.data.issues[0].key;
-    }
-    
-    return null;
+    return issues.map(issue => toCandidate(issue, PROFILE));
   } catch (error) {
-    console.error(`   ⚠️  Error checking for existing bug: ${error.message}`);
-    return null;
+    console.error(`   ⚠️  Error fetching bugs under ${EPIC_KEY}: ${error.message}`);
+    return [];
   }
 }
 
-// Discover required field IDs and get defaults
+// Discover field IDs and check the profile's defaults against JIRA. Values
+// JIRA would reject stop the run before any bug is created.
 async function discoverRequiredFields(client) {
+  let checked;
   try {
-    const fieldsResponse = await client.get('/rest/api/3/field');
-    
-    // Find Epic Link field
-    const epicField = fieldsResponse.data.find(field => 
-      field.name === 'Epic Link' || field.id === 'customfield_10014' || field.schema?.custom === 'com.pyxis.greenhopper.jira:gh-epic-link'
-    );
-    const epicLinkId = epicField ? epicField.id : 'customfield_10014';
-    
-    // Find Company field
-    const companyField = fieldsResponse.data.find(field => 
-      field.name === 'Company' || field.id === 'customfield_11650'
-    );
-    const companyFieldId = companyField ? companyField.id : 'customfield_11650';
-    
-    // Get project components (for default)
-    const projectResponse = await client.get(`/rest/api/3/project/${PROJECT_KEY}`);
-    const defaultComponent = projectResponse.data.components?.[0];
-    
-    // Get create metadata to find valid company values
-    const metaResponse = await client.get(`/rest/api/3/issue/createmeta?projectKeys=${PROJECT_KEY}&issuetypeNames=Bug&expand=projects.issuetypes.fields`);
-    const bugMeta = metaResponse.data.projects?.[0]?.issuetypes?.find(it => it.name === 'Bug');
-    const companyFieldMeta = bugMeta?.fields?.[companyFieldId];
-    const defaultCompany = companyFieldMeta?.allowedValues?.[0];
-    
-    // Find Caroline Wallen's user account
-    let carolineAccount = null;
-    try {
-      const userSearchResponse = await client.get('/rest/api/3/user/search', {
-        params: { query: 'Caroline Wallen' }
-      });
-      if (userSearchResponse.data && userSearchResponse.data.length > 0) {
-        carolineAccount = userSearchResponse.data[0];
-        console.log(`   ✓ Found assignee: Caroline Wallen (${carolineAccount.accountId})`);
-      } else {
-        console.log('   ⚠️  Caroline Wallen not found, issues will be unassigned');
-      }
-    } catch (error) {
-      console.log('   ⚠️  Could not find Caroline Wallen user');
-    }
-    
-    // Get project versions to find "Release 1C"
-    let release1CVersion = null;
-    try {
-      const versionsResponse = await client.get(`/rest/api/3/project/${PROJECT_KEY}/versions`);
-      release1CVersion = versionsResponse.data.find(v => v.name === 'Release 1C');
-      if (release1CVersion) {
-        console.log(`   ✓ Found fixVersion: Release 1C (${release1CVersion.id})`);
-      } else {
-        console.log('   ⚠️  Release 1C version not found');
-      }
-    } catch (error) {
-      console.log('   ⚠️  Could not fetch project versions');
-    }
-    
-    console.log(`   ✓ Found Epic Link field: ${epicLinkId}`);
-    console.log(`   ✓ Found Component: ${defaultComponent?.name || 'None'}`);
-    console.log(`   ✓ Found Company: ${defaultCompany?.value || 'None'}\n`);
-    
-    return { 
-      epicLinkId, 
-      companyFieldId,
-      defaultComponent,
-      defaultCompany,
-      carolineAccount,
-      release1CVersion
-    };
+    const fields = await getFields(client);
+    checked = await checkIssueDefaults(client, { project: PROJECT_KEY, defaults: DEFAULTS, fields, profile: PROFILE });
+    checked.values.fields = fields;
   } catch (error) {
-    console.error(`   ⚠️  Error discovering required fields: ${error.message}\n`);
-    return { 
-      epicLinkId: 'customfield_10014',
-      companyFieldId: 'customfield_11650',
-      defaultComponent: null,
-      defaultCompany: null,
-      carolineAccount: null,
-      release1CVersion: null
-    };
+    console.error(`❌ Error: Could not check the defaults against JIRA: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const { values, problems } = checked;
+  if (problems.length > 0) {
+    console.error(`❌ Error: JIRA would reject the "${PROFILE.name}" profile's defaults:`);
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    console.error('   Fix them under "defaults" in the profile (or defects.defaults) and run again');
+    process.exit(1);
+  }
+  
+  console.log(`   ✓ Epic: ${EPIC_KEY} (${values.epic.fields?.summary})`);
+  console.log(`   ✓ Assignee: ${values.assignee ? values.assignee.displayName : 'Unassigned'}`);
+  console.log(`   ✓ Fix Version: ${values.fixVersion?.name || 'None'}`);
+  console.log(`   ✓ Component: ${values.component?.name || 'None'}`);
+  console.log(`   ✓ Company: ${values.company?.value || 'None'}`);
+  if (values.labels.length > 0) {
+    console.log(`   ✓ Labels: ${values.labels.join(', ')}`);
+  }
+  console.log(`   ✓ Epic Link field: ${values.epicLinkId}\n`);
+  
+  return values;
+}
+
+// JIRA's priorities, fetched once per run
+let priorities = null;
+async function getPriorities(client) {
+  if (!priorities) {
+    const response = await client.get('/rest/api/3/priority');
+    priorities = response.data;
   }
+  return priorities;
 }
 
-// Get priority ID from priority name
+// Get priority ID from a P1-P4 code or priority name
 async function getPriorityId(client, priorityCode) {
   try {
-    const response = await client.get('/rest/api/3/priority');
-    
-    // Map priority code (P1, P2, P3, P4) to full JIRA priority name
-    const priorityMap = {
-      'P1': 'P1 - Critical',
-      'P2': 'P2 - High',
-      'P3': 'P3 - Medium',
-      'P4': 'P4 - Low'
-    };
-    
-    const priorityName = priorityMap[priorityCode] || 'P3 - Medium';
-    const priority = response.data.find(p => p.name === priorityName);
-    
-    if (priority) {
-      return priority.id;
-    }
-    
-    // Fallback: try to find by partial match
-    const fallbackPriority = response.data.find(p => p.name && p.name.includes(priorityCode));
-    if (fallbackPriority) {
-      return fallbackPriority.id;
-    }
-    
-    // Return P3 (Medium) as default
-    const defaultPriority = response.data.find(p => p.name === 'P3 - Medium');
-    return defaultPriority ? defaultPriority.id : '3';
+    const available = await getPriorities(client);
+    const priority = resolvePriority(available, priorityCode) || resolvePriority(available, 'P3');
+    return priority ? priority.id : '3';
   } catch (error) {
     console.error(`   ⚠️  Error getting priority ID: ${error.message}`);
     return '3'; // Default to Medium
   }
 }
 
+// Rows the importer leaves out without creating anything
+function isTestExample(defect) {
+  return defect.summary.toUpperCase().includes('TEST EXAMPLE');
+}
+
+// Every rule must name a priority JIRA has. Rows no rule matches are listed,
+// with the cells the rules read, so the rules can be completed first.
+async function checkPriorityRules(client, rows) {
+  console.log(`⚖️  Checking ${PROFILE.priorityRules.length} priority rules...`);
+  
+  let available;
+  try {
+    available = await getPriorities(client);
+  } catch (error) {
+    console.error(`❌ Error: Could not read JIRA's priorities: ${error.message}`);
+    process.exit(1);
+  }
+  
+  const problems = [];
+  PROFILE.priorityRules.forEach((rule, index) => {
+    if (!resolvePriority(available, rule.priority)) {
+      problems.push(`${describeRule(rule, index)}: "${rule.priority}" is not a JIRA priority (available: ${available.map(p => p.name).join(', ')})`);
+    }
+  });
+  if (problems.length > 0) {
+    console.error(`❌ Error: The "${PROFILE.name}" profile's priority rules name unknown priorities:`);
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    process.exit(1);
+  }
+  
+  const columns = getRuleColumns(PROFILE.priorityRules);
+  const unmatched = [];
+  for (const row of rows) {
+    const defect = mapDefect(row, PROFILE);
+    if (!defect.summary || isTestExample(defect) || defect.priorityRule) continue;
+    const cells = columns.map(column => `${column} "${getCell(row, column) ?? ''}"`).join(', ');
+    unmatched.push({ name: defect.summary, cells, priority: defect.priorityCode });
+  }
+  
+  if (unmatched.length === 0) {
+    console.log('   ✓ Every row matched a rule\n');
+  } else {
+    console.log(`   ⚠️  ${unmatched.length} rows matched no rule and keep the priority column's value:`);
+    unmatched.forEach(item => console.log(`   - ${item.name}: ${item.cells} → ${item.priority}`));
+    console.log();
+  }
+  return unmatched;
+}
+
+// Match component names from the defect log to the project's components
+function resolveComponents(names, requiredFields) {
+  const matched = [];
+  for (const name of names) {
+    const component = requiredFields.components.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (component) {
+      matched.push(component);
+    } else {
+      console.log(`   ⚠️  Component "${name}" not found in ${PROJECT_KEY}`);
+    }
+  }
+  return matched;
+}
+
+// Resolve mapped custom fields by JIRA field ID or name and shape their values
+function resolveCustomFields(customFields, requiredFields) {
+  const values = {};
+  for (const [fieldRef, value] of Object.entries(customFields)) {
+    const field = requiredFields.fields.find(f => f.id === fieldRef || f.key === fieldRef || f.name === fieldRef);
+    if (field) {
+      values[field.id] = toFieldValue(field, value);
+    } else {
+      console.log(`   ⚠️  Field "${fieldRef}" not found, "${value}" not set`);
+    }
+  }
+  return values;
+}
+
+// The fields the defect log controls: summary, description, priority,
+// components and the profile's custom fields. Labels are added by the caller.
+async function buildDefectFields(client, defect, requiredFields) {
+  const fields = {
+    summary: defect.summary,
+    description: defect.descriptionDocument,
+    priority: {
+      id: await getPriorityId(client, defect.priorityCode)
+    }
+  };
+  
+  // Add required Component field (mapped from the CSV, else the default)
+  const components = resolveComponents(defect.components, requiredFields);
+  if (components.length > 0) {
+    fields.components = components.map(component => ({ id: component.id }));
+  } else if (requiredFields.component) {
+    fields.components = [{ id: requiredFields.component.id }];
+  }
+  
+  Object.assign(fields, resolveCustomFields(defect.customFields, requiredFields));
+  
+  return fields;
+}
+
 // Create bug in JIRA
 async function createBug(client, defect, requiredFields, dryRun = false) {
   try {
-    const summary = defect['Defect Name'];
-    const priorityCode = extractPriority(defect['Severity / Priority']);
-    const description = formatDescription(defect);
-    
-    // Get priority ID
-    const priorityId = await getPriorityId(client, priorityCode);
+    const { priorityCode, labels } = defect;
     
     const issueData = {
       fields: {
@@ -275,25 +347,6 @@ async function createBug(client, defect, requiredFields, dryRun = false) {
         },
         issuetype: {
           name: 'Bug'
-        },
-        summary: summary,
-        description: {
-          type: 'doc',
-          version: 1,
-          content: [
-            {
-              type: 'paragraph',
-              content: [
-                {
-                  type: 'text',
-                  text: description
-                }
-              ]
-            }
-          ]
-        },
-        priority: {
-          id: priorityId
         }
       }
     };
@@ -301,24 +354,24 @@ async function createBug(client, defect, requiredFields, dryRun = false) {
     // Add Epic Link
     issueData.fields[requiredFields.epicLinkId] = EPIC_KEY;
     
-    // Add required Component field (use default)
-    if (requiredFields.defaultComponent) {
-      issueData.fields.components = [{ id: requiredFields.defaultComponent.id }];
+    // Company from the profile's defaults, shaped for the field's type
+    if (requiredFields.company) {
+      const companyField = requiredFields.fields.find(field => field.id === requiredFields.companyFieldId);
+      issueData.fields[requiredFields.companyFieldId] = toFieldValue(companyField, requiredFields.company.value);
     }
     
-    // Add required Company field (use default)
-    if (requiredFields.defaultCompany && requiredFields.companyFieldId) {
-      issueData.fields[requiredFields.companyFieldId] = [requiredFields.defaultCompany];
-    }
+    // Custom fields mapped by the profile win over the defaults above
+    Object.assign(issueData.fields, await buildDefectFields(client, defect, requiredFields));
+    
+    // The sync label finds this bug again when the defect log changes
+    issueData.fields.labels = [...new Set([...requiredFields.labels, ...labels, toSyncLabel(PROFILE.name, defect.externalId)])];
     
-    // Assign to Caroline Wallen
-    if (requiredFields.carolineAccount) {
-      issueData.fields.assignee = { accountId: requiredFields.carolineAccount.accountId };
+    if (requiredFields.assignee) {
+      issueData.fields.assignee = { accountId: requiredFields.assignee.accountId };
     }
     
-    // Set fixVersion to Release 1C
-    if (requiredFields.release1CVersion) {
-      issueData.fields.fixVersions = [{ id: requiredFields.release1CVersion.id }];
+    if (requiredFields.fixVersion) {
+      issueData.fields.fixVersions = [{ id: requiredFields.fixVersion.id }];
     }
     
     // In dry-run mode, return simulated data without creating the bug
@@ -327,14 +380,19 @@ async function createBug(client, defect, requiredFields, dryRun = false) {
         key: 'DRY-RUN-XXXX',
         payload: issueData,
         priorityCode: priorityCode,
-        assignee: requiredFields.carolineAccount?.displayName || 'Caroline Wallen',
-        fixVersion: requiredFields.release1CVersion?.name || 'Release 1C'
+        labels: [...new Set([...requiredFields.labels, ...labels])],
+        components: (issueData.fields.components || []).map(c => requiredFields.components.find(pc => pc.id === c.id)?.name || c.id),
+        assignee: requiredFields.assignee?.displayName || 'Unassigned',
+        fixVersion: requiredFields.fixVersion?.name || 'None'
       };
     }
     
     const response = await client.post('/rest/api/3/issue', issueData);
+    const key = response.data.key;
+    
+    await recordSync(client, key, defect);
     
-    return response.data.key;
+    return key;
   } catch (error) {
     if (error.response) {
       console.error(`   ❌ JIRA API Error: ${error.response.status}`);
@@ -346,61 +404,342 @@ async function createBug(client, defect, requiredFields, dryRun = false) {
   }
 }
 
+// Store the row's values on the bug. The bug exists either way, so a failure
+// only means the next --sync treats every value as new.
+async function recordSync(client, key, defect) {
+  try {
+    await writeSyncState(client, key, PROFILE.name, defect);
+  } catch (error) {
+    console.log(`   ⚠️  Could not record sync state on ${key}: ${error.message}`);
+  }
+}
+
+// Find the bug created for a defect row by its sync label
+async function findSyncedBug(client, syncLabel) {
+  const issues = await searchIssues(client, `project = ${PROJECT_KEY} AND labels = "${syncLabel}"`, {
+    maxResults: 1,
+    fields: ['key', 'summary']
+  });
+  return issues.length > 0 ? issues[0].key : null;
+}
+
+// Build the edit for the changed values only. Labels are added and removed
+// one by one so labels set in JIRA, and the sync label, are kept.
+async function buildUpdate(client, defect, changes, requiredFields) {
+  const fields = await buildDefectFields(client, defect, requiredFields);
+  const customFieldIds = Object.keys(resolveCustomFields(defect.customFields, requiredFields));
+  const issueData = { fields: {}, update: {} };
+  
+  for (const change of changes) {
+    if (change.field === 'summary') issueData.fields.summary = fields.summary;
+    if (change.field === 'description') issueData.fields.description = fields.description;
+    if (change.field === 'priorityCode') issueData.fields.priority = fields.priority;
+    if (change.field === 'components' && fields.components) issueData.fields.components = fields.components;
+    if (change.field === 'customFields') {
+      customFieldIds.forEach(id => { issueData.fields[id] = fields[id]; });
+    }
+    if (change.field === 'labels') {
+      issueData.update.labels = [
+        ...change.from.filter(label => !change.to.includes(label)).map(label => ({ remove: label })),
+        ...change.to.filter(label => !change.from.includes(label)).map(label => ({ add: label }))
+      ];
+    }
+  }
+  
+  return issueData;
+}
+
+// Bring the bug for a defect row up to date (--sync). Returns null when no
+// bug exists yet, so the caller creates one.
+async function syncBug(client, defect, requiredFields, candidates, orphans, dryRun = false) {
+  const syncLabel = toSyncLabel(PROFILE.name, defect.externalId);
+  let key = await findSyncedBug(client, syncLabel);
+  
+  if (!key) {
+    // A bug created before syncing was used, or one whose row's ID has since
+    // changed: move it onto this row's label, dropping labels of rows that
+    // are gone, then compare with its last synced values as usual
+    const bug = findUploadedBug(defect, candidates, syncLabel, orphans);
+    if (!bug) return null;
+    key = bug.key;
+    if (!dryRun) {
+      const stale = bug.labels.filter(label => label.startsWith(orphans.labelPrefix) && !orphans.rowLabels.has(label));
+      await client.put(`/rest/api/3/issue/${key}`, {
+        update: { labels: [...stale.map(label => ({ remove: label })), { add: syncLabel }] }
+      });
+    }
+    bug.labels = [...bug.labels.filter(label => !label.startsWith(orphans.labelPrefix)), syncLabel];
+  }
+  
+  const state = await readSyncState(client, key);
+  if (!state) {
+    if (!dryRun) await writeSyncState(client, key, PROFILE.name, defect);
+    return { status: 'linked', key, changes: [] };
+  }
+  
+  const changes = diffDefect(state.values, snapshotDefect(defect));
+  if (changes.length === 0) {
+    return { status: 'unchanged', key, changes };
+  }
+  
+  if (!dryRun) {
+    await client.put(`/rest/api/3/issue/${key}`, await buildUpdate(client, defect, changes, requiredFields));
+    await client.post(`/rest/api/3/issue/${key}/comment`, {
+      body: linesToDocument(describeChanges(changes, path.basename(DEFECT_LOG_PATH)))
+    });
+    await writeSyncState(client, key, PROFILE.name, defect);
+  }
+  return { status: 'updated', key, changes };
+}
+
+// Show the likely duplicates of a row with their confidence
+function printDuplicates(duplicates) {
+  console.log('   ⚠️  Possible duplicate of:');
+  duplicates.forEach(match => {
+    const signals = Object.entries(match.signals)
+      .filter(([, value]) => value !== null)
+      .map(([signal, value]) => `${signal} ${Math.round(value * 100)}%`)
+      .join(', ');
+    console.log(`      ${match.candidate.key} (${Math.round(match.score * 100)}% confidence): ${match.candidate.summary}`);
+    console.log(`         ${signals}`);
+  });
+}
+
+// Answers typed (or piped) in, read as lines for the whole run so none are
+// lost between questions
+let prompt = null;
+let answers = null;
+
+// Ask what to do with a likely duplicate. Once input has ended, skip.
+async function askDuplicateAction(duplicate) {
+  if (!prompt) {
+    prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    answers = prompt[Symbol.asyncIterator]();
+  }
+  
+  for (;;) {
+    process.stdout.write(`   ❓ [l]ink as duplicate of ${duplicate.candidate.key}, [s]kip or [c]reate? `);
+    const { value, done } = await answers.next();
+    if (done) {
+      console.log('\n   No answer, skipping');
+      return 'skip';
+    }
+    const action = { l: 'link', s: 'skip', c: 'create' }[value.trim().toLowerCase()[0]];
+    if (action) return action;
+  }
+}
+
+// Link a new bug to the bug it duplicates. The bug exists either way, so a
+// failure is only reported.
+async function linkDuplicate(client, key, duplicateKey) {
+  try {
+    // JIRA reads this as "<key> duplicates <duplicateKey>"
+    await client.post('/rest/api/3/issueLink', {
+      type: { name: 'Duplicate' },
+      inwardIssue: { key },
+      outwardIssue: { key: duplicateKey }
+    });
+    return true;
+  } catch (error) {
+    console.log(`   ⚠️  Could not link ${key} to ${duplicateKey}: ${error.message}`);
+    return false;
+  }
+}
+
+// The evidence files for a row; relative paths start at the defect log's folder
+function getAttachments(defect) {
+  return findAttachments(defect, PROFILE, {
+    baseDir: path.dirname(DEFECT_LOG_PATH),
+    maxBytes: MAX_ATTACHMENT_MB * 1024 * 1024
+  });
+}
+
+// List a row's evidence files and any that cannot be uploaded
+function printAttachments(attachments, indent) {
+  attachments.files.forEach(file => console.log(`${indent}📎 ${file.name} (${formatSize(file.size)})`));
+  attachments.missing.forEach(listed => console.log(`${indent}⚠️  Missing file: ${listed}`));
+  attachments.tooLarge.forEach(file => console.log(`${indent}⚠️  Too large (${formatSize(file.size)}, limit ${MAX_ATTACHMENT_MB} MB): ${file.name}`));
+}
+
+// Upload a row's evidence to its new bug. The bug is kept if an upload
+// fails; failures are reported with the missing files.
+async function uploadAttachments(client, key, files) {
+  const uploaded = [];
+  const failed = [];
+  for (const file of files) {
+    try {
+      await uploadAttachment(client, key, file);
+      uploaded.push(file);
+    } catch (error) {
+      failed.push({ name: file.name, error: error.message });
+    }
+  }
+  return { uploaded, failed };
+}
+
 // Process defects from CSV
-async function processDefects(client, defects, requiredFields, dryRun = false) {
+async function processDefects(client, defects, requiredFields, options = {}) {
+  const { dryRun = false, sync = false, candidates = [], onDuplicate = 'skip', journal = null, previous = null } = options;
   let created = 0;
   let skipped = 0;
   let errors = 0;
   
   const results = {
     created: [],
+    updated: [],
+    unchanged: [],
+    linked: [],
+    duplicates: [],
+    attachments: [],
+    resumed: [],
     skipped: [],
     errors: []
   };
   
-  for (const defect of defects) {
-    const defectName = defect['Defect Name'];
+  // Sync labels of every row, so --sync can find bugs left by rows whose ID changed
+  const orphans = {
+    labelPrefix: toSyncLabel(PROFILE.name, ''),
+    rowLabels: new Set(defects.map(row => toSyncLabel(PROFILE.name, mapDefect(row, PROFILE).externalId)))
+  };
+  
+  for (const row of defects) {
+    const defect = mapDefect(row, PROFILE);
+    const defectName = defect.summary;
     
     // Skip if defect name is empty
     if (!defectName || defectName.trim() === '') {
       continue;
     }
     
+    // Write the row's outcome to the journal as soon as it is known
+    const record = (status, extra = {}) => {
+      if (journal) journal.record({ type: 'row', externalId: defect.externalId, summary: defectName, status, ...extra });
+    };
+    
+    // A resumed run leaves rows the earlier run finished
+    const earlier = previous ? previous.get(defect.externalId) : null;
+    if (isRowDone(earlier)) {
+      results.resumed.push({ name: defectName, status: earlier.status, key: earlier.key });
+      continue;
+    }
+    
     // Skip test examples
-    if (defectName.toUpperCase().includes('TEST EXAMPLE')) {
+    if (isTestExample(defect)) {
       console.log(`⏭️  Skipping test example: ${defectName}`);
       skipped++;
       results.skipped.push({ name: defectName, reason: 'Test example' });
+      record('skipped', { reason: 'Test example' });
       continue;
     }
     
     console.log(`\n🔍 Processing: ${defectName}`);
     
-    // Check if already exists
-    const existingKey = await checkIfExists(client, defectName);
-    if (existingKey) {
-      console.log(`   ⏭️  Already exists as ${existingKey}, skipping`);
+    // Update the bug already synced with this row, if there is one
+    if (sync) {
+      let outcome;
+      try {
+        outcome = await syncBug(client, defect, requiredFields, candidates, orphans, dryRun);
+      } catch (error) {
+        console.log(`   ❌ Failed to sync bug for: ${defectName}`);
+        console.log(`      Error: ${error.message}`);
+        errors++;
+        results.errors.push({ name: defectName, error: error.message });
+        record('error', { error: error.message });
+        continue;
+      }
+      
+      if (outcome) {
+        const prefix = dryRun ? '[DRY RUN] Would update' : 'Updated';
+        if (outcome.status === 'updated') {
+          console.log(`   🔄 ${prefix} ${outcome.key}:`);
+          describeChanges(outcome.changes, path.basename(DEFECT_LOG_PATH)).slice(1).forEach(line => console.log(`      ${line}`));
+        } else if (outcome.status === 'linked') {
+          console.log(`   🔗 ${dryRun ? '[DRY RUN] Would link' : 'Linked'} ${outcome.key} to this row`);
+        } else {
+          console.log(`   ✓ ${outcome.key} is up to date`);
+        }
+        results[outcome.status].push({ name: defectName, key: outcome.key, changes: outcome.changes });
+        // A bug created just before an earlier run stopped still belongs to that run
+        record(earlier?.status === 'pending' ? 'created' : outcome.status, { key: outcome.key });
+        continue;
+      }
+    }
+    
+    // Check if already exists. A bug left by a row whose ID changed is only
+    // taken over by --sync; here it is offered as a likely duplicate below.
+    const syncLabel = toSyncLabel(PROFILE.name, defect.externalId);
+    const existing = findUploadedBug(defect, candidates, syncLabel);
+    if (existing && earlier?.status === 'pending') {
+      // The run stopped after JIRA created the bug but before the journal said so
+      console.log(`   ✅ Created before the run stopped: ${existing.key}`);
+      created++;
+      results.created.push({ name: defectName, key: existing.key });
+      record('created', { key: existing.key });
+      continue;
+    }
+    if (existing) {
+      console.log(`   ⏭️  Already exists as ${existing.key}, skipping`);
       skipped++;
-      results.skipped.push({ name: defectName, reason: `Already exists as ${existingKey}` });
+      results.skipped.push({ name: defectName, reason: `Already exists as ${existing.key}` });
+      record('skipped', { key: existing.key, reason: 'Already exists' });
       continue;
     }
     
-    // Create the bug (or simulate in dry-run)
+    // Look for near-duplicates under the epic
+    const duplicates = findDuplicates(defect, candidates).slice(0, MAX_DUPLICATES_SHOWN);
+    let duplicateOf = null;
+    if (duplicates.length > 0) {
+      printDuplicates(duplicates);
+      results.duplicates.push({ name: defectName, matches: duplicates });
+      
+      let action = onDuplicate;
+      if (action === 'ask' && dryRun) {
+        console.log('      Would ask: link as duplicate, skip or create');
+        action = 'create';
+      } else if (action === 'ask') {
+        action = await askDuplicateAction(duplicates[0]);
+      }
+      
+      if (action === 'skip') {
+        console.log(`   ⏭️  ${dryRun ? 'Would skip' : 'Skipping'} likely duplicate of ${duplicates[0].candidate.key}`);
+        skipped++;
+        results.skipped.push({ name: defectName, reason: `Likely duplicate of ${duplicates[0].candidate.key}` });
+        record('skipped', { reason: `Likely duplicate of ${duplicates[0].candidate.key}` });
+        continue;
+      }
+      if (action === 'link') duplicateOf = duplicates[0].candidate.key;
+    }
+    
+    const attachments = HAS_ATTACHMENTS ? getAttachments(defect) : { files: [], missing: [], tooLarge: [] };
+    
+    // Create the bug (or simulate in dry-run). Marked pending first, so a run
+    // that stops before the outcome is written checks JIRA when resumed.
     try {
+      record('pending');
       const result = await createBug(client, defect, requiredFields, dryRun);
       
       if (dryRun) {
         console.log(`   🔍 [DRY RUN] Would create bug:`);
         console.log(`      Summary: ${defectName}`);
-        console.log(`      Priority: ${result.priorityCode}`);
+        console.log(`      Priority: ${result.priorityCode}${defect.priorityRule ? ` (${defect.priorityRule})` : ''}`);
+        if (result.labels.length > 0) {
+          console.log(`      Labels: ${result.labels.join(', ')}`);
+        }
+        console.log(`      Components: ${result.components.join(', ') || 'None'}`);
         console.log(`      Assignee: ${result.assignee}`);
         console.log(`      Fix Version: ${result.fixVersion}`);
         console.log(`      Epic Link: ${EPIC_KEY}`);
+        if (duplicateOf) {
+          console.log(`      Duplicates: ${duplicateOf}`);
+        }
+        printAttachments(attachments, '      ');
+        results.attachments.push({ name: defectName, key: result.key, ...attachments, failed: [] });
         created++;
         results.created.push({ 
           name: defectName, 
           key: result.key,
           dryRun: true,
+          duplicateOf,
           details: {
             priority: result.priorityCode,
             assignee: result.assignee,
@@ -409,32 +748,195 @@ async function processDefects(client, defects, requiredFields, dryRun = false) {
         });
       } else {
         console.log(`   ✅ Created bug: ${result}`);
+        record('created', { key: result });
+        if (duplicateOf && await linkDuplicate(client, result, duplicateOf)) {
+          console.log(`   🔁 Linked as duplicate of ${duplicateOf}`);
+        }
+        printAttachments(attachments, '   ');
+        const { uploaded, failed } = await uploadAttachments(client, result, attachments.files);
+        failed.forEach(file => console.log(`   ⚠️  Could not attach ${file.name}: ${file.error}`));
+        results.attachments.push({ name: defectName, key: result, ...attachments, files: uploaded, failed });
         created++;
-        results.created.push({ name: defectName, key: result });
+        results.created.push({ name: defectName, key: result, duplicateOf });
+        
+        // Later rows are compared with this bug too
+        candidates.push(toCandidate({
+          key: result,
+          fields: { summary: defectName, description: defect.descriptionDocument, labels: [syncLabel] }
+        }, PROFILE));
       }
     } catch (error) {
       console.log(`   ❌ Failed to create bug for: ${defectName}`);
       console.log(`      Error: ${error.message}`);
       errors++;
       results.errors.push({ name: defectName, error: error.message });
+      record('error', { error: error.message });
+    }
+  }
+  
+  return {
+    created,
+    attached: results.attachments.reduce((count, item) => count + item.files.length, 0),
+    updated: results.updated.length,
+    unchanged: results.unchanged.length,
+    linked: results.linked.length,
+    skipped,
+    errors,
+    results
+  };
+}
+
+// Open the journal for this run. --resume carries on in the latest journal
+// of the same log and profile; a dry run reads it but writes nothing.
+function startJournal(resume, dryRun) {
+  const reportsDir = getReportsDir();
+  const input = { logPath: DEFECT_LOG_PATH, profile: PROFILE.name };
+  
+  if (resume) {
+    const latest = findLatestRun(reportsDir, input);
+    if (latest) {
+      const previous = readJournal(latest.path);
+      const journal = dryRun ? null : openJournal(latest.path);
+      if (journal) journal.record({ type: 'resume' });
+      console.log(`📒 Resuming run ${latest.runId} (${previous.ended ? 'finished' : 'stopped before the end'}, ${previous.rows.size} rows recorded)\n`);
+      return { runId: latest.runId, journal, previous: previous.rows };
     }
+    console.log('   ⚠️  No earlier run of this defect log to resume, starting a new run\n');
+  }
+  
+  if (dryRun) return { runId: null, journal: null, previous: null };
+  
+  const runId = createRunId();
+  const journal = openJournal(getJournalPath(reportsDir, runId), {
+    runId,
+    startedAt: new Date().toISOString(),
+    profile: PROFILE.name,
+    logPath: DEFECT_LOG_PATH,
+    project: PROJECT_KEY,
+    epicKey: EPIC_KEY
+  });
+  console.log(`📒 Journal: ${journal.path}\n`);
+  return { runId, journal, previous: null };
+}
+
+// Move a bug to the undo status, saying why, when it cannot be deleted
+async function rejectBug(client, key, runId) {
+  const response = await client.get(`/rest/api/3/issue/${key}/transitions`);
+  const wanted = UNDO_STATUS.toLowerCase();
+  const transition = response.data.transitions.find(t =>
+    t.to?.name?.toLowerCase() === wanted || t.name.toLowerCase() === wanted
+  );
+  if (!transition) {
+    throw new Error(`cannot be deleted and has no transition to "${UNDO_STATUS}" (set defects.undoStatus)`);
+  }
+  
+  await client.post(`/rest/api/3/issue/${key}/comment`, {
+    body: linesToDocument([`Created in error by defect upload run ${runId}; undone.`])
+  });
+  await client.post(`/rest/api/3/issue/${key}/transitions`, { transition: { id: transition.id } });
+}
+
+// Delete (or reject) the bugs a run created. --undo last picks the latest run.
+async function undoRun(runRef, dryRun) {
+  const runs = listRuns(getReportsDir());
+  const target = runRef === 'last' ? runs[runs.length - 1] : runs.find(run => run.runId === runRef);
+  if (!target) {
+    console.error(`❌ Error: No defect upload run "${runRef}"${runs.length > 0 ? ` (latest: ${runs[runs.length - 1].runId})` : ''}`);
+    process.exit(1);
+  }
+  
+  const journal = readJournal(target.path);
+  const issues = getCreatedIssues(journal);
+  const updated = [...journal.rows.values()].filter(entry => entry.status === 'updated' || entry.status === 'linked');
+  
+  console.log(`↩️  Undoing defect upload run ${target.runId}${dryRun ? ' (DRY RUN)' : ''}`);
+  console.log(`   Defect Log: ${journal.run.logPath}`);
+  console.log(`   Bugs created: ${issues.length}\n`);
+  
+  const client = createJiraClient();
+  const writer = dryRun ? null : openJournal(target.path);
+  const results = { deleted: [], rejected: [], errors: [] };
+  
+  for (const issue of issues) {
+    if (dryRun) {
+      console.log(`   🔍 Would delete ${issue.key}: ${issue.summary}`);
+      continue;
+    }
+    
+    try {
+      try {
+        await client.delete(`/rest/api/3/issue/${issue.key}`);
+        console.log(`   🗑️  Deleted ${issue.key}: ${issue.summary}`);
+        results.deleted.push(issue);
+        writer.record({ type: 'undo', key: issue.key, action: 'deleted' });
+      } catch (error) {
+        if (error.response?.status === 404) {
+          console.log(`   ⏭️  ${issue.key} no longer exists`);
+          writer.record({ type: 'undo', key: issue.key, action: 'missing' });
+        } else if (error.response?.status === 403) {
+          await rejectBug(client, issue.key, target.runId);
+          console.log(`   🚫 Moved ${issue.key} to ${UNDO_STATUS} (not allowed to delete): ${issue.summary}`);
+          results.rejected.push(issue);
+          writer.record({ type: 'undo', key: issue.key, action: 'rejected', status: UNDO_STATUS });
+        } else {
+          throw error;
+        }
+      }
+    } catch (error) {
+      console.log(`   ❌ Could not undo ${issue.key}: ${error.message}`);
+      results.errors.push({ key: issue.key, error: error.message });
+    }
+  }
+  
+  console.log('\n============================================================');
+  if (dryRun) {
+    console.log(`🔍 DRY RUN COMPLETE - ${issues.length} bugs would be deleted, or moved to ${UNDO_STATUS} where deleting is not allowed`);
+  } else {
+    console.log(`   🗑️  Deleted: ${results.deleted.length}`);
+    console.log(`   🚫 Moved to ${UNDO_STATUS}: ${results.rejected.length}`);
+    console.log(`   ❌ Errors: ${results.errors.length}`);
   }
+  if (updated.length > 0) {
+    console.log(`   ℹ️  ${updated.length} bugs updated or linked by this run are left as they are`);
+  }
+  console.log();
   
-  return { created, skipped, errors, results };
+  if (results.errors.length > 0) {
+    process.exit(1);
+  }
 }
 
 // Main function
 async function main() {
   // Check for dry-run flag
   const dryRun = process.argv.includes('--dry-run');
+  const sync = process.argv.includes('--sync');
+  const resume = process.argv.includes('--resume');
+  const onDuplicate = ON_DUPLICATE;
+  
+  const undo = getFlagValue(process.argv.slice(2), '--undo');
+  if (undo !== undefined) {
+    validateCredentials();
+    await undoRun(undo, dryRun);
+    return;
+  }
   
   console.log('🚀 NH UAT Defect Upload to JIRA\n');
   console.log('============================================================');
   console.log(`   Epic: ${EPIC_KEY}`);
   console.log(`   Project: ${PROJECT_KEY}`);
   console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
+  console.log(`   Profile: ${PROFILE.name}`);
+  console.log(`   Defect Log: ${DEFECT_LOG_PATH}${SHEET_NAME ? ` (sheet "${SHEET_NAME}")` : ''}`);
   if (dryRun) {
-    console.log(`   🔍 MODE: DRY RUN (No bugs will be created)`);
+    console.log(`   🔍 MODE: DRY RUN (No bugs will be created${sync ? ' or updated' : ''})`);
+  }
+  if (sync) {
+    console.log('   🔄 SYNC: Bugs created from this log are updated when their row changes');
+  }
+  if (HAS_ATTACHMENTS) {
+    const sources = [PROFILE.attachments && `column "${PROFILE.attachments}"`, PROFILE.attachmentsDir && `folder "${PROFILE.attachmentsDir}"`];
+    console.log(`   📎 Attachments: ${sources.filter(Boolean).join(' and ')} (up to ${MAX_ATTACHMENT_MB} MB each)`);
   }
   console.log();
   
@@ -449,11 +951,24 @@ async function main() {
   const requiredFields = await discoverRequiredFields(client);
   
   // Read CSV
-  const defects = readCSV();
+  const defects = await readDefectLog();
+  const unmatchedPriorities = PROFILE.priorityRules.length > 0 ? await checkPriorityRules(client, defects) : [];
+  
+  // Bugs already under the epic, for duplicate checking
+  console.log(`🔍 Fetching bugs under ${EPIC_KEY}...`);
+  const candidates = await fetchCandidateBugs(client);
+  console.log(`   ✓ Found ${candidates.length} bugs to check for duplicates (on duplicate: ${onDuplicate})\n`);
+  
+  // Every row's outcome is journaled as it happens, so the run can be resumed or undone
+  const { runId, journal, previous } = startJournal(resume, dryRun);
   
   // Process defects
   console.log('📝 Processing defects...\n');
-  const summary = await processDefects(client, defects, requiredFields, dryRun);
+  const summary = await processDefects(client, defects, requiredFields, { dryRun, sync, candidates, onDuplicate, journal, previous });
+  if (prompt) prompt.close();
+  if (journal) {
+    journal.record({ type: 'end', created: summary.created, skipped: summary.skipped, errors: summary.errors });
+  }
   
   // Print summary
   console.log('\n============================================================');
@@ -463,11 +978,25 @@ async function main() {
     console.log('📊 SUMMARY:\n');
   }
   console.log(`   Total Defects Processed: ${defects.length}`);
+  if (summary.results.resumed.length > 0) {
+    console.log(`   📒 Done by the earlier run: ${summary.results.resumed.length}`);
+  }
   if (dryRun) {
     console.log(`   🔍 Would Create: ${summary.created}`);
   } else {
     console.log(`   ✅ Created: ${summary.created}`);
   }
+  if (HAS_ATTACHMENTS) {
+    console.log(`   📎 ${dryRun ? 'Would Attach' : 'Attached'}: ${summary.attached} files`);
+  }
+  if (sync) {
+    console.log(`   🔄 ${dryRun ? 'Would Update' : 'Updated'}: ${summary.updated}`);
+    console.log(`   ✓ Unchanged: ${summary.unchanged}`);
+    console.log(`   🔗 ${dryRun ? 'Would Link' : 'Linked'}: ${summary.linked}`);
+  }
+  if (PROFILE.priorityRules.length > 0) {
+    console.log(`   ⚖️  No Priority Rule: ${unmatchedPriorities.length}`);
+  }
   console.log(`   ⏭️  Skipped: ${summary.skipped}`);
   console.log(`   ❌ Errors: ${summary.errors}\n`);
   
@@ -475,18 +1004,57 @@ async function main() {
     if (dryRun) {
       console.log('Would Create:');
       summary.results.created.forEach(item => {
-        console.log(`   - ${item.name}`);
+        console.log(`   - ${item.name}${item.duplicateOf ? ` (duplicate of ${item.duplicateOf})` : ''}`);
         console.log(`     Priority: ${item.details.priority}, Assignee: ${item.details.assignee}, Fix Version: ${item.details.fixVersion}`);
       });
     } else {
       console.log('Created Bugs:');
       summary.results.created.forEach(item => {
-        console.log(`   - ${item.key}: ${item.name}`);
+        console.log(`   - ${item.key}: ${item.name}${item.duplicateOf ? ` (duplicate of ${item.duplicateOf})` : ''}`);
       });
     }
     console.log();
   }
   
+  if (summary.results.updated.length > 0) {
+    console.log(dryRun ? 'Would Update:' : 'Updated Bugs:');
+    summary.results.updated.forEach(item => {
+      console.log(`   - ${item.key}: ${item.name} (${item.changes.map(change => change.label).join(', ')})`);
+    });
+    console.log();
+  }
+  
+  if (summary.results.linked.length > 0) {
+    console.log(dryRun ? 'Would Link:' : 'Linked Bugs:');
+    summary.results.linked.forEach(item => {
+      console.log(`   - ${item.key}: ${item.name}`);
+    });
+    console.log();
+  }
+  
+  if (summary.results.duplicates.length > 0) {
+    console.log('Likely Duplicates:');
+    summary.results.duplicates.forEach(item => {
+      const matches = item.matches.map(match => `${match.candidate.key} ${Math.round(match.score * 100)}%`).join(', ');
+      console.log(`   - ${item.name} → ${matches}`);
+    });
+    console.log();
+  }
+  
+  const attachmentProblems = summary.results.attachments.filter(item =>
+    item.missing.length > 0 || item.tooLarge.length > 0 || item.failed.length > 0
+  );
+  if (attachmentProblems.length > 0) {
+    console.log('Attachment Problems:');
+    attachmentProblems.forEach(item => {
+      console.log(`   - ${dryRun ? item.name : `${item.key}: ${item.name}`}`);
+      item.missing.forEach(listed => console.log(`     Missing: ${listed}`));
+      item.tooLarge.forEach(file => console.log(`     Too large: ${file.name} (${formatSize(file.size)})`));
+      item.failed.forEach(file => console.log(`     Upload failed: ${file.name} - ${file.error}`));
+    });
+    console.log();
+  }
+  
   if (summary.results.skipped.length > 0) {
     console.log('Skipped:');
     summary.results.skipped.forEach(item => {
@@ -504,10 +1072,19 @@ async function main() {
   }
   
   if (dryRun) {
-    console.log('🔍 DRY RUN COMPLETE - No bugs were created in JIRA');
+    console.log(`🔍 DRY RUN COMPLETE - No bugs were ${sync ? 'created or updated' : 'created'} in JIRA`);
     console.log('   To create these bugs, run without the --dry-run flag\n');
   } else {
-    console.log('🎉 Done!\n');
+    if (summary.errors > 0) {
+      console.log('   To retry the failed rows, run again with --resume');
+    }
+    console.log(`   To undo this run: npm run nh-defect-upload -- --undo ${runId}\n`);
+    console.log(summary.errors > 0 ? `❌ Finished with ${summary.errors} failed rows\n` : '🎉 Done!\n');
+  }
+  
+  // A run with failed rows exits non-zero, so scripts and CI can tell
+  if (summary.errors > 0) {
+    process.exit(1);
   }
 }
 
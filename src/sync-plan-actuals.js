@@ -0,0 +1,189 @@
+const ExcelJS = require('exceljs');
+const path = require('path');
+const readline = require('readline');
+const {
+  getConnectionSettings,
+  validateCredentials,
+  createJiraClient,
+  searchIssues,
+  getIssue,
+  getStoryPointsFieldId
+} = require('./lib/jira-client');
+const { loadConfig } = require('./lib/config');
+const { getCompletionDates } = require('./lib/changelog');
+const { discoverWorkflow, toJqlList } = require('./lib/workflow');
+const { resolveReleases } = require('./lib/releases');
+const { parsePlan, readProgressSheet } = require('./lib/plan-workbook');
+const { toDayKey, summarizeActuals, buildActualChanges, applyActualChanges } = require('./lib/plan-actuals');
+
+// Configuration
+const JIRA_BASE_URL = getConnectionSettings().baseUrl;
+const config = loadConfig({ required: ['project'] });
+const PROJECT_KEY = config.project;
+const WORKBOOK_PATH = path.join(__dirname, '..', 'data', 'NH Story Point Plan.xlsx');
+
+// Stories and bugs without an estimate count as 2 points, as in the other reports
+const DEFAULT_STORY_POINTS = 2;
+
+// Parse command-line arguments
+function parseArgs() {
+  const asOf = config.args[0] || toDayKey(new Date());
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+    console.error('❌ Error: Date must be in YYYY-MM-DD format');
+    console.log('Usage: npm run sync-plan -- [date] [--dry-run] [--yes]');
+    process.exit(1);
+  }
+
+  return {
+    asOf,
+    dryRun: process.argv.includes('--dry-run'),
+    yes: process.argv.includes('--yes')
+  };
+}
+
+// Stories and bugs completed between two days, with the day each counts on
+async function fetchCompletions(client, startDay, endDay) {
+  const workflow = await discoverWorkflow(client, config);
+  const storyPointsFieldId = await getStoryPointsFieldId(client, config.fields.storyPoints);
+
+  const jql = `project = ${PROJECT_KEY} AND issuetype in (Story, Bug) AND status changed to ${toJqlList(workflow.getStatuses('done'))} during ("${startDay}", "${endDay}")`;
+  console.log(`\n🔎 Fetching completed issues...`);
+  console.log(`   JQL: ${jql}`);
+
+  const issueRefs = await searchIssues(client, jql, { fields: 'summary' });
+  console.log(`   ✓ Found ${issueRefs.length} issues`);
+
+  const completions = [];
+  for (const issueRef of issueRefs) {
+    const issue = await getIssue(client, issueRef.key, {
+      fields: `summary,issuetype,status,${storyPointsFieldId}`,
+      expand: 'changelog'
+    });
+
+    // JQL also matches moves between completed statuses (Ready for Release -> Closed)
+    const completedOn = getCompletionDates(issue, workflow.isDone).find(day => day >= startDay && day <= endDay);
+    if (!completedOn) continue;
+
+    completions.push({
+      key: issue.key,
+      points: issue.fields[storyPointsFieldId] || DEFAULT_STORY_POINTS,
+      completedOn
+    });
+  }
+
+  return completions;
+}
+
+// Print the cells that would change
+function printChanges(changes) {
+  const show = value => (value === null ? '(blank)' : String(value));
+  const width = Math.max(...changes.map(change => `${change.sheet}!${change.address}`.length));
+
+  for (const change of changes) {
+    const cell = `${change.sheet}!${change.address}`.padEnd(width);
+    if (change.formula) {
+      console.log(`   ⏭️  ${cell}  ${change.label}: JIRA says ${change.to}, but the cell holds a formula (${change.formula}); left as is`);
+    } else {
+      console.log(`   ✏️  ${cell}  ${change.label}: ${show(change.from)} → ${change.to}`);
+    }
+  }
+}
+
+// Ask before saving; without a terminal, only --yes saves
+async function confirmSave(fileName) {
+  if (!process.stdin.isTTY) {
+    console.log(`\nℹ️  Not saved: run again with --yes to save these changes to ${fileName}`);
+    return false;
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => prompt.question(`\n❓ Save these changes to ${fileName}? [y/N] `, resolve));
+  prompt.close();
+  if (answer.trim().toLowerCase().startsWith('y')) return true;
+  console.log('   Not saved');
+  return false;
+}
+
+// Main function
+async function main() {
+  try {
+    validateCredentials();
+    const { asOf, dryRun, yes } = parseArgs();
+    const fileName = path.basename(WORKBOOK_PATH);
+
+    console.log('\n🔄 Syncing JIRA actuals into the plan workbook');
+    console.log('='.repeat(60));
+    console.log(`   Project: ${PROJECT_KEY}`);
+    console.log(`   As of: ${asOf}`);
+    console.log(`   JIRA Instance: ${JIRA_BASE_URL}`);
+    console.log(`   Workbook: ${fileName}`);
+    if (dryRun) {
+      console.log('   🔍 MODE: DRY RUN (the workbook will not be saved)');
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(WORKBOOK_PATH);
+    const plan = parsePlan(workbook, { releases: resolveReleases(config) });
+    const progress = readProgressSheet(workbook);
+    const problems = [...plan.problems, ...progress.problems];
+    if (problems.length > 0) {
+      console.error(`\n❌ ${fileName} does not match the plan layout:`);
+      problems.forEach(problem => console.error(`   - ${problem}`));
+      process.exit(1);
+    }
+
+    // From the earliest day either sheet records
+    const firstDays = [plan.sprints[0].startDate, ...progress.days.map(day => day.date)].map(toDayKey).sort();
+    const startDay = firstDays[0];
+    if (startDay > asOf) {
+      console.log(`\nℹ️  The plan starts on ${startDay}, after ${asOf}; nothing to sync`);
+      return;
+    }
+
+    const client = createJiraClient();
+    const completions = await fetchCompletions(client, startDay, asOf);
+    const actuals = summarizeActuals(completions, plan.sprints);
+
+    console.log('\n📈 Delivered points by sprint:');
+    for (const sprint of plan.sprints) {
+      if (toDayKey(sprint.startDate) > asOf) break;
+      console.log(`   Sprint ${sprint.number}: ${actuals.bySprint.get(sprint.number) || 0} points`);
+    }
+    console.log(`   Today (${asOf}): ${actuals.byDay.get(asOf) || 0} points`);
+    if (actuals.outside.length > 0) {
+      console.log(`   ⚠️  ${actuals.outside.length} issues completed outside the plan's sprints: ${actuals.outside.map(completion => `${completion.key} (${completion.completedOn})`).join(', ')}`);
+    }
+
+    const changes = buildActualChanges(plan, progress, actuals, asOf);
+    if (changes.length === 0) {
+      console.log(`\n✅ ${fileName} already matches JIRA`);
+      return;
+    }
+
+    console.log(`\n📝 Changes to ${fileName}:`);
+    printChanges(changes);
+
+    if (changes.every(change => change.formula)) {
+      console.log('\nℹ️  Only formula cells differ; nothing to save');
+      return;
+    }
+    if (dryRun) {
+      console.log('\n🔍 DRY RUN: workbook not saved');
+      return;
+    }
+    if (!yes && !(await confirmSave(fileName))) return;
+
+    const written = applyActualChanges(workbook, changes);
+    await workbook.xlsx.writeFile(WORKBOOK_PATH);
+    console.log(`\n✅ Saved ${written} cells to ${fileName}`);
+    console.log('   Run the sprint report to bring the Progress sheet\'s cumulative rows up to date');
+
+  } catch (error) {
+    console.error('\n❌ Failed to sync JIRA actuals');
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+main();
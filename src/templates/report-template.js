@@ -202,7 +202,7 @@ function drawExecutiveSummary(doc, sprintData) {
   const rowHeight = 18;
   
   const remaining = sprintData.totalCommitted - sprintData.totalDelivered;
-  const targetVelocity = sprintData.totalCommitted / sprintData.totalWorkingDays;
+  const targetVelocity = sprintData.targetVelocity;
   
   // Determine if metrics are "okay" (within 10% of target)
   const velocityOkay = sprintData.currentVelocity >= targetVelocity * 0.9;
@@ -311,7 +311,7 @@ function drawVelocityOverTimeChart(doc, sprintData, x, y) {
   const plotHeight = chartHeight - padding.top - padding.bottom;
   
   // Calculate target velocity
-  const targetVelocity = sprintData.totalCommitted / sprintData.totalWorkingDays;
+  const targetVelocity = sprintData.targetVelocity;
   const currentVelocity = sprintData.currentVelocity;
   const currentDay = sprintData.workingDaysElapsed;
   const totalDays = sprintData.totalWorkingDays;
@@ -1022,7 +1022,7 @@ function drawSimpleSprintStatus(doc, sprintData) {
   doc.fillColor(hexToRgb(COLORS.darkGray))
      .fontSize(12)
      .font('Helvetica')
-     .text(`Ending at Sprint ${sprintData.release.endSprint}`, margin, y, { width: pageWidth - (margin * 2), align: 'center' });
+     .text(`Ending at Sprint ${sprintData.release.lastSprint}`, margin, y, { width: pageWidth - (margin * 2), align: 'center' });
   
   y += 40;
   
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  inline,
+  paragraph,
+  heading,
+  bulletList,
+  table,
+  fieldTable,
+  doc,
+  linesToDocument,
+  adfToText,
+  adfToMarkdown,
+  readTable
+} = require('../src/lib/adf');
+
+test('inline turns URLs into links and line breaks into hard breaks', () => {
+  assert.deepEqual(inline('See https://example.com/a?b=1.\nThen retry'), [
+    { type: 'text', text: 'See ' },
+    { type: 'text', text: 'https://example.com/a?b=1', marks: [{ type: 'link', attrs: { href: 'https://example.com/a?b=1' } }] },
+    { type: 'text', text: '.' },
+    { type: 'hardBreak' },
+    { type: 'text', text: 'Then retry' }
+  ]);
+  assert.deepEqual(inline(''), []);
+  assert.deepEqual(paragraph(''), { type: 'paragraph' });
+});
+
+test('linesToDocument groups "- " lines into a bullet list', () => {
+  assert.deepEqual(linesToDocument(['Updated:', '- Priority: P3 → P1', '- Description updated', 'Done']), doc(
+    paragraph('Updated:'),
+    bulletList(['Priority: P3 → P1', 'Description updated']),
+    paragraph('Done')
+  ));
+});
+
+test('adfToText reads the text of a document', () => {
+  const document = { type: 'doc', content: [
+    { type: 'paragraph', content: [{ type: 'text', text: 'One' }, { type: 'hardBreak' }, { type: 'text', text: 'Two' }] },
+    { type: 'paragraph', content: [{ type: 'text', text: 'Three' }] }
+  ] };
+  assert.equal(adfToText(document), 'One\nTwo\nThree\n');
+  assert.equal(adfToText(null), '');
+  assert.equal(adfToText('plain'), 'plain');
+});
+
+test('adfToText puts list items and table rows on their own lines', () => {
+  const document = doc(
+    heading(3, 'Details'),
+    bulletList(['First', 'Second']),
+    fieldTable([{ label: 'Module', value: 'Login' }])
+  );
+  assert.equal(adfToText(document), 'Details\nFirst\nSecond\nModule | Login\n');
+});
+
+test('adfToMarkdown writes headings, marks, links, lists and tables', () => {
+  const document = doc(
+    heading(3, 'Defect Details'),
+    paragraph('Logs at https://example.com/log'),
+    bulletList(['One', 'Two']),
+    fieldTable([{ label: 'Steps', value: 'Open\nSave | close' }]),
+    table([['Key', 'Status'], ['VER10-1', 'Done']], { header: true })
+  );
+
+  assert.equal(adfToMarkdown(document), [
+    '### Defect Details',
+    '',
+    'Logs at <https://example.com/log>',
+    '',
+    '- One',
+    '- Two',
+    '',
+    '|  |  |',
+    '| --- | --- |',
+    '| **Steps** | Open<br>Save \\| close |',
+    '',
+    '| Key | Status |',
+    '| --- | --- |',
+    '| VER10-1 | Done |'
+  ].join('\n'));
+});
+
+test('adfToMarkdown reads documents written in the JIRA editor', () => {
+  const document = { type: 'doc', version: 1, content: [
+    { type: 'orderedList', attrs: { order: 1 }, content: [
+      { type: 'listItem', content: [
+        { type: 'paragraph', content: [{ type: 'text', text: 'Call ' }, { type: 'mention', attrs: { text: '@Jane' } }] },
+        { type: 'bulletList', content: [{ type: 'listItem', content: [{ type: 'paragraph', content: [{ type: 'text', text: 'nested', marks: [{ type: 'em' }] }] }] }] }
+      ] }
+    ] },
+    { type: 'codeBlock', attrs: { language: 'js' }, content: [{ type: 'text', text: 'save()' }] },
+    { type: 'paragraph', content: [{ type: 'text', text: 'docs', marks: [{ type: 'link', attrs: { href: 'https://example.com' } }] }] }
+  ] };
+
+  assert.equal(adfToMarkdown(document), [
+    '1. Call @Jane',
+    '  - _nested_',
+    '',
+    '```js',
+    'save()',
+    '```',
+    '',
+    '[docs](https://example.com)'
+  ].join('\n'));
+});
+
+test('readTable returns the cells of the first table', () => {
+  const document = doc(heading(3, 'Details'), fieldTable([{ label: 'Module', value: 'Login' }, { label: 'ID', value: 'TC-1' }]));
+  assert.deepEqual(readTable(document), [['Module', 'Login'], ['ID', 'TC-1']]);
+  assert.equal(readTable(doc(paragraph('No table'))), null);
+});
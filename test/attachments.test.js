@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { splitPaths, getEvidenceIds, findAttachments, formatSize } = require('../src/lib/attachments');
+
+const folders = [];
+test.after(() => folders.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A defect log folder with listed files and an evidence folder by defect ID
+function createLogFolder() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  folders.push(dir);
+  const write = (name, bytes) => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), Buffer.alloc(bytes, 'x'));
+  };
+  write('shots/login.png', 300);
+  write('evidence/TC-01/console.log', 20);
+  write('evidence/TC-01 retest.png', 40);
+  write('evidence/TC-010.png', 50);
+  write('evidence/.DS_Store', 5);
+  write('evidence/ACME-7_video.mp4', 2000);
+  return dir;
+}
+
+const PROFILE = { externalId: null, attachmentsDir: 'evidence' };
+
+test('splitPaths splits on commas, semicolons and line breaks', () => {
+  assert.deepEqual(splitPaths('a.png, b.png;c d.png\nlogs/e.txt'), ['a.png', 'b.png', 'c d.png', 'logs/e.txt']);
+  assert.deepEqual(splitPaths(' N/A '), []);
+  assert.deepEqual(splitPaths(undefined), []);
+});
+
+test('getEvidenceIds uses the external ID only when the profile maps one', () => {
+  const defect = { externalId: '3f2a9c1b7d4e', testCaseId: 'TC-01' };
+  assert.deepEqual(getEvidenceIds(defect, PROFILE), ['TC-01']);
+  assert.deepEqual(getEvidenceIds({ ...defect, externalId: 'ACME-7' }, { externalId: 'Ref' }), ['ACME-7', 'TC-01']);
+  assert.deepEqual(getEvidenceIds({ externalId: 'abc', testCaseId: null }, PROFILE), []);
+});
+
+test('findAttachments resolves listed files against the log folder and reports missing ones', () => {
+  const dir = createLogFolder();
+  const result = findAttachments({ attachments: ['shots/login.png', 'shots/gone.png'] }, {}, { baseDir: dir });
+
+  assert.deepEqual(result.files, [{ path: path.join(dir, 'shots/login.png'), name: 'login.png', size: 300 }]);
+  assert.deepEqual(result.missing, ['shots/gone.png']);
+  assert.deepEqual(result.tooLarge, []);
+});
+
+test('findAttachments picks up evidence filed by defect ID', () => {
+  const dir = createLogFolder();
+  const result = findAttachments({ externalId: 'abc', testCaseId: 'TC-01', attachments: [] }, PROFILE, { baseDir: dir });
+
+  // TC-010.png belongs to another test case and hidden files are ignored
+  assert.deepEqual(result.files.map(file => file.name), ['console.log', 'TC-01 retest.png']);
+});
+
+test('findAttachments lists each file once and holds back files over the limit', () => {
+  const dir = createLogFolder();
+  const defect = { externalId: 'ACME-7', testCaseId: null, attachments: ['evidence/ACME-7_video.mp4', 'shots/login.png'] };
+  const result = findAttachments(defect, { externalId: 'Ref', attachmentsDir: 'evidence' }, { baseDir: dir, maxBytes: 1000 });
+
+  assert.deepEqual(result.files.map(file => file.name), ['login.png']);
+  assert.deepEqual(result.tooLarge.map(file => file.name), ['ACME-7_video.mp4']);
+});
+
+test('formatSize picks a readable unit', () => {
+  assert.equal(formatSize(512), '512 B');
+  assert.equal(formatSize(120 * 1024), '120 KB');
+  assert.equal(formatSize(2.45 * 1024 * 1024), '2.5 MB');
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  dayOf,
+  getStatusTransitions,
+  buildStatusTimeline,
+  enteredStatusOn,
+  getCompletionDates,
+  getCompletionDate
+} = require('../src/lib/changelog');
+
+const COMPLETED = ['READY FOR RELEASE', 'CLOSED'];
+
+function move(created, from, to, author = 'Caroline Wallen') {
+  return { created, author: { displayName: author }, items: [{ field: 'status', fromString: from, toString: to }] };
+}
+
+function issue(status, histories, extra = {}) {
+  return {
+    key: 'VER10-1',
+    fields: { status: { name: status }, created: '2025-01-06T09:00:00.000+0000', ...extra },
+    changelog: { histories }
+  };
+}
+
+const worked = issue('Closed', [
+  // JIRA does not guarantee the order of histories
+  move('2025-01-08T11:00:00.000+0000', 'In Dev', 'In QA'),
+  move('2025-01-07T10:00:00.000+0000', 'To Do', 'In Dev', 'Dev'),
+  {
+    created: '2025-01-08T11:00:00.000+0000',
+    items: [{ field: 'assignee', fromString: 'Dev', toString: 'QA' }]
+  },
+  move('2025-01-09T16:00:00.000+0000', 'In QA', 'Ready for Release'),
+  move('2025-01-10T08:00:00.000+0000', 'Ready for Release', 'Closed')
+], { creator: { displayName: 'Reporter' } });
+
+test('dayOf reads the date part of timestamps and dates', () => {
+  assert.equal(dayOf('2025-01-08T23:30:00.000-0500'), '2025-01-09');
+  assert.equal(dayOf('2025-01-08T23:30:00.000-0500'), dayOf(new Date('2025-01-08T23:30:00.000-0500')));
+  assert.equal(dayOf('2025-01-08T10:00:00.000+0000'), '2025-01-08');
+  assert.equal(dayOf('2025-01-08'), '2025-01-08');
+  assert.equal(dayOf(new Date('2025-01-08T12:00:00.000Z')), '2025-01-08');
+});
+
+test('getStatusTransitions orders status changes oldest first', () => {
+  const transitions = getStatusTransitions(worked.changelog.histories);
+  assert.deepEqual(transitions.map(t => t.to), ['In Dev', 'In QA', 'Ready for Release', 'Closed']);
+  assert.equal(transitions[0].author, 'Dev');
+  assert.deepEqual(getStatusTransitions(undefined), []);
+});
+
+test('buildStatusTimeline lists each status with entry, exit and duration', () => {
+  const now = new Date('2025-01-10T10:00:00.000Z');
+  const timeline = buildStatusTimeline(worked, { now });
+
+  assert.deepEqual(timeline.map(i => i.status), ['To Do', 'In Dev', 'In QA', 'Ready for Release', 'Closed']);
+  assert.deepEqual(timeline[0], {
+    status: 'To Do',
+    entered: '2025-01-06T09:00:00.000+0000',
+    exited: '2025-01-07T10:00:00.000+0000',
+    durationMs: 25 * 60 * 60 * 1000,
+    author: 'Reporter'
+  });
+  assert.equal(timeline[1].author, 'Dev');
+  assert.equal(timeline[4].exited, null);
+  assert.equal(timeline[4].durationMs, 2 * 60 * 60 * 1000);
+});
+
+test('buildStatusTimeline accepts a separately fetched changelog', () => {
+  const histories = [move('2025-01-07T10:00:00.000+0000', 'To Do', 'In Dev')];
+  const timeline = buildStatusTimeline({ fields: { status: { name: 'In Dev' } } }, { histories });
+  assert.deepEqual(timeline.map(i => i.status), ['To Do', 'In Dev']);
+  assert.equal(timeline[0].entered, null);
+  assert.equal(timeline[0].durationMs, null);
+});
+
+test('buildStatusTimeline uses the current status when nothing has changed', () => {
+  const timeline = buildStatusTimeline(issue('To Do', []));
+  assert.equal(timeline.length, 1);
+  assert.equal(timeline[0].status, 'To Do');
+  assert.deepEqual(buildStatusTimeline({}), []);
+});
+
+test('enteredStatusOn finds the status entered on a day, ignoring case', () => {
+  assert.equal(enteredStatusOn(worked, 'in qa', '2025-01-08'), 'In QA');
+  assert.equal(enteredStatusOn(worked, ['Closed', 'IN QA'], new Date('2025-01-08T15:00:00.000Z')), 'In QA');
+  assert.equal(enteredStatusOn(worked, 'In QA', '2025-01-09'), null);
+  assert.equal(enteredStatusOn(worked, 'In Dev', '2025-01-08'), null);
+});
+
+test('enteredStatusOn does not treat creation as a status change', () => {
+  assert.equal(enteredStatusOn(issue('To Do', []), 'To Do', '2025-01-06'), null);
+  assert.equal(enteredStatusOn({}, 'In QA', '2025-01-06'), null);
+});
+
+test('moving between completed statuses is not a new completion', () => {
+  assert.deepEqual(getCompletionDates(worked, COMPLETED), ['2025-01-09']);
+  assert.equal(getCompletionDate(worked, COMPLETED), '2025-01-09');
+});
+
+test('getCompletionDate uses the latest completion of a reopened issue', () => {
+  const reopened = issue('Ready for Release', [
+    move('2025-01-07T10:00:00.000+0000', 'In QA', 'Closed'),
+    move('2025-01-08T10:00:00.000+0000', 'Closed', 'In Dev'),
+    move('2025-01-09T10:00:00.000+0000', 'In Dev', 'Ready for Release')
+  ]);
+  assert.deepEqual(getCompletionDates(reopened, COMPLETED), ['2025-01-07', '2025-01-09']);
+  assert.equal(getCompletionDate(reopened, COMPLETED), '2025-01-09');
+});
+
+test('getCompletionDate does not count an issue reopened after it was done', () => {
+  const reopened = issue('In Dev', [
+    move('2025-01-07T10:00:00.000+0000', 'In QA', 'Closed'),
+    move('2025-01-08T10:00:00.000+0000', 'Closed', 'Reopened'),
+    move('2025-01-09T10:00:00.000+0000', 'Reopened', 'In Dev')
+  ]);
+  assert.deepEqual(getCompletionDates(reopened, COMPLETED), ['2025-01-07']);
+  assert.equal(getCompletionDate(reopened, COMPLETED), null);
+});
+
+test('getCompletionDate falls back to the updated date without a transition', () => {
+  const closed = issue('Closed', [], { updated: '2025-01-10T12:00:00.000+0000' });
+  assert.equal(getCompletionDate(closed, COMPLETED), '2025-01-10');
+  assert.equal(getCompletionDate(issue('In QA', []), COMPLETED), null);
+  assert.equal(getCompletionDate({ fields: { status: { name: 'Closed' } } }, COMPLETED), null);
+});
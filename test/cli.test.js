@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const { COMMANDS, EXIT_USAGE, UsageError, parseArgv, resolveCommand } = require('../src/cli');
+const { SCRIPT_VALUE_FLAGS } = require('../src/lib/commands');
+const { parseCliArgs } = require('../src/lib/config');
+const { createMockJiraServer } = require('../src/mock-jira/server');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+
+test('parseArgv separates the command, global flags and script arguments', () => {
+  assert.deepEqual(parseArgv(['defects', 'upload', '--csv', 'uat.csv', '--sheet=Log', '--sync', '--dry-run', '--out', 'tmp', '-h']), {
+    flags: { dryRun: true, out: 'tmp', help: true },
+    words: ['defects', 'upload'],
+    passthrough: ['--csv', 'uat.csv', '--sheet=Log', '--sync']
+  });
+  assert.throws(() => parseArgv(['report', 'burndown', '--format']), UsageError);
+  assert.throws(() => parseArgv(['report', 'burndown', '--config', '--verbose']), /Missing value for --config/);
+});
+
+test('every value flag a command declares is kept with its value by the CLI and the scripts', () => {
+  for (const group of Object.values(COMMANDS)) {
+    for (const command of Object.values(group.commands)) {
+      for (const flag of command.valueFlags || []) {
+        assert.ok(SCRIPT_VALUE_FLAGS.includes(flag), flag);
+        assert.deepEqual(parseArgv([flag, 'value']).passthrough, [flag, 'value']);
+        assert.deepEqual(parseCliArgs([flag, 'value', '32']).args, ['32']);
+      }
+    }
+  }
+  assert.deepEqual(parseArgv(['--fixtures', 'fx', '--sprint', '32']).words, []);
+});
+
+test('resolveCommand rejects unknown groups and commands', () => {
+  assert.throws(() => resolveCommand(['nope'], {}), error => error instanceof UsageError && /Unknown command group "nope"/.test(error.message));
+  assert.throws(() => resolveCommand(['report', 'nope'], {}), error => error instanceof UsageError && /Unknown command "report nope"/.test(error.message));
+  assert.ok(resolveCommand([], {}).help);
+  assert.ok(resolveCommand(['report'], {}).help);
+});
+
+test('resolveCommand picks the script for --format and rejects formats a command lacks', () => {
+  assert.equal(resolveCommand(['report', 'flow'], {}).script, 'generate-cumulative-flow.js');
+  assert.equal(resolveCommand(['report', 'flow'], { format: 'pdf' }).script, 'generate-cumulative-flow-pdf.js');
+  assert.throws(() => resolveCommand(['report', 'burndown'], { format: 'pdf' }),
+    error => error instanceof UsageError && error.message === '"report burndown" does not support --format pdf (available: json)');
+});
+
+test('resolveCommand passes --dry-run only to commands that make changes', () => {
+  const upload = resolveCommand(['defects', 'upload'], { dryRun: true, config: 'acme.json' }, ['--sync']);
+  assert.deepEqual(upload.args, ['--sync', '--config', 'acme.json', '--dry-run']);
+  assert.deepEqual(resolveCommand(['plan', 'sync', '2025-12-19'], { dryRun: true }).args, ['2025-12-19', '--dry-run']);
+  assert.deepEqual(resolveCommand(['points', 'completed', '2025-12-01', '2025-12-19'], { dryRun: true }).args, ['2025-12-01', '2025-12-19']);
+  assert.deepEqual(resolveCommand(['report', 'burndown'], { dryRun: true }, ['--sprint', '32']).args, ['--sprint', '32']);
+});
+
+test('usage errors exit with status 2', () => {
+  for (const argv of [['nope'], ['report', 'nope'], ['report', 'burndown', '--format', 'pdf']]) {
+    const result = spawnSync(process.execPath, [CLI, ...argv], { encoding: 'utf-8' });
+    assert.equal(result.status, EXIT_USAGE, argv.join(' '));
+    assert.match(result.stderr, /❌ Error:/);
+  }
+});
+
+// Run the CLI without blocking, so an in-process mock JIRA can answer it
+function runCli(argv, env) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [CLI, ...argv], { env: { ...process.env, ...env } });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => resolve({ code, output }));
+  });
+}
+
+test('a defect upload with failed rows exits with status 1', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  try {
+    const config = { ...require('../jira-utils.config.json') };
+    config.defects = { ...config.defects, defaults: { company: 'Benchmark' } };
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify(config));
+    // Two rows in the layout of the sample defect log
+    const header = fs.readFileSync(path.join(__dirname, '..', 'data', 'CCET Release 1 C UAT Defect Log .csv'), 'utf-8')
+      .replace(/^\uFEFF/, '').split(/\r?\n/)[0].split(',');
+    const row = values => header.map(column => values[column.trim()] || '').join(',');
+    fs.writeFileSync(path.join(dir, 'log.csv'), [
+      header.join(','),
+      row({ 'Defect Name': 'Export button does nothing', 'Test Case ID': 'UAT-EXP-001', 'Severity / Priority': 'P2' }),
+      row({ 'Defect Name': 'Search ignores filters', 'Test Case ID': 'UAT-SRC-004', 'Severity / Priority': 'P3' })
+    ].join('\n'));
+
+    const argv = ['defects', 'upload', '--csv', path.join(dir, 'log.csv'), '--config', path.join(dir, 'config.json'), '--on-duplicate', 'create', '--out', dir];
+    const env = { JIRA_BASE_URL: baseUrl, JIRA_EMAIL: 'mock@example.com', JIRA_API_TOKEN: 'mock' };
+
+    mock.failNext({ method: 'POST', path: '/rest/api/3/issue', status: 400, body: { errorMessages: ['Rejected'], errors: {} } });
+    const failed = await runCli(argv, env);
+    assert.equal(failed.code, 1, failed.output);
+    assert.match(failed.output, /Errors: 1/);
+
+    const retried = await runCli([...argv, '--resume'], env);
+    assert.equal(retried.code, 0, retried.output);
+  } finally {
+    await mock.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateConfig, parseCliArgs, getFlagValue } = require('../src/lib/config');
+
+test('validateConfig accepts workflow stage lists', () => {
+  assert.deepEqual(validateConfig({ workflow: { qa: ['In QA'], done: ['Closed'] } }), []);
+});
+
+test('validateConfig rejects unknown workflow stages', () => {
+  assert.deepEqual(validateConfig({ workflow: { testing: ['In QA'] } }), [
+    '"workflow.testing" is not a workflow stage (use todo, dev, review, qa or done)'
+  ]);
+});
+
+test('validateConfig rejects a status listed in two stages', () => {
+  assert.deepEqual(validateConfig({ workflow: { qa: ['In QA'], done: ['in qa'] } }), [
+    'Status "in qa" is listed in both "workflow.qa" and "workflow.done"'
+  ]);
+});
+
+test('validateConfig rejects workflow stages that are not lists of names', () => {
+  assert.deepEqual(validateConfig({ workflow: { done: 'Closed' } }), [
+    '"workflow.done" must be a list of non-empty strings'
+  ]);
+});
+
+test('validateConfig checks the release plan', () => {
+  assert.deepEqual(validateConfig({ releases: [{ name: 'Release 1D', firstSprint: 30, lastSprint: 33 }] }), []);
+  assert.deepEqual(validateConfig({ releases: [{ name: 'Release 1D', firstSprint: 30 }] }), [
+    '"releases[0].lastSprint" must be a sprint number'
+  ]);
+});
+
+test('validateConfig checks the team calendar', () => {
+  assert.deepEqual(validateConfig({ calendar: { holidays: 'uk', team: [{ name: 'Ann', capacity: 0.6 }] } }), []);
+  assert.deepEqual(validateConfig({ calendar: { team: [{ name: 'Ann', leave: '2025-12-22' }] } }), [
+    '"calendar.team[0].leave" must be a list of days (YYYY-MM-DD) or ranges (YYYY-MM-DD/YYYY-MM-DD)'
+  ]);
+});
+
+test('validateConfig checks defect profiles name a summary column', () => {
+  assert.deepEqual(validateConfig({ defects: { profiles: { acme: { summary: 'Title' } }, profile: 'acme' } }), []);
+  assert.deepEqual(validateConfig({ defects: { profiles: { acme: { description: ['Details'] } } } }), [
+    '"defects.profiles.acme.summary" must name the CSV column used as the bug summary'
+  ]);
+});
+
+test('validateConfig checks priority rules', () => {
+  assert.deepEqual(validateConfig({
+    defects: { profiles: { acme: { summary: 'Title', priorityRules: [{ when: { Sev: ['Sev 1', '/^crit/i'] }, priority: 'P1', labels: ['urgent'] }, { priority: 'P3' }] } } }
+  }), []);
+  assert.deepEqual(validateConfig({
+    defects: { profiles: { acme: { summary: 'Title', priorityRules: [{ when: { Sev: '/(/' }, priority: '', label: 'x' }] } } }
+  }), [
+    '"defects.profiles.acme.priorityRules[0].label" is not a rule key (use name, when, priority, labels)',
+    '"defects.profiles.acme.priorityRules[0].priority" must name a JIRA priority or P1-P4',
+    '"defects.profiles.acme.priorityRules[0].when.Sev" has an invalid pattern /(/: Invalid regular expression: /(/: Unterminated group'
+  ]);
+});
+
+test('validateConfig checks profile and config-wide defaults', () => {
+  assert.deepEqual(validateConfig({
+    defects: {
+      defaults: { company: 'Benchmark', labels: ['uat'] },
+      profiles: { acme: { summary: 'Title', defaults: { assignee: 'qa@acme.test', fixVersion: 'Release 2' } } }
+    }
+  }), []);
+  assert.deepEqual(validateConfig({
+    defects: {
+      defaults: { labels: 'uat' },
+      profiles: { acme: { summary: 'Title', defaults: { owner: 'qa@acme.test' } } }
+    }
+  }), [
+    '"defects.profiles.acme.defaults.owner" is not a known default (use assignee, fixVersion, component, company, epicKey, labels)',
+    '"defects.defaults.labels" must be a list of strings'
+  ]);
+});
+
+test('validateConfig rejects an unknown default defect profile', () => {
+  assert.deepEqual(validateConfig({ defects: { profile: 'globex' } }), [
+    '"defects.profile" names an unknown profile "globex" (available: nh-uat)'
+  ]);
+});
+
+test('getFlagValue reads script flags without taking them as positional arguments', () => {
+  const argv = ['--csv', './acme.csv', '--profile=acme', '--dry-run'];
+  assert.equal(getFlagValue(argv, '--csv'), './acme.csv');
+  assert.equal(getFlagValue(argv, '--profile'), 'acme');
+  assert.equal(getFlagValue(argv, '--sprint'), undefined);
+  assert.deepEqual(parseCliArgs(argv).args, []);
+});
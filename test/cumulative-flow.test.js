@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateCumulativeFlow, findBottlenecks } = require('../src/lib/cumulative-flow');
+
+const POINTS = 'customfield_10003';
+
+function issue(key, points, created, moves = []) {
+  const histories = moves.map(([at, from, to]) => ({
+    created: at,
+    items: [{ field: 'status', fromString: from, toString: to }]
+  }));
+  const status = moves.length > 0 ? moves[moves.length - 1][2] : 'To Do';
+  return { key, fields: { status: { name: status }, created, [POINTS]: points }, changelog: { histories } };
+}
+
+function flowFor(issues, startDate, endDate) {
+  return calculateCumulativeFlow(issues, { startDate, endDate, storyPointsField: POINTS });
+}
+
+test('calculateCumulativeFlow counts points in each stage at the end of each day', () => {
+  const issues = [
+    issue('VER10-1', 5, '2025-01-02T09:00:00.000+0000', [
+      ['2025-01-06T10:00:00.000+0000', 'To Do', 'In Dev'],
+      ['2025-01-07T10:00:00.000+0000', 'In Dev', 'In Review'],
+      ['2025-01-07T15:00:00.000+0000', 'In Review', 'In QA'],
+      ['2025-01-08T10:00:00.000+0000', 'In QA', 'Closed']
+    ]),
+    issue('VER10-2', 3, '2025-01-02T09:00:00.000+0000')
+  ];
+
+  const flow = flowFor(issues, '2025-01-06', '2025-01-08');
+
+  assert.deepEqual(flow.stages, ['todo', 'dev', 'review', 'qa', 'done', 'other']);
+  assert.deepEqual(flow.days.map(day => day.points), [
+    { todo: 3, dev: 5, review: 0, qa: 0, done: 0, other: 0 },
+    { todo: 3, dev: 0, review: 0, qa: 5, done: 0, other: 0 },
+    { todo: 3, dev: 0, review: 0, qa: 0, done: 5, other: 0 }
+  ]);
+  assert.deepEqual(flow.days[2].issues, { todo: 1, dev: 0, review: 0, qa: 0, done: 1, other: 0 });
+});
+
+test('calculateCumulativeFlow leaves out issues before they were created', () => {
+  const flow = flowFor([issue('VER10-1', 8, '2025-01-07T09:00:00.000+0000')], '2025-01-06', '2025-01-07');
+  assert.deepEqual(flow.days.map(day => day.points.todo), [0, 8]);
+});
+
+test('calculateCumulativeFlow counts unestimated issues as 2 points and unmapped statuses as other', () => {
+  const issues = [issue('VER10-1', null, '2025-01-02T09:00:00.000+0000', [['2025-01-03T10:00:00.000+0000', 'To Do', 'Parked']])];
+  const flow = flowFor(issues, '2025-01-06', '2025-01-06');
+  assert.equal(flow.days[0].points.other, 2);
+});
+
+test('calculateCumulativeFlow follows reopened issues back out of done', () => {
+  const issues = [issue('VER10-1', 3, '2025-01-02T09:00:00.000+0000', [
+    ['2025-01-06T10:00:00.000+0000', 'In QA', 'Closed'],
+    ['2025-01-07T10:00:00.000+0000', 'Closed', 'In Dev']
+  ])];
+  const flow = flowFor(issues, '2025-01-06', '2025-01-07');
+  assert.deepEqual(flow.days.map(day => [day.points.done, day.points.dev]), [[3, 0], [0, 3]]);
+});
+
+test('findBottlenecks flags a stage that keeps growing', () => {
+  const day = (date, qa, dev) => ({ date, points: { todo: 0, dev, review: 0, qa, done: 0, other: 0 } });
+  const flow = {
+    stages: ['todo', 'dev', 'review', 'qa', 'done', 'other'],
+    days: [
+      day('2025-01-06', 0, 8),
+      day('2025-01-07', 2, 6),
+      day('2025-01-08', 5, 3),
+      day('2025-01-09', 8, 3),
+      day('2025-01-10', 6, 1)
+    ]
+  };
+
+  const summary = findBottlenecks(flow);
+
+  assert.deepEqual(summary.map(entry => entry.stage), ['dev', 'review', 'qa']);
+  assert.deepEqual(summary[2], {
+    stage: 'qa',
+    start: 0,
+    end: 6,
+    peak: 8,
+    peakDate: '2025-01-09',
+    longestRise: 3,
+    risingSince: '2025-01-06',
+    bottleneck: true
+  });
+  assert.equal(summary[0].bottleneck, false);
+  assert.equal(summary[1].peakDate, null);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const {
+  EXPORT_COLUMNS,
+  getExportValues,
+  placeExportColumns,
+  exportCsvRows,
+  toCsv,
+  exportWorksheet
+} = require('../src/lib/defect-export');
+const { readSheetRecords } = require('../src/lib/excel');
+
+const BUG = {
+  key: 'VER10-9210',
+  fields: {
+    status: { name: 'In QA' },
+    assignee: { displayName: 'Caroline Wallen' },
+    fixVersions: [{ name: 'Release 1C' }, { name: 'Release 2' }],
+    updated: '2025-11-14T16:20:00.000+0000'
+  }
+};
+
+// Bugs by defect name
+const issueFor = record => (record['Defect Name'] === 'Login fails' ? BUG : null);
+
+test('getExportValues reads key, status, assignee, fix versions and day updated', () => {
+  assert.deepEqual(getExportValues(BUG), ['VER10-9210', 'In QA', 'Caroline Wallen', 'Release 1C, Release 2', '2025-11-14']);
+  assert.deepEqual(getExportValues({ key: 'VER10-1', fields: {} }), ['VER10-1', '', 'Unassigned', '', '']);
+  assert.deepEqual(getExportValues(null), ['', '', '', '', '']);
+});
+
+test('placeExportColumns appends new columns and reuses exported ones', () => {
+  assert.deepEqual(placeExportColumns(['Defect Name', 'Status', '', '']), [2, 3, 4, 5, 6]);
+  assert.deepEqual(placeExportColumns(['Defect Name', 'jira key', 'Notes']), [1, 3, 4, 5, 6]);
+});
+
+test('exportCsvRows fills the export columns and keeps other rows as they are', () => {
+  const rows = exportCsvRows([
+    ['Defect Name ', 'Severity'],
+    ['Login fails', 'P1'],
+    ['', ''],
+    ['Save fails', 'P2']
+  ], issueFor);
+
+  assert.deepEqual(rows[0], ['Defect Name ', 'Severity', ...EXPORT_COLUMNS]);
+  assert.deepEqual(rows[1], ['Login fails', 'P1', 'VER10-9210', 'In QA', 'Caroline Wallen', 'Release 1C, Release 2', '14/11/2025']);
+  assert.deepEqual(rows[2], ['', '', '', '', '', '', '']);
+  assert.deepEqual(rows[3], ['Save fails', 'P2', '', '', '', '', '']);
+});
+
+test('exportCsvRows overwrites the columns of a log exported before', () => {
+  const rows = exportCsvRows([
+    ['Defect Name', ...EXPORT_COLUMNS],
+    ['Login fails', 'VER10-1', 'To Do', 'Unassigned', '', '01/11/2025']
+  ], issueFor);
+  assert.equal(rows[0].length, 6);
+  assert.deepEqual(rows[1].slice(1, 3), ['VER10-9210', 'In QA']);
+});
+
+test('toCsv quotes values with commas, quotes and line breaks', () => {
+  assert.equal(toCsv([['a', 'b, c'], ['say "hi"', 'x\ny']]), 'a,"b, c"\n"say ""hi""","x\ny"\n');
+});
+
+test('exportWorksheet adds styled header cells and date values', async () => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('UAT Log');
+  worksheet.addRow(['Release 1C UAT Defect Log']);
+  worksheet.addRow(['Defect Name', 'Severity']).font = { bold: true };
+  worksheet.addRow(['Login fails', 'P1']);
+  worksheet.addRow(['Save fails', 'P2']);
+
+  const sheet = readSheetRecords(workbook, { columns: ['Defect Name'] });
+  exportWorksheet(worksheet, sheet, issueFor);
+
+  const header = worksheet.getRow(2);
+  assert.equal(header.getCell(3).value, 'Jira Key');
+  assert.equal(header.getCell(7).value, 'Jira Last Updated');
+  assert.equal(header.getCell(3).font.bold, true);
+
+  const row = worksheet.getRow(3);
+  assert.equal(row.getCell(3).value, 'VER10-9210');
+  assert.deepEqual(row.getCell(7).value, new Date(Date.UTC(2025, 10, 14)));
+  assert.equal(row.getCell(7).numFmt, 'dd/mm/yyyy');
+  assert.equal(worksheet.getRow(4).getCell(3).value, null);
+});
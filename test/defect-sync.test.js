@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toSyncLabel,
+  snapshotDefect,
+  diffDefect,
+  describeChanges,
+  readSyncState,
+  writeSyncState
+} = require('../src/lib/defect-sync');
+
+function defect(overrides = {}) {
+  return {
+    externalId: 'D-7',
+    summary: 'Login fails',
+    priorityCode: 'P3',
+    description: 'Users cannot log in',
+    labels: ['uat', 'auth'],
+    components: ['Portal'],
+    customFields: { Company: 'ACME' },
+    ...overrides
+  };
+}
+
+test('toSyncLabel makes a label JIRA accepts', () => {
+  assert.equal(toSyncLabel('nh-uat', 'UAT-PPP-003'), 'defect-nh-uat-UAT-PPP-003');
+  assert.equal(toSyncLabel('acme', 'Ref 12 / b'), 'defect-acme-Ref-12-b');
+});
+
+test('snapshotDefect ignores the order of labels and components', () => {
+  const a = snapshotDefect(defect({ labels: ['uat', 'auth'], components: ['B', 'A'] }));
+  const b = snapshotDefect(defect({ labels: ['auth', 'uat'], components: ['A', 'B'] }));
+  assert.deepEqual(a, b);
+  assert.equal(a.externalId, undefined);
+});
+
+test('diffDefect finds nothing when the row is unchanged', () => {
+  assert.deepEqual(diffDefect(snapshotDefect(defect()), snapshotDefect(defect())), []);
+});
+
+test('diffDefect lists each changed value', () => {
+  const changes = diffDefect(
+    snapshotDefect(defect()),
+    snapshotDefect(defect({ priorityCode: 'P1', labels: ['uat'], customFields: { Company: 'NH' } }))
+  );
+  assert.deepEqual(changes.map(change => change.field), ['priorityCode', 'labels', 'customFields']);
+  assert.deepEqual(changes[0], { field: 'priorityCode', label: 'Priority', from: 'P3', to: 'P1' });
+  assert.deepEqual(changes[1].from, ['auth', 'uat']);
+  assert.deepEqual(changes[1].to, ['uat']);
+});
+
+test('describeChanges shows old and new values but not whole descriptions', () => {
+  const changes = diffDefect(
+    snapshotDefect(defect()),
+    snapshotDefect(defect({ priorityCode: 'P1', description: 'Now also on mobile', components: [] }))
+  );
+  assert.deepEqual(describeChanges(changes, 'log.csv'), [
+    'Updated from the defect log (log.csv):',
+    '- Priority: P3 → P1',
+    '- Description updated',
+    '- Components: Portal → (none)'
+  ]);
+});
+
+test('readSyncState returns null for a bug that was never synced', async () => {
+  const client = {
+    get: async () => {
+      const error = new Error('Not found');
+      error.response = { status: 404 };
+      throw error;
+    }
+  };
+  assert.equal(await readSyncState(client, 'VER10-1'), null);
+});
+
+test('writeSyncState stores the snapshot under the sync property', async () => {
+  const calls = [];
+  const client = { put: async (url, body) => calls.push({ url, body }) };
+  await writeSyncState(client, 'VER10-1', 'acme', defect());
+
+  assert.equal(calls[0].url, '/rest/api/3/issue/VER10-1/properties/jira-utils.defect-sync');
+  assert.equal(calls[0].body.profile, 'acme');
+  assert.equal(calls[0].body.externalId, 'D-7');
+  assert.deepEqual(calls[0].body.values, snapshotDefect(defect()));
+});
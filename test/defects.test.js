@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+  resolveProfile,
+  resolveDefectLog,
+  validateProfile,
+  extractPriority,
+  getProfileColumns,
+  formatDescription,
+  buildDescription,
+  getExternalId,
+  mapDefect,
+  toFieldValue
+} = require('../src/lib/defects');
+const { toSyncLabel } = require('../src/lib/defect-sync');
+
+const ACME = {
+  profiles: {
+    acme: {
+      summary: 'Title',
+      externalId: 'Ref',
+      heading: 'Defect from ACME',
+      description: [{ label: 'Reference', column: 'Ref' }, 'Details'],
+      priority: 'Sev',
+      labels: ['Tags'],
+      components: 'Area',
+      module: 'Area',
+      customFields: { Company: 'Client' }
+    }
+  }
+};
+
+test('extractPriority reads P1 to P4 from the severity text', () => {
+  assert.equal(extractPriority('P1 - Critical'), 'P1');
+  assert.equal(extractPriority('High / p2'), 'P2');
+  assert.equal(extractPriority('P4'), 'P4');
+});
+
+test('extractPriority reads severity levels and words', () => {
+  assert.equal(extractPriority('Sev 1'), 'P1');
+  assert.equal(extractPriority('Severity-2'), 'P2');
+  assert.equal(extractPriority('Critical'), 'P1');
+  assert.equal(extractPriority('high'), 'P2');
+  assert.equal(extractPriority('Low / cosmetic'), 'P4');
+  assert.equal(extractPriority('Highlight missing'), 'P3');
+});
+
+test('extractPriority defaults to P3', () => {
+  assert.equal(extractPriority(''), 'P3');
+  assert.equal(extractPriority(undefined), 'P3');
+  assert.equal(extractPriority('Medium'), 'P3');
+  assert.equal(extractPriority('P5'), 'P3');
+});
+
+test('formatDescription lists the populated defect log fields', () => {
+  const description = formatDescription({
+    'Raised By': 'Caroline Wallen',
+    'Environment': 'UAT',
+    'Defect Description': 'Save fails',
+    'Workaround Available?': 'N/A',
+    'Comments / Notes': '   '
+  });
+
+  assert.equal(description, [
+    'h3. Defect Details from UAT\n',
+    '*Raised By:* Caroline Wallen',
+    '*Environment:* UAT',
+    '*Defect Description:* Save fails'
+  ].join('\n'));
+});
+
+test('formatDescription keeps only the heading for an empty row', () => {
+  assert.equal(formatDescription({}), 'h3. Defect Details from UAT\n');
+});
+
+test('buildDescription puts the populated fields in a two-column table under the heading', () => {
+  const document = buildDescription({
+    'Raised By': ' Caroline Wallen ',
+    'Environment': 'UAT',
+    'Workaround Available?': 'N/A'
+  });
+
+  assert.deepEqual(document.content[0], {
+    type: 'heading',
+    attrs: { level: 3 },
+    content: [{ type: 'text', text: 'Defect Details from UAT' }]
+  });
+  assert.deepEqual(document.content[1].content.map(row => row.content.map(cell => cell.content[0].content)), [
+    [[{ type: 'text', text: 'Raised By', marks: [{ type: 'strong' }] }], [{ type: 'text', text: 'Caroline Wallen' }]],
+    [[{ type: 'text', text: 'Environment', marks: [{ type: 'strong' }] }], [{ type: 'text', text: 'UAT' }]]
+  ]);
+  assert.deepEqual(buildDescription({}).content.length, 1);
+});
+
+test('resolveProfile defaults to the NH UAT defect log', () => {
+  const profile = resolveProfile();
+  assert.equal(profile.name, 'nh-uat');
+  assert.equal(profile.summary, 'Defect Name');
+  assert.deepEqual(profile.description[0], { label: 'Raised By', column: 'Raised By' });
+});
+
+test('resolveProfile picks a configured profile by name or by defects.profile', () => {
+  assert.equal(resolveProfile(ACME, 'acme').summary, 'Title');
+  assert.equal(resolveProfile({ ...ACME, profile: 'acme' }).name, 'acme');
+  assert.deepEqual(resolveProfile(ACME, 'acme').description, [
+    { label: 'Reference', column: 'Ref' },
+    { label: 'Details', column: 'Details' }
+  ]);
+});
+
+test('resolveProfile rejects unknown profiles', () => {
+  assert.throws(() => resolveProfile(ACME, 'globex'), /Unknown defect profile "globex" \(available: nh-uat, acme\)/);
+});
+
+test('resolveDefectLog takes --csv from the working directory and the profile csv from the config', () => {
+  const config = { configPath: '/work/config/jira-utils.config.json', defects: { profiles: { acme: { ...ACME.profiles.acme, csv: 'logs/acme.xlsx', sheet: 'Log' } } } };
+
+  const fromProfile = resolveDefectLog(config, { profile: 'acme' });
+  assert.equal(fromProfile.logPath, path.resolve('/work/config/logs/acme.xlsx'));
+  assert.equal(fromProfile.sheet, 'Log');
+
+  const fromFlags = resolveDefectLog(config, { profile: 'acme', csv: 'other.csv', sheet: 'UAT' });
+  assert.equal(fromFlags.logPath, path.resolve('other.csv'));
+  assert.equal(fromFlags.sheet, 'UAT');
+
+  assert.throws(() => resolveDefectLog(config, { profile: 'acme', csv: 'old.xls' }), /\.xls workbooks are not supported/);
+  assert.throws(() => resolveDefectLog({ configPath: '/x', defects: { profiles: { bare: { summary: 'Title' } } } }, { profile: 'bare' }), /No defect log given/);
+});
+
+test('validateProfile reports mapped columns missing from the CSV', () => {
+  const profile = resolveProfile(ACME, 'acme');
+  assert.deepEqual(validateProfile(profile, ['Ref', 'Title', 'Details', 'Sev', 'Tags', 'Area', 'Client ']), []);
+  assert.deepEqual(validateProfile(profile, ['Title', 'Details']), [
+    'Column "Ref" used by profile "acme" is not in the defect log',
+    'Column "Sev" used by profile "acme" is not in the defect log',
+    'Column "Area" used by profile "acme" is not in the defect log',
+    'Column "Tags" used by profile "acme" is not in the defect log',
+    'Column "Client" used by profile "acme" is not in the defect log'
+  ]);
+});
+
+test('mapDefect maps a row through the profile', () => {
+  const defect = mapDefect({
+    Ref: 'ACME-1',
+    Title: ' Checkout total wrong ',
+    Details: 'Total ignores VAT',
+    Sev: 'p2 - high',
+    Tags: 'billing, needs retest,N/A',
+    Area: 'Journey Planner, Payments',
+    Client: 'Benchmark'
+  }, resolveProfile(ACME, 'acme'));
+
+  assert.deepEqual(defect, {
+    externalId: 'ACME-1',
+    summary: 'Checkout total wrong',
+    priorityCode: 'P2',
+    priorityRule: null,
+    description: 'h3. Defect from ACME\n\n*Reference:* ACME-1\n*Details:* Total ignores VAT',
+    descriptionDocument: buildDescription({ Ref: 'ACME-1', Details: 'Total ignores VAT' }, resolveProfile(ACME, 'acme')),
+    labels: ['billing', 'needs-retest'],
+    components: ['Journey Planner', 'Payments'],
+    module: 'Journey Planner, Payments',
+    testCaseId: null,
+    customFields: { Company: 'Benchmark' },
+    attachments: []
+  });
+});
+
+test('mapDefect takes the priority and extra labels from the first matching rule', () => {
+  const profile = resolveProfile({
+    profiles: {
+      acme: {
+        ...ACME.profiles.acme,
+        priorityRules: [
+          { name: 'Go-live blocker', when: { 'Go Live': 'yes' }, priority: 'Highest', labels: ['go-live-blocker'] },
+          { when: { Sev: ['Critical', '/^sev\\s*1$/i'] }, priority: 'P1' }
+        ]
+      }
+    }
+  }, 'acme');
+  const row = { Ref: 'ACME-2', Title: 'Checkout down', Tags: 'billing', Sev: 'P3', 'Go Live': ' Yes ' };
+
+  const blocker = mapDefect(row, profile);
+  assert.equal(blocker.priorityCode, 'Highest');
+  assert.equal(blocker.priorityRule, 'Go-live blocker');
+  assert.deepEqual(blocker.labels, ['billing', 'go-live-blocker']);
+
+  assert.equal(mapDefect({ ...row, 'Go Live': 'No', Sev: 'SEV 1' }, profile).priorityRule, 'rule 2');
+
+  const unmatched = mapDefect({ ...row, 'Go Live': 'No' }, profile);
+  assert.equal(unmatched.priorityCode, 'P3');
+  assert.equal(unmatched.priorityRule, null);
+  assert.ok(getProfileColumns(profile).includes('Go Live'));
+});
+
+test('mapDefect leaves out blank custom fields and defaults the priority', () => {
+  const defect = mapDefect({ Title: 'Logo blurry', Ref: '', Client: ' ' }, resolveProfile(ACME, 'acme'));
+  assert.deepEqual(defect.customFields, {});
+  assert.deepEqual(defect.labels, []);
+  assert.equal(defect.priorityCode, 'P3');
+});
+
+test('toFieldValue shapes values by field schema', () => {
+  assert.deepEqual(toFieldValue({ schema: { type: 'option' } }, 'Benchmark'), { value: 'Benchmark' });
+  assert.deepEqual(toFieldValue({ schema: { type: 'array', items: 'option' } }, 'A, B'), [{ value: 'A' }, { value: 'B' }]);
+  assert.deepEqual(toFieldValue({ schema: { type: 'array', items: 'string' } }, 'x,y'), ['x', 'y']);
+  assert.equal(toFieldValue({ schema: { type: 'number' } }, '3'), 3);
+  assert.equal(toFieldValue({ schema: { type: 'string' } }, 'UAT'), 'UAT');
+});
+
+test('nh-uat rows sharing a test case ID keep IDs of their own', () => {
+  const profile = resolveProfile();
+  const first = mapDefect({ 'Defect Name': 'Create Project Button is greyed out', 'Test Case ID': 'UAT' }, profile);
+  const second = mapDefect({ 'Defect Name': 'Project list does not refresh', 'Test Case ID': 'UAT' }, profile);
+  assert.notEqual(first.externalId, second.externalId);
+  assert.equal(first.externalId, getExternalId({}, profile, 'Create Project Button is greyed out'));
+  assert.notEqual(toSyncLabel(profile.name, first.externalId), toSyncLabel(profile.name, second.externalId));
+});
+
+test('getExternalId falls back to a hash of the summary', () => {
+  const profile = resolveProfile();
+  const id = getExternalId({}, profile, 'UAT-PPP-003 - Create Project Button is greyed out');
+  assert.match(id, /^[0-9a-f]{12}$/);
+  assert.equal(getExternalId({}, profile, '  uat-ppp-003 -  create project button is GREYED out'), id);
+  assert.notEqual(getExternalId({}, profile, 'UAT-PPP-004 - Something else'), id);
+  assert.equal(getExternalId({ Ref: ' ACME-7 ' }, resolveProfile(ACME, 'acme'), 'Any'), 'ACME-7');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveProfile, mapDefect } = require('../src/lib/defects');
+const {
+  textSimilarity,
+  normalizeTestCaseId,
+  extractTestCaseId,
+  toCandidate,
+  scoreDuplicate,
+  findDuplicates,
+  findUploadedBug
+} = require('../src/lib/duplicates');
+
+const PROFILE = resolveProfile();
+
+function row(overrides) {
+  return {
+    'Defect Name': 'UAT-LIB-002 Libraries/Add New Section Missing',
+    'Raised By': 'Jane Searle',
+    'Date Raised': '11/11/2025',
+    'Module / Area': 'Libraries',
+    'Test Case ID': 'UAT-LIB-002',
+    'Defect Description': 'Add New Section option missing from the Libraries menu',
+    'Severity / Priority': 'P1',
+    ...overrides
+  };
+}
+
+// A bug as the importer would have created it from a row
+function bug(key, values) {
+  const defect = mapDefect(row(values), PROFILE);
+  return {
+    key,
+    fields: {
+      summary: defect.summary,
+      description: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: defect.description }] }] },
+      components: [{ name: 'Journey Planner' }],
+      labels: ['defect-nh-uat-abc']
+    }
+  };
+}
+
+test('textSimilarity compares words, ignoring case, punctuation and common words', () => {
+  assert.equal(textSimilarity('Add New Section missing', 'add new section: MISSING!'), 1);
+  assert.equal(textSimilarity('The save button is missing', 'Export fails on the report'), 0);
+  assert.equal(textSimilarity('', 'anything'), null);
+});
+
+test('test case IDs are compared in one form, from the column or the summary', () => {
+  assert.equal(normalizeTestCaseId('UAT- LIB-011 '), 'UAT-LIB-011');
+  assert.equal(normalizeTestCaseId('UAT'), null);
+  assert.equal(extractTestCaseId('UAT Login 003 Top ribbon'), 'UAT-LOGIN-003');
+  assert.equal(extractTestCaseId('UAT-PPP-003 - Create Project Button is greyed out'), 'UAT-PPP-003');
+  assert.equal(extractTestCaseId('Login fails after 10 tries'), null);
+});
+
+test('toCandidate reads module and test case ID from the description', () => {
+  const candidate = toCandidate(bug('VER10-1'), PROFILE);
+  assert.equal(candidate.testCaseId, 'UAT-LIB-002');
+  assert.deepEqual(candidate.modules, ['Libraries', 'Journey Planner']);
+  assert.deepEqual(candidate.labels, ['defect-nh-uat-abc']);
+});
+
+test('toCandidate reads a description written as a field table', () => {
+  const defect = mapDefect(row(), PROFILE);
+  const candidate = toCandidate({ key: 'VER10-2', fields: { summary: defect.summary, description: defect.descriptionDocument } }, PROFILE);
+  assert.equal(candidate.testCaseId, 'UAT-LIB-002');
+  assert.deepEqual(candidate.modules, ['Libraries']);
+  assert.equal(scoreDuplicate(defect, candidate).signals.description, 1);
+});
+
+test('scoreDuplicate rates a reworded row of the same defect highly', () => {
+  const defect = mapDefect(row({ 'Defect Name': 'Libraries - Add new section is missing' }), PROFILE);
+  const { score, signals } = scoreDuplicate(defect, toCandidate(bug('VER10-1'), PROFILE));
+  assert.ok(score >= 0.9, `score ${score}`);
+  assert.equal(signals.module, 1);
+  assert.equal(signals.testCaseId, 1);
+});
+
+test('scoreDuplicate keeps different defects in the same module apart', () => {
+  const defect = mapDefect(row({
+    'Defect Name': 'UAT-LIB-007 Add drop down missing',
+    'Test Case ID': 'UAT-LIB-007',
+    'Defect Description': 'The Add drop down is not shown for sub items'
+  }), PROFILE);
+  const { score, signals } = scoreDuplicate(defect, toCandidate(bug('VER10-1'), PROFILE));
+  assert.ok(score < 0.5, `score ${score}`);
+  assert.equal(signals.testCaseId, 0);
+});
+
+test('findDuplicates lists candidates above the threshold, best first', () => {
+  const candidates = [
+    toCandidate(bug('VER10-2', { 'Defect Name': 'UAT-LIB-009 Export fails', 'Test Case ID': 'UAT-LIB-009', 'Defect Description': 'Export to Excel never finishes' }), PROFILE),
+    toCandidate(bug('VER10-1'), PROFILE)
+  ];
+  const defect = mapDefect(row({ 'Defect Name': 'Add New Section missing in Libraries', 'Test Case ID': '' }), PROFILE);
+  const matches = findDuplicates(defect, candidates);
+  assert.deepEqual(matches.map(match => match.candidate.key), ['VER10-1']);
+});
+
+test('findUploadedBug matches the sync label or the same summary', () => {
+  const candidates = [toCandidate(bug('VER10-1'), PROFILE)];
+  const defect = mapDefect(row(), PROFILE);
+  assert.equal(findUploadedBug(defect, candidates, 'defect-nh-uat-abc').key, 'VER10-1');
+  assert.equal(findUploadedBug({ summary: 'uat-lib-002  libraries / add new section missing' }, candidates, 'x').key, 'VER10-1');
+  assert.equal(findUploadedBug({ summary: 'Something else' }, candidates, 'x'), null);
+});
+
+test('findUploadedBug takes over a bug left by a row whose ID changed', () => {
+  const orphaned = toCandidate(bug('VER10-1'), PROFILE);
+  const claimed = { ...toCandidate(bug('VER10-2'), PROFILE), labels: ['defect-nh-uat-UAT-LIB-007'] };
+  const defect = mapDefect(row({ 'Defect Name': 'Libraries - Add new section is missing', 'Test Case ID': '' }), PROFILE);
+  const orphans = { labelPrefix: 'defect-nh-uat-', rowLabels: new Set(['defect-nh-uat-UAT-LIB-007', 'defect-nh-uat-new']) };
+
+  assert.equal(findUploadedBug(defect, [claimed, orphaned], 'defect-nh-uat-new'), null);
+  assert.equal(findUploadedBug(defect, [claimed, orphaned], 'defect-nh-uat-new', orphans).key, 'VER10-1');
+  // A bug another row of the log still carries is never taken
+  assert.equal(findUploadedBug(defect, [claimed], 'defect-nh-uat-new', orphans), null);
+});
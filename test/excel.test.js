@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { excelDateToJSDate, formatDate, cellText, findHeaderRow, readSheetRecords } = require('../src/lib/excel');
+
+// Write and read back, so merges and formats behave as in a saved file
+async function roundTrip(workbook) {
+  const copy = new ExcelJS.Workbook();
+  await copy.xlsx.load(await workbook.xlsx.writeBuffer());
+  return copy;
+}
+
+function defectLog() {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Instructions').addRow(['Log defects on the next tab']);
+
+  const sheet = workbook.addWorksheet('UAT Log');
+  sheet.addRow(['Release 1C UAT Defect Log']);
+  sheet.mergeCells('A1:D1');
+  sheet.addRow([]);
+  sheet.addRow(['Defect Name', 'Date Raised', 'Module / Area', 'Severity / Priority']);
+  sheet.addRow(['Login fails', new Date(Date.UTC(2025, 10, 11)), 'Libraries', { richText: [{ text: 'P' }, { text: '1' }] }]);
+  sheet.addRow(['Save fails', 45973, null, { formula: '"P"&2', result: 'P2' }]);
+  sheet.getCell('B5').numFmt = 'dd/mm/yyyy';
+  sheet.mergeCells('C4:C5');
+  sheet.addRow([]);
+  sheet.addRow(['Export fails', '13/11/2025', 'Reports', 'P3']);
+  return workbook;
+}
+
+test('excelDateToJSDate converts serial numbers to local dates', () => {
+  assert.equal(formatDate(excelDateToJSDate(45972)), '11/11/2025');
+  assert.equal(excelDateToJSDate('45972'), null);
+});
+
+test('cellText reads formulas, rich text, hyperlinks and dates as text', () => {
+  assert.equal(cellText({ value: { formula: 'A1', result: 42 } }), '42');
+  assert.equal(cellText({ value: { richText: [{ text: 'In ' }, { text: 'QA' }] } }), 'In QA');
+  assert.equal(cellText({ value: { text: 'VER10-1', hyperlink: 'https://example' } }), 'VER10-1');
+  assert.equal(cellText({ value: new Date(Date.UTC(2025, 0, 6)) }), '06/01/2025');
+  assert.equal(cellText({ value: 45972, numFmt: 'd-mmm-yy' }), '11/11/2025');
+  assert.equal(cellText({ value: 45972, numFmt: '#,##0' }), '45972');
+  assert.equal(cellText({ value: { error: '#N/A' } }), '');
+  assert.equal(cellText({ value: null }), '');
+});
+
+test('findHeaderRow picks the row with the most wanted columns', () => {
+  const rows = [
+    ['Defect Log'],
+    ['Defect Name', 'Notes'],
+    ['Defect Name', 'Severity / Priority', 'Module / Area'],
+    ['Login fails', 'P1', 'Auth']
+  ];
+  assert.equal(findHeaderRow(rows, ['Defect Name', 'Severity / Priority', 'Module / Area']), 2);
+  assert.equal(findHeaderRow(rows, ['Title']), -1);
+});
+
+test('readSheetRecords finds the sheet and header row and fills merged cells', async () => {
+  const workbook = await roundTrip(defectLog());
+  const sheet = readSheetRecords(workbook, { columns: ['Defect Name', 'Severity / Priority'] });
+
+  assert.equal(sheet.sheetName, 'UAT Log');
+  assert.equal(sheet.headerRow, 3);
+  assert.deepEqual(sheet.headers, ['Defect Name', 'Date Raised', 'Module / Area', 'Severity / Priority']);
+  assert.deepEqual(sheet.records, [
+    { 'Defect Name': 'Login fails', 'Date Raised': '11/11/2025', 'Module / Area': 'Libraries', 'Severity / Priority': 'P1' },
+    { 'Defect Name': 'Save fails', 'Date Raised': '12/11/2025', 'Module / Area': 'Libraries', 'Severity / Priority': 'P2' },
+    { 'Defect Name': 'Export fails', 'Date Raised': '13/11/2025', 'Module / Area': 'Reports', 'Severity / Priority': 'P3' }
+  ]);
+  assert.deepEqual(sheet.rowNumbers, [4, 5, 7]);
+});
+
+test('readSheetRecords reads a named sheet, ignoring case', async () => {
+  const workbook = await roundTrip(defectLog());
+  assert.equal(readSheetRecords(workbook, { sheet: 'uat log', columns: ['Defect Name'] }).records.length, 3);
+  assert.throws(
+    () => readSheetRecords(workbook, { sheet: 'Defects', columns: ['Defect Name'] }),
+    /Sheet "Defects" not found \(sheets: Instructions, UAT Log\)/
+  );
+  assert.throws(
+    () => readSheetRecords(workbook, { sheet: 'Instructions', columns: ['Defect Name'] }),
+    /No sheet has a header row with a "Defect Name" column/
+  );
+});
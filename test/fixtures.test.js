@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFixtureName, getCommandKey, sanitize, applyFixtureClock } = require('../src/lib/fixtures');
+
+const RealDate = Date;
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-test-'));
+}
+
+test('getCommandKey names the script and its arguments, without the fixture flags', () => {
+  assert.equal(getCommandKey(['node', '/repo/src/generate-time-in-status.js', '--sprint', '32', '--record', '--fixtures', 'fx']),
+    'generate-time-in-status.js --sprint 32');
+  assert.equal(getCommandKey(['node', 'src/generate-burndown-summary.js', '--fixtures=fx', '--replay']), 'generate-burndown-summary.js');
+});
+
+test('sanitize redacts emails, names and account IDs, the same way every time', () => {
+  const user = { accountId: '5b10ac8d82e05b22cc7d4ef5', displayName: 'Alice Morgan', emailAddress: 'alice@acme.test', avatarUrls: {} };
+  const first = sanitize({ assignee: user, self: 'https://acme.atlassian.net/rest/api/3/user' }, 'https://acme.atlassian.net');
+  const again = sanitize([user], 'https://acme.atlassian.net');
+
+  assert.equal(first.assignee.emailAddress, 'redacted@example.com');
+  assert.equal(first.assignee.avatarUrls, undefined);
+  assert.match(first.assignee.displayName, /^User [0-9a-f]{8}$/);
+  assert.match(first.assignee.accountId, /^redacted-[0-9a-f]{8}$/);
+  assert.deepEqual(again[0], first.assignee);
+  assert.notEqual(sanitize({ displayName: 'Bob Singh' }).displayName, first.assignee.displayName);
+  assert.equal(first.self, 'https://jira.example.com/rest/api/3/user');
+
+  // A later request naming the person is stored under the pseudonym it is replayed with
+  const recorded = getFixtureName({ method: 'get', url: '/rest/api/3/search/jql', params: { jql: `assignee = ${user.accountId}` } });
+  const replayed = getFixtureName({ method: 'get', url: '/rest/api/3/search/jql', params: { jql: `assignee = ${first.assignee.accountId}` } });
+  assert.equal(recorded, replayed);
+});
+
+test('a recorded run keeps its first clock read per command, and replay freezes there', () => {
+  const dir = tempDir();
+  try {
+    applyFixtureClock({ mode: 'record', dir }, 'generate-time-in-status.js');
+    const first = new Date().toISOString();
+    assert.equal(Date.now(), new RealDate(first).getTime());
+    global.Date = RealDate;
+
+    applyFixtureClock({ mode: 'record', dir }, 'generate-burndown-summary.js --sprint 32');
+    new Date();
+    global.Date = RealDate;
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, '_manifest.json'), 'utf-8'));
+    assert.deepEqual(Object.keys(manifest.commands), ['generate-time-in-status.js', 'generate-burndown-summary.js --sprint 32']);
+    assert.equal(manifest.commands['generate-time-in-status.js'].recordedAt, first);
+
+    manifest.commands['generate-time-in-status.js'].recordedAt = '2025-01-15T10:30:00.000Z';
+    fs.writeFileSync(path.join(dir, '_manifest.json'), JSON.stringify(manifest));
+    applyFixtureClock({ mode: 'replay', dir }, 'generate-time-in-status.js');
+    assert.equal(new Date().toISOString(), '2025-01-15T10:30:00.000Z');
+    assert.equal(new Date(2024, 0, 1).getFullYear(), 2024);
+  } finally {
+    global.Date = RealDate;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveDefaults, findUnsetRequiredFields, checkIssueDefaults } = require('../src/lib/issue-defaults');
+
+const FIELDS = [
+  { id: 'customfield_10014', name: 'Epic Link', schema: { custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } },
+  { id: 'customfield_11650', name: 'Company', schema: { type: 'option' } },
+  { id: 'customfield_12000', name: 'Found In', schema: { type: 'string' } }
+];
+
+const BUG_META = {
+  name: 'Bug',
+  fields: {
+    summary: { name: 'Summary', required: true },
+    reporter: { name: 'Reporter', required: true, hasDefaultValue: true },
+    customfield_11650: { name: 'Company', required: true, allowedValues: [{ id: '1', value: 'Benchmark' }, { id: '2', value: 'Globex' }] },
+    customfield_12000: { name: 'Found In', required: true }
+  }
+};
+
+const USERS = [{ accountId: 'u-qa', displayName: 'Quinn Adams', emailAddress: 'quinn@acme.test' }];
+
+// Answers the lookups checkIssueDefaults makes, like the JIRA REST API would
+function createClient(overrides = {}) {
+  const routes = {
+    '/rest/api/3/project/VER10': { components: [{ id: '10', name: 'Portal' }] },
+    '/rest/api/3/project/VER10/versions': [{ id: '20', name: 'Release 2' }],
+    '/rest/api/3/issue/createmeta': { projects: [{ key: 'VER10', issuetypes: [BUG_META] }] },
+    '/rest/api/3/issue/VER10-1': { key: 'VER10-1', fields: { issuetype: { name: 'Epic' }, summary: 'UAT defects' } },
+    '/rest/api/3/issue/VER10-2': { key: 'VER10-2', fields: { issuetype: { name: 'Story' }, summary: 'Login' } },
+    '/rest/api/3/user/search': params => USERS.filter(user => user.emailAddress === params.query),
+    '/rest/api/3/user/assignable/search': params => USERS.filter(user => user.accountId === params.accountId),
+    ...overrides
+  };
+  return {
+    get: async (url, config = {}) => {
+      const route = routes[url];
+      if (route === undefined) {
+        const error = new Error('Not found');
+        error.response = { status: 404 };
+        throw error;
+      }
+      return { data: typeof route === 'function' ? route(config.params || {}) : route };
+    }
+  };
+}
+
+const PROFILE = { customFields: { 'Found In': 'Environment' }, components: null };
+
+test('resolveDefaults lets the profile win key by key and falls back to defects.epicKey', () => {
+  const defaults = resolveDefaults(
+    { epicKey: 'VER10-1', defaults: { company: 'Benchmark', fixVersion: 'Release 1' } },
+    { defaults: { fixVersion: 'Release 2', labels: ['uat'] } }
+  );
+  assert.deepEqual(defaults, {
+    assignee: null,
+    fixVersion: 'Release 2',
+    component: null,
+    company: 'Benchmark',
+    epicKey: 'VER10-1',
+    labels: ['uat']
+  });
+});
+
+test('findUnsetRequiredFields skips fields JIRA fills in and fields that are set', () => {
+  assert.deepEqual(findUnsetRequiredFields(BUG_META, ['summary', 'customfield_12000']), [
+    { id: 'customfield_11650', name: 'Company' }
+  ]);
+  assert.deepEqual(findUnsetRequiredFields(null, []), []);
+});
+
+test('checkIssueDefaults resolves every default to what JIRA expects', async () => {
+  const defaults = resolveDefaults({}, {
+    defaults: { epicKey: 'VER10-1', assignee: 'quinn@acme.test', fixVersion: 'release 2', component: 'Portal', company: 'globex', labels: ['uat'] }
+  });
+  const { values, problems } = await checkIssueDefaults(createClient(), { project: 'VER10', defaults, fields: FIELDS, profile: PROFILE });
+
+  assert.deepEqual(problems, []);
+  assert.equal(values.epic.key, 'VER10-1');
+  assert.equal(values.assignee.accountId, 'u-qa');
+  assert.deepEqual(values.fixVersion, { id: '20', name: 'Release 2' });
+  assert.deepEqual(values.component, { id: '10', name: 'Portal' });
+  assert.deepEqual(values.company, { id: '2', value: 'Globex' });
+  assert.equal(values.companyFieldId, 'customfield_11650');
+  assert.equal(values.epicLinkId, 'customfield_10014');
+});
+
+test('checkIssueDefaults reports every value JIRA would reject', async () => {
+  const defaults = resolveDefaults({}, {
+    defaults: { epicKey: 'VER10-2', assignee: 'nobody@acme.test', fixVersion: 'Release 9', component: 'Billing', company: 'Initech', labels: ['needs retest'] }
+  });
+  const { problems } = await checkIssueDefaults(createClient(), { project: 'VER10', defaults, fields: FIELDS, profile: PROFILE });
+
+  assert.deepEqual(problems, [
+    'VER10-2 is a Story, not an Epic',
+    'Assignee "nobody@acme.test" is not a JIRA user (use an email address or account ID)',
+    'Fix version "Release 9" is not in VER10 (available: Release 2)',
+    'Component "Billing" is not in VER10 (available: Portal)',
+    'Company "Initech" is not an allowed value (allowed: Benchmark, Globex)',
+    'Label "needs retest" contains spaces, which JIRA does not allow'
+  ]);
+});
+
+test('checkIssueDefaults reports required fields nothing sets, and a missing epic', async () => {
+  const client = createClient({ '/rest/api/3/user/assignable/search': () => [] });
+  const defaults = resolveDefaults({}, { defaults: { epicKey: 'VER10-404', assignee: 'quinn@acme.test' } });
+  const { problems } = await checkIssueDefaults(client, { project: 'VER10', defaults, fields: FIELDS, profile: { customFields: {} } });
+
+  assert.deepEqual(problems, [
+    'Epic VER10-404 does not exist or cannot be seen',
+    'Quinn Adams (quinn@acme.test) cannot be assigned issues in VER10',
+    'Company is required on a Bug but neither the profile\'s defaults nor its columns set it (allowed: Benchmark, Globex)',
+    'Found In is required on a Bug but neither the profile\'s defaults nor its columns set it'
+  ]);
+});
+
+test('checkIssueDefaults finds a renamed Company field by its ID', async () => {
+  const fields = FIELDS.map(field => (field.id === 'customfield_11650' ? { ...field, name: 'Client' } : field));
+  const defaults = resolveDefaults({}, { defaults: { epicKey: 'VER10-1', company: 'Benchmark' } });
+  const { values, problems } = await checkIssueDefaults(createClient(), { project: 'VER10', defaults, fields, profile: PROFILE });
+
+  assert.deepEqual(problems, []);
+  assert.equal(values.companyFieldId, 'customfield_11650');
+  assert.deepEqual(values.company, { id: '1', value: 'Benchmark' });
+});
+
+test('checkIssueDefaults accepts defaults that set every field a Bug needs on the mock JIRA', async () => {
+  const { createMockJiraServer } = require('../src/mock-jira/server');
+  const { createJiraClient, getFields } = require('../src/lib/jira-client');
+  const { resolveProfile } = require('../src/lib/defects');
+
+  const defectsConfig = {
+    epicKey: 'VER10-8245',
+    defaults: { assignee: 'caroline@example.com', component: 'Journey Planner', company: 'Benchmark' }
+  };
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  try {
+    const client = createJiraClient({ baseUrl, email: 'mock@example.com', apiToken: 'mock', fixtures: {}, maxRetries: 0 });
+    const profile = resolveProfile(defectsConfig);
+    const { problems } = await checkIssueDefaults(client, {
+      project: 'VER10',
+      defaults: resolveDefaults(defectsConfig, profile),
+      fields: await getFields(client),
+      profile
+    });
+    assert.deepEqual(problems, []);
+  } finally {
+    await mock.stop();
+  }
+});
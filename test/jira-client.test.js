@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockJiraServer } = require('../src/mock-jira/server');
+const { createJiraClient } = require('../src/lib/jira-client');
+
+const CREDENTIALS = { email: 'mock@example.com', apiToken: 'mock', fixtures: {} };
+
+test('a request whose connection drops is retried', async () => {
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  try {
+    const client = createJiraClient({ baseUrl, ...CREDENTIALS, maxRetries: 1 });
+    mock.failNext({ path: '/rest/api/3/issue/VER10-', reset: true });
+    const { data } = await client.get('/rest/api/3/issue/VER10-100', { params: { fields: 'summary' } });
+    assert.equal(data.key, 'VER10-100');
+
+    mock.failNext({ path: '/rest/api/3/issue/VER10-', reset: true, times: 2 });
+    await assert.rejects(client.get('/rest/api/3/issue/VER10-100'), error => error.code === 'ECONNRESET' && error.config.retryCount === 1);
+  } finally {
+    await mock.stop();
+  }
+});
+
+test('a POST that creates something is not sent again after a timeout or server error', async () => {
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  try {
+    const client = createJiraClient({ baseUrl, ...CREDENTIALS, maxRetries: 2, timeout: 200 });
+    const bug = { fields: { project: { key: 'VER10' }, issuetype: { name: 'Task' }, summary: 'Tidy up' } };
+    const posts = () => mock.requests.filter(request => request.method === 'POST' && request.path === '/rest/api/3/issue');
+
+    mock.failNext({ method: 'POST', path: '/rest/api/3/issue', delay: 400 });
+    await assert.rejects(client.post('/rest/api/3/issue', bug), error => error.code === 'ECONNABORTED' && !error.config.retryCount);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(posts().length, 1);
+    assert.equal(mock.state.created.length, 1);
+
+    mock.failNext({ method: 'POST', path: '/rest/api/3/issue', status: 502 });
+    await assert.rejects(client.post('/rest/api/3/issue', bug), error => error.response?.status === 502);
+    assert.equal(posts().length, 2);
+  } finally {
+    await mock.stop();
+  }
+});
+
+test('a search, though a POST, is retried after a dropped connection', async () => {
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  try {
+    const client = createJiraClient({ baseUrl, ...CREDENTIALS, maxRetries: 1 });
+    mock.failNext({ path: '/rest/api/3/search/jql', reset: true });
+    const { data } = await client.post('/rest/api/3/search/jql', { jql: 'project = VER10', fields: ['summary'] });
+    assert.ok(data.issues.length > 0);
+  } finally {
+    await mock.stop();
+  }
+});
+
+test('a refused connection fails without retrying', async () => {
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  await mock.stop();
+
+  const client = createJiraClient({ baseUrl, ...CREDENTIALS });
+  await assert.rejects(client.get('/rest/api/3/myself'), error => error.code === 'ECONNREFUSED' && !error.config.retryCount);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockJiraServer } = require('../src/mock-jira/server');
+const { createJiraClient } = require('../src/lib/jira-client');
+
+async function withMock(run) {
+  const mock = createMockJiraServer();
+  const baseUrl = await mock.start();
+  try {
+    await run(createJiraClient({ baseUrl, email: 'mock@example.com', apiToken: 'mock', fixtures: {}, maxRetries: 0 }));
+  } finally {
+    await mock.stop();
+  }
+}
+
+test('created and edited issues show the name of each fix version and component', () => withMock(async client => {
+  const { data: created } = await client.post('/rest/api/3/issue', {
+    fields: {
+      project: { key: 'VER10' },
+      issuetype: { name: 'Bug' },
+      summary: 'Journey times missing',
+      customfield_11650: { id: '11700' },
+      fixVersions: [{ id: '10101' }],
+      components: [{ name: 'Journey Planner' }]
+    }
+  });
+  const read = async () => (await client.get(`/rest/api/3/issue/${created.key}`, { params: { fields: 'fixVersions,components' } })).data.fields;
+  assert.deepEqual(await read(), {
+    fixVersions: [{ id: '10101', name: 'Release 1D' }],
+    components: [{ id: '10200', name: 'Journey Planner' }]
+  });
+
+  await client.put(`/rest/api/3/issue/${created.key}`, { update: { fixVersions: [{ add: { id: '10100' } }, { remove: { id: '10101' } }] } });
+  assert.deepEqual((await read()).fixVersions, [{ id: '10100', name: 'Release 1C' }]);
+}));
+
+test('a fix version the project does not have is rejected', () => withMock(async client => {
+  await assert.rejects(client.post('/rest/api/3/issue', {
+    fields: { project: { key: 'VER10' }, issuetype: { name: 'Task' }, summary: 'Tidy up', fixVersions: [{ id: '99999' }] }
+  }), error => error.response?.status === 400 && error.response.data.errors.fixVersions === 'Version id \'99999\' is not valid');
+}));
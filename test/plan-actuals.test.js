@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { parsePlan, readProgressSheet } = require('../src/lib/plan-workbook');
+const { toDayKey, findPlanSprint, summarizeActuals, summarizeEpicActuals, buildActualChanges, applyActualChanges } = require('../src/lib/plan-actuals');
+
+// Sprint 30 starts on Thursday 23 October 2025, Sprint 31 two weeks later
+const SPRINTS = [
+  { number: 30, startDate: new Date(2025, 9, 23) },
+  { number: 31, startDate: new Date(2025, 10, 6) }
+];
+
+// A plan with delivered points typed in by hand, one of them a formula
+function planWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  const main = workbook.addWorksheet('Full-Delivery');
+  [
+    ['Epic', ' ', 'Release', 'Sprint 30', 'Sprint 31', 'Sprint 32', 'TOTALS'],
+    ['Dates', null, null, new Date(Date.UTC(2025, 9, 23)), new Date(Date.UTC(2025, 10, 6)), new Date(Date.UTC(2025, 10, 20))],
+    ['VER-1 - Login', null, '1D', 18, 11, 5, 34],
+    ['TOTAL Committed Story Points Per Sprint', null, null, 18, 11, 5],
+    ['DELIVERED TODAY', ' '],
+    ['Story Points Delivered', null, null, { formula: 'D3-1', result: 17 }, 4],
+    ['SCRIPT IGNORE BELOW HERE'],
+    ['TOTAL PROJECT REMAING STORY POINTS', 13]
+  ].forEach((row, index) => {
+    main.getRow(index + 1).values = row;
+  });
+  main.getCell('E6').numFmt = '0.0';
+
+  const progress = workbook.addWorksheet('Progress');
+  progress.getRow(1).values = ['Date', new Date(Date.UTC(2025, 10, 6)), new Date(Date.UTC(2025, 10, 7)), new Date(Date.UTC(2025, 10, 8)), new Date(Date.UTC(2025, 10, 10))];
+  progress.getRow(2).values = ['Committed Story Points', 2, 3, null, 3];
+  progress.getRow(3).values = ['Actual Story Points', 3];
+  return workbook;
+}
+
+const COMPLETIONS = [
+  { key: 'VER10-1', points: 5, completedOn: '2025-10-24' },
+  { key: 'VER10-2', points: 3, completedOn: '2025-11-06' },
+  { key: 'VER10-3', points: 2, completedOn: '2025-11-06' },
+  { key: 'VER10-4', points: 0.5, completedOn: '2025-11-08' },
+  { key: 'VER10-5', points: 8, completedOn: '2025-12-20' }
+];
+
+test('findPlanSprint places a day in the sprint whose dates hold it', () => {
+  assert.equal(toDayKey(new Date(2025, 10, 6)), '2025-11-06');
+  assert.equal(findPlanSprint(SPRINTS, '2025-10-23'), 30);
+  assert.equal(findPlanSprint(SPRINTS, '2025-11-05'), 30);
+  assert.equal(findPlanSprint(SPRINTS, '2025-11-06'), 31);
+  assert.equal(findPlanSprint(SPRINTS, '2025-11-19'), 31);
+  assert.equal(findPlanSprint(SPRINTS, '2025-11-20'), null);
+  assert.equal(findPlanSprint(SPRINTS, '2025-10-22'), null);
+});
+
+test('summarizeActuals totals points by day and by sprint', () => {
+  const actuals = summarizeActuals(COMPLETIONS, SPRINTS);
+  assert.deepEqual(actuals.byDay, new Map([['2025-10-24', 5], ['2025-11-06', 5], ['2025-11-08', 0.5], ['2025-12-20', 8]]));
+  assert.deepEqual(actuals.bySprint, new Map([[30, 5], [31, 5.5]]));
+  assert.deepEqual(actuals.outside.map(completion => completion.key), ['VER10-5']);
+});
+
+test('summarizeEpicActuals totals points by epic and day', () => {
+  const completions = [
+    { key: 'VER10-2', epicKey: 'VER10-100', points: 3, completedOn: '2025-11-06' },
+    { key: 'VER10-3', epicKey: 'VER10-100', points: 0.5, completedOn: '2025-11-06' },
+    { key: 'VER10-4', epicKey: 'VER10-200', points: 2, completedOn: '2025-11-07' },
+    { key: 'VER10-5', epicKey: null, points: 8, completedOn: '2025-11-07' }
+  ];
+  assert.deepEqual(summarizeEpicActuals(completions), new Map([
+    ['VER10-100', new Map([['2025-11-06', 3.5]])],
+    ['VER10-200', new Map([['2025-11-07', 2]])]
+  ]));
+});
+
+test('buildActualChanges lists the cells JIRA disagrees with up to the as-of day', () => {
+  const workbook = planWorkbook();
+  const plan = parsePlan(workbook);
+  const progress = readProgressSheet(workbook);
+  assert.deepEqual([...plan.problems, ...progress.problems], []);
+
+  const actuals = summarizeActuals(COMPLETIONS, plan.sprints);
+  assert.deepEqual(buildActualChanges(plan, progress, actuals, '2025-11-08'), [
+    { sheet: 'Full-Delivery', address: 'D6', label: 'Story Points Delivered, Sprint 30', from: 17, to: 5, formula: 'D3-1' },
+    { sheet: 'Full-Delivery', address: 'E6', label: 'Story Points Delivered, Sprint 31', from: 4, to: 5.5, formula: null },
+    { sheet: 'Full-Delivery', address: 'B5', label: 'DELIVERED TODAY (2025-11-08)', from: null, to: 0.5, formula: null },
+    { sheet: 'Progress', address: 'B3', label: 'Actual points, 2025-11-06', from: 3, to: 5, formula: null },
+    { sheet: 'Progress', address: 'C3', label: 'Actual points, 2025-11-07', from: null, to: 0, formula: null },
+    { sheet: 'Progress', address: 'D3', label: 'Actual points, 2025-11-08', from: null, to: 0.5, formula: null }
+  ]);
+
+  // A quiet weekend day is left blank, and a synced plan has nothing to change
+  const quiet = summarizeActuals(COMPLETIONS.filter(completion => completion.key !== 'VER10-4'), plan.sprints);
+  const changes = buildActualChanges(plan, progress, quiet, '2025-11-08');
+  assert.equal(changes.some(change => change.address === 'D3'), false);
+  applyActualChanges(workbook, changes);
+  assert.deepEqual(buildActualChanges(plan, progress, quiet, '2025-11-08').map(change => change.address), ['D6']);
+});
+
+test('applyActualChanges writes values, keeps formulas and formatting, and asks Excel to recalculate', () => {
+  const workbook = planWorkbook();
+  const plan = parsePlan(workbook);
+  const changes = buildActualChanges(plan, readProgressSheet(workbook), summarizeActuals(COMPLETIONS, plan.sprints), '2025-11-08');
+
+  assert.equal(applyActualChanges(workbook, changes), 5);
+  const main = workbook.getWorksheet('Full-Delivery');
+  assert.deepEqual(main.getCell('D6').value, { formula: 'D3-1', result: 17 });
+  assert.equal(main.getCell('E6').value, 5.5);
+  assert.equal(main.getCell('E6').numFmt, '0.0');
+  assert.equal(main.getCell('B5').value, 0.5);
+  assert.equal(workbook.getWorksheet('Progress').getCell('B3').value, 5);
+  assert.equal(workbook.calcProperties.fullCalcOnLoad, true);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { planEpicTitle, linkPlanEpics, epicBurndown } = require('../src/lib/plan-epics');
+
+const JIRA_EPICS = [
+  { key: 'VER10-100', fields: { summary: 'Carbon Rate Application' } },
+  { key: 'VER10-101', fields: { summary: 'Template Library - Browser' } },
+  { key: 'VER10-102', fields: { summary: 'Template Library Admin Roles' } },
+  { key: 'VER10-103', fields: { summary: 'Tech Debt' } }
+];
+
+test('planEpicTitle drops the reference before the name', () => {
+  assert.equal(planEpicTitle('VER-6968 - Carbon Rate Application'), 'Carbon Rate Application');
+  assert.equal(planEpicTitle('VER-TBC - Tech Debt'), 'Tech Debt');
+  assert.equal(planEpicTitle('Supply Chain - Manage Revision'), 'Supply Chain - Manage Revision');
+  assert.equal(planEpicTitle('BUGS'), 'BUGS');
+});
+
+test('linkPlanEpics prefers the JIRA Epic column, then the best name match', () => {
+  const planEpics = [
+    { row: 3, name: 'VER-6968 - Carbon Rate Application', jiraKey: null },
+    { row: 4, name: 'VER-7504 - Template Library Browser', jiraKey: null },
+    { row: 5, name: 'VER-8767 - Template Library Admin Roles and Audit', jiraKey: null },
+    { row: 6, name: 'VER-TBC - Tech Debt', jiraKey: null },
+    { row: 7, name: 'VER-TBC - Tech Debt', jiraKey: null },
+    { row: 8, name: 'Carbon Export', jiraKey: 'VER10-100' },
+    { row: 9, name: 'BUGS', jiraKey: 'VER10-999' }
+  ];
+  const { links, unlinked, warnings } = linkPlanEpics(planEpics, JIRA_EPICS);
+
+  assert.deepEqual(links.get(8), { key: 'VER10-100', summary: 'Carbon Rate Application', by: 'column', score: null });
+  assert.deepEqual(links.get(9), { key: 'VER10-999', summary: null, by: 'column', score: null });
+  assert.deepEqual(links.get(4), { key: 'VER10-101', summary: 'Template Library - Browser', by: 'name', score: 1 });
+  assert.deepEqual(links.get(5), { key: 'VER10-102', summary: 'Template Library Admin Roles', by: 'name', score: 0.89 });
+  assert.equal(links.get(6).key, 'VER10-103');
+  // Each JIRA epic goes to one row: the column claimed VER10-100, the first Tech Debt row VER10-103
+  assert.deepEqual(unlinked.map(epic => epic.row), [3, 7]);
+  assert.deepEqual(warnings, ['BUGS (row 9): VER10-999 is not one of the project\'s epics']);
+});
+
+test('epicBurndown compares points left with the plan up to today', () => {
+  const planned = [2, 2, 0, 0, 2];
+  const burndown = epicBurndown(planned, [0, 3, 0, 0, 0], 2);
+  assert.deepEqual(burndown, { planned: [4, 2, 2, 2, 0], actual: [6, 3, null, null, null], behindBy: 1 });
+
+  assert.equal(epicBurndown(planned, [4, 0, 0, 0, 0], 2).behindBy, 0);
+  assert.deepEqual(epicBurndown(planned, [], 0).actual, [null, null, null, null, null]);
+});
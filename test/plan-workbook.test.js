@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { parsePlan, sumSprints } = require('../src/lib/plan-workbook');
+
+// The main plan sheet, laid out like the real one
+function planRows() {
+  return [
+    ['Epic', ' ', 'Release', 'Sprint 30', 'Sprint 31', 'TOTALS'],
+    ['Dates', 'Lead Team', null, new Date(Date.UTC(2025, 9, 23)), { formula: 'D2+14', result: new Date(Date.UTC(2025, 10, 6)) }],
+    ['VER-1 - Login', null, '1D', 18, 11, { formula: 'SUM(D3:E3)', result: 29 }],
+    ['BUGS', null, 'BUGS', 80, ' ', { formula: 'SUM(D4:E4)', result: 80 }],
+    [],
+    ['TOTAL Committed Story Points Per Sprint', null, null, { formula: 'SUM(D3:D4)', result: 98 }, { formula: 'SUM(E3:E4)', result: 11 }],
+    ['DELIVERED TODAY', 26],
+    ['Story Points Delivered', ']', null, 90, '5'],
+    ['SCRIPT IGNORE BELOW HERE'],
+    ['Development', null, null, 115],
+    ['TOTAL PROJECT REMAING STORY POINTS', { formula: 'SUM(B12:B13)', result: 500 }]
+  ];
+}
+
+function planWorkbook(rows, sheetName = 'Full-Delivery') {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName);
+  rows.forEach((row, index) => {
+    sheet.getRow(index + 1).values = row;
+  });
+  return workbook;
+}
+
+test('parsePlan reads sprints, epics and totals by their labels', () => {
+  const plan = parsePlan(planWorkbook(planRows()));
+
+  assert.deepEqual(plan.problems, []);
+  assert.deepEqual(plan.sprints, [
+    { number: 30, column: 4, startDate: new Date(2025, 9, 23) },
+    { number: 31, column: 5, startDate: new Date(2025, 10, 6) }
+  ]);
+  assert.equal(plan.totalsColumn, 6);
+  assert.deepEqual(plan.rows, { dates: 2, committed: 6, deliveredToday: 7, delivered: 8, ignoreBelow: 9, remaining: 11 });
+  assert.deepEqual(plan.epics, [
+    { row: 3, name: 'VER-1 - Login', release: '1D', points: new Map([[30, 18], [31, 11]]), total: 29, jiraKey: null },
+    { row: 4, name: 'BUGS', release: 'BUGS', points: new Map([[30, 80], [31, 0]]), total: 80, jiraKey: null }
+  ]);
+  assert.deepEqual(plan.committed, new Map([[30, 98], [31, 11]]));
+  assert.deepEqual(plan.delivered, new Map([[30, 90], [31, 5]]));
+  assert.equal(plan.deliveredToday, 26);
+  assert.equal(plan.remaining, 500);
+});
+
+test('parsePlan follows the headers and labels when columns and rows move', () => {
+  const rows = planRows().map(row => [...row.slice(0, 4), null, ...row.slice(4)]);
+  rows[0][4] = 'Notes';
+  rows[1][0] = 'Sprint Start Date';
+  rows.splice(4, 0, ['VER-2 - Reports', null, '1D', 5, 'waiting on design', 3, 8]);
+  const plan = parsePlan(planWorkbook(rows));
+
+  assert.deepEqual(plan.problems, []);
+  assert.deepEqual(plan.sprints.map(sprint => [sprint.number, sprint.column]), [[30, 4], [31, 6]]);
+  assert.equal(plan.totalsColumn, 7);
+  assert.deepEqual(plan.epics.map(epic => epic.name), ['VER-1 - Login', 'BUGS', 'VER-2 - Reports']);
+  assert.deepEqual(plan.epics[2].points, new Map([[30, 5], [31, 3]]));
+  assert.deepEqual(plan.committed, new Map([[30, 98], [31, 11]]));
+});
+
+test('parsePlan reads epic keys from the JIRA Epic column', () => {
+  const rows = planRows();
+  rows[0].push('JIRA Epic');
+  rows[2][6] = ' ver10-100 ';
+  rows[3][6] = 'VER10 BUGS';
+  const plan = parsePlan(planWorkbook(rows));
+
+  assert.equal(plan.epicKeyColumn, 7);
+  assert.deepEqual(plan.epics.map(epic => epic.jiraKey), ['VER10-100', null]);
+  assert.deepEqual(plan.problems, ['Full-Delivery!G4 (BUGS, JIRA Epic) is "VER10 BUGS", not an issue key']);
+});
+
+test('parsePlan lists missing sheets, headers and rows', () => {
+  assert.deepEqual(parsePlan(planWorkbook(planRows(), 'Plan')).problems, ['No "Full-Delivery" sheet (sheets: Plan)']);
+
+  const rows = planRows().filter(row => !['DELIVERED TODAY', 'SCRIPT IGNORE BELOW HERE'].includes(row[0]));
+  rows[0] = rows[0].slice(0, 5);
+  assert.deepEqual(parsePlan(planWorkbook(rows)).problems, [
+    'Row 1 of Full-Delivery has no "TOTALS" header',
+    'No "DELIVERED TODAY" row in column A of Full-Delivery',
+    'No "IGNORE BELOW" row in column A of Full-Delivery'
+  ]);
+
+  assert.deepEqual(parsePlan(planWorkbook([['Epic', 'TOTALS']])).problems, [
+    'Row 1 of Full-Delivery has no "Sprint N" headers',
+    'No "Sprint Start Date" or "Sprint Start Dates" or "Dates" row in column A of Full-Delivery',
+    'No "TOTAL Committed Story Points Per Sprint" row in column A of Full-Delivery',
+    'No "DELIVERED TODAY" row in column A of Full-Delivery',
+    'No "Story Points Delivered" row in column A of Full-Delivery',
+    'No "IGNORE BELOW" row in column A of Full-Delivery',
+    'No "TOTAL PROJECT REMAINING STORY POINTS" or "TOTAL PROJECT REMAING STORY POINTS" row in column A of Full-Delivery'
+  ]);
+});
+
+test('parsePlan reports malformed cells by address', () => {
+  const rows = planRows();
+  rows[0].splice(5, 0, 'Sprint 30');
+  rows[1][3] = new Date(Date.UTC(2025, 10, 20));
+  rows[2][4] = 'TBC';
+  rows[6][1] = 'twenty';
+  rows.push(['Story Points Delivered']);
+  const plan = parsePlan(planWorkbook(rows), { releases: [{ name: 'Release 1D', firstSprint: 30, lastSprint: 32 }] });
+
+  assert.deepEqual(plan.problems, [
+    'Sprint 30 has two columns (Full-Delivery!D1 and Full-Delivery!F1)',
+    'Release 1D (Sprints 30-32) has no "Sprint 32" column in Full-Delivery',
+    '"Story Points Delivered" is on rows 8 and 12 of Full-Delivery; keep one',
+    'Sprint 31 starts (Full-Delivery!E2) on or before Sprint 30',
+    'Full-Delivery!E3 (VER-1 - Login, Sprint 31) is "TBC", not a number',
+    'Full-Delivery!B7 (DELIVERED TODAY) is "twenty", not a number'
+  ]);
+
+  const dates = planRows();
+  dates[1][4] = 'TBC';
+  dates[7][3] = { formula: 'D3/0', result: { error: '#DIV/0!' } };
+  assert.deepEqual(parsePlan(planWorkbook(dates)).problems, [
+    'Full-Delivery!E2 (Sprint 31 start date) is "TBC", not a date',
+    'Full-Delivery!D8 (delivered points, Sprint 30) shows #DIV/0!'
+  ]);
+});
+
+test('sumSprints adds up the given sprints', () => {
+  const values = new Map([[30, 98], [31, 11], [32, 40]]);
+  assert.equal(sumSprints(values, [30, 31]), 109);
+  assert.equal(sumSprints(values, [32, 33]), 40);
+  assert.equal(sumSprints(values, []), 0);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findPriorityRule, getRuleColumns, validatePriorityRules, resolvePriority } = require('../src/lib/priority-rules');
+
+const RULES = [
+  { name: 'Go-live blocker', when: { 'Go/No-Go Risk': 'Yes' }, priority: 'P1', labels: ['go-live-blocker'] },
+  { when: { Severity: 'High', 'Business Impact': ['High', 'Critical'] }, priority: 'P1' },
+  { when: { Severity: '/^(sev\\s*2|high)$/i' }, priority: 'P2' }
+];
+
+// Reads a cell from a plain object row
+const reader = row => column => row[column];
+
+test('findPriorityRule returns the first rule whose conditions all hold', () => {
+  assert.equal(findPriorityRule(RULES, reader({ 'Go/No-Go Risk': ' yes ', Severity: 'Low' })).name, 'Go-live blocker');
+  assert.equal(findPriorityRule(RULES, reader({ Severity: 'high', 'Business Impact': 'Critical' })).name, 'rule 2');
+  assert.equal(findPriorityRule(RULES, reader({ Severity: 'Sev 2', 'Business Impact': 'Low' })).rule.priority, 'P2');
+  assert.equal(findPriorityRule(RULES, reader({ Severity: 'Medium' })), null);
+  assert.equal(findPriorityRule(undefined, reader({})), null);
+});
+
+test('a rule without conditions catches every row', () => {
+  const rules = [...RULES, { name: 'Default', priority: 'P3' }];
+  assert.equal(findPriorityRule(rules, reader({ Severity: 'Medium' })).name, 'Default');
+});
+
+test('getRuleColumns lists each column the rules read once', () => {
+  assert.deepEqual(getRuleColumns(RULES), ['Go/No-Go Risk', 'Severity', 'Business Impact']);
+});
+
+test('validatePriorityRules reports badly shaped rules', () => {
+  assert.deepEqual(validatePriorityRules(RULES, 'rules'), []);
+  assert.deepEqual(validatePriorityRules(undefined, 'rules'), []);
+  assert.deepEqual(validatePriorityRules({}, 'rules'), ['"rules" must be a list of rules']);
+  assert.deepEqual(validatePriorityRules(['P1', { when: ['Sev'], priority: 'P1', labels: 'x' }, { when: { Sev: 1 }, priority: 'P2' }], 'rules'), [
+    '"rules[0]" must be an object with "when" and "priority"',
+    '"rules[1].labels" must be a list of strings',
+    '"rules[1].when" must map column names to values',
+    '"rules[2].when.Sev" must be a string or a list of strings'
+  ]);
+});
+
+test('resolvePriority accepts P1-P4 codes and JIRA priority names', () => {
+  const priorities = [
+    { id: '1', name: 'P1 - Critical' },
+    { id: '3', name: 'P3 - Medium' },
+    { id: '10', name: 'Highest' }
+  ];
+  assert.equal(resolvePriority(priorities, 'p1').id, '1');
+  assert.equal(resolvePriority(priorities, 'highest').id, '10');
+  assert.equal(resolvePriority(priorities, 'Medium').id, '3');
+  assert.equal(resolvePriority(priorities, 'P2'), null);
+});
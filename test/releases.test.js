@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const {
+  validateReleases,
+  resolveReleases,
+  findRelease,
+  getSprintColumns,
+  getReleaseColumns
+} = require('../src/lib/releases');
+
+const RELEASES = [
+  { name: 'Release 2A', firstSprint: 34, lastSprint: 36, fixVersion: 'Release 2A' },
+  { name: 'Release 1D', firstSprint: 30, lastSprint: 33, type: 'feature' },
+  { name: 'Bug Fixing Phase', firstSprint: 37, lastSprint: 38, type: 'bugfix' }
+];
+
+// A main plan sheet with a sprint inserted between 31 and 32
+function planSheet() {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Full-Delivery');
+  sheet.addRow(['Epic', ' ', 'Release', 'Sprint 30', 'Sprint 31', 'Sprint 31a', { richText: [{ text: 'Sprint ' }, { text: '32' }] }, 'sprint 33 ', 'TOTALS']);
+  return sheet;
+}
+
+test('resolveReleases sorts releases by sprint and fills in defaults', () => {
+  const releases = resolveReleases({ releases: RELEASES });
+  assert.deepEqual(releases.map(release => release.name), ['Release 1D', 'Release 2A', 'Bug Fixing Phase']);
+  assert.deepEqual(releases[1], { name: 'Release 2A', firstSprint: 34, lastSprint: 36, type: 'feature', fixVersion: 'Release 2A' });
+  assert.deepEqual(resolveReleases({}), []);
+});
+
+test('findRelease picks the release holding the sprint', () => {
+  const releases = resolveReleases({ releases: RELEASES });
+  assert.equal(findRelease(releases, 30).name, 'Release 1D');
+  assert.equal(findRelease(releases, 36).name, 'Release 2A');
+  assert.equal(findRelease(releases, 37).type, 'bugfix');
+  assert.equal(findRelease(releases, 39), null);
+});
+
+test('getSprintColumns finds sprint columns by header', () => {
+  assert.deepEqual([...getSprintColumns(planSheet())], [[30, 4], [31, 5], [32, 7], [33, 8]]);
+});
+
+test('getReleaseColumns follows the headers and reports sprints with no column', () => {
+  const columns = getSprintColumns(planSheet());
+  assert.deepEqual(getReleaseColumns({ firstSprint: 30, lastSprint: 33 }, columns), { columns: [4, 5, 7, 8], missing: [] });
+  assert.deepEqual(getReleaseColumns({ firstSprint: 33, lastSprint: 35 }, columns), { columns: [8], missing: [34, 35] });
+});
+
+test('validateReleases reports bad fields and overlapping releases', () => {
+  assert.deepEqual(validateReleases(RELEASES), []);
+  assert.deepEqual(validateReleases(undefined), []);
+  assert.deepEqual(validateReleases({}), ['"releases" must be a list of releases']);
+  assert.deepEqual(validateReleases([
+    { name: 'Release 1D', firstSprint: 30, lastSprint: 33 },
+    { name: 'Release 2A', firstSprint: 33, lastSprint: 31, type: 'hotfix' },
+    { name: '', firstSprint: '34', lastSprint: 36, fixVersion: 2 },
+    'Release 3'
+  ]), [
+    '"releases[1]" ends (Sprint 31) before it starts (Sprint 33)',
+    '"releases[1].type" must be one of feature, bugfix',
+    '"releases[2].name" must be a non-empty string',
+    '"releases[2].firstSprint" must be a sprint number',
+    '"releases[2].fixVersion" must be a non-empty string',
+    '"releases[3]" must be an object with name, firstSprint and lastSprint',
+    'Releases "Release 1D" and "Release 2A" both include Sprint 33'
+  ]);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  analyzeSprintAddition,
+  analyzeStoryPointChanges,
+  calculateScopeChanges
+} = require('../src/lib/scope-changes');
+
+const SPRINT_FIELD = 'customfield_11150';
+const POINTS_FIELD = 'customfield_10003';
+
+test('analyzeSprintAddition finds the change that added the sprint', () => {
+  const changelog = {
+    histories: [
+      { created: '2025-01-02T09:00:00.000+0000', items: [{ field: 'Sprint', toString: 'VER10 Sprint 30' }] },
+      { created: '2025-01-08T09:00:00.000+0000', items: [{ field: 'Sprint', toString: 'VER10 Sprint 30, VER10 Sprint 31' }] }
+    ]
+  };
+  assert.equal(analyzeSprintAddition(changelog, SPRINT_FIELD, 'VER10 Sprint 31', '2025-01-01'), '2025-01-08T09:00:00.000+0000');
+});
+
+test('analyzeSprintAddition does not match a sprint by prefix', () => {
+  const changelog = {
+    histories: [
+      { created: '2025-01-08T09:00:00.000+0000', items: [{ fieldId: SPRINT_FIELD, toString: 'VER10 Sprint 31' }] }
+    ]
+  };
+  assert.equal(analyzeSprintAddition(changelog, SPRINT_FIELD, 'VER10 Sprint 3', '2025-01-01'), '2025-01-01');
+});
+
+test('analyzeSprintAddition falls back to the creation date', () => {
+  assert.equal(analyzeSprintAddition(null, SPRINT_FIELD, 'VER10 Sprint 31', '2025-01-01'), '2025-01-01');
+});
+
+test('analyzeStoryPointChanges lists estimate changes', () => {
+  const changelog = {
+    histories: [{
+      created: '2025-01-09T09:00:00.000+0000',
+      author: { displayName: 'Caroline Wallen' },
+      items: [{ fieldId: POINTS_FIELD, fromString: '3', toString: '5' }, { field: 'status', toString: 'In Dev' }]
+    }, {
+      created: '2025-01-10T09:00:00.000+0000',
+      items: [{ field: 'Story Points', toString: '8' }]
+    }]
+  };
+
+  assert.deepEqual(analyzeStoryPointChanges(changelog, POINTS_FIELD), [
+    { date: '2025-01-09T09:00:00.000+0000', from: '3', to: '5', author: 'Caroline Wallen' },
+    { date: '2025-01-10T09:00:00.000+0000', from: '0', to: '8', author: 'Unknown' }
+  ]);
+  assert.deepEqual(analyzeStoryPointChanges(undefined, POINTS_FIELD), []);
+});
+
+test('calculateScopeChanges splits initial and added scope', () => {
+  const issues = [
+    { key: 'VER10-1', status: 'CLOSED', storyPoints: 5, addedToSprint: '2025-01-06T00:00:00.000Z', storyPointHistory: [] },
+    { key: 'VER10-2', status: 'IN DEV', storyPoints: 3, addedToSprint: '2025-01-08T10:00:00.000Z', storyPointHistory: [] },
+    { key: 'VER10-3', status: 'READY FOR RELEASE', storyPoints: 2, addedToSprint: '2025-01-02T10:00:00.000Z', storyPointHistory: [] }
+  ];
+
+  const analysis = calculateScopeChanges(issues, '2025-01-06T00:00:00.000Z');
+
+  assert.deepEqual(analysis.initialScope.map(i => i.key), ['VER10-1', 'VER10-3']);
+  assert.deepEqual(analysis.addedScope.map(i => i.key), ['VER10-2']);
+  assert.equal(analysis.initialPoints, 7);
+  assert.equal(analysis.addedPoints, 3);
+  assert.equal(analysis.completedPoints, 7);
+  assert.equal(analysis.remainingPoints, 3);
+});
+
+test('calculateScopeChanges only counts estimate increases during the sprint', () => {
+  const issues = [{
+    key: 'VER10-1',
+    summary: 'Grown story',
+    status: 'IN DEV',
+    storyPoints: 8,
+    addedToSprint: '2025-01-01T00:00:00.000Z',
+    storyPointHistory: [
+      { date: '2025-01-03T00:00:00.000Z', from: '1', to: '3', author: 'A' },
+      { date: '2025-01-07T00:00:00.000Z', from: '3', to: '8', author: 'B' },
+      { date: '2025-01-08T00:00:00.000Z', from: '8', to: '5', author: 'C' },
+      { date: '2025-01-09T00:00:00.000Z', from: '5', to: '8', author: 'D' }
+    ]
+  }];
+
+  const analysis = calculateScopeChanges(issues, '2025-01-06T00:00:00.000Z');
+
+  assert.deepEqual(analysis.storyPointIncreases.map(c => c.increase), [5, 3]);
+  assert.equal(analysis.increasedPoints, 8);
+});
+
+test('calculateScopeChanges handles an empty sprint', () => {
+  const analysis = calculateScopeChanges([], '2025-01-06');
+  assert.equal(analysis.totalCurrentPoints, 0);
+  assert.equal(analysis.remainingPoints, 0);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSCurveProfile, distributeSCurve } = require('../src/lib/scurve');
+
+function sum(values) {
+  return Math.round(values.reduce((a, b) => a + b, 0) * 100) / 100;
+}
+
+test('generateSCurveProfile returns no days for zero or negative lengths', () => {
+  assert.deepEqual(generateSCurveProfile(0), []);
+  assert.deepEqual(generateSCurveProfile(-3), []);
+});
+
+test('generateSCurveProfile puts everything on a single day', () => {
+  assert.deepEqual(generateSCurveProfile(1), [1]);
+});
+
+test('generateSCurveProfile shares sum to 1 and rise over the sprint', () => {
+  for (const days of [2, 3, 4, 11, 12, 20]) {
+    const profile = generateSCurveProfile(days);
+    assert.equal(profile.length, days);
+    assert.ok(Math.abs(profile.reduce((a, b) => a + b, 0) - 1) < 1e-9);
+    for (let i = 1; i < days; i++) {
+      assert.ok(profile[i] >= profile[i - 1]);
+    }
+  }
+});
+
+test('distributeSCurve returns no days when there are no working days', () => {
+  assert.deepEqual(distributeSCurve(20, 0), []);
+  assert.deepEqual(distributeSCurve(0, 0), []);
+});
+
+test('distributeSCurve puts all points on a single working day', () => {
+  assert.deepEqual(distributeSCurve(13, 1), [13]);
+});
+
+test('distributeSCurve uses the standard profile for a 10 day sprint', () => {
+  // The 10 day profile sums to 0.94, so the middle day takes the other 6 points
+  assert.deepEqual(distributeSCurve(100, 10), [5, 7, 10, 12, 13, 19, 12, 10, 7, 5]);
+});
+
+test('distributeSCurve days always sum to the total', () => {
+  for (const days of [2, 3, 5, 6, 7, 8, 9, 10, 11, 15]) {
+    for (const total of [0, 1, 7, 13, 33.33, 47.5, 101]) {
+      const distribution = distributeSCurve(total, days);
+      assert.equal(distribution.length, days);
+      assert.equal(sum(distribution), total, `${total} points over ${days} days`);
+    }
+  }
+});
+
+test('distributeSCurve puts the shortfall of a short profile on the middle day', () => {
+  // The 5 day profile only sums to 0.7
+  const distribution = distributeSCurve(10, 5);
+  assert.deepEqual(distribution, [1, 1.5, 5, 1.5, 1]);
+});
+
+test('distributeSCurve keeps every day at 2 decimal places', () => {
+  for (const value of distributeSCurve(33.33, 9)) {
+    assert.equal(Math.round(value * 100) / 100, value);
+  }
+});
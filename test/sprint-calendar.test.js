@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isWeekend,
+  generateSprintDates,
+  getSprintLength,
+  countWorkingDays,
+  distributePoints,
+  distributePointsByDay,
+  distributeByCapacity
+} = require('../src/lib/sprint-calendar');
+const { createTeamCalendar } = require('../src/lib/team-calendar');
+
+test('isWeekend is true on Saturday and Sunday only', () => {
+  // 6 January 2025 is a Monday
+  const days = Array.from({ length: 7 }, (_, i) => isWeekend(new Date(2025, 0, 6 + i)));
+  assert.deepEqual(days, [false, false, false, false, false, true, true]);
+});
+
+test('generateSprintDates covers 14 calendar days with 10 working days', () => {
+  const dates = generateSprintDates(new Date(2025, 0, 6));
+  assert.equal(dates.length, 14);
+  assert.equal(dates[0].date.getDate(), 6);
+  assert.equal(dates[13].date.getDate(), 19);
+  assert.equal(countWorkingDays(dates), 10);
+});
+
+test('generateSprintDates crosses month ends', () => {
+  const dates = generateSprintDates(new Date(2025, 0, 27));
+  assert.equal(dates[5].date.getMonth(), 1);
+  assert.equal(dates[5].date.getDate(), 1);
+});
+
+test('a sprint starting on a Saturday still has 10 working days', () => {
+  const dates = generateSprintDates(new Date(2025, 0, 4));
+  assert.equal(dates[0].isWeekend, true);
+  assert.equal(dates[1].isWeekend, true);
+  assert.equal(countWorkingDays(dates), 10);
+});
+
+test('generateSprintDates honours a custom length', () => {
+  assert.equal(generateSprintDates(new Date(2025, 0, 6), 0).length, 0);
+  assert.equal(countWorkingDays(generateSprintDates(new Date(2025, 0, 11), 2)), 0);
+});
+
+test('generateSprintDates takes bank holidays and leave from a team calendar', () => {
+  const calendar = createTeamCalendar({ team: [{ name: 'Ann' }, { name: 'Bo', leave: ['2025-12-22'] }] });
+  const dates = generateSprintDates(new Date(2025, 11, 18), 14, calendar);
+  assert.equal(countWorkingDays(dates), 8);
+  assert.equal(dates[7].holiday, 'Christmas Day');
+  assert.equal(dates[7].isWorkingDay, false);
+  assert.equal(dates[4].capacity, 1);
+  assert.equal(dates[5].capacity, 2);
+});
+
+test('getSprintLength runs to the next sprint, or 14 days for the last', () => {
+  const sprints = [{ startDate: new Date(2025, 9, 23) }, { startDate: new Date(2025, 10, 13) }];
+  assert.equal(getSprintLength(sprints, 0), 21);
+  assert.equal(getSprintLength(sprints, 1), 14);
+});
+
+test('distributePoints returns 0 when there is nothing to split', () => {
+  assert.equal(distributePoints(0, 10), 0);
+  assert.equal(distributePoints(10, 0), 0);
+});
+
+test('distributePoints rounds to 2 decimal places', () => {
+  assert.equal(distributePoints(10, 3), 3.33);
+  assert.equal(distributePoints(20, 10), 2);
+});
+
+test('distributePointsByDay returns no days when there are no working days', () => {
+  assert.deepEqual(distributePointsByDay(10, 0), []);
+});
+
+test('distributePointsByDay puts the rounding remainder on the last day', () => {
+  assert.deepEqual(distributePointsByDay(10, 3), [3.33, 3.33, 3.34]);
+  assert.deepEqual(distributePointsByDay(20, 10), new Array(10).fill(2));
+});
+
+test('distributePointsByDay days always sum to the total', () => {
+  for (const days of [1, 3, 7, 9, 10]) {
+    for (const total of [0, 1, 5, 13, 21, 33.5]) {
+      const split = distributePointsByDay(total, days);
+      const sum = Math.round(split.reduce((a, b) => a + b, 0) * 100) / 100;
+      assert.equal(sum, total, `${total} points over ${days} days`);
+    }
+  }
+});
+
+test('distributeByCapacity weighs days by capacity and keeps the total', () => {
+  assert.deepEqual(distributeByCapacity(10, [1, 1, 1]), [3.33, 3.33, 3.34]);
+  assert.deepEqual(distributeByCapacity(10, [2, 2, 1]), [4, 4, 2]);
+  const split = distributeByCapacity(13, [1.5, 0.5, 1.5, 1]);
+  assert.equal(Math.round(split.reduce((a, b) => a + b, 0) * 100) / 100, 13);
+  assert.deepEqual(distributeByCapacity(10, []), []);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getDateRange, calculateDailyProgress } = require('../src/lib/sprint-progress');
+
+const POINTS = 'customfield_10003';
+
+function issue(key, points, status, histories = [], updated = '2025-01-01T09:00:00.000+0000') {
+  return {
+    key,
+    fields: {
+      summary: `Summary of ${key}`,
+      status: { name: status },
+      issuetype: { name: 'Story' },
+      updated,
+      [POINTS]: points
+    },
+    changelog: { histories }
+  };
+}
+
+function toStatus(created, status) {
+  return { created, items: [{ field: 'status', toString: status }] };
+}
+
+test('getDateRange is inclusive of both ends', () => {
+  assert.deepEqual(getDateRange('2025-01-30', '2025-02-02'), ['2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02']);
+  assert.deepEqual(getDateRange('2025-01-06', '2025-01-06'), ['2025-01-06']);
+  assert.deepEqual(getDateRange('2025-01-07', '2025-01-06'), []);
+});
+
+test('getDateRange includes weekends and crosses daylight saving changes', () => {
+  const dates = getDateRange('2025-03-28', '2025-04-01');
+  assert.deepEqual(dates, ['2025-03-28', '2025-03-29', '2025-03-30', '2025-03-31', '2025-04-01']);
+});
+
+test('calculateDailyProgress tracks cumulative and remaining points per day', () => {
+  const issues = [
+    issue('VER10-1', 5, 'Closed', [toStatus('2025-01-07T10:00:00.000+0000', 'Closed')]),
+    issue('VER10-2', 3, 'Ready for Release', [toStatus('2025-01-09T10:00:00.000+0000', 'Ready for Release')]),
+    issue('VER10-3', 8, 'In Dev')
+  ];
+
+  const progress = calculateDailyProgress(issues, '2025-01-06', '2025-01-09', POINTS);
+
+  assert.deepEqual(progress.map(day => day.date), ['2025-01-06', '2025-01-07', '2025-01-08', '2025-01-09']);
+  assert.deepEqual(progress.map(day => day.completedToday), [0, 5, 0, 3]);
+  assert.deepEqual(progress.map(day => day.remaining), [16, 11, 11, 8]);
+  assert.equal(progress[3].percentComplete, '50.0');
+  assert.deepEqual(progress[1].completedIssues.map(i => i.key), ['VER10-1']);
+});
+
+test('calculateDailyProgress counts unestimated issues as 2 points', () => {
+  const progress = calculateDailyProgress([issue('VER10-1', null, 'To Do')], '2025-01-06', '2025-01-06', POINTS);
+  assert.equal(progress[0].totalSprint, 2);
+});
+
+test('calculateDailyProgress ignores work completed before the sprint', () => {
+  const issues = [issue('VER10-1', 5, 'Closed', [toStatus('2025-01-03T10:00:00.000+0000', 'Closed')])];
+  const progress = calculateDailyProgress(issues, '2025-01-06', '2025-01-07', POINTS);
+  assert.equal(progress[1].cumulativeCompleted, 0);
+});
+
+test('calculateDailyProgress reports the start day when today is before the sprint', () => {
+  const progress = calculateDailyProgress([], '2025-01-06', '2025-01-01', POINTS);
+  assert.equal(progress.length, 1);
+  assert.equal(progress[0].date, '2025-01-06');
+  assert.equal(progress[0].percentComplete, '0.0');
+});
+
+test('calculateDailyProgress keeps the day an issue was completed after it is reopened', () => {
+  const reopened = issue('VER10-1', 5, 'In Dev', [
+    toStatus('2025-01-07T10:00:00.000+0000', 'Closed'),
+    toStatus('2025-01-08T10:00:00.000+0000', 'In Dev')
+  ]);
+  const progress = calculateDailyProgress([reopened], '2025-01-06', '2025-01-09', POINTS);
+  assert.deepEqual(progress.map(day => day.completedToday), [0, 5, 0, 0]);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ukBankHolidays,
+  parseICalHolidays,
+  parseJsonHolidays,
+  validateCalendar,
+  createTeamCalendar,
+  sprintCapacity
+} = require('../src/lib/team-calendar');
+
+test('ukBankHolidays lists England and Wales bank holidays with weekend substitutes', () => {
+  assert.deepEqual(ukBankHolidays(2026).map(holiday => holiday.day), [
+    '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28'
+  ]);
+  // Christmas on a Saturday: both days move to the following Monday and Tuesday
+  assert.deepEqual(ukBankHolidays(2021).slice(-2), [
+    { day: '2021-12-27', name: 'Christmas Day' },
+    { day: '2021-12-28', name: 'Boxing Day' }
+  ]);
+});
+
+test('parseICalHolidays reads every day of each event, with folded lines', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART;VALUE=DATE:20251225',
+    'DTEND;VALUE=DATE:20251227',
+    'SUMMARY:Office',
+    '  closed',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'DTSTART:20260101T000000Z',
+    'SUMMARY:New Year\\, again',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  assert.deepEqual(parseICalHolidays(ics), [
+    { day: '2025-12-25', name: 'Office closed' },
+    { day: '2025-12-26', name: 'Office closed' },
+    { day: '2026-01-01', name: 'New Year, again' }
+  ]);
+});
+
+test('parseJsonHolidays accepts a list, an events list or GOV.UK\'s file', () => {
+  assert.deepEqual(parseJsonHolidays(['2025-12-25']), [{ day: '2025-12-25', name: 'Holiday' }]);
+  assert.deepEqual(parseJsonHolidays({ events: [{ date: '2025-12-26', name: 'Boxing Day' }] }), [{ day: '2025-12-26', name: 'Boxing Day' }]);
+  assert.deepEqual(parseJsonHolidays({ 'england-and-wales': { events: [{ title: 'Christmas Day', date: '2025-12-25' }] } }), [
+    { day: '2025-12-25', name: 'Christmas Day' }
+  ]);
+  assert.throws(() => parseJsonHolidays(['2025-02-30']), /is not a YYYY-MM-DD date/);
+});
+
+test('validateCalendar checks holidays, names, capacity and leave', () => {
+  assert.deepEqual(validateCalendar(undefined), []);
+  assert.deepEqual(validateCalendar({ holidays: 'holidays.ics', team: [{ name: 'Ann', capacity: 0.6, leave: ['2025-12-22/2025-12-31', '2026-01-09'] }] }), []);
+  assert.deepEqual(validateCalendar({
+    holidays: 'scotland',
+    team: [{ name: 'Ann', capacity: 1.5 }, { name: 'ann' }, { name: 'Bo', leave: ['2025-12-31/2025-12-22', 'Friday'] }]
+  }), [
+    '"calendar.holidays" must be "uk", "none" or the path of an .ics or .json file',
+    '"calendar.team[0].capacity" must be the share of a full day worked, above 0 and up to 1 (e.g. 0.6)',
+    '"ann" is listed twice in "calendar.team"',
+    '"calendar.team[2].leave[0]" ends before it starts',
+    '"calendar.team[2].leave[1]" must be a day (YYYY-MM-DD) or a range (YYYY-MM-DD/YYYY-MM-DD), got "Friday"'
+  ]);
+});
+
+test('a team calendar weighs each day by who is in', () => {
+  const calendar = createTeamCalendar({
+    team: [
+      { name: 'Ann', leave: ['2025-12-22/2025-12-24'] },
+      { name: 'Bo', capacity: 0.5 }
+    ]
+  });
+  assert.equal(calendar.fullCapacity, 1.5);
+  assert.equal(calendar.capacityOn(new Date(2025, 11, 19)), 1.5);
+  assert.equal(calendar.capacityOn(new Date(2025, 11, 22)), 0.5);
+  assert.equal(calendar.capacityOn(new Date(2025, 11, 25)), 0);
+  assert.equal(calendar.holidayOn(new Date(2025, 11, 25)), 'Christmas Day');
+  assert.equal(calendar.personCapacityOn('ann', new Date(2025, 11, 23)), 0);
+  assert.equal(calendar.personCapacityOn('Someone Else', new Date(2025, 11, 23)), 1);
+
+  // 18-31 December 2025: 10 weekdays less Christmas and Boxing Day
+  const summary = calendar.summarize(new Date(2025, 11, 18), new Date(2025, 11, 31));
+  assert.equal(summary.workingDays, 8);
+  assert.equal(summary.fullTeamDays, 6);
+  assert.deepEqual(summary.holidays.map(holiday => holiday.day), ['2025-12-25', '2025-12-26']);
+  assert.equal(calendar.personDays('Ann', new Date(2025, 11, 18), new Date(2025, 11, 31)), 5);
+  assert.equal(calendar.personDays('Bo', new Date(2025, 11, 18), new Date(2025, 11, 31)), 4);
+});
+
+test('without a team or holidays every weekday is a full day', () => {
+  const calendar = createTeamCalendar({ holidays: 'none' });
+  assert.equal(calendar.capacityOn(new Date(2025, 11, 25)), 1);
+  assert.equal(calendar.capacityOn(new Date(2025, 11, 27)), 0);
+  assert.deepEqual(calendar.summarize(new Date(2025, 11, 22), new Date(2025, 11, 28)), { workingDays: 5, fullTeamDays: 5, holidays: [] });
+});
+
+test('sprintCapacity gives an assignee\'s days in a sprint and those left', () => {
+  const calendar = createTeamCalendar({ team: [{ name: 'Ann', capacity: 0.5, leave: ['2025-12-19'] }] });
+  const sprint = { startDate: '2025-12-18T09:00:00.000Z', endDate: '2025-12-31T17:00:00.000Z' };
+  assert.deepEqual(sprintCapacity(calendar, 'Ann', sprint, new Date(2025, 11, 29)), { sprintDays: 8, availableDays: 3.5, daysLeft: 1.5, share: 0.44 });
+  assert.deepEqual(sprintCapacity(calendar, 'Bo', sprint, new Date(2025, 10, 1)), { sprintDays: 8, availableDays: 8, daysLeft: 8, share: 1 });
+  assert.equal(sprintCapacity(calendar, 'Ann', { startDate: null, endDate: null }), null);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createRunId,
+  getJournalPath,
+  openJournal,
+  readJournal,
+  listRuns,
+  findLatestRun,
+  isRowDone,
+  getCreatedIssues
+} = require('../src/lib/upload-journal');
+
+const folders = [];
+test.after(() => folders.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function createReportsDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+  folders.push(dir);
+  return dir;
+}
+
+const HEADER = { runId: 'run-1', profile: 'nh-uat', logPath: '/logs/uat.csv', project: 'VER10', epicKey: 'VER10-1' };
+
+test('createRunId sorts by start time and is safe in file names', () => {
+  const first = createRunId(new Date('2026-10-19T09:05:00.000Z'));
+  const second = createRunId(new Date('2026-10-19T10:15:48.123Z'));
+  assert.equal(second, '2026-10-19T10-15-48-123Z');
+  assert.ok(first < second);
+});
+
+test('readJournal keeps the latest entry for each row', () => {
+  const dir = createReportsDir();
+  const journal = openJournal(getJournalPath(dir, 'run-1'), HEADER);
+  journal.record({ type: 'row', externalId: 'a', summary: 'Login fails', status: 'pending' });
+  journal.record({ type: 'row', externalId: 'a', summary: 'Login fails', status: 'created', key: 'VER10-5' });
+  journal.record({ type: 'row', externalId: 'b', summary: 'Export broken', status: 'error', error: 'Request failed with status code 401' });
+
+  const read = readJournal(journal.path);
+  assert.equal(read.run.logPath, '/logs/uat.csv');
+  assert.equal(read.rows.get('a').status, 'created');
+  assert.equal(read.rows.get('b').status, 'error');
+  assert.equal(read.ended, false);
+});
+
+test('a run stopped mid-write can be read and resumed', () => {
+  const dir = createReportsDir();
+  const filePath = getJournalPath(dir, 'run-1');
+  openJournal(filePath, HEADER).record({ type: 'row', externalId: 'a', status: 'created', key: 'VER10-5' });
+  fs.appendFileSync(filePath, '{"type":"row","exter');
+
+  const resumed = openJournal(filePath);
+  resumed.record({ type: 'resume' });
+  resumed.record({ type: 'row', externalId: 'b', status: 'created', key: 'VER10-6' });
+  resumed.record({ type: 'end' });
+
+  const read = readJournal(filePath);
+  assert.deepEqual([...read.rows.keys()], ['a', 'b']);
+  assert.equal(read.ended, true);
+});
+
+test('isRowDone retries errors and rows stopped while being created', () => {
+  assert.equal(isRowDone({ status: 'created' }), true);
+  assert.equal(isRowDone({ status: 'skipped' }), true);
+  assert.equal(isRowDone({ status: 'pending' }), false);
+  assert.equal(isRowDone({ status: 'error' }), false);
+  assert.equal(isRowDone(undefined), false);
+});
+
+test('findLatestRun picks the newest run of the same log and profile', () => {
+  const dir = createReportsDir();
+  openJournal(getJournalPath(dir, '2026-10-01T09-00-00-000Z'), HEADER);
+  openJournal(getJournalPath(dir, '2026-10-02T09-00-00-000Z'), HEADER);
+  openJournal(getJournalPath(dir, '2026-10-03T09-00-00-000Z'), { ...HEADER, logPath: '/logs/other.csv' });
+
+  assert.deepEqual(listRuns(dir).map(run => run.runId), [
+    '2026-10-01T09-00-00-000Z',
+    '2026-10-02T09-00-00-000Z',
+    '2026-10-03T09-00-00-000Z'
+  ]);
+  assert.equal(findLatestRun(dir, { logPath: '/logs/uat.csv', profile: 'nh-uat' }).runId, '2026-10-02T09-00-00-000Z');
+  assert.equal(findLatestRun(dir, { logPath: '/logs/uat.csv', profile: 'acme' }), null);
+});
+
+test('getCreatedIssues lists created bugs not yet undone', () => {
+  const dir = createReportsDir();
+  const journal = openJournal(getJournalPath(dir, 'run-1'), HEADER);
+  journal.record({ type: 'row', externalId: 'a', summary: 'Login fails', status: 'created', key: 'VER10-5' });
+  journal.record({ type: 'row', externalId: 'b', summary: 'Export broken', status: 'updated', key: 'VER10-2' });
+  journal.record({ type: 'row', externalId: 'c', summary: 'Logo blurry', status: 'created', key: 'VER10-6' });
+  journal.record({ type: 'undo', key: 'VER10-5', action: 'deleted' });
+
+  assert.deepEqual(getCreatedIssues(readJournal(journal.path)), [
+    { key: 'VER10-6', summary: 'Logo blurry', externalId: 'c' }
+  ]);
+});
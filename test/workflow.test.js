@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkflow, discoverWorkflow, toJqlList } = require('../src/lib/workflow');
+
+const JIRA_STATUSES = [
+  { name: 'To Do', statusCategory: { key: 'new' } },
+  { name: 'In Dev', statusCategory: { key: 'indeterminate' } },
+  { name: 'Blocked', statusCategory: { key: 'indeterminate' } },
+  { name: 'In QA', statusCategory: { key: 'indeterminate' } },
+  { name: 'READY FOR RELEASE', statusCategory: { key: 'indeterminate' } },
+  { name: 'CLOSED', statusCategory: { key: 'done' } },
+  { name: 'Won\'t Do', statusCategory: { key: 'done' } }
+];
+
+test('configured statuses map to their stage, ignoring case', () => {
+  const workflow = createWorkflow();
+  assert.equal(workflow.getStage('in dev'), 'dev');
+  assert.equal(workflow.getStage('READY FOR REVIEW'), 'review');
+  assert.equal(workflow.getStage(' In QA '), 'qa');
+  assert.equal(workflow.isDone('Ready for release'), true);
+  assert.equal(workflow.isDone('CLOSED'), true);
+  assert.equal(workflow.getStage('Blocked'), null);
+});
+
+test('unlisted statuses fall back to their JIRA status category', () => {
+  const workflow = createWorkflow({}, JIRA_STATUSES);
+  assert.equal(workflow.getStage('Blocked'), 'dev');
+  assert.equal(workflow.isDone('Won\'t Do'), true);
+  // Listed statuses win over their category
+  assert.equal(workflow.isDone('READY FOR RELEASE'), true);
+  assert.equal(workflow.getStage('In QA'), 'qa');
+});
+
+test('an issue status object carries its own category', () => {
+  const workflow = createWorkflow();
+  assert.equal(workflow.getStage({ name: 'Parked', statusCategory: { key: 'new' } }), 'todo');
+  assert.equal(workflow.getStage(undefined), null);
+});
+
+test('a configured stage replaces its default list', () => {
+  const workflow = createWorkflow({ qa: ['In QA', 'Ready for Release'], done: ['Closed'] });
+  assert.equal(workflow.getStage('Ready for Release'), 'qa');
+  assert.equal(workflow.isDone('Done'), false);
+  assert.deepEqual(workflow.getStatuses('done'), ['Closed']);
+  assert.equal(workflow.getStage('In Review'), 'review');
+});
+
+test('a status moved into a configured stage leaves its default stage', () => {
+  const workflow = createWorkflow({ review: ['In Review', 'In Progress'] });
+  assert.equal(workflow.getStage('In Progress'), 'review');
+  assert.deepEqual(workflow.getStatuses('dev'), ['In Dev']);
+});
+
+test('getStatuses only names statuses that exist once discovered', () => {
+  const workflow = createWorkflow({}, JIRA_STATUSES);
+  assert.deepEqual(workflow.getStatuses('done'), ['READY FOR RELEASE', 'CLOSED', 'Won\'t Do']);
+  assert.deepEqual(workflow.getStatuses('dev', 'qa'), ['In Dev', 'Blocked', 'In QA']);
+});
+
+test('getStatuses falls back to the configured names when none exist', () => {
+  const workflow = createWorkflow({}, JIRA_STATUSES);
+  assert.deepEqual(workflow.getStatuses('review'), ['In Review', 'Ready for Review']);
+});
+
+test('discoverWorkflow reads statuses from JIRA', async () => {
+  const client = { get: async url => ({ data: url === '/rest/api/3/status' ? JIRA_STATUSES : [] }) };
+  const workflow = await discoverWorkflow(client, { workflow: {} });
+  assert.equal(workflow.discovered, true);
+  assert.equal(workflow.getStage('Blocked'), 'dev');
+});
+
+test('discoverWorkflow falls back to the config when statuses are unavailable', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const client = { get: async () => { throw new Error('Request failed with status code 403'); } };
+  const workflow = await discoverWorkflow(client, { workflow: { done: ['Shipped'] } });
+  assert.equal(workflow.discovered, false);
+  assert.equal(workflow.isDone('Shipped'), true);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test('toJqlList quotes status names', () => {
+  assert.equal(toJqlList(['In QA', 'READY FOR RELEASE']), '("In QA", "READY FOR RELEASE")');
+});